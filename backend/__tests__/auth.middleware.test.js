@@ -0,0 +1,118 @@
+const { auth } = require("../firebaseConfig");
+const { authenticate, requireRole } = require("../middleware/auth.middleware");
+
+// Mock the Firebase Admin SDK so tokens are verified without network access
+jest.mock("../firebaseConfig", () => ({
+  auth: { verifyIdToken: jest.fn() }
+}));
+
+const runMiddleware = async headers => {
+  const req = { headers };
+  const next = jest.fn();
+  await authenticate(req, {}, next);
+  return { req, error: next.mock.calls[0][0] };
+};
+
+describe("Auth Middleware Unit Tests (Mocked)", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should attach the decoded token to req.user", async () => {
+    auth.verifyIdToken.mockResolvedValue({ uid: "user-1", email: "a@b.test" });
+
+    const { req, error } = await runMiddleware({ authorization: "Bearer good-token" });
+
+    expect(error).toBeUndefined();
+    expect(req.user).toEqual({ uid: "user-1", email: "a@b.test", role: "tenant" });
+    expect(auth.verifyIdToken).toHaveBeenCalledWith("good-token", false);
+  });
+
+  it("should keep the role custom claim", async () => {
+    auth.verifyIdToken.mockResolvedValue({ uid: "admin-1", role: "admin" });
+
+    const { req } = await runMiddleware({ authorization: "Bearer admin-token" });
+
+    expect(req.user.role).toBe("admin");
+  });
+
+  it("should fall back to the default role for unknown claims", async () => {
+    auth.verifyIdToken.mockResolvedValue({ uid: "user-1", role: "superuser" });
+
+    const { req } = await runMiddleware({ authorization: "Bearer odd-token" });
+
+    expect(req.user.role).toBe("tenant");
+  });
+
+  it("should return 401 when the header is missing", async () => {
+    const { error } = await runMiddleware({});
+
+    expect(error.statusCode).toBe(401);
+    expect(error.code).toBe("auth/missing-token");
+    expect(auth.verifyIdToken).not.toHaveBeenCalled();
+  });
+
+  it("should return 401 for a non-Bearer scheme", async () => {
+    const { error } = await runMiddleware({ authorization: "Basic dXNlcjpwYXNz" });
+
+    expect(error.statusCode).toBe(401);
+    expect(error.code).toBe("auth/missing-token");
+  });
+
+  it("should return 401 for an expired token", async () => {
+    auth.verifyIdToken.mockRejectedValue(
+      Object.assign(new Error("expired"), { code: "auth/id-token-expired" })
+    );
+
+    const { error } = await runMiddleware({ authorization: "Bearer old-token" });
+
+    expect(error.statusCode).toBe(401);
+    expect(error.code).toBe("auth/id-token-expired");
+  });
+
+  it("should return 401 for an invalid token", async () => {
+    auth.verifyIdToken.mockRejectedValue(
+      Object.assign(new Error("bad"), { code: "auth/argument-error" })
+    );
+
+    const { error } = await runMiddleware({ authorization: "Bearer forged-token" });
+
+    expect(error.statusCode).toBe(401);
+    expect(error.code).toBe("auth/invalid-token");
+  });
+
+  it("should return 403 for a disabled account", async () => {
+    auth.verifyIdToken.mockRejectedValue(
+      Object.assign(new Error("disabled"), { code: "auth/user-disabled" })
+    );
+
+    const { error } = await runMiddleware({ authorization: "Bearer disabled-token" });
+
+    expect(error.statusCode).toBe(403);
+    expect(error.code).toBe("auth/user-disabled");
+  });
+
+  describe("requireRole", () => {
+    const runRoleCheck = (user, ...roles) => {
+      const next = jest.fn();
+      requireRole(...roles)({ user }, {}, next);
+      return next.mock.calls[0][0];
+    };
+
+    it("should let allowed roles through", () => {
+      expect(runRoleCheck({ uid: "a", role: "admin" }, "landlord", "admin")).toBeUndefined();
+    });
+
+    it("should return 403 for other roles", () => {
+      const error = runRoleCheck({ uid: "t", role: "tenant" }, "landlord", "admin");
+
+      expect(error.statusCode).toBe(403);
+      expect(error.code).toBe("auth/insufficient-role");
+      expect(error.details).toEqual({ required: ["landlord", "admin"], role: "tenant" });
+    });
+
+    it("should return 401 when authenticate did not run", () => {
+      expect(runRoleCheck(undefined, "admin").statusCode).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+const path = require("path");
+const rules = require(path.join(__dirname, "../../databse.rules.json"));
+// Copy kept next to the backend; both are deployed, so they must not drift apart
+const backendRules = require(path.join(__dirname, "../firebase.json"));
+
+/**
+ * Every ".write" rule in the tree, with the path it sits at
+ *
+ * @param {Object} node - Rules node
+ * @param {string} at - Path of the node
+ * @returns {Array<[string, *]>} [path, rule] pairs
+ */
+const writeRules = (node, at = "") =>
+  Object.entries(node).flatMap(([key, child]) => {
+    if (key === ".write") return [[at || "/", child]];
+    if (key.startsWith(".") || typeof child !== "object") return [];
+    return writeRules(child, `${at}/${key}`);
+  });
+
+describe("Database Rules", () => {
+  it("should keep backend/firebase.json identical to databse.rules.json", () => {
+    expect(backendRules).toEqual(rules);
+  });
+
+  it("should not let clients write anywhere (all writes go through the API)", () => {
+    const rulesTree = rules.rules;
+
+    expect(rulesTree[".write"]).toBeUndefined();
+    for (const [at, rule] of writeRules(rulesTree)) {
+      expect({ at, rule }).toEqual({ at, rule: false });
+    }
+  });
+
+  it("should let accounts read only their own users", () => {
+    const read = rules.rules.users.$ownerUid[".read"];
+
+    expect(read).toContain("auth.uid === $ownerUid");
+    expect(rules.rules.users[".read"]).toBeUndefined();
+  });
+});
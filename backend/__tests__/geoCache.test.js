@@ -0,0 +1,157 @@
+// The geo cache persists through the storage driver; keep it in memory
+process.env.STORAGE_DRIVER = "memory";
+
+const { createLruCache } = require("../utils/lruCache");
+const { createGeoCache } = require("../services/geocoding/geoCache");
+const createHttpError = require("../utils/httpError");
+
+const NEW_YORK = { lat: 40.7128, lon: -74.006, timezone: -18000, locationName: "New York" };
+
+/**
+ * In-memory stand-in for the geoCache repository
+ */
+const createStore = () => {
+  const entries = {};
+  return {
+    entries,
+    findByKey: jest.fn(async key => entries[key] || null),
+    save: jest.fn(async (key, entry) => {
+      entries[key] = entry;
+    })
+  };
+};
+
+describe("LRU cache", () => {
+  it("should evict the least recently used entry", () => {
+    const cache = createLruCache({ maxEntries: 2 });
+    cache.set("a", 1, Infinity);
+    cache.set("b", 2, Infinity);
+    cache.get("a");
+    cache.set("c", 3, Infinity);
+
+    expect(cache.get("a")).toBe(1);
+    expect(cache.get("b")).toBeUndefined();
+    expect(cache.get("c")).toBe(3);
+  });
+
+  it("should drop expired entries", () => {
+    let now = 1000;
+    const cache = createLruCache({ now: () => now });
+    cache.set("a", 1, 2000);
+
+    expect(cache.get("a")).toBe(1);
+    now = 2000;
+    expect(cache.get("a")).toBeUndefined();
+    expect(cache.size()).toBe(0);
+  });
+});
+
+describe("Geo cache", () => {
+  let now;
+  let store;
+  let provider;
+  let geoCache;
+
+  beforeEach(() => {
+    now = 0;
+    store = createStore();
+    provider = {
+      name: "remote",
+      lookup: jest.fn(async zip => {
+        if (zip === "00000") {
+          throw createHttpError(404, "ZIP code 00000 not found.", "geo/zip-not-found");
+        }
+        return NEW_YORK;
+      })
+    };
+    geoCache = createGeoCache({
+      store,
+      ttlMs: 1000,
+      negativeTtlMs: 100,
+      maxEntries: 10,
+      now: () => now
+    });
+  });
+
+  it("should call the provider once per ZIP while the entry is fresh", async () => {
+    const cached = geoCache.wrap(provider);
+
+    await expect(cached.lookup("10001")).resolves.toEqual(NEW_YORK);
+    await expect(cached.lookup("10001")).resolves.toEqual(NEW_YORK);
+
+    expect(provider.lookup).toHaveBeenCalledTimes(1);
+    expect(store.entries["US:10001"]).toMatchObject({ status: "found", expiresAt: 1000 });
+    expect(geoCache.getStats()).toMatchObject({ hits: 1, misses: 1, memoryHits: 1 });
+  });
+
+  it("should serve entries persisted by another process", async () => {
+    store.entries["US:10001"] = { status: "found", geo: NEW_YORK, cachedAt: 0, expiresAt: 500 };
+
+    await expect(geoCache.wrap(provider).lookup("10001")).resolves.toEqual(NEW_YORK);
+
+    expect(provider.lookup).not.toHaveBeenCalled();
+    expect(geoCache.getStats()).toMatchObject({ storeHits: 1, misses: 0 });
+  });
+
+  it("should share one entry between a ZIP+4 and its ZIP", async () => {
+    const cached = geoCache.wrap(provider);
+
+    await cached.lookup("10001-1234", "US");
+    await cached.lookup("10001", "US");
+
+    expect(provider.lookup).toHaveBeenCalledTimes(1);
+    expect(provider.lookup).toHaveBeenCalledWith("10001-1234", "US");
+  });
+
+  it("should key CA and GB codes by country and area", async () => {
+    const cached = geoCache.wrap(provider);
+
+    await cached.lookup("K1A 0B1", "CA");
+    await cached.lookup("SW1A 1AA", "GB");
+
+    expect(Object.keys(store.entries)).toEqual(["CA:K1A", "GB:SW1A"]);
+  });
+
+  it("should refresh entries after the TTL", async () => {
+    const cached = geoCache.wrap(provider);
+    await cached.lookup("10001");
+
+    now = 1000;
+    await cached.lookup("10001");
+
+    expect(provider.lookup).toHaveBeenCalledTimes(2);
+  });
+
+  it("should cache 404 answers for the negative TTL", async () => {
+    const cached = geoCache.wrap(provider);
+
+    await expect(cached.lookup("00000")).rejects.toMatchObject({ statusCode: 404 });
+    await expect(cached.lookup("00000")).rejects.toMatchObject({
+      statusCode: 404,
+      code: "geo/zip-not-found"
+    });
+    expect(provider.lookup).toHaveBeenCalledTimes(1);
+    expect(geoCache.getStats().negativeHits).toBe(1);
+
+    now = 100;
+    await expect(cached.lookup("00000")).rejects.toMatchObject({ statusCode: 404 });
+    expect(provider.lookup).toHaveBeenCalledTimes(2);
+  });
+
+  it("should not cache outages", async () => {
+    provider.lookup.mockRejectedValueOnce(new Error("Weather service is currently unreachable."));
+    const cached = geoCache.wrap(provider);
+
+    await expect(cached.lookup("10001")).rejects.toThrow("unreachable");
+    await expect(cached.lookup("10001")).resolves.toEqual(NEW_YORK);
+
+    expect(provider.lookup).toHaveBeenCalledTimes(2);
+  });
+
+  it("should fall back to the provider when the store fails", async () => {
+    store.findByKey.mockRejectedValue(new Error("permission denied"));
+
+    await expect(geoCache.wrap(provider).lookup("10001")).resolves.toEqual(NEW_YORK);
+    expect(geoCache.getStats().storeErrors).toBe(1);
+  });
+});
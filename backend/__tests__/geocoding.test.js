@@ -0,0 +1,114 @@
+// The geo cache persists through the storage driver; keep it in memory
+process.env.STORAGE_DRIVER = "memory";
+
+const offlineProvider = require("../services/geocoding/offline.provider");
+const { createGeocoder, resolveProviders } = require("../services/geocoding");
+const { getUtcOffsetSeconds } = require("../utils/timezone");
+
+describe("Geocoding", () => {
+  describe("offline provider", () => {
+    it("should resolve a US ZIP from the bundled dataset", async () => {
+      const result = await offlineProvider.lookup("10001");
+
+      expect(result).toMatchObject({
+        lat: 40.7484,
+        lon: -73.9967,
+        timeZoneName: "America/New_York",
+        locationName: "New York",
+        state: "NY"
+      });
+      expect([-18000, -14400]).toContain(result.timezone);
+    });
+
+    it("should reject a ZIP that is not in the dataset with 404", async () => {
+      await expect(offlineProvider.lookup("00000")).rejects.toMatchObject({
+        statusCode: 404,
+        code: "geo/zip-not-found"
+      });
+    });
+
+    it("should resolve a ZIP+4 by its 5-digit ZIP", async () => {
+      await expect(offlineProvider.lookup("10001-1234", "US")).resolves.toMatchObject({
+        locationName: "New York"
+      });
+    });
+
+    it("should pass on other countries", async () => {
+      await expect(offlineProvider.lookup("K1A 0B1", "CA")).resolves.toBeNull();
+      await expect(offlineProvider.lookup("K1A 0B1")).resolves.toBeNull();
+    });
+  });
+
+  describe("provider chain", () => {
+    const remote = {
+      name: "remote",
+      lookup: jest.fn(() => Promise.resolve({ lat: 1, lon: 2, timezone: 0, locationName: "X" }))
+    };
+
+    beforeEach(() => {
+      remote.lookup.mockClear();
+    });
+
+    it("should answer from the first provider that resolves", async () => {
+      const { geocode } = createGeocoder([offlineProvider, remote]);
+
+      const result = await geocode("90210");
+
+      expect(result).toMatchObject({ locationName: "Beverly Hills", provider: "offline" });
+      expect(remote.lookup).not.toHaveBeenCalled();
+    });
+
+    it("should reject unknown US ZIPs before calling a remote provider", async () => {
+      const { geocode } = createGeocoder([offlineProvider, remote]);
+
+      await expect(geocode("00000")).rejects.toMatchObject({ statusCode: 404 });
+      expect(remote.lookup).not.toHaveBeenCalled();
+    });
+
+    it("should fall through to the next provider when one is unavailable", async () => {
+      const failing = { name: "failing", lookup: jest.fn(() => Promise.reject(new Error("down"))) };
+      const { geocode } = createGeocoder([failing, remote]);
+
+      const result = await geocode("10001");
+
+      expect(result).toMatchObject({ lat: 1, provider: "remote" });
+    });
+
+    it("should report 503 unavailable when every provider fails", async () => {
+      const failing = { name: "failing", lookup: jest.fn(() => Promise.reject(new Error("down"))) };
+      const { geocode } = createGeocoder([failing]);
+
+      const error = await geocode("10001").catch(err => err);
+
+      expect(error).toMatchObject({ statusCode: 503, code: "geo/unavailable" });
+      expect(error.cause.message).toBe("down");
+    });
+
+    it("should return 422 when no provider handles the input", async () => {
+      const { geocode } = createGeocoder([offlineProvider]);
+
+      await expect(geocode("K1A 0B1", "CA")).rejects.toMatchObject({
+        statusCode: 422,
+        code: "geo/unsupported"
+      });
+    });
+
+    it("should reject unknown provider names", () => {
+      expect(() => resolveProviders(["offline", "nominatim"])).toThrow(
+        /Unknown geocoding provider/
+      );
+    });
+  });
+
+  describe("getUtcOffsetSeconds", () => {
+    it("should follow daylight saving time", () => {
+      expect(getUtcOffsetSeconds("America/New_York", new Date("2024-01-15T12:00:00Z"))).toBe(
+        -18000
+      );
+      expect(getUtcOffsetSeconds("America/New_York", new Date("2024-07-15T12:00:00Z"))).toBe(
+        -14400
+      );
+      expect(getUtcOffsetSeconds("Asia/Kolkata", new Date("2024-07-15T12:00:00Z"))).toBe(19800);
+    });
+  });
+});
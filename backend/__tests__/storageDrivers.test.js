@@ -0,0 +1,189 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const createMemoryDriver = require("../repositories/drivers/memory.driver");
+const createFileDriver = require("../repositories/drivers/file.driver");
+
+describe("Storage Drivers Unit Tests", () => {
+  describe("Memory driver - reads and writes", () => {
+    let driver;
+
+    beforeEach(() => {
+      driver = createMemoryDriver();
+    });
+
+    it("should set, get and remove values by path", async () => {
+      await driver.set("users/owner/a", { name: "Ann" });
+
+      expect(await driver.get("users/owner/a")).toEqual({ name: "Ann" });
+      expect(await driver.exists("users/owner/a")).toBe(true);
+
+      await driver.remove("users/owner/a");
+
+      expect(await driver.get("users/owner/a")).toBeNull();
+      // Empty parents disappear, as in RTDB
+      expect(await driver.get("users")).toBeNull();
+    });
+
+    it("should read several paths at once, in order", async () => {
+      await driver.set("users/owner/a", { name: "Ann" });
+      await driver.set("users/owner/b", { name: "Bob" });
+
+      expect(
+        await driver.getMany(["users/owner/b", "users/owner/missing", "users/owner/a"])
+      ).toEqual([{ name: "Bob" }, null, { name: "Ann" }]);
+    });
+
+    it("should apply multi-path updates with null deletes", async () => {
+      await driver.set("users/owner/a", { name: "Ann", zip: "10001" });
+
+      await driver.update("", { "users/owner/a/zip": "90210", "users/owner/a/name": null });
+
+      expect(await driver.get("users/owner/a")).toEqual({ zip: "90210" });
+    });
+
+    it("should not leak references to stored data", async () => {
+      const value = { name: "Ann" };
+      await driver.set("users/owner/a", value);
+      value.name = "Mutated";
+
+      const read = await driver.get("users/owner/a");
+      read.name = "Also mutated";
+
+      expect(await driver.get("users/owner/a")).toEqual({ name: "Ann" });
+    });
+
+    it("should resolve timestamp and increment sentinels", async () => {
+      await driver.set("counters/total", 2);
+      await driver.update("", {
+        "counters/total": driver.increment(3),
+        "counters/missing": driver.increment(-1),
+        "meta/at": driver.serverTimestamp()
+      });
+
+      expect(await driver.get("counters")).toEqual({ total: 5, missing: -1 });
+      expect(typeof (await driver.get("meta/at"))).toBe("number");
+    });
+
+    it("should generate unique, chronologically ordered push keys", () => {
+      const keys = Array.from({ length: 50 }, () => driver.pushKey("users"));
+
+      expect(new Set(keys).size).toBe(50);
+      expect([...keys].sort()).toEqual(keys);
+    });
+
+    it("should commit and abort transactions", async () => {
+      await driver.set("users/owner/a", { version: 1 });
+
+      const committed = await driver.transaction("users/owner/a", current => ({
+        version: current.version + 1
+      }));
+      const aborted = await driver.transaction("users/owner/a", () => undefined);
+
+      expect(committed).toEqual({ committed: true, value: { version: 2 } });
+      expect(aborted).toEqual({ committed: false, value: { version: 2 } });
+    });
+  });
+
+  describe("Memory driver - queries", () => {
+    let driver;
+
+    beforeEach(async () => {
+      driver = createMemoryDriver({
+        users: {
+          c: { name: "Cara", zip: "60601" },
+          a: { name: "Ann", zip: "10001" },
+          d: { name: "Ann", zip: "90210" },
+          b: { name: "Bob" }
+        }
+      });
+    });
+
+    const keys = children => children.map(child => child.key);
+
+    it("should order by child with missing values first and ties by key", async () => {
+      expect(keys(await driver.query("users", { orderByChild: "zip" }))).toEqual([
+        "b",
+        "a",
+        "c",
+        "d"
+      ]);
+      expect(keys(await driver.query("users", { orderByChild: "name" }))).toEqual([
+        "a",
+        "d",
+        "b",
+        "c"
+      ]);
+    });
+
+    it("should order by key by default", async () => {
+      expect(keys(await driver.query("users"))).toEqual(["a", "b", "c", "d"]);
+    });
+
+    it("should continue after a (value, key) position", async () => {
+      const page = await driver.query("users", {
+        orderByChild: "name",
+        startAfter: { value: "Ann", key: "a" },
+        limitToFirst: 2
+      });
+
+      expect(keys(page)).toEqual(["d", "b"]);
+    });
+
+    it("should page backwards with endBefore and limitToLast", async () => {
+      const page = await driver.query("users", {
+        orderByChild: "name",
+        endBefore: { value: "Cara", key: "c" },
+        limitToLast: 2
+      });
+
+      expect(keys(page)).toEqual(["d", "b"]);
+    });
+
+    it("should filter with inclusive ranges and equalTo", async () => {
+      expect(
+        keys(
+          await driver.query("users", {
+            orderByChild: "zip",
+            startAt: { value: "10001" },
+            endAt: { value: "60601" }
+          })
+        )
+      ).toEqual(["a", "c"]);
+      expect(keys(await driver.query("users", { orderByChild: "name", equalTo: "Ann" }))).toEqual([
+        "a",
+        "d"
+      ]);
+    });
+  });
+
+  describe("File driver", () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "rentredi-storage-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should persist writes and reload them in a new driver", async () => {
+      const filePath = path.join(dir, "nested", "db.json");
+      const driver = createFileDriver(filePath);
+
+      await driver.set("users/owner/a", { name: "Ann" });
+      await driver.update("users/owner", { "b/name": "Bob" });
+
+      const reloaded = createFileDriver(filePath);
+
+      expect(await reloaded.get("users/owner")).toEqual({ a: { name: "Ann" }, b: { name: "Bob" } });
+    });
+
+    it("should start empty when the file does not exist", async () => {
+      const driver = createFileDriver(path.join(dir, "missing.json"));
+
+      expect(await driver.get("users")).toBeNull();
+    });
+  });
+});
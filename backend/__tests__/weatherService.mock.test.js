@@ -1,5 +1,5 @@
 const axios = require("axios");
-const { getWeatherData } = require("../services/weatherService");
+const { getWeatherData, getCurrentWeather, getForecast } = require("../services/weatherService");
 
 // Mock axios to avoid real API calls
 jest.mock("axios");
@@ -61,6 +61,42 @@ describe("Weather Service Unit Tests (Mocked)", () => {
     });
   });
 
+  describe("getWeatherData - International postal codes", () => {
+    const lookedUpZip = () => axios.get.mock.calls[0][1].params.zip;
+
+    beforeEach(() => {
+      axios.get.mockResolvedValue({
+        data: { coord: { lat: 1, lon: 2 }, timezone: 0, name: "Somewhere" }
+      });
+    });
+
+    it("should look up a ZIP+4 by its 5-digit ZIP", async () => {
+      await getWeatherData("10001-1234");
+
+      expect(lookedUpZip()).toBe("10001,us");
+    });
+
+    it("should look up Canadian postal codes by FSA", async () => {
+      await getWeatherData("K1A 0B1", "CA");
+
+      expect(lookedUpZip()).toBe("K1A,ca");
+    });
+
+    it("should look up UK postcodes by outward code", async () => {
+      await getWeatherData("SW1A 1AA", "GB");
+
+      expect(lookedUpZip()).toBe("SW1A,gb");
+    });
+
+    it("should reject postal codes that don't match the country", async () => {
+      await expect(getWeatherData("10001", "CA")).rejects.toThrow(
+        "Invalid postal code format for CA"
+      );
+      await expect(getWeatherData("K1A 0B1")).rejects.toThrow("Invalid ZIP code format");
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+  });
+
   describe("getWeatherData - Input Validation", () => {
     it("should throw error for invalid ZIP format (too short)", async () => {
       await expect(getWeatherData("123")).rejects.toThrow("Invalid ZIP code format");
@@ -177,4 +213,145 @@ describe("Weather Service Unit Tests (Mocked)", () => {
       expect(result.timezone).toBe(-21600);
     });
   });
+
+  describe("getCurrentWeather", () => {
+    it("should map current conditions", async () => {
+      axios.get.mockResolvedValue({
+        data: {
+          weather: [{ description: "light rain", icon: "10d" }],
+          main: { temp: 54.3, feels_like: 52.1, humidity: 81 },
+          wind: { speed: 9.2 },
+          dt: 1700000000
+        }
+      });
+
+      const result = await getCurrentWeather(40.7128, -74.006, "imperial");
+
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({
+          params: expect.objectContaining({ lat: 40.7128, lon: -74.006, units: "imperial" })
+        })
+      );
+      expect(result).toEqual({
+        temperature: 54.3,
+        feelsLike: 52.1,
+        description: "light rain",
+        icon: "10d",
+        humidity: 81,
+        windSpeed: 9.2,
+        units: "imperial",
+        observedAt: "2023-11-14T22:13:20.000Z"
+      });
+    });
+
+    it("should reject invalid coordinates without calling the API", async () => {
+      await expect(getCurrentWeather(undefined, -74.006)).rejects.toThrow("Invalid coordinates");
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    it("should reject unknown unit systems", async () => {
+      await expect(getCurrentWeather(40.7, -74, "kelvin")).rejects.toThrow("Invalid units");
+    });
+
+    it("should handle rate limiting like the geocoding call", async () => {
+      const error = new Error("Too many requests");
+      error.response = { status: 429 };
+      axios.get.mockRejectedValue(error);
+
+      await expect(getCurrentWeather(40.7, -74)).rejects.toThrow("Weather API rate limit exceeded");
+    });
+
+    it("should report unexpected errors as weather data failures", async () => {
+      axios.get.mockRejectedValue(new Error("Unknown error"));
+
+      await expect(getCurrentWeather(40.7, -74)).rejects.toThrow(
+        "An internal error occurred while fetching weather data"
+      );
+    });
+  });
+
+  describe("getForecast", () => {
+    // 3-hourly slots; timezone -18000 (UTC-5) puts 03:00Z on the previous local day
+    const slot = (iso, min, max, pop, description) => ({
+      dt: Date.parse(iso) / 1000,
+      main: { temp_min: min, temp_max: max },
+      pop,
+      weather: [{ description, icon: "01d" }]
+    });
+
+    beforeEach(() => {
+      axios.get.mockResolvedValue({
+        data: {
+          city: { timezone: -18000 },
+          list: [
+            slot("2024-01-15T03:00:00Z", 30, 31, 0, "clear sky"),
+            slot("2024-01-15T15:00:00Z", 35, 41, 0.2, "few clouds"),
+            slot("2024-01-15T21:00:00Z", 38, 44, 0.65, "light rain"),
+            slot("2024-01-16T17:00:00Z", 28, 33, 0, "snow")
+          ]
+        }
+      });
+    });
+
+    it("should collapse slots into local days with highs, lows and precipitation chance", async () => {
+      const result = await getForecast(40.7128, -74.006, 5, "imperial");
+
+      expect(axios.get).toHaveBeenCalledWith(
+        expect.stringContaining("/forecast"),
+        expect.objectContaining({ params: expect.objectContaining({ units: "imperial" }) })
+      );
+      expect(result).toEqual({
+        units: "imperial",
+        days: [
+          {
+            date: "2024-01-14",
+            high: 31,
+            low: 30,
+            precipitationChance: 0,
+            description: "clear sky",
+            icon: "01d"
+          },
+          {
+            date: "2024-01-15",
+            high: 44,
+            low: 35,
+            precipitationChance: 65,
+            description: "few clouds",
+            icon: "01d"
+          },
+          {
+            date: "2024-01-16",
+            high: 33,
+            low: 28,
+            precipitationChance: 0,
+            description: "snow",
+            icon: "01d"
+          }
+        ]
+      });
+    });
+
+    it("should return at most the requested number of days", async () => {
+      const result = await getForecast(40.7128, -74.006, 2);
+
+      expect(result.days.map(day => day.date)).toEqual(["2024-01-14", "2024-01-15"]);
+    });
+
+    it("should reject day counts outside 1-5", async () => {
+      await expect(getForecast(40.7, -74, 6)).rejects.toThrow("Invalid days");
+      await expect(getForecast(40.7, -74, 0)).rejects.toThrow("Invalid days");
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    it("should handle network errors", async () => {
+      const error = new Error("Network error");
+      error.request = {};
+      axios.get.mockRejectedValue(error);
+
+      await expect(getForecast(40.7, -74)).rejects.toThrow(
+        "Weather service is currently unreachable"
+      );
+    });
+  });
 });
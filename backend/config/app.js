@@ -7,9 +7,13 @@
 const express = require("express");
 const cors = require("cors");
 const { telemetryMiddleware } = require("../middleware/telemetry.middleware");
+const { requestId } = require("../middleware/requestId.middleware");
 const { errorHandler, notFound } = require("../middleware/error.middleware");
 const userRoutes = require("../routes/user.routes");
 const healthRoutes = require("../routes/health.routes");
+const roleRoutes = require("../routes/role.routes");
+const webhookRoutes = require("../routes/webhook.routes");
+const graphqlRoutes = require("../routes/graphql.routes");
 
 /**
  * Create and configure Express application
@@ -20,8 +24,9 @@ const createApp = () => {
   const app = express();
 
   // Middleware
-  app.use(cors());
+  app.use(cors({ exposedHeaders: ["X-Request-Id", "Idempotent-Replayed", "ETag"] }));
   app.use(express.json());
+  app.use(requestId);
 
   // SRE: Apply telemetry middleware to all routes
   app.use(telemetryMiddleware);
@@ -41,6 +46,9 @@ const createApp = () => {
   // Mount routes
   app.use("/", healthRoutes);
   app.use("/users", userRoutes);
+  app.use("/roles", roleRoutes);
+  app.use("/webhooks", webhookRoutes);
+  app.use("/graphql", graphqlRoutes);
 
   // Error handling middleware (must be last)
   app.use(notFound);
@@ -12,12 +12,82 @@ module.exports = {
   HOST: process.env.HOST || "0.0.0.0",
   NODE_ENV: process.env.NODE_ENV || "development",
 
+  // Storage: "rtdb" (Firebase Realtime Database), "memory" or "file" (JSON file)
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || "rtdb",
+  STORAGE_FILE: process.env.STORAGE_FILE || ".data/db.json",
+
   // Firebase
   FIREBASE_DATABASE_URL:
     process.env.FIREBASE_DATABASE_URL ||
     "https://rentredi-short-take-home-default-rtdb.firebaseio.com",
   FIREBASE_SERVICE_ACCOUNT: process.env.FIREBASE_SERVICE_ACCOUNT,
 
+  // Auth: also reject revoked tokens and disabled accounts (costs one Auth lookup per request)
+  AUTH_CHECK_REVOKED: process.env.AUTH_CHECK_REVOKED === "true",
+  // Role assumed for accounts without a `role` custom claim
+  DEFAULT_ROLE: process.env.DEFAULT_ROLE || "tenant",
+
+  // Geocoding: providers tried in order for each ZIP lookup (offline, openweather)
+  GEOCODING_PROVIDERS: (process.env.GEOCODING_PROVIDERS || "offline,openweather")
+    .split(",")
+    .map(name => name.trim())
+    .filter(Boolean),
+  // Geo cache for remote lookups: lifetime of found and "not found" answers, in-process LRU size
+  GEO_CACHE_TTL_HOURS: Number(process.env.GEO_CACHE_TTL_HOURS) || 24 * 30,
+  GEO_CACHE_NEGATIVE_TTL_HOURS: Number(process.env.GEO_CACHE_NEGATIVE_TTL_HOURS) || 24,
+  GEO_CACHE_MAX_ENTRIES: Number(process.env.GEO_CACHE_MAX_ENTRIES) || 1000,
+  // Reconciler for records saved while location services were down
+  GEO_RECONCILE_INTERVAL_MS: Number(process.env.GEO_RECONCILE_INTERVAL_MS) || 60000,
+  GEO_RECONCILE_BATCH_SIZE: Number(process.env.GEO_RECONCILE_BATCH_SIZE) || 50,
+
+  // Duplicate detection: name similarity (0-1, Jaro-Winkler) at which a tenant at the same
+  // postal code counts as a likely duplicate
+  DUPLICATE_NAME_THRESHOLD: Number(process.env.DUPLICATE_NAME_THRESHOLD) || 0.9,
+
+  // Bulk import: rows geocoded at once (keeps a large import from tripping the breaker)
+  IMPORT_CONCURRENCY: Number(process.env.IMPORT_CONCURRENCY) || 5,
+
+  // Idempotency-Key: how long responses are replayed, how long a running request holds its key,
+  // and how often expired keys are deleted
+  IDEMPOTENCY_TTL_HOURS: Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24,
+  IDEMPOTENCY_LOCK_SECONDS: Number(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60,
+  IDEMPOTENCY_PURGE_INTERVAL_MS: Number(process.env.IDEMPOTENCY_PURGE_INTERVAL_MS) || 3600000,
+
+  // Trash: how long deleted users can be restored, and how often expired ones are purged
+  TRASH_RETENTION_DAYS: Number(process.env.TRASH_RETENTION_DAYS) || 30,
+  TRASH_PURGE_INTERVAL_MS: Number(process.env.TRASH_PURGE_INTERVAL_MS) || 3600000,
+
+  // Webhooks: attempts per delivery before it is dead-lettered, delay before the first retry
+  // (doubling after each failure), request timeout, and how often due deliveries are sent
+  WEBHOOK_MAX_ATTEMPTS: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  WEBHOOK_RETRY_BASE_MS: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30000,
+  WEBHOOK_TIMEOUT_MS: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+  WEBHOOK_DISPATCH_INTERVAL_MS: Number(process.env.WEBHOOK_DISPATCH_INTERVAL_MS) || 5000,
+  WEBHOOK_DISPATCH_BATCH_SIZE: Number(process.env.WEBHOOK_DISPATCH_BATCH_SIZE) || 50,
+  // Let webhooks target loopback and private addresses (local development only: see webhookTarget)
+  WEBHOOK_ALLOW_PRIVATE_URLS: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true",
+
+  // GET /users/stream: events kept per owner for Last-Event-ID resume, owners whose events are
+  // kept, how often idle streams get a heartbeat, and how far (in bytes) a client may fall
+  // behind before it is disconnected (also GraphQL subscriptions)
+  USER_STREAM_REPLAY_SIZE: Number(process.env.USER_STREAM_REPLAY_SIZE) || 500,
+  USER_STREAM_MAX_OWNERS: Number(process.env.USER_STREAM_MAX_OWNERS) || 1000,
+  USER_STREAM_HEARTBEAT_MS: Number(process.env.USER_STREAM_HEARTBEAT_MS) || 15000,
+  USER_STREAM_MAX_BUFFER_BYTES: Number(process.env.USER_STREAM_MAX_BUFFER_BYTES) || 1048576,
+
+  // GraphQL: deepest field nesting (outside and inside __schema/__type; a full introspection
+  // query nests 15 deep) and highest estimated cost a /graphql operation may have
+  GRAPHQL_MAX_DEPTH: Number(process.env.GRAPHQL_MAX_DEPTH) || 8,
+  GRAPHQL_MAX_INTROSPECTION_DEPTH: Number(process.env.GRAPHQL_MAX_INTROSPECTION_DEPTH) || 15,
+  GRAPHQL_MAX_COMPLEXITY: Number(process.env.GRAPHQL_MAX_COMPLEXITY) || 1000,
+
+  // Weather: how long current conditions are reused for nearby requests, in-process LRU size
+  WEATHER_CACHE_TTL_SECONDS: Number(process.env.WEATHER_CACHE_TTL_SECONDS) || 600,
+  WEATHER_CACHE_MAX_ENTRIES: Number(process.env.WEATHER_CACHE_MAX_ENTRIES) || 500,
+  // Forecasts change slowly (3-hour slots), so they are kept longer
+  WEATHER_FORECAST_CACHE_TTL_SECONDS:
+    Number(process.env.WEATHER_FORECAST_CACHE_TTL_SECONDS) || 1800,
+
   // External APIs
   OPENWEATHER_API_KEY: process.env.OPENWEATHER_API_KEY || "7afa46f2e91768e7eeeb9001ce40de19"
 };
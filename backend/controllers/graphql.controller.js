@@ -0,0 +1,180 @@
+/**
+ * GraphQL Controller
+ *
+ * Runs GraphQL operations over the user service
+ * Queries and mutations are answered as JSON; subscriptions are streamed as
+ * Server-Sent Events ("next" per result, "complete" at the end), following
+ * the GraphQL over SSE distinct-connections mode.
+ * Scopes every operation to the authenticated account (req.user.uid)
+ */
+
+const { GraphQLError, execute, getOperationAST, parse, subscribe, validate } = require("graphql");
+const { getVariableValues } = require("graphql/execution/values");
+const env = require("../config/env");
+const schema = require("../graphql/schema");
+const { createLoaders } = require("../graphql/loaders");
+const { checkQueryLimits } = require("../graphql/limits");
+const { formatResult } = require("../graphql/errors");
+const { GraphQLRequestSchema } = require("../models/graphql.model");
+const asyncHandler = require("../utils/asyncHandler");
+const { formatEvent, formatComment, createStreamWriter } = require("../utils/sse");
+
+/**
+ * Answer with errors only (the operation did not run)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {GraphQLError[]} errors - Errors
+ */
+const sendErrors = (req, res, status, errors) => {
+  res.status(status).json(formatResult({ errors }, req));
+};
+
+/**
+ * Parse, validate and check a request against the limits
+ *
+ * @param {Object} body - Request body
+ * @returns {{errors: GraphQLError[]}|{document: Object, operation: Object, variables: Object,
+ *   operationName: string}} Errors, or the operation ready to run
+ */
+const prepareOperation = body => {
+  const request = GraphQLRequestSchema.safeParse(body);
+  if (!request.success) {
+    return {
+      errors: [
+        new GraphQLError("Send a JSON body with a query", {
+          extensions: { code: "BAD_REQUEST", issues: request.error.issues }
+        })
+      ]
+    };
+  }
+  const { query, variables, operationName } = request.data;
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (syntaxError) {
+    return { errors: [syntaxError] };
+  }
+
+  const validationErrors = validate(schema, document);
+  if (validationErrors.length > 0) return { errors: validationErrors };
+
+  const operation = getOperationAST(document, operationName);
+  if (!operation) {
+    const message = operationName
+      ? `Unknown operation "${operationName}"`
+      : "The document has several operations; pick one with operationName";
+    return { errors: [new GraphQLError(message, { extensions: { code: "BAD_REQUEST" } })] };
+  }
+
+  const { coerced, errors } = getVariableValues(
+    schema,
+    operation.variableDefinitions || [],
+    variables
+  );
+  if (errors) return { errors };
+
+  const limitErrors = checkQueryLimits(schema, document, operation, coerced, {
+    maxDepth: env.GRAPHQL_MAX_DEPTH,
+    maxIntrospectionDepth: env.GRAPHQL_MAX_INTROSPECTION_DEPTH,
+    maxComplexity: env.GRAPHQL_MAX_COMPLEXITY
+  });
+  if (limitErrors.length > 0) return { errors: limitErrors };
+
+  return { document, operation, variables, operationName };
+};
+
+/**
+ * Stream a subscription's results as Server-Sent Events
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} args - Arguments for graphql's subscribe
+ */
+const streamSubscription = async (req, res, args) => {
+  const results = await subscribe(args);
+  if (!(Symbol.asyncIterator in results)) {
+    // Could not subscribe (e.g. a resolver threw); answered like a query
+    return res.json(formatResult(results, req));
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+  const write = createStreamWriter(res, {
+    maxBufferedBytes: env.USER_STREAM_MAX_BUFFER_BYTES,
+    onOverflow: bytes =>
+      console.warn(`Closing GraphQL subscription for ${req.user.uid}: ${bytes} bytes unsent`)
+  });
+
+  const heartbeat = setInterval(
+    () => write(formatComment("heartbeat")),
+    env.USER_STREAM_HEARTBEAT_MS
+  );
+  // Not req: it emits close as soon as the JSON body has been read
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    results.return();
+  });
+
+  for await (const result of results) {
+    write(formatEvent({ event: "next", data: formatResult(result, req) }));
+  }
+
+  // Ended by the server rather than by the client going away
+  clearInterval(heartbeat);
+  if (!res.destroyed) {
+    res.write(formatEvent({ event: "complete", data: null }));
+    res.end();
+  }
+};
+
+/**
+ * Run a GraphQL operation
+ * Requests that cannot run (bad body, syntax, validation, variables, limits)
+ * are answered with 400 and errors only; once it runs, the answer is 200 with
+ * data and any field errors. Subscriptions need Accept: text/event-stream.
+ * POST /graphql
+ */
+const executeGraphQL = asyncHandler(async (req, res) => {
+  const prepared = prepareOperation(req.body);
+  if (prepared.errors) return sendErrors(req, res, 400, prepared.errors);
+
+  const { document, operation, variables, operationName } = prepared;
+  console.log(`GraphQL ${operation.operation} ${operationName || "(anonymous)"}`);
+
+  const args = {
+    schema,
+    document,
+    variableValues: variables,
+    operationName,
+    contextValue: {
+      ownerUid: req.user.uid,
+      change: { actorUid: req.user.uid, requestId: req.id },
+      loaders: createLoaders(req.user.uid)
+    }
+  };
+
+  if (operation.operation === "subscription") {
+    if (!(req.get("Accept") || "").includes("text/event-stream")) {
+      return sendErrors(req, res, 406, [
+        new GraphQLError("Subscriptions are streamed: send Accept: text/event-stream", {
+          extensions: { code: "NOT_ACCEPTABLE" }
+        })
+      ]);
+    }
+    return streamSubscription(req, res, args);
+  }
+
+  res.json(formatResult(await execute(args), req));
+});
+
+module.exports = {
+  executeGraphQL
+};
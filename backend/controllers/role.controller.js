@@ -0,0 +1,44 @@
+/**
+ * Role Controller
+ *
+ * Handles HTTP requests and responses for role management
+ */
+
+const roleService = require("../services/role.service");
+const { RoleSchema } = require("../models/role.model");
+const asyncHandler = require("../utils/asyncHandler");
+
+/**
+ * Get an account's role
+ * GET /roles/:uid
+ */
+const getRole = asyncHandler(async (req, res) => {
+  const role = await roleService.getRole(req.params.uid);
+  res.json(role);
+});
+
+/**
+ * Grant a role to an account
+ * PUT /roles/:uid
+ */
+const grantRole = asyncHandler(async (req, res) => {
+  const { role } = RoleSchema.parse(req.body);
+
+  const updated = await roleService.grantRole(req.params.uid, role);
+  res.json(updated);
+});
+
+/**
+ * Revoke an account's role (falls back to the default role)
+ * DELETE /roles/:uid
+ */
+const revokeRole = asyncHandler(async (req, res) => {
+  const updated = await roleService.revokeRole(req.params.uid);
+  res.json(updated);
+});
+
+module.exports = {
+  getRole,
+  grantRole,
+  revokeRole
+};
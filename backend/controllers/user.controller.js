@@ -3,47 +3,162 @@
  *
  * Handles HTTP requests and responses for user operations
  * Validates input and formats output
+ * Scopes every operation to the authenticated account (req.user.uid)
  */
 
 const userService = require("../services/user.service");
-const { UserSchema } = require("../models/user.model");
+const userImportService = require("../services/userImport.service");
+const userExportService = require("../services/userExport.service");
+const userSearchService = require("../services/userSearch.service");
+const userNearbyService = require("../services/userNearby.service");
+const userStatsService = require("../services/userStats.service");
+const userEventsService = require("../services/userEvents.service");
+const env = require("../config/env");
+const { UserSchema, MergeUserSchema } = require("../models/user.model");
 const asyncHandler = require("../utils/asyncHandler");
+const createHttpError = require("../utils/httpError");
+const { formatEtag, parseIfMatch } = require("../utils/etag");
+const { formatEvent, formatComment, formatRetry, createStreamWriter } = require("../utils/sse");
 
 /**
- * Get all users
+ * Reconnection delay suggested to stream clients
+ */
+const STREAM_RETRY_MS = 5000;
+
+/**
+ * Who is making a change, for the user's history
+ *
+ * @param {Object} req - Express request object
+ * @returns {{actorUid: string, requestId: string}} Change context
+ */
+const changeContext = req => ({ actorUid: req.user.uid, requestId: req.id });
+
+/**
+ * List users with cursor pagination, sorting and filtering
  * GET /users
  */
-const getAllUsers = asyncHandler(async (req, res) => {
-  console.log("Get all users");
-  const users = await userService.getAllUsers();
-  res.json(users);
+const listUsers = asyncHandler(async (req, res) => {
+  console.log("List users", req.query);
+  const page = await userService.listUsers(req.user.uid, req.query);
+  res.json(page);
+});
+
+/**
+ * Search users by name, postal code, location and notes, best match first
+ * GET /users/search
+ */
+const searchUsers = asyncHandler(async (req, res) => {
+  console.log("Search users", req.query);
+  const results = await userSearchService.searchUsers(req.user.uid, req.query);
+  res.json(results);
+});
+
+/**
+ * Find users within a radius of a postal code or coordinate, nearest first
+ * GET /users/near
+ */
+const findUsersNear = asyncHandler(async (req, res) => {
+  console.log("Find users near", req.query);
+  const results = await userNearbyService.findUsersNear(req.user.uid, req.query);
+  res.json(results);
+});
+
+/**
+ * Portfolio statistics: counts per postal code, timezone and location, signups
+ * over time and the most recent users
+ * GET /users/stats
+ */
+const getUserStats = asyncHandler(async (req, res) => {
+  console.log("User stats", req.query);
+  const stats = await userStatsService.getStats(req.user.uid, req.query);
+  res.json(stats);
 });
 
+/**
+ * Server-Sent Events stream of the account's user changes
+ * Events missed since Last-Event-ID are replayed first; if they are no longer all
+ * buffered a "reset" event tells the client to reload the list instead. "ready"
+ * follows once the stream is live, and a heartbeat comment keeps idle connections open.
+ * A client that stops reading is disconnected (see createStreamWriter).
+ * GET /users/stream
+ */
+const streamUsers = (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stop nginx-style proxies from buffering the stream
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+  const write = createStreamWriter(res, {
+    maxBufferedBytes: env.USER_STREAM_MAX_BUFFER_BYTES,
+    onOverflow: bytes =>
+      console.warn(`Closing user stream for ${req.user.uid}: ${bytes} bytes unsent`)
+  });
+  write(formatRetry(STREAM_RETRY_MS));
+
+  const send = ({ id, type, createdAt, data }) =>
+    write(formatEvent({ id, event: type, data: { id, type, createdAt, data } }));
+
+  const { replay, unsubscribe } = userEventsService.subscribe(
+    req.user.uid,
+    req.get("Last-Event-ID"),
+    send
+  );
+  if (replay === null) {
+    write(formatEvent({ event: "reset", data: { reason: "replay-unavailable" } }));
+  } else {
+    replay.forEach(send);
+  }
+  write(formatEvent({ event: "ready", data: { replayed: replay ? replay.length : 0 } }));
+
+  const heartbeat = setInterval(
+    () => write(formatComment("heartbeat")),
+    env.USER_STREAM_HEARTBEAT_MS
+  );
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
 /**
  * Get user by ID
+ * The ETag is the record version, for If-Match on PUT
  * GET /users/:id
  */
 const getUserById = asyncHandler(async (req, res) => {
   const { id } = req.params;
   console.log(`Get user with id=${id}`);
-  const user = await userService.getUserById(id);
+  const user = await userService.getUserById(req.user.uid, id);
+  if (user) res.set("ETag", formatEtag(user.version));
   res.json(user);
 });
 
 /**
  * Create a new user
+ * Likely duplicates are answered with 409 unless ?force=true
  * POST /users
  */
 const createUser = asyncHandler(async (req, res) => {
   // Validate the request body against the schema
   const validatedData = UserSchema.parse(req.body);
 
-  const createdUser = await userService.createUser(validatedData);
+  const createdUser = await userService.createUser(
+    req.user.uid,
+    validatedData,
+    changeContext(req),
+    { force: req.query.force }
+  );
+  res.set("ETag", formatEtag(createdUser.version));
   res.status(201).json(createdUser);
 });
 
 /**
  * Update an existing user
+ * With If-Match, only if the record is still at one of the listed versions (412 otherwise)
  * PUT /users/:id
  */
 const updateUser = asyncHandler(async (req, res) => {
@@ -52,23 +167,203 @@ const updateUser = asyncHandler(async (req, res) => {
   // Validate the request body against the schema
   const validatedData = UserSchema.parse(req.body);
 
-  const updatedUser = await userService.updateUser(id, validatedData);
+  const updatedUser = await userService.updateUser(
+    req.user.uid,
+    id,
+    validatedData,
+    changeContext(req),
+    { ifMatch: parseIfMatch(req.get("If-Match")) }
+  );
+  res.set("ETag", formatEtag(updatedUser.version));
   res.json(updatedUser);
 });
 
+/**
+ * Fold a duplicate ({ duplicateId }) into this user, keeping its history
+ * POST /users/:id/merge
+ */
+const mergeUsers = asyncHandler(async (req, res) => {
+  const { duplicateId } = MergeUserSchema.parse(req.body);
+
+  const survivor = await userService.mergeUsers(
+    req.user.uid,
+    req.params.id,
+    duplicateId,
+    changeContext(req)
+  );
+  res.set("ETag", formatEtag(survivor.version));
+  res.json(survivor);
+});
+
 /**
  * Delete a user
  * DELETE /users/:id
  */
 const deleteUser = asyncHandler(async (req, res) => {
-  await userService.deleteUser(req.params.id);
+  await userService.deleteUser(req.user.uid, req.params.id, changeContext(req));
   res.status(204).send();
 });
 
+/**
+ * Create users in bulk from a CSV or JSON upload
+ * POST /users/import
+ */
+const importUsers = asyncHandler(async (req, res) => {
+  const contentType = req.is("text/csv") ? "csv" : req.is("application/json") ? "json" : null;
+  if (!contentType) {
+    throw createHttpError(
+      415,
+      "Upload the users as text/csv or application/json",
+      "import/unsupported-type"
+    );
+  }
+
+  const report = await userImportService.importUsers(
+    req.user.uid,
+    { contentType, body: req.body },
+    req.query,
+    changeContext(req)
+  );
+  res.json(report);
+});
+
+/**
+ * Media types for each export format, in preference order for Accept negotiation
+ */
+const EXPORT_MEDIA_TYPES = {
+  "text/csv": "csv",
+  "application/json": "json",
+  "application/x-ndjson": "ndjson"
+};
+
+/**
+ * Resolve once the response can take more data or the client has gone away
+ *
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const writable = res =>
+  new Promise(resolve => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+
+/**
+ * Stream users as CSV, JSON or NDJSON
+ * The format comes from ?format=, otherwise from the Accept header (CSV by default)
+ * GET /users/export
+ */
+const exportUsers = asyncHandler(async (req, res) => {
+  console.log("Export users", req.query);
+  const format =
+    req.query.format || EXPORT_MEDIA_TYPES[req.accepts(Object.keys(EXPORT_MEDIA_TYPES))];
+  if (!format) {
+    throw createHttpError(
+      406,
+      `Exports are available as ${Object.keys(EXPORT_MEDIA_TYPES).join(", ")}`,
+      "export/not-acceptable"
+    );
+  }
+
+  const { contentType, filename, chunks } = userExportService.exportUsers(req.user.uid, {
+    ...req.query,
+    format
+  });
+
+  // Headers go out with the first chunk, once the first batch has been read
+  const sendHeaders = () => {
+    if (res.headersSent) return;
+    res.set({
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Cache-Control": "no-store"
+    });
+  };
+
+  try {
+    for await (const chunk of chunks) {
+      sendHeaders();
+      if (res.destroyed) break;
+      if (!res.write(chunk)) await writable(res);
+    }
+  } catch (error) {
+    // Before the first chunk the error handler can still send a proper response
+    if (!res.headersSent) throw error;
+    console.error(`Export failed mid-stream [${req.id}]:`, error.message);
+    res.destroy(error);
+    return;
+  }
+
+  sendHeaders();
+  res.end();
+});
+
+/**
+ * List deleted users, most recently deleted first
+ * GET /users/trash
+ */
+const listTrash = asyncHandler(async (req, res) => {
+  const page = await userService.listTrash(req.user.uid, req.query);
+  res.json(page);
+});
+
+/**
+ * Restore a deleted user
+ * POST /users/:id/restore
+ */
+const restoreUser = asyncHandler(async (req, res) => {
+  const user = await userService.restoreUser(req.user.uid, req.params.id, changeContext(req));
+  res.json(user);
+});
+
+/**
+ * Current weather at a user's location
+ * GET /users/:id/weather
+ */
+const getUserWeather = asyncHandler(async (req, res) => {
+  const weather = await userService.getUserWeather(req.user.uid, req.params.id, req.query);
+  res.json(weather);
+});
+
+/**
+ * Daily forecast at a user's location
+ * GET /users/:id/forecast
+ */
+const getUserForecast = asyncHandler(async (req, res) => {
+  const forecast = await userService.getUserForecast(req.user.uid, req.params.id, req.query);
+  res.json(forecast);
+});
+
+/**
+ * Change history of a user, newest first
+ * GET /users/:id/history
+ */
+const getUserHistory = asyncHandler(async (req, res) => {
+  const history = await userService.getUserHistory(req.user.uid, req.params.id, req.query);
+  res.json(history);
+});
+
 module.exports = {
-  getAllUsers,
+  listUsers,
+  searchUsers,
+  findUsersNear,
+  getUserStats,
+  streamUsers,
   getUserById,
   createUser,
   updateUser,
-  deleteUser
+  mergeUsers,
+  deleteUser,
+  importUsers,
+  exportUsers,
+  listTrash,
+  restoreUser,
+  getUserWeather,
+  getUserForecast,
+  getUserHistory
 };
@@ -0,0 +1,109 @@
+/**
+ * Webhook Controller
+ *
+ * Handles HTTP requests and responses for webhook subscriptions, their
+ * delivery logs and dead letters
+ * Scopes every operation to the authenticated account (req.user.uid)
+ */
+
+const webhookService = require("../services/webhook.service");
+const { WebhookSchema, WebhookUpdateSchema } = require("../models/webhook.model");
+const asyncHandler = require("../utils/asyncHandler");
+
+/**
+ * List subscriptions
+ * GET /webhooks
+ */
+const listWebhooks = asyncHandler(async (req, res) => {
+  const webhooks = await webhookService.listWebhooks(req.user.uid);
+  res.json({ items: webhooks });
+});
+
+/**
+ * Get a subscription
+ * GET /webhooks/:id
+ */
+const getWebhook = asyncHandler(async (req, res) => {
+  const webhook = await webhookService.getWebhook(req.user.uid, req.params.id);
+  res.json(webhook);
+});
+
+/**
+ * Create a subscription
+ * The response is the only one that includes the signing secret (until it is rotated)
+ * POST /webhooks
+ */
+const createWebhook = asyncHandler(async (req, res) => {
+  const validatedData = WebhookSchema.parse(req.body);
+
+  const webhook = await webhookService.createWebhook(req.user.uid, validatedData);
+  res.status(201).json(webhook);
+});
+
+/**
+ * Change a subscription's URL, events, description or active flag
+ * PUT /webhooks/:id
+ */
+const updateWebhook = asyncHandler(async (req, res) => {
+  const validatedData = WebhookUpdateSchema.parse(req.body);
+
+  const webhook = await webhookService.updateWebhook(req.user.uid, req.params.id, validatedData);
+  res.json(webhook);
+});
+
+/**
+ * Replace a subscription's signing secret
+ * POST /webhooks/:id/rotate-secret
+ */
+const rotateWebhookSecret = asyncHandler(async (req, res) => {
+  const webhook = await webhookService.rotateSecret(req.user.uid, req.params.id);
+  res.json(webhook);
+});
+
+/**
+ * Delete a subscription with its delivery log and dead letters
+ * DELETE /webhooks/:id
+ */
+const deleteWebhook = asyncHandler(async (req, res) => {
+  await webhookService.deleteWebhook(req.user.uid, req.params.id);
+  res.status(204).send();
+});
+
+/**
+ * A subscription's delivery log, newest first
+ * GET /webhooks/:id/deliveries
+ */
+const listDeliveries = asyncHandler(async (req, res) => {
+  const page = await webhookService.listDeliveries(req.user.uid, req.params.id, req.query);
+  res.json(page);
+});
+
+/**
+ * Deliveries that ran out of attempts, newest first
+ * GET /webhooks/dead-letters
+ */
+const listDeadLetters = asyncHandler(async (req, res) => {
+  const page = await webhookService.listDeadLetters(req.user.uid, req.query);
+  res.json(page);
+});
+
+/**
+ * Queue a dead-lettered delivery for a fresh set of attempts
+ * POST /webhooks/dead-letters/:deliveryId/retry
+ */
+const retryDeadLetter = asyncHandler(async (req, res) => {
+  const delivery = await webhookService.retryDeadLetter(req.user.uid, req.params.deliveryId);
+  res.status(202).json(delivery);
+});
+
+module.exports = {
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  listDeliveries,
+  listDeadLetters,
+  retryDeadLetter
+};
@@ -3,6 +3,10 @@
  *
  * This uses the Firebase Admin SDK (not the client SDK)
  * Requires a service account key for authentication
+ *
+ * Auth is always available; the Realtime Database is only connected when
+ * something asks for it (the RTDB storage driver or a maintenance script),
+ * so the app boots without FIREBASE_DATABASE_URL on the memory and file drivers.
  */
 
 const admin = require("firebase-admin");
@@ -10,23 +14,19 @@ require("dotenv").config();
 
 // Initialize Firebase Admin
 if (!admin.apps.length) {
-  // Validate that FIREBASE_DATABASE_URL is set
-  if (!process.env.FIREBASE_DATABASE_URL) {
-    console.error("❌ FIREBASE_DATABASE_URL environment variable is required");
-    console.error("   Set it to your Firebase Realtime Database URL");
-    console.error("   Example: https://your-project.firebaseio.com");
-    throw new Error("Missing required environment variable: FIREBASE_DATABASE_URL");
+  const options = {};
+
+  if (process.env.FIREBASE_DATABASE_URL) {
+    options.databaseURL = process.env.FIREBASE_DATABASE_URL;
   }
 
   // Check if service account key exists
   if (process.env.FIREBASE_SERVICE_ACCOUNT && process.env.FIREBASE_SERVICE_ACCOUNT !== "") {
     // Load service account key
     const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+    options.credential = admin.credential.cert(serviceAccount);
 
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount),
-      databaseURL: process.env.FIREBASE_DATABASE_URL
-    });
+    admin.initializeApp(options);
 
     console.log("✅ Firebase initialized with service account");
   } else {
@@ -35,17 +35,35 @@ if (!admin.apps.length) {
     console.warn("   Database operations may be limited by security rules.");
     console.warn("   For full access, add serviceAccountKey.json to backend/");
 
-    admin.initializeApp({
-      databaseURL: process.env.FIREBASE_DATABASE_URL
-    });
+    admin.initializeApp(options);
 
     console.log("✅ Firebase initialized in unauthenticated mode");
   }
 }
 
-const db = admin.database();
+const auth = admin.auth();
+
+/**
+ * Get the Realtime Database, failing loudly if it isn't configured
+ *
+ * @returns {Object} Firebase Realtime Database instance
+ * @throws {Error} If FIREBASE_DATABASE_URL is not set
+ */
+const getDatabase = () => {
+  // Validate that FIREBASE_DATABASE_URL is set
+  if (!process.env.FIREBASE_DATABASE_URL) {
+    console.error("❌ FIREBASE_DATABASE_URL environment variable is required");
+    console.error("   Set it to your Firebase Realtime Database URL");
+    console.error("   Example: https://your-project.firebaseio.com");
+    console.error("   Or run without Firebase: STORAGE_DRIVER=memory or STORAGE_DRIVER=file");
+    throw new Error("Missing required environment variable: FIREBASE_DATABASE_URL");
+  }
+
+  return admin.database();
+};
 
 module.exports = {
   admin,
-  db
+  auth,
+  getDatabase
 };
@@ -0,0 +1,78 @@
+/**
+ * GraphQL Error Formatting
+ *
+ * Maps errors thrown by resolvers to GraphQL errors the same way the error
+ * middleware maps them to REST responses:
+ *   - ZodError -> "BAD_USER_INPUT" with the Zod issues
+ *   - errors from createHttpError -> their code (e.g. "users/not-found"), status and details
+ *   - anything else -> "INTERNAL_SERVER_ERROR" with a generic message (logged, not exposed)
+ * Errors raised by GraphQL itself (syntax, validation, limits) keep their own message.
+ */
+
+const { z } = require("zod");
+
+/**
+ * Format one error for the response
+ *
+ * @param {GraphQLError} error - Error from parse, validate, limits or execute
+ * @param {Object} [req] - Express request object (for logging)
+ * @returns {Object} { message, locations?, path?, extensions? }
+ */
+const formatGraphQLError = (error, req = {}) => {
+  const { originalError } = error;
+  const { message, extensions, ...location } = error.toJSON();
+
+  if (originalError instanceof z.ZodError) {
+    return {
+      message: "Validation failed",
+      ...location,
+      extensions: { code: "BAD_USER_INPUT", issues: originalError.issues }
+    };
+  }
+
+  if (originalError && originalError.statusCode) {
+    return {
+      message,
+      ...location,
+      extensions: {
+        code: originalError.code || "HTTP_ERROR",
+        status: originalError.statusCode,
+        ...(originalError.details !== undefined && { details: originalError.details })
+      }
+    };
+  }
+
+  // Not a GraphQLError of our own making: a bug or an unexpected failure
+  if (originalError && !originalError.extensions) {
+    console.error("GraphQL resolver error:", {
+      message: originalError.message,
+      stack: originalError.stack,
+      path: error.path,
+      requestId: req.id
+    });
+    return {
+      message: "Internal Server Error",
+      ...location,
+      extensions: { code: "INTERNAL_SERVER_ERROR" }
+    };
+  }
+
+  return { message, ...location, ...(extensions && { extensions }) };
+};
+
+/**
+ * Format an execution result for the response
+ *
+ * @param {Object} result - { data?, errors? } from execute or subscribe
+ * @param {Object} [req] - Express request object (for logging)
+ * @returns {Object} Result with formatted errors
+ */
+const formatResult = ({ errors, ...result }, req) => ({
+  ...(errors && { errors: errors.map(error => formatGraphQLError(error, req)) }),
+  ...result
+});
+
+module.exports = {
+  formatGraphQLError,
+  formatResult
+};
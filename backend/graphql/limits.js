@@ -0,0 +1,219 @@
+/**
+ * GraphQL Query Limits
+ *
+ * Rejects operations that nest too deeply or would cost too much before any
+ * resolver runs. Cost is estimated from the @cost weights in the schema:
+ * each field costs its weight (1 by default), and a field with a `limit`
+ * argument multiplies the cost of its selections by that limit, so
+ * `users(limit: 100) { items { weather { ... } } }` costs about 100 weather
+ * lookups. Introspection (__schema, __type) is counted too, against its own
+ * depth limit: a client's full introspection query nests deeper than any
+ * query over users needs to.
+ */
+
+const {
+  GraphQLError,
+  GraphQLIncludeDirective,
+  GraphQLSkipDirective,
+  Kind,
+  SchemaMetaFieldDef,
+  TypeMetaFieldDef,
+  TypeNameMetaFieldDef,
+  getDirectiveValues,
+  getNamedType
+} = require("graphql");
+const { getArgumentValues } = require("graphql/execution/values");
+
+/**
+ * Whether @skip/@include leave a selection in the operation
+ *
+ * @param {Object} node - Selection node
+ * @param {Object} variables - Coerced variable values
+ * @returns {boolean} True if the selection runs
+ */
+const isIncluded = (node, variables) => {
+  const skip = getDirectiveValues(GraphQLSkipDirective, node, variables);
+  if (skip && skip.if === true) return false;
+  const include = getDirectiveValues(GraphQLIncludeDirective, node, variables);
+  return !(include && include.if === false);
+};
+
+/**
+ * Field definition a selection resolves to, including the introspection
+ * fields, which are not in the types' own fields
+ *
+ * @param {GraphQLSchema} schema - Schema
+ * @param {Object} parentType - Type the field is selected on
+ * @param {string} name - Field name
+ * @returns {Object|undefined} Field definition
+ */
+const getFieldDef = (schema, parentType, name) => {
+  if (name === TypeNameMetaFieldDef.name) return TypeNameMetaFieldDef;
+  if (parentType === schema.getQueryType()) {
+    if (name === SchemaMetaFieldDef.name) return SchemaMetaFieldDef;
+    if (name === TypeMetaFieldDef.name) return TypeMetaFieldDef;
+  }
+  return parentType.getFields()[name];
+};
+
+/**
+ * Estimated cost of resolving a field once
+ * __typename is answered without a resolver; other fields without @cost cost 1
+ *
+ * @param {Object} costDirective - The schema's @cost directive
+ * @param {Object} field - Field definition
+ * @returns {number} Weight
+ */
+const fieldWeight = (costDirective, field) => {
+  if (field === TypeNameMetaFieldDef) return 0;
+  const cost = field.astNode && getDirectiveValues(costDirective, field.astNode);
+  return cost ? cost.weight : 1;
+};
+
+/**
+ * Measure an operation's depth and estimated cost
+ * Each fragment is measured once, however many times it is spread.
+ *
+ * @param {GraphQLSchema} schema - Schema
+ * @param {Object} document - Parsed (and validated) document
+ * @param {Object} operation - Operation to measure
+ * @param {Object} variables - Coerced variable values
+ * @returns {{depth: number, introspectionDepth: number, complexity: number}} Deepest field
+ *   level outside and inside __schema/__type (top-level fields are 1) and estimated cost
+ */
+const measureOperation = (schema, document, operation, variables) => {
+  const costDirective = schema.getDirective("cost");
+  const fragments = Object.fromEntries(
+    document.definitions
+      .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+      .map(fragment => [fragment.name.value, fragment])
+  );
+  const fragmentCosts = new Map();
+
+  // Levels are counted from the selection set down, so a fragment measures the
+  // same wherever it is spread
+  const visit = (selectionSet, parentType, spread) => {
+    let depth = 0;
+    let introspectionDepth = 0;
+    let complexity = 0;
+    const add = child => {
+      depth = Math.max(depth, child.depth);
+      introspectionDepth = Math.max(introspectionDepth, child.introspectionDepth);
+      complexity += child.complexity;
+    };
+
+    for (const selection of selectionSet.selections) {
+      if (!isIncluded(selection, variables)) continue;
+
+      if (selection.kind === Kind.FIELD) {
+        const field = getFieldDef(schema, parentType, selection.name.value);
+        if (!field) continue;
+
+        const child = selection.selectionSet
+          ? visit(selection.selectionSet, getNamedType(field.type), spread)
+          : { depth: 0, introspectionDepth: 0, complexity: 0 };
+        const { limit } = getArgumentValues(field, selection, variables);
+        const levels = 1 + Math.max(child.depth, child.introspectionDepth);
+        const introspection =
+          field === SchemaMetaFieldDef ||
+          field === TypeMetaFieldDef ||
+          child.introspectionDepth > 0;
+        add({
+          depth: introspection ? 0 : levels,
+          introspectionDepth: introspection ? levels : 0,
+          complexity:
+            fieldWeight(costDirective, field) +
+            child.complexity * (typeof limit === "number" ? limit : 1)
+        });
+      } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+        const type = selection.typeCondition
+          ? schema.getType(selection.typeCondition.name.value)
+          : parentType;
+        add(visit(selection.selectionSet, type, spread));
+      } else {
+        const name = selection.name.value;
+        const fragment = fragments[name];
+        // Fragment cycles are reported by validation; never follow one here
+        if (!fragment || spread.includes(name)) continue;
+        if (!fragmentCosts.has(name)) {
+          const type = schema.getType(fragment.typeCondition.name.value);
+          fragmentCosts.set(name, visit(fragment.selectionSet, type, [...spread, name]));
+        }
+        add(fragmentCosts.get(name));
+      }
+    }
+
+    return { depth, introspectionDepth, complexity };
+  };
+
+  return visit(operation.selectionSet, schema.getRootType(operation.operation), []);
+};
+
+/**
+ * Check an operation against the depth and complexity limits
+ *
+ * @param {GraphQLSchema} schema - Schema
+ * @param {Object} document - Parsed (and validated) document
+ * @param {Object} operation - Operation to run
+ * @param {Object} variables - Coerced variable values
+ * @param {Object} limits
+ * @param {number} limits.maxDepth - Deepest field level allowed
+ * @param {number} limits.maxIntrospectionDepth - Deepest field level allowed under __schema/__type
+ * @param {number} limits.maxComplexity - Highest estimated cost allowed
+ * @returns {GraphQLError[]} Errors (empty if the operation is within the limits)
+ */
+const checkQueryLimits = (
+  schema,
+  document,
+  operation,
+  variables,
+  { maxDepth, maxIntrospectionDepth, maxComplexity }
+) => {
+  const { depth, introspectionDepth, complexity } = measureOperation(
+    schema,
+    document,
+    operation,
+    variables
+  );
+  const errors = [];
+
+  if (depth > maxDepth) {
+    errors.push(
+      new GraphQLError(`Query is nested ${depth} levels deep; at most ${maxDepth} are allowed`, {
+        nodes: [operation],
+        extensions: { code: "QUERY_TOO_DEEP", depth, maxDepth }
+      })
+    );
+  }
+  if (introspectionDepth > maxIntrospectionDepth) {
+    errors.push(
+      new GraphQLError(
+        `Introspection is nested ${introspectionDepth} levels deep; at most ` +
+          `${maxIntrospectionDepth} are allowed`,
+        {
+          nodes: [operation],
+          extensions: {
+            code: "QUERY_TOO_DEEP",
+            depth: introspectionDepth,
+            maxDepth: maxIntrospectionDepth
+          }
+        }
+      )
+    );
+  }
+  if (complexity > maxComplexity) {
+    errors.push(
+      new GraphQLError(
+        `Query has an estimated cost of ${complexity}; at most ${maxComplexity} is allowed`,
+        { nodes: [operation], extensions: { code: "QUERY_TOO_COMPLEX", complexity, maxComplexity } }
+      )
+    );
+  }
+
+  return errors;
+};
+
+module.exports = {
+  measureOperation,
+  checkQueryLimits
+};
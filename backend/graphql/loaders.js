@@ -0,0 +1,62 @@
+/**
+ * GraphQL Loaders
+ *
+ * Per-request batch loaders over the user service. A query that asks for the
+ * same user, weather or history more than once (aliases, the same user in a
+ * list and by ID) loads it once. Users asked for in the same tick are read
+ * with one multi-get; per-user lookups (weather, forecast, history) fan out to
+ * at most LOADER_CONCURRENCY service calls at a time.
+ */
+
+const userService = require("../services/user.service");
+const { createBatchLoader } = require("../utils/batchLoader");
+const { mapWithConcurrency } = require("../utils/concurrency");
+
+/**
+ * Service calls in flight per batch (weather may wait on a remote API)
+ */
+const LOADER_CONCURRENCY = 5;
+
+/**
+ * Run fn for each key, turning failures into per-key errors
+ *
+ * @param {Array} keys - Keys of the batch
+ * @param {Function} fn - async key => value
+ * @returns {Promise<Array>} Values or Errors, in the order of keys
+ */
+const loadEach = (keys, fn) =>
+  mapWithConcurrency(keys, LOADER_CONCURRENCY, key => fn(key).catch(error => error));
+
+/**
+ * Create the loaders for one request
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @returns {Object} Loaders: user (by ID), weather ({ id, units }),
+ *   forecast ({ id, days, units }) and history ({ id, limit, cursor })
+ */
+const createLoaders = ownerUid => ({
+  user: createBatchLoader(ids => userService.getUsersByIds(ownerUid, ids)),
+
+  weather: createBatchLoader(
+    keys => loadEach(keys, ({ id, units }) => userService.getUserWeather(ownerUid, id, { units })),
+    { cacheKeyFn: ({ id, units }) => `${id}:${units}` }
+  ),
+
+  forecast: createBatchLoader(
+    keys =>
+      loadEach(keys, ({ id, days, units }) =>
+        userService.getUserForecast(ownerUid, id, { days, units })
+      ),
+    { cacheKeyFn: ({ id, days, units }) => `${id}:${days}:${units}` }
+  ),
+
+  history: createBatchLoader(
+    keys =>
+      loadEach(keys, ({ id, limit, cursor }) =>
+        userService.getUserHistory(ownerUid, id, { limit, cursor })
+      ),
+    { cacheKeyFn: ({ id, limit, cursor }) => `${id}:${limit}:${cursor || ""}` }
+  )
+});
+
+module.exports = { createLoaders };
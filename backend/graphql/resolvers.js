@@ -0,0 +1,133 @@
+/**
+ * GraphQL Resolvers
+ *
+ * Thin layer over the user service, like the REST controllers: arguments are
+ * validated with the same Zod schemas (a ZodError becomes a BAD_USER_INPUT
+ * error, see graphql/errors.js) and reads go through the request's loaders.
+ *
+ * Context: { ownerUid, change: { actorUid, requestId }, loaders }
+ */
+
+const userService = require("../services/user.service");
+const userEventsService = require("../services/userEvents.service");
+const { UserSchema, UserListQuerySchema } = require("../models/user.model");
+const { WeatherQuerySchema, ForecastQuerySchema } = require("../models/weather.model");
+const { HistoryQuerySchema } = require("../models/history.model");
+const { createEventIterator } = require("../utils/eventIterator");
+
+/**
+ * Event types userChanged follows without a types argument
+ */
+const USER_EVENT_TYPES = ["created", "updated", "deleted"];
+
+/**
+ * Drop null and undefined values (GraphQL passes explicit nulls, the Zod
+ * schemas expect omitted fields)
+ *
+ * @param {Object} [values] - Argument values
+ * @returns {Object} Values without nulls
+ */
+const withoutNulls = (values = {}) =>
+  Object.fromEntries(Object.entries(values).filter(([, value]) => value != null));
+
+/**
+ * Shape a user event for the UserEvent type
+ *
+ * @param {Object} event - Event from userEvents.service
+ * @returns {Object} UserEvent
+ */
+const toUserEvent = ({ id, type, createdAt, data }) => ({
+  id,
+  type: type.replace(/^user\./, ""),
+  createdAt,
+  user: userService.withLocalTime(data.user),
+  reason: data.reason || null,
+  changedFields: Object.keys(data.changes || {})
+});
+
+module.exports = {
+  Query: {
+    users: async (_, { filter, ...args }, { ownerUid, loaders }) => {
+      const query = UserListQuerySchema.parse(withoutNulls({ ...args, ...filter }));
+      const page = await userService.listUsers(ownerUid, { ...query, countFiltered: false });
+      page.items.forEach(user => loaders.user.prime(user.id, user));
+      // Filtered lists are counted only if the total is selected
+      return { ...page, total: () => userService.countUsers(ownerUid, query) };
+    },
+
+    user: (_, { id }, { loaders }) => loaders.user.load(id)
+  },
+
+  Mutation: {
+    createUser: async (_, { input, force }, { ownerUid, change, loaders }) => {
+      const user = await userService.createUser(
+        ownerUid,
+        UserSchema.parse(withoutNulls(input)),
+        change,
+        { force }
+      );
+      loaders.user.prime(user.id, user);
+      return user;
+    },
+
+    updateUser: async (_, { id, input, ifVersion }, { ownerUid, change, loaders }) => {
+      const user = await userService.updateUser(
+        ownerUid,
+        id,
+        UserSchema.parse(withoutNulls(input)),
+        change,
+        { ifMatch: ifVersion == null ? undefined : [ifVersion] }
+      );
+      loaders.user.prime(id, user);
+      return user;
+    },
+
+    deleteUser: async (_, { id }, { ownerUid, change, loaders }) => {
+      await userService.deleteUser(ownerUid, id, change);
+      loaders.user.prime(id, null);
+      return id;
+    },
+
+    restoreUser: async (_, { id }, { ownerUid, change, loaders }) => {
+      const user = await userService.restoreUser(ownerUid, id, change);
+      loaders.user.prime(id, user);
+      return user;
+    }
+  },
+
+  Subscription: {
+    userChanged: {
+      subscribe: (_, { types }, { ownerUid }) => {
+        const wanted = (types && types.length > 0 ? types : USER_EVENT_TYPES).map(
+          type => `user.${type}`
+        );
+        return createEventIterator(
+          push =>
+            userEventsService.subscribe(ownerUid, null, event => {
+              if (wanted.includes(event.type)) push(event);
+            }).unsubscribe
+        );
+      },
+      resolve: toUserEvent
+    }
+  },
+
+  User: {
+    // Records not backfilled yet hold a fixed offset, which utcOffset already reports
+    timezone: user => (typeof user.timezone === "string" ? user.timezone : null),
+
+    weather: (user, args, { loaders }) =>
+      loaders.weather.load({ id: user.id, ...WeatherQuerySchema.parse(args) }),
+
+    forecast: (user, args, { loaders }) =>
+      loaders.forecast.load({ id: user.id, ...ForecastQuerySchema.parse(args) }),
+
+    history: (user, args, { loaders }) =>
+      loaders.history.load({ id: user.id, ...HistoryQuerySchema.parse(withoutNulls(args)) })
+  },
+
+  HistoryEntry: {
+    changes: entry =>
+      Object.entries(entry.changes || {}).map(([field, { from, to }]) => ({ field, from, to }))
+  }
+};
@@ -0,0 +1,226 @@
+/**
+ * GraphQL Schema
+ *
+ * Type definitions for POST /graphql, built with the resolvers attached
+ * Enums are generated from the same constants as the Zod models, so both
+ * APIs accept the same values.
+ */
+
+const { buildSchema } = require("graphql");
+const { COUNTRIES } = require("../models/postalCode.model");
+const { USER_SORT_FIELDS } = require("../models/user.model");
+const { WEATHER_UNITS, MAX_FORECAST_DAYS } = require("../models/weather.model");
+const { HISTORY_ACTIONS } = require("../models/history.model");
+const resolvers = require("./resolvers");
+
+const typeDefs = /* GraphQL */ `
+  """
+  Estimated cost of resolving a field, counted against GRAPHQL_MAX_COMPLEXITY
+  (fields without it cost 1; a field with a limit argument multiplies its
+  selections' cost by the limit)
+  """
+  directive @cost(weight: Int!) on FIELD_DEFINITION
+
+  "Any JSON value"
+  scalar JSON
+
+  enum Country {
+    ${COUNTRIES.join(" ")}
+  }
+
+  enum UserSort {
+    ${USER_SORT_FIELDS.join(" ")}
+  }
+
+  enum SortOrder {
+    asc
+    desc
+  }
+
+  enum Units {
+    ${WEATHER_UNITS.join(" ")}
+  }
+
+  enum GeoStatus {
+    resolved
+    pending
+    failed
+  }
+
+  enum HistoryAction {
+    ${HISTORY_ACTIONS.join(" ")}
+  }
+
+  enum UserEventType {
+    created
+    updated
+    deleted
+  }
+
+  type User {
+    id: ID!
+    name: String!
+    country: Country!
+    zip: String!
+    notes: String
+    latitude: Float
+    longitude: Float
+    locationName: String
+    "IANA timezone; null for records not backfilled yet"
+    timezone: String
+    "Current UTC offset in seconds"
+    utcOffset: Int
+    "Current wall-clock time (ISO 8601 with offset)"
+    localTime: String
+    geoStatus: GeoStatus
+    "Epoch milliseconds"
+    createdAt: Float
+    "Incremented on every write; pass as ifVersion to updateUser"
+    version: Int
+    "Current weather at the user's location (null with an error while it is unknown)"
+    weather(units: Units = imperial): Weather @cost(weight: 10)
+    "Daily forecast at the user's location"
+    forecast(days: Int = ${MAX_FORECAST_DAYS}, units: Units = imperial): Forecast @cost(weight: 10)
+    "Change history, newest first"
+    history(limit: Int = 20, cursor: String): HistoryPage! @cost(weight: 2)
+  }
+
+  type UserPage {
+    items: [User!]!
+    nextCursor: String
+    "Users matching the filter (reads all of them when filtered)"
+    total: Int!
+  }
+
+  type Weather {
+    temperature: Float
+    feelsLike: Float
+    description: String
+    icon: String
+    humidity: Float
+    windSpeed: Float
+    units: Units!
+    observedAt: String
+  }
+
+  type Forecast {
+    units: Units!
+    days: [ForecastDay!]!
+  }
+
+  type ForecastDay {
+    date: String!
+    high: Float
+    low: Float
+    precipitationChance: Float
+    description: String
+    icon: String
+  }
+
+  type HistoryPage {
+    items: [HistoryEntry!]!
+    nextCursor: String
+  }
+
+  type HistoryEntry {
+    id: ID!
+    action: HistoryAction!
+    changes: [FieldChange!]!
+    actorUid: String
+    requestId: String
+    "Epoch milliseconds"
+    at: Float
+    "ID of the user this entry was merged in from"
+    mergedFrom: ID
+  }
+
+  type FieldChange {
+    field: String!
+    from: JSON
+    to: JSON
+  }
+
+  type UserEvent {
+    "Event ID (same as on GET /users/stream)"
+    id: ID!
+    type: UserEventType!
+    "ISO 8601"
+    createdAt: String!
+    "The record as written (as it was before deletion, for deleted)"
+    user: User!
+    "created | restored | deleted | merged"
+    reason: String
+    "Fields an update changed"
+    changedFields: [String!]!
+  }
+
+  input UserFilter {
+    zip: String
+    country: Country
+    timezone: String
+    locationName: String
+    "ISO 8601 date or time"
+    createdFrom: String
+    createdTo: String
+  }
+
+  input UserInput {
+    name: String!
+    country: Country
+    zip: String!
+    "On update, omit to keep the stored notes and pass an empty string to clear them"
+    notes: String
+  }
+
+  type Query {
+    "One page of users (same cursors as GET /users)"
+    users(
+      limit: Int = 25
+      cursor: String
+      sort: UserSort = createdAt
+      order: SortOrder = asc
+      filter: UserFilter
+    ): UserPage!
+    "A user, or null if it does not exist"
+    user(id: ID!): User
+  }
+
+  type Mutation {
+    "Create a user (fails with users/duplicate on likely duplicates unless force is set)"
+    createUser(input: UserInput!, force: Boolean = false): User!
+    "Update a user; with ifVersion, only if it is still at that version"
+    updateUser(id: ID!, input: UserInput!, ifVersion: Int): User!
+    "Move a user to the trash (a no-op if it does not exist); returns the ID"
+    deleteUser(id: ID!): ID!
+    "Restore a user from the trash"
+    restoreUser(id: ID!): User!
+  }
+
+  type Subscription {
+    "Changes to the account's users, as they happen (all types by default)"
+    userChanged(types: [UserEventType!]): UserEvent!
+  }
+`;
+
+/**
+ * Attach resolvers to the built schema's fields
+ * A function becomes the field's resolve; an object may set subscribe and resolve.
+ *
+ * @param {GraphQLSchema} schema - Schema built from typeDefs
+ * @param {Object} resolverMap - { TypeName: { fieldName: resolver } }
+ * @returns {GraphQLSchema} The same schema
+ */
+const attachResolvers = (schema, resolverMap) => {
+  for (const [typeName, fieldResolvers] of Object.entries(resolverMap)) {
+    const fields = schema.getType(typeName).getFields();
+    for (const [fieldName, resolver] of Object.entries(fieldResolvers)) {
+      if (typeof resolver === "function") fields[fieldName].resolve = resolver;
+      else Object.assign(fields[fieldName], resolver);
+    }
+  }
+  return schema;
+};
+
+const schema = attachResolvers(buildSchema(typeDefs), resolvers);
+
+module.exports = schema;
@@ -0,0 +1,82 @@
+/**
+ * Geo Reconciler Job
+ *
+ * Retries geolocation for records saved with geoStatus "pending" while
+ * location services were down. Runs on an interval while the circuit breaker
+ * lets calls through, and immediately when the breaker closes again.
+ */
+
+const env = require("../config/env");
+const userRepository = require("../repositories/user.repository");
+const userService = require("../services/user.service");
+const { geocodeBreaker } = require("../services/weatherCircuitBreaker");
+
+/**
+ * Run one reconciliation pass over the oldest pending records
+ * Stops early if location services are still unavailable
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit=env.GEO_RECONCILE_BATCH_SIZE] - Records per pass
+ * @returns {Promise<{resolved: number, failed: number, skipped: number, remaining: number}>} Summary
+ */
+const reconcilePendingGeo = async ({ limit = env.GEO_RECONCILE_BATCH_SIZE } = {}) => {
+  const pending = await userRepository.findPendingGeo(limit);
+  const summary = { resolved: 0, failed: 0, skipped: 0, remaining: 0 };
+
+  for (const [index, entry] of pending.entries()) {
+    const outcome = await userService.reconcileLocation(entry);
+    if (outcome === "unavailable") {
+      summary.remaining = pending.length - index;
+      break;
+    }
+    summary[outcome]++;
+  }
+
+  return summary;
+};
+
+/**
+ * Start the reconciler
+ *
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=env.GEO_RECONCILE_INTERVAL_MS] - Delay between passes
+ * @returns {Function} Stops the reconciler
+ */
+const startGeoReconciler = ({ intervalMs = env.GEO_RECONCILE_INTERVAL_MS } = {}) => {
+  let running = false;
+
+  const run = async () => {
+    // While the breaker is open every lookup would fail fast; wait for half-open or close
+    if (running || geocodeBreaker.opened) return;
+
+    running = true;
+    try {
+      const summary = await reconcilePendingGeo();
+      if (summary.resolved || summary.failed) {
+        console.info(
+          `📍 Geo reconciler: ${summary.resolved} resolved, ${summary.failed} failed, ` +
+            `${summary.remaining} still pending`
+        );
+      }
+    } catch (error) {
+      console.error(`Geo reconciler pass failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  geocodeBreaker.on("close", run);
+  run();
+
+  return () => {
+    clearInterval(timer);
+    geocodeBreaker.removeListener("close", run);
+  };
+};
+
+module.exports = {
+  reconcilePendingGeo,
+  startGeoReconciler
+};
@@ -0,0 +1,56 @@
+/**
+ * Idempotency Purger Job
+ *
+ * Deletes stored Idempotency-Key responses once they have expired
+ * (IDEMPOTENCY_TTL_HOURS). Expired keys are already ignored when a request
+ * reuses them; this only keeps them from piling up in storage.
+ */
+
+const env = require("../config/env");
+const idempotencyRepository = require("../repositories/idempotency.repository");
+
+/**
+ * Run one pass
+ *
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Current time (epoch ms)
+ * @returns {Promise<{removed: number}>} Summary
+ */
+const purgeExpiredIdempotencyKeys = async ({ now = Date.now() } = {}) => {
+  return { removed: await idempotencyRepository.removeExpired(now) };
+};
+
+/**
+ * Start the purger
+ *
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=env.IDEMPOTENCY_PURGE_INTERVAL_MS] - Delay between passes
+ * @returns {Function} Stops the purger
+ */
+const startIdempotencyPurger = ({ intervalMs = env.IDEMPOTENCY_PURGE_INTERVAL_MS } = {}) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+
+    running = true;
+    try {
+      await purgeExpiredIdempotencyKeys();
+    } catch (error) {
+      console.error(`Idempotency key purge pass failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  purgeExpiredIdempotencyKeys,
+  startIdempotencyPurger
+};
@@ -0,0 +1,73 @@
+/**
+ * Trash Purger Job
+ *
+ * Permanently deletes users that have been in the trash for longer than the
+ * retention window (TRASH_RETENTION_DAYS). Each purge leaves a "purge" entry
+ * in the user's history.
+ */
+
+const env = require("../config/env");
+const userRepository = require("../repositories/user.repository");
+const userService = require("../services/user.service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Run one purge pass over every owner's trash
+ *
+ * @param {Object} [options]
+ * @param {number} [options.retentionMs=env.TRASH_RETENTION_DAYS days] - How long deleted users are kept
+ * @param {number} [options.now=Date.now()] - Current time (epoch ms)
+ * @returns {Promise<{purged: number}>} Summary
+ */
+const purgeExpiredTrash = async ({
+  retentionMs = env.TRASH_RETENTION_DAYS * DAY_MS,
+  now = Date.now()
+} = {}) => {
+  const expired = await userRepository.findExpiredTrash(now - retentionMs);
+
+  let purged = 0;
+  for (const { ownerUid, user } of expired) {
+    if (await userService.purgeUser(ownerUid, user)) purged++;
+  }
+
+  return { purged };
+};
+
+/**
+ * Start the purger
+ *
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=env.TRASH_PURGE_INTERVAL_MS] - Delay between passes
+ * @returns {Function} Stops the purger
+ */
+const startTrashPurger = ({ intervalMs = env.TRASH_PURGE_INTERVAL_MS } = {}) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+
+    running = true;
+    try {
+      const { purged } = await purgeExpiredTrash();
+      if (purged) {
+        console.info(`🗑️  Trash purger: permanently deleted ${purged} user(s)`);
+      }
+    } catch (error) {
+      console.error(`Trash purge pass failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  purgeExpiredTrash,
+  startTrashPurger
+};
@@ -0,0 +1,92 @@
+/**
+ * Webhook Dispatcher Job
+ *
+ * Sends queued webhook deliveries once they are due: new events straight
+ * away, failed attempts after their backoff. Runs on an interval and as soon
+ * as new deliveries are queued.
+ */
+
+const env = require("../config/env");
+const webhookRepository = require("../repositories/webhook.repository");
+const webhookService = require("../services/webhook.service");
+const { mapWithConcurrency } = require("../utils/concurrency");
+
+/**
+ * Deliveries sent at once (each may wait up to WEBHOOK_TIMEOUT_MS)
+ */
+const DISPATCH_CONCURRENCY = 5;
+
+/**
+ * Run one pass over the deliveries that are due
+ *
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Current time (epoch ms)
+ * @param {number} [options.limit=env.WEBHOOK_DISPATCH_BATCH_SIZE] - Deliveries per pass
+ * @returns {Promise<{delivered: number, retrying: number, dead: number, skipped: number}>} Summary
+ */
+const dispatchDueWebhooks = async ({
+  now = Date.now(),
+  limit = env.WEBHOOK_DISPATCH_BATCH_SIZE
+} = {}) => {
+  const due = await webhookRepository.findDue(now, limit);
+  const outcomes = await mapWithConcurrency(due, DISPATCH_CONCURRENCY, entry =>
+    webhookService.attemptDelivery(entry, now)
+  );
+
+  const summary = { delivered: 0, retrying: 0, dead: 0, skipped: 0 };
+  for (const outcome of outcomes) summary[outcome]++;
+  return summary;
+};
+
+/**
+ * Start the dispatcher
+ *
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=env.WEBHOOK_DISPATCH_INTERVAL_MS] - Delay between passes
+ * @returns {Function} Stops the dispatcher
+ */
+const startWebhookDispatcher = ({ intervalMs = env.WEBHOOK_DISPATCH_INTERVAL_MS } = {}) => {
+  let running = false;
+  // Deliveries queued during a pass are picked up by one more pass right after it
+  let queuedMeanwhile = false;
+
+  const run = async () => {
+    if (running) {
+      queuedMeanwhile = true;
+      return;
+    }
+
+    running = true;
+    try {
+      do {
+        queuedMeanwhile = false;
+        const summary = await dispatchDueWebhooks();
+        if (summary.retrying || summary.dead) {
+          console.info(
+            `🪝 Webhook dispatcher: ${summary.delivered} delivered, ${summary.retrying} retrying, ` +
+              `${summary.dead} dead-lettered`
+          );
+        }
+      } while (queuedMeanwhile);
+    } catch (error) {
+      console.error(`Webhook dispatch pass failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  webhookService.deliveryQueue.on("queued", run);
+  run();
+
+  return () => {
+    clearInterval(timer);
+    webhookService.deliveryQueue.removeListener("queued", run);
+  };
+};
+
+module.exports = {
+  dispatchDueWebhooks,
+  startWebhookDispatcher
+};
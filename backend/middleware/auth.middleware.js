@@ -0,0 +1,95 @@
+/**
+ * Authentication Middleware
+ *
+ * Verifies Firebase ID tokens sent as `Authorization: Bearer <idToken>`
+ * and enforces role-based access using the `role` custom claim
+ */
+
+const { auth } = require("../firebaseConfig");
+const env = require("../config/env");
+const createHttpError = require("../utils/httpError");
+const { getRoleFromClaims } = require("../models/role.model");
+
+/**
+ * Firebase Auth error codes that mean the caller is known but not allowed in
+ */
+const FORBIDDEN_AUTH_CODES = ["auth/user-disabled"];
+
+/**
+ * Extract the bearer token from the Authorization header
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|null} ID token or null if the header is missing or malformed
+ */
+const getBearerToken = req => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+/**
+ * Verifies the caller's Firebase ID token and attaches the decoded token to req.user
+ * req.user.role is always set, falling back to DEFAULT_ROLE without a claim
+ * Responds with 401 when the token is missing, malformed, expired or revoked,
+ * and 403 when the account behind it has been disabled
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const authenticate = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return next(
+      createHttpError(401, "Missing or malformed Authorization header", "auth/missing-token")
+    );
+  }
+
+  try {
+    const decoded = await auth.verifyIdToken(token, env.AUTH_CHECK_REVOKED);
+    req.user = { ...decoded, role: getRoleFromClaims(decoded) };
+    next();
+  } catch (error) {
+    console.warn(`Rejected ID token: ${error.code || error.message}`);
+
+    if (FORBIDDEN_AUTH_CODES.includes(error.code)) {
+      return next(createHttpError(403, "This account has been disabled", error.code));
+    }
+
+    const code = error.code === "auth/id-token-expired" ? error.code : "auth/invalid-token";
+    next(createHttpError(401, "Invalid or expired ID token", code));
+  }
+};
+
+/**
+ * Restricts a route to the given roles
+ * Must run after authenticate
+ *
+ * @param {...string} roles - Roles allowed through
+ * @returns {Function} Express middleware function
+ */
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(createHttpError(401, "Authentication required", "auth/missing-token"));
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return next(
+        createHttpError(
+          403,
+          `This action requires one of the roles: ${roles.join(", ")}`,
+          "auth/insufficient-role",
+          { required: roles, role: req.user.role }
+        )
+      );
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  authenticate,
+  requireRole
+};
@@ -21,14 +21,15 @@ const errorHandler = (err, req, res, _next) => {
     message: err.message,
     stack: err.stack,
     path: req.path,
-    method: req.method
+    method: req.method,
+    requestId: req.id
   });
 
   // Handle Zod validation errors
   if (err instanceof z.ZodError) {
     return res.status(400).json({
       success: false,
-      errors: err.errors
+      errors: err.issues
     });
   }
 
@@ -40,6 +41,9 @@ const errorHandler = (err, req, res, _next) => {
   res.status(statusCode).json({
     success: false,
     error: message,
+    // Only errors raised with an HTTP status carry a client-facing code
+    ...(err.statusCode && err.code && { code: err.code }),
+    ...(err.statusCode && err.details !== undefined && { details: err.details }),
     ...(process.env.NODE_ENV === "development" && { stack: err.stack })
   });
 };
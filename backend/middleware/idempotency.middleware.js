@@ -0,0 +1,143 @@
+/**
+ * Idempotency Middleware
+ *
+ * Makes retries of non-idempotent requests safe. A request carrying an
+ * Idempotency-Key header runs once per key (and account): its response is
+ * stored for IDEMPOTENCY_TTL_HOURS and replayed to retries with the same
+ * request, marked with `Idempotent-Replayed: true`. Reusing a key for a
+ * different request is rejected with 422, and a retry that arrives while the
+ * first request is still running gets 409. A running request renews its claim
+ * every half lock period, so a long one (e.g. a large import) keeps its key;
+ * only a crashed instance's claim lapses.
+ *
+ * 5xx responses are not stored, so a request that failed on the server can be
+ * retried with the same key. Requests without the header are not affected.
+ */
+
+const { createHash } = require("crypto");
+const env = require("../config/env");
+const idempotencyRepository = require("../repositories/idempotency.repository");
+const asyncHandler = require("../utils/asyncHandler");
+const createHttpError = require("../utils/httpError");
+
+// Printable ASCII without spaces, as in the IETF Idempotency-Key draft examples
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Hash what makes two requests "the same": route, query and body
+ *
+ * @param {Object} req - Express request object
+ * @returns {string} SHA-256 hex digest
+ */
+const fingerprint = req =>
+  createHash("sha256")
+    .update(
+      JSON.stringify([
+        req.method,
+        req.baseUrl + req.path,
+        req.query,
+        req.body === undefined ? null : req.body
+      ])
+    )
+    .digest("hex");
+
+/**
+ * Honor the Idempotency-Key header on a route
+ * Must run after authenticate (keys are scoped to req.user.uid) and after the
+ * body parser, so the body is part of the fingerprint
+ *
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs=env.IDEMPOTENCY_TTL_HOURS hours] - How long responses are replayed
+ * @param {number} [options.lockMs=env.IDEMPOTENCY_LOCK_SECONDS seconds] - How long a claim
+ *   holds without being renewed before a retry may take over (covers a crashed instance)
+ * @returns {Function} Express middleware function
+ */
+const idempotent = ({
+  ttlMs = env.IDEMPOTENCY_TTL_HOURS * HOUR_MS,
+  lockMs = env.IDEMPOTENCY_LOCK_SECONDS * 1000
+} = {}) =>
+  asyncHandler(async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined) return next();
+
+    if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+      throw createHttpError(
+        400,
+        "Idempotency-Key must be 1-255 printable ASCII characters",
+        "idempotency/invalid-key"
+      );
+    }
+
+    const ownerUid = req.user.uid;
+    const requestFingerprint = fingerprint(req);
+    const claimedAt = Date.now();
+    const existing = await idempotencyRepository.claim(ownerUid, key, {
+      fingerprint: requestFingerprint,
+      now: claimedAt,
+      lockMs
+    });
+
+    if (existing) {
+      if (existing.fingerprint !== requestFingerprint) {
+        throw createHttpError(
+          422,
+          "This Idempotency-Key was already used for a different request",
+          "idempotency/key-reused"
+        );
+      }
+      if (existing.state !== "completed") {
+        throw createHttpError(
+          409,
+          "A request with this Idempotency-Key is still in progress",
+          "idempotency/in-progress"
+        );
+      }
+
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.statusCode).json(JSON.parse(existing.body));
+    }
+
+    // Keep the claim alive for as long as the handler runs
+    const renewal = setInterval(() => {
+      idempotencyRepository
+        .extend(ownerUid, key, { claimedAt, now: Date.now(), lockMs })
+        .catch(error => console.error(`Idempotency-Key not renewed [${req.id}]:`, error.message));
+    }, lockMs / 2);
+    renewal.unref();
+
+    // Store the response before it is sent, so a retry never finds the key pending
+    const sendJson = res.json.bind(res);
+    let settled = false;
+    res.json = body => {
+      res.json = sendJson;
+      settled = true;
+      clearInterval(renewal);
+      const store =
+        res.statusCode >= 500
+          ? idempotencyRepository.release(ownerUid, key)
+          : idempotencyRepository.complete(ownerUid, key, {
+              statusCode: res.statusCode,
+              body,
+              expiresAt: Date.now() + ttlMs
+            });
+      store
+        .catch(error => console.error(`Idempotency-Key not recorded [${req.id}]:`, error.message))
+        .finally(() => sendJson(body));
+      return res;
+    };
+
+    // A request that ends without a JSON response leaves nothing to replay
+    res.on("close", () => {
+      clearInterval(renewal);
+      if (settled) return;
+      idempotencyRepository
+        .release(ownerUid, key)
+        .catch(error => console.error(`Idempotency-Key not released [${req.id}]:`, error.message));
+    });
+
+    next();
+  });
+
+module.exports = { idempotent };
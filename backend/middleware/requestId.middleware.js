@@ -0,0 +1,28 @@
+/**
+ * Request ID Middleware
+ *
+ * Tags every request with an id so log lines and history entries can be traced
+ * back to it. A well-formed X-Request-Id from the caller (e.g. a load balancer)
+ * is kept; otherwise a new one is generated. The id is echoed in the response.
+ */
+
+const { randomUUID } = require("crypto");
+
+// Accept ids a proxy might send (UUIDs, trace ids), not arbitrary header text
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Assign req.id and set the X-Request-Id response header
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+};
+
+module.exports = { requestId };
@@ -10,6 +10,18 @@ const RED_METRICS = {
   endpoints: {}
 };
 
+// Extra sections for the /metrics snapshot, registered by the modules that own them
+const METRICS_SOURCES = {};
+
+/**
+ * Add a named section to the /metrics snapshot
+ * @param {string} name - Key in the metrics response
+ * @param {Function} snapshot - Returns the section's current values
+ */
+const registerMetricsSource = (name, snapshot) => {
+  METRICS_SOURCES[name] = snapshot;
+};
+
 /**
  * Telemetry middleware that tracks RED metrics for all requests
  * @param {Request} req
@@ -125,6 +137,9 @@ const getMetrics = (req, res) => {
     // Additional insights
     statusCodes: RED_METRICS.statusCodes,
     endpoints: endpointMetrics,
+    ...Object.fromEntries(
+      Object.entries(METRICS_SOURCES).map(([name, snapshot]) => [name, snapshot()])
+    ),
 
     // Metadata
     timestamp: new Date().toISOString(),
@@ -146,5 +161,6 @@ const resetMetrics = () => {
 module.exports = {
   telemetryMiddleware,
   getMetrics,
+  registerMetricsSource,
   resetMetrics
 };
@@ -22,7 +22,7 @@ const validateBody = schema => {
       res.status(400).json({
         success: false,
         error: "Validation failed",
-        details: error.errors || error.message
+        details: error.issues || error.message
       });
     }
   };
@@ -46,7 +46,7 @@ const validateParams = schema => {
       res.status(400).json({
         success: false,
         error: "Validation failed",
-        details: error.errors || error.message
+        details: error.issues || error.message
       });
     }
   };
@@ -63,14 +63,15 @@ const validateQuery = schema => {
     try {
       // Validate and parse request query
       const validated = schema.parse(req.query);
-      req.query = validated;
+      // Express 5 exposes req.query as a getter, so it has to be redefined
+      Object.defineProperty(req, "query", { value: validated, writable: true });
       next();
     } catch (error) {
       // Return validation errors
       res.status(400).json({
         success: false,
         error: "Validation failed",
-        details: error.errors || error.message
+        details: error.issues || error.message
       });
     }
   };
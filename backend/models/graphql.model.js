@@ -0,0 +1,36 @@
+/**
+ * GraphQL Model
+ *
+ * Defines the request body accepted by POST /graphql
+ */
+
+const { z } = require("zod");
+
+/**
+ * Longest query document accepted, in characters
+ */
+const MAX_QUERY_LENGTH = 10000;
+
+/**
+ * GraphQL request validation schema
+ * Used for validating POST /graphql ({ query, variables?, operationName? })
+ */
+const GraphQLRequestSchema = z.object({
+  query: z
+    .string("query must be a GraphQL document")
+    .min(1, "query must be a GraphQL document")
+    .max(MAX_QUERY_LENGTH, `query cannot exceed ${MAX_QUERY_LENGTH} characters`),
+  variables: z
+    .record(z.string(), z.unknown())
+    .nullish()
+    .transform(variables => variables || {}),
+  operationName: z
+    .string()
+    .nullish()
+    .transform(name => name || undefined)
+});
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  GraphQLRequestSchema
+};
@@ -0,0 +1,80 @@
+/**
+ * History Model
+ *
+ * Defines the change history entry shape and the history query schema
+ */
+
+const { z } = require("zod");
+
+/**
+ * Actions recorded in a user's history
+ */
+const HISTORY_ACTIONS = ["create", "update", "delete", "restore", "purge", "merge"];
+
+/**
+ * Actor recorded for changes made by background jobs rather than a request
+ */
+const SYSTEM_ACTOR = "system";
+
+/**
+ * Bookkeeping fields that are never diffed
+ */
+const UNTRACKED_FIELDS = ["id", "ownerUid", "createdAt", "version"];
+
+/**
+ * History query validation schema
+ * Used for validating GET /users/:id/history
+ */
+const HistoryQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  cursor: z.string().min(1).optional()
+});
+
+/**
+ * Field-level diff between two versions of a record
+ * By default only the fields present in `after` are compared, so a partial
+ * update reports just what it touched
+ *
+ * @param {Object} before - Previous values ({} for a create)
+ * @param {Object} after - New values ({} for a delete)
+ * @param {string[]} [fields=Object.keys(after)] - Fields to compare
+ * @returns {Object} { field: { from, to } } for each changed field (missing values are null)
+ */
+const diffFields = (before, after, fields = Object.keys(after)) => {
+  const changes = {};
+
+  for (const field of fields) {
+    if (UNTRACKED_FIELDS.includes(field)) continue;
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (from !== to) changes[field] = { from, to };
+  }
+
+  return changes;
+};
+
+/**
+ * Creates a history entry
+ *
+ * @param {string} action - One of HISTORY_ACTIONS
+ * @param {Object} changes - Field-level diff (see diffFields)
+ * @param {Object} context - Who made the change
+ * @param {string} [context.actorUid] - uid of the account that made the change
+ *   (SYSTEM_ACTOR when omitted, e.g. for background jobs)
+ * @param {string} [context.requestId] - Id of the request that made the change
+ * @returns {Object} History entry (the repository adds the timestamp)
+ */
+const createHistoryEntry = (action, changes, { actorUid, requestId }) => ({
+  action,
+  changes,
+  actorUid: actorUid || SYSTEM_ACTOR,
+  requestId: requestId || null
+});
+
+module.exports = {
+  HISTORY_ACTIONS,
+  SYSTEM_ACTOR,
+  HistoryQuerySchema,
+  diffFields,
+  createHistoryEntry
+};
@@ -0,0 +1,112 @@
+/**
+ * Postal Code Model
+ *
+ * Supported countries and their postal code formats
+ * Mirrored by frontend/src/shared/postalCodes.js
+ */
+
+/**
+ * Postal code formats by ISO 3166-1 alpha-2 country code
+ * Patterns match the normalized form (see normalizePostalCode)
+ */
+const POSTAL_CODE_FORMATS = {
+  US: {
+    name: "United States",
+    pattern: /^\d{5}(-\d{4})?$/,
+    message: "Must be a 5-digit ZIP code or ZIP+4 (e.g. 10001 or 10001-1234)"
+  },
+  CA: {
+    name: "Canada",
+    pattern: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] \d[ABCEGHJ-NPRSTV-Z]\d$/,
+    message: "Must be a Canadian postal code (e.g. K1A 0B1)"
+  },
+  GB: {
+    name: "United Kingdom",
+    pattern: /^([A-Z]{1,2}\d[A-Z\d]? \d[ABD-HJLNP-UW-Z]{2}|GIR 0AA)$/,
+    message: "Must be a UK postcode (e.g. SW1A 1AA)"
+  }
+};
+
+/**
+ * Countries a user can be located in
+ */
+const COUNTRIES = Object.keys(POSTAL_CODE_FORMATS);
+
+/**
+ * Country assumed for records saved before the country field existed
+ */
+const DEFAULT_COUNTRY = "US";
+
+/**
+ * Canonical form of a postal code: upper case, and for CA and GB a single
+ * space before the three-character inward part ("sw1a1aa" -> "SW1A 1AA")
+ *
+ * @param {string} country - Country code
+ * @param {string} value - Postal code as entered
+ * @returns {string} Normalized postal code
+ */
+const normalizePostalCode = (country, value) => {
+  const compact = String(value).toUpperCase().replace(/\s+/g, "");
+  if (country === "US" || compact.length < 4) return compact;
+  return `${compact.slice(0, -3)} ${compact.slice(-3)}`;
+};
+
+/**
+ * Check a postal code against its country's format
+ *
+ * @param {string} country - Country code
+ * @param {string} value - Postal code (normalized or as entered)
+ * @returns {boolean} True if valid
+ */
+const isValidPostalCode = (country, value) => {
+  const format = POSTAL_CODE_FORMATS[country];
+  return Boolean(format) && format.pattern.test(normalizePostalCode(country, value));
+};
+
+/**
+ * The part of a postal code that geocoding resolves:
+ * US 5-digit ZIP (ZIP+4 suffix dropped), Canadian FSA ("K1A"), UK outward code ("SW1A")
+ *
+ * @param {string} country - Country code
+ * @param {string} value - Valid postal code
+ * @returns {string} Lookup code
+ */
+const getLookupCode = (country, value) => {
+  const normalized = normalizePostalCode(country, value);
+  if (country === "US") return normalized.slice(0, 5);
+  return normalized.split(" ")[0];
+};
+
+/**
+ * The part of a postal code two records must share to be at the same address area:
+ * US 5-digit ZIP (so 10001 and 10001-1234 match), UK outward code ("SW1A"),
+ * and the full Canadian code (an FSA is too wide to be one place)
+ *
+ * @param {string} country - Country code
+ * @param {string} value - Valid postal code
+ * @returns {string} Match code
+ */
+const getMatchCode = (country, value) => {
+  const normalized = normalizePostalCode(country, value);
+  if (country === "CA") return normalized;
+  return getLookupCode(country, normalized);
+};
+
+/**
+ * What the postal code is called in messages
+ *
+ * @param {string} country - Country code
+ * @returns {string} "ZIP code" for the US, "Postal code" elsewhere
+ */
+const postalCodeLabel = country => (country === "US" ? "ZIP code" : "Postal code");
+
+module.exports = {
+  POSTAL_CODE_FORMATS,
+  COUNTRIES,
+  DEFAULT_COUNTRY,
+  normalizePostalCode,
+  isValidPostalCode,
+  getLookupCode,
+  getMatchCode,
+  postalCodeLabel
+};
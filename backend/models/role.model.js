@@ -0,0 +1,46 @@
+/**
+ * Role Model
+ *
+ * Defines the roles stored as Firebase custom claims and their validation rules
+ */
+
+const { z } = require("zod");
+const env = require("../config/env");
+
+/**
+ * Roles an account can hold
+ * - landlord: manages their own tenant records
+ * - tenant: signed-in renter, no access to tenant management
+ * - admin: manages everything, including roles and monitoring
+ */
+const ROLES = ["landlord", "tenant", "admin"];
+
+/**
+ * Role assigned to accounts that have no `role` claim yet
+ * Tenant unless configured otherwise; an admin grants landlord
+ */
+const DEFAULT_ROLE = ROLES.includes(env.DEFAULT_ROLE) ? env.DEFAULT_ROLE : "tenant";
+
+/**
+ * Role grant validation schema
+ * Used for validating PUT /roles/:uid requests
+ */
+const RoleSchema = z.object({
+  role: z.enum(ROLES)
+});
+
+/**
+ * Resolves the effective role from decoded token claims
+ *
+ * @param {Object} claims - Decoded ID token or custom claims
+ * @returns {string} Role from the claims, or DEFAULT_ROLE when absent or unknown
+ */
+const getRoleFromClaims = (claims = {}) =>
+  ROLES.includes(claims.role) ? claims.role : DEFAULT_ROLE;
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  RoleSchema,
+  getRoleFromClaims
+};
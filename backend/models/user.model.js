@@ -5,14 +5,288 @@
  */
 
 const { z } = require("zod");
+const {
+  POSTAL_CODE_FORMATS,
+  COUNTRIES,
+  DEFAULT_COUNTRY,
+  normalizePostalCode,
+  isValidPostalCode
+} = require("./postalCode.model");
+
+/**
+ * Longest free-text note a user can carry
+ */
+const MAX_NOTES_LENGTH = 1000;
 
 /**
  * User input validation schema
  * Used for validating user creation and update requests
+ * `zip` holds the postal code for `country` and is stored normalized
+ * (e.g. "10001-1234", "K1A 0B1", "SW1A 1AA")
+ * `notes` is optional; on update, omitting it keeps the stored notes and "" clears them
+ */
+const UserSchema = z
+  .object({
+    name: z.string().min(2, "Name must be at least 2 characters"),
+    country: z.enum(COUNTRIES).default(DEFAULT_COUNTRY),
+    zip: z.string().trim(),
+    notes: z
+      .string()
+      .trim()
+      .max(MAX_NOTES_LENGTH, `Notes cannot exceed ${MAX_NOTES_LENGTH} characters`)
+      .optional()
+  })
+  .superRefine((user, ctx) => {
+    if (!isValidPostalCode(user.country, user.zip)) {
+      ctx.addIssue({
+        code: "custom",
+        path: ["zip"],
+        message: POSTAL_CODE_FORMATS[user.country].message
+      });
+    }
+  })
+  .transform(user => ({ ...user, zip: normalizePostalCode(user.country, user.zip) }));
+
+/**
+ * Fields GET /users can be sorted by
+ */
+const USER_SORT_FIELDS = ["name", "zip", "createdAt"];
+
+/**
+ * Sorting and filtering params shared by GET /users and GET /users/export
+ */
+const userQueryShape = {
+  sort: z.enum(USER_SORT_FIELDS).default("createdAt"),
+  order: z.enum(["asc", "desc"]).default("asc"),
+  zip: z
+    .string()
+    .trim()
+    .min(1)
+    .max(10)
+    .transform(zip => zip.toUpperCase())
+    .optional(),
+  country: z.enum(COUNTRIES).optional(),
+  timezone: z.string().min(1).optional(),
+  locationName: z.string().min(1).optional(),
+  createdFrom: z.coerce.date().optional(),
+  createdTo: z.coerce.date().optional()
+};
+
+/**
+ * Date range check shared by the list and export queries
+ */
+const createdRangeRefinement = [
+  query => !query.createdFrom || !query.createdTo || query.createdFrom <= query.createdTo,
+  { message: "createdFrom must be before createdTo", path: ["createdFrom"] }
+];
+
+/**
+ * Put the zip filter in the form postal codes are stored in ("sw1a1aa" -> "SW1A 1AA")
+ * With a country filter that country's format is used; without one, the first
+ * country whose format the value fits. Values that fit none are only upper-cased.
+ *
+ * @param {Object} query - Parsed list or export query
+ * @returns {Object} Query with the normalized zip
+ */
+const normalizeZipFilter = query => {
+  if (query.zip === undefined) return query;
+
+  const countries = query.country ? [query.country] : COUNTRIES;
+  const country = countries.find(code => isValidPostalCode(code, query.zip));
+  return country ? { ...query, zip: normalizePostalCode(country, query.zip) } : query;
+};
+
+/**
+ * List query validation schema
+ * Used for validating pagination, sorting and filtering params on GET /users
+ */
+const UserListQuerySchema = z
+  .object({
+    limit: z.coerce.number().int().min(1).max(100).default(25),
+    cursor: z.string().min(1).optional(),
+    // false skips the filtered count (total is then null for filtered lists)
+    countFiltered: z.stringbool().default(true),
+    ...userQueryShape
+  })
+  .refine(...createdRangeRefinement)
+  .transform(normalizeZipFilter);
+
+/**
+ * Fields GET /users/search matches against (and the search index covers)
+ */
+const SEARCH_FIELDS = ["name", "zip", "locationName", "notes"];
+
+/**
+ * Search query validation schema
+ * Used for validating GET /users/search
+ */
+const UserSearchQuerySchema = z.object({
+  q: z
+    .string()
+    .trim()
+    .min(2, "Search for at least 2 characters")
+    .max(100, "Search for at most 100 characters"),
+  limit: z.coerce.number().int().min(1).max(50).default(20)
+});
+
+/**
+ * Units GET /users/near takes radii in and reports distances in
+ */
+const DISTANCE_UNITS = ["mi", "km"];
+
+/**
+ * Largest radius GET /users/near accepts (in either unit)
+ */
+const MAX_NEAR_RADIUS = 500;
+
+/**
+ * Nearby query validation schema
+ * Used for validating GET /users/near
+ * The centre is either a postal code (`zip`, with `country`) or a coordinate
+ * (`lat` and `lon`), never both
+ */
+const UserNearQuerySchema = z
+  .object({
+    zip: z.string().trim().min(1).optional(),
+    country: z.enum(COUNTRIES).default(DEFAULT_COUNTRY),
+    lat: z.coerce.number().min(-90).max(90).optional(),
+    lon: z.coerce.number().min(-180).max(180).optional(),
+    radius: z.coerce
+      .number()
+      .positive("radius must be positive")
+      .max(MAX_NEAR_RADIUS, `radius cannot exceed ${MAX_NEAR_RADIUS}`)
+      .default(10),
+    unit: z.enum(DISTANCE_UNITS).default("mi"),
+    limit: z.coerce.number().int().min(1).max(100).default(50)
+  })
+  .superRefine((query, ctx) => {
+    const hasCoordinate = query.lat !== undefined || query.lon !== undefined;
+    if (query.zip && hasCoordinate) {
+      ctx.addIssue({ code: "custom", path: ["zip"], message: "Give either zip or lat/lon" });
+    } else if (!query.zip && (query.lat === undefined || query.lon === undefined)) {
+      ctx.addIssue({ code: "custom", path: ["zip"], message: "Give a zip, or both lat and lon" });
+    } else if (query.zip && !isValidPostalCode(query.country, query.zip)) {
+      ctx.addIssue({
+        code: "custom",
+        path: ["zip"],
+        message: POSTAL_CODE_FORMATS[query.country].message
+      });
+    }
+  })
+  .transform(query =>
+    query.zip ? { ...query, zip: normalizePostalCode(query.country, query.zip) } : query
+  );
+
+/**
+ * Periods GET /users/stats can group signups by
+ */
+const STATS_GROUPS = ["day", "week", "month"];
+
+/**
+ * Longest signup range GET /users/stats reports, in days
+ */
+const MAX_STATS_RANGE_DAYS = 731;
+
+/**
+ * Stats query validation schema
+ * Used for validating GET /users/stats
+ * `from` and `to` are UTC days (YYYY-MM-DD); both default from `groupBy`
+ * (see userStats.service)
+ */
+const UserStatsQuerySchema = z
+  .object({
+    groupBy: z.enum(STATS_GROUPS).default("day"),
+    from: z.iso.date("from must be a date (YYYY-MM-DD)").optional(),
+    to: z.iso.date("to must be a date (YYYY-MM-DD)").optional(),
+    top: z.coerce.number().int().min(1).max(100).default(10),
+    recent: z.coerce.number().int().min(0).max(20).default(5)
+  })
+  .refine(query => !query.from || !query.to || query.from <= query.to, {
+    message: "from must be before to",
+    path: ["from"]
+  });
+
+/**
+ * Formats GET /users/export can produce
+ */
+const EXPORT_FORMATS = ["csv", "json", "ndjson"];
+
+/**
+ * Fields GET /users/export can include, in their default order
+ */
+const EXPORT_COLUMNS = [
+  "id",
+  "name",
+  "zip",
+  "country",
+  "locationName",
+  "latitude",
+  "longitude",
+  "timezone",
+  "geoStatus",
+  "createdAt",
+  "notes"
+];
+
+/**
+ * Export query validation schema
+ * Used for validating GET /users/export; the list filters apply, without pagination
+ * `columns` is a comma-separated subset of EXPORT_COLUMNS (default: all, in that order)
+ */
+const ExportQuerySchema = z
+  .object({
+    format: z.enum(EXPORT_FORMATS).optional(),
+    columns: z
+      .string()
+      .transform(columns =>
+        columns
+          .split(",")
+          .map(column => column.trim())
+          .filter(Boolean)
+      )
+      .pipe(z.array(z.enum(EXPORT_COLUMNS)).min(1, "Select at least one column"))
+      .default(EXPORT_COLUMNS),
+    ...userQueryShape
+  })
+  .refine(...createdRangeRefinement)
+  .transform(normalizeZipFilter);
+
+/**
+ * Trash query validation schema
+ * Used for validating pagination params on GET /users/trash
+ */
+const TrashQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(100).default(25),
+  cursor: z.string().min(1).optional()
+});
+
+/**
+ * Create query validation schema
+ * Used for validating POST /users; force=true saves even if likely duplicates exist
+ */
+const CreateUserQuerySchema = z.object({
+  force: z.stringbool().default(false)
+});
+
+/**
+ * Merge request validation schema
+ * Used for validating the body of POST /users/:id/merge
+ */
+const MergeUserSchema = z.object({
+  duplicateId: z.string().min(1, "duplicateId is required")
+});
+
+/**
+ * Most rows POST /users/import accepts in one request
+ */
+const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Import query validation schema
+ * Used for validating POST /users/import
  */
-const UserSchema = z.object({
-  name: z.string().min(2, "Name must be at least 2 characters"),
-  zip: z.string().regex(/^\d{5}$/, "Must be a 5-digit ZIP code")
+const ImportQuerySchema = z.object({
+  dryRun: z.stringbool().default(false)
 });
 
 /**
@@ -67,6 +341,25 @@ const createUpdateObject = (name, zip = null, geoData = null) => {
 
 module.exports = {
   UserSchema,
+  UserListQuerySchema,
+  TrashQuerySchema,
+  ImportQuerySchema,
+  MAX_IMPORT_ROWS,
+  CreateUserQuerySchema,
+  MergeUserSchema,
+  UserSearchQuerySchema,
+  SEARCH_FIELDS,
+  UserNearQuerySchema,
+  UserStatsQuerySchema,
+  STATS_GROUPS,
+  MAX_STATS_RANGE_DAYS,
+  DISTANCE_UNITS,
+  MAX_NEAR_RADIUS,
+  MAX_NOTES_LENGTH,
+  ExportQuerySchema,
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  USER_SORT_FIELDS,
   createUserObject,
   createUpdateObject
 };
@@ -0,0 +1,40 @@
+/**
+ * Weather Model
+ *
+ * Defines the query schemas for the per-user weather endpoints
+ */
+
+const { z } = require("zod");
+
+/**
+ * Days the forecast endpoint can return (OpenWeather's free 5 day forecast)
+ */
+const MAX_FORECAST_DAYS = 5;
+
+/**
+ * Unit systems OpenWeather supports: imperial (°F, mph) and metric (°C, m/s)
+ */
+const WEATHER_UNITS = ["imperial", "metric"];
+
+/**
+ * Current weather query validation schema
+ * Used for validating GET /users/:id/weather
+ */
+const WeatherQuerySchema = z.object({
+  units: z.enum(WEATHER_UNITS).default("imperial")
+});
+
+/**
+ * Forecast query validation schema
+ * Used for validating GET /users/:id/forecast
+ */
+const ForecastQuerySchema = WeatherQuerySchema.extend({
+  days: z.coerce.number().int().min(1).max(MAX_FORECAST_DAYS).default(MAX_FORECAST_DAYS)
+});
+
+module.exports = {
+  MAX_FORECAST_DAYS,
+  WEATHER_UNITS,
+  ForecastQuerySchema,
+  WeatherQuerySchema
+};
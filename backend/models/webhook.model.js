@@ -0,0 +1,86 @@
+/**
+ * Webhook Model
+ *
+ * Defines the user lifecycle events landlords can subscribe to, the
+ * subscription validation rules and the delivery log query schema
+ */
+
+const { z } = require("zod");
+const env = require("../config/env");
+const { isPrivateHostname } = require("../utils/webhookTarget");
+
+/**
+ * Events a subscription can receive
+ * - user.created: a user was created, imported or restored from the trash
+ * - user.updated: a user's fields changed (including coordinates found later)
+ * - user.deleted: a user was moved to the trash or merged into another user
+ */
+const WEBHOOK_EVENTS = ["user.created", "user.updated", "user.deleted"];
+
+/**
+ * Delivery states
+ * - pending: waiting for its first attempt or a retry
+ * - delivered: the endpoint answered 2xx
+ * - dead: every attempt failed; the delivery is on the dead-letter list
+ */
+const DELIVERY_STATUSES = ["pending", "delivered", "dead"];
+
+/**
+ * Subscribed URL: https in production, and never a private or local address
+ * unless WEBHOOK_ALLOW_PRIVATE_URLS is set (checked again at delivery time,
+ * when hostnames are resolved; see utils/webhookTarget)
+ */
+const WebhookUrlSchema = z
+  .url({
+    protocol: /^https?$/,
+    error: "url must be an http(s) URL"
+  })
+  .refine(url => env.NODE_ENV !== "production" || url.startsWith("https:"), {
+    error: "url must be an https URL"
+  })
+  .refine(
+    url =>
+      env.WEBHOOK_ALLOW_PRIVATE_URLS ||
+      !URL.canParse(url) ||
+      !isPrivateHostname(new URL(url).hostname),
+    { error: "url cannot point at a private or local address" }
+  );
+
+/**
+ * Subscription validation schema
+ * Used for validating POST /webhooks
+ */
+const WebhookSchema = z.object({
+  url: WebhookUrlSchema,
+  events: z
+    .array(z.enum(WEBHOOK_EVENTS))
+    .min(1, "Subscribe to at least one event")
+    .transform(events => [...new Set(events)]),
+  description: z.string().trim().max(200).optional(),
+  active: z.boolean().default(true)
+});
+
+/**
+ * Subscription update validation schema
+ * Used for validating PUT /webhooks/:id; omitted fields are kept
+ */
+const WebhookUpdateSchema = WebhookSchema.partial()
+  .extend({ active: z.boolean().optional() })
+  .refine(updates => Object.keys(updates).length > 0, "Nothing to update");
+
+/**
+ * Delivery log and dead-letter query validation schema
+ * Used for validating GET /webhooks/:id/deliveries and GET /webhooks/dead-letters
+ */
+const DeliveryQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  cursor: z.string().min(1).optional()
+});
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  WebhookSchema,
+  WebhookUpdateSchema,
+  DeliveryQuerySchema
+};
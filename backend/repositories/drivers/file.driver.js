@@ -0,0 +1,59 @@
+/**
+ * JSON File Storage Driver
+ *
+ * The in-memory driver, loaded from and persisted to a single JSON file.
+ * Every write rewrites the file atomically (temp file + rename), which is
+ * plenty for local development, demos and offline test runs.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const createMemoryDriver = require("./memory.driver");
+
+// Driver methods that change data and must be followed by a save
+const MUTATING_METHODS = ["set", "update", "remove", "transaction"];
+
+/**
+ * Read the database file, treating a missing file as an empty database
+ *
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} Parsed database contents
+ */
+const load = filePath => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw new Error(`Cannot read storage file ${filePath}: ${error.message}`);
+  }
+};
+
+/**
+ * Create a file-backed driver
+ *
+ * @param {string} filePath - Path to the JSON file (created on first write)
+ * @returns {Object} Storage driver (see drivers/index.js for the interface)
+ */
+const createFileDriver = filePath => {
+  const memory = createMemoryDriver(load(filePath));
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(memory.dump(), null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  const driver = { ...memory, name: "file" };
+  for (const method of MUTATING_METHODS) {
+    driver[method] = async (...args) => {
+      const result = await memory[method](...args);
+      save();
+      return result;
+    };
+  }
+
+  return driver;
+};
+
+module.exports = createFileDriver;
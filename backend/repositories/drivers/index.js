@@ -0,0 +1,59 @@
+/**
+ * Storage Driver Selection
+ *
+ * Repositories talk to storage through a small driver interface modelled on
+ * Firebase Realtime Database, so the same code runs against RTDB, memory or a
+ * JSON file. The driver is chosen once per process by STORAGE_DRIVER.
+ *
+ * Driver interface (all paths are slash-separated, e.g. "users/{ownerUid}/{id}"):
+ *   get(path)                  -> Promise<value|null>
+ *   getMany(paths)             -> Promise<Array<value|null>> (in the order of paths)
+ *   exists(path)               -> Promise<boolean>
+ *   set(path, value)           -> Promise<void>   (null deletes)
+ *   update(path, values)       -> Promise<void>   (keys may be nested paths; null deletes)
+ *   remove(path)               -> Promise<void>
+ *   pushKey(path)              -> string          (new chronologically ordered key)
+ *   query(path, spec)          -> Promise<Array<{key, value}>> in query order
+ *   transaction(path, fn)      -> Promise<{committed, value}> (fn may be called with null
+ *                                 first and retried; return undefined to abort)
+ *   serverTimestamp()          -> sentinel resolved to the write time
+ *   increment(delta)           -> sentinel that adds delta to the stored number
+ *   isConnected()              -> Promise<boolean>
+ *
+ * Query spec:
+ *   { orderByChild | orderByValue (default: order by key),
+ *     equalTo, startAt, startAfter, endAt, endBefore, limitToFirst, limitToLast }
+ *   where startAt/startAfter/endAt/endBefore are { value, key? }
+ */
+
+const path = require("path");
+const env = require("../../config/env");
+const createRtdbDriver = require("./rtdb.driver");
+const createMemoryDriver = require("./memory.driver");
+const createFileDriver = require("./file.driver");
+
+/**
+ * Create the driver named by STORAGE_DRIVER
+ *
+ * @param {string} name - "rtdb" | "memory" | "file"
+ * @returns {Object} Storage driver
+ * @throws {Error} If the driver name is unknown
+ */
+const createDriver = name => {
+  switch (name) {
+    case "rtdb":
+      return createRtdbDriver();
+    case "memory":
+      return createMemoryDriver();
+    case "file":
+      // Relative paths are resolved from the backend directory
+      return createFileDriver(path.resolve(__dirname, "../..", env.STORAGE_FILE));
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${name}". Expected rtdb, memory or file.`);
+  }
+};
+
+const driver = createDriver(env.STORAGE_DRIVER);
+console.log(`💾 Storage driver: ${driver.name}`);
+
+module.exports = driver;
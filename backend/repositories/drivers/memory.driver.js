@@ -0,0 +1,309 @@
+/**
+ * In-Memory Storage Driver
+ *
+ * Keeps the whole database in a plain object tree, mimicking Firebase Realtime
+ * Database semantics (paths, push keys, ordered queries, transactions and
+ * server value sentinels) closely enough to run the API without Firebase.
+ * Data lives only as long as the process.
+ */
+
+const { randomInt } = require("crypto");
+
+// Firebase push key alphabet, in ASCII order so keys sort chronologically
+const PUSH_CHARS = "-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz";
+
+/**
+ * Split a database path into its segments
+ *
+ * @param {string} path - Slash-separated path ("" or "/" is the root)
+ * @returns {string[]} Path segments
+ */
+const toSegments = path =>
+  String(path || "")
+    .split("/")
+    .filter(Boolean);
+
+/**
+ * Deep copy a JSON value so callers can't mutate the store
+ *
+ * @param {*} value - JSON-compatible value
+ * @returns {*} Copy of the value (undefined becomes null)
+ */
+const clone = value => (value === undefined || value === null ? null : structuredClone(value));
+
+/**
+ * Check whether a key looks like a 32-bit integer, which RTDB orders numerically
+ *
+ * @param {string} key - Child key
+ * @returns {boolean} True for integer-like keys
+ */
+const isIntegerKey = key => /^-?\d{1,10}$/.test(key) && Math.abs(Number(key)) <= 2147483647;
+
+/**
+ * Compare two keys the way RTDB does: integer-like keys first, numerically,
+ * then everything else lexicographically
+ *
+ * @param {string} a - First key
+ * @param {string} b - Second key
+ * @returns {number} Negative, zero or positive
+ */
+const compareKeys = (a, b) => {
+  const aInt = isIntegerKey(a);
+  const bInt = isIntegerKey(b);
+  if (aInt && bInt) return Number(a) - Number(b);
+  if (aInt !== bInt) return aInt ? -1 : 1;
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+};
+
+/**
+ * Rank of a value's type in RTDB ordering: null < false < true < numbers < strings < objects
+ *
+ * @param {*} value - Child value
+ * @returns {number} Type rank
+ */
+const typeRank = value => {
+  if (value === null || value === undefined) return 0;
+  if (value === false) return 1;
+  if (value === true) return 2;
+  if (typeof value === "number") return 3;
+  if (typeof value === "string") return 4;
+  return 5;
+};
+
+/**
+ * Compare two ordering values the way RTDB does
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+const compareValues = (a, b) => {
+  const rankDiff = typeRank(a) - typeRank(b);
+  if (rankDiff !== 0) return rankDiff;
+  if (typeof a === "number") return a - b;
+  if (typeof a === "string") return a === b ? 0 : a < b ? -1 : 1;
+  return 0;
+};
+
+/**
+ * Compare (value, key) positions; a missing bound key matches any key
+ *
+ * @param {{value: *, key: string}} position - Child position
+ * @param {*} value - Bound value
+ * @param {string} [key] - Bound key
+ * @returns {number} Negative, zero or positive
+ */
+const comparePosition = (position, value, key) => {
+  const valueDiff = compareValues(position.value, value);
+  if (valueDiff !== 0 || key === undefined) return valueDiff;
+  return compareKeys(position.key, key);
+};
+
+/**
+ * Create an in-memory driver
+ *
+ * @param {Object} [initialData] - Initial database contents
+ * @returns {Object} Storage driver (see drivers/index.js for the interface)
+ */
+const createMemoryDriver = (initialData = {}) => {
+  let root = clone(initialData) || {};
+  let lastPushTime = 0;
+  let lastRandomChars = [];
+
+  /**
+   * Resolve server value sentinels against the current value at a path
+   */
+  const resolveSentinels = (value, current) => {
+    if (value === null || typeof value !== "object") return value;
+
+    const sentinel = value[".sv"];
+    if (sentinel === "timestamp") return Date.now();
+    if (sentinel && typeof sentinel === "object" && "increment" in sentinel) {
+      return (typeof current === "number" ? current : 0) + sentinel.increment;
+    }
+
+    const resolved = {};
+    for (const [key, child] of Object.entries(value)) {
+      const next = resolveSentinels(
+        child,
+        current && typeof current === "object" ? current[key] : null
+      );
+      if (next !== null && next !== undefined) resolved[key] = next;
+    }
+    return Object.keys(resolved).length > 0 ? resolved : null;
+  };
+
+  const readNode = segments => {
+    let node = root;
+    for (const segment of segments) {
+      if (node === null || typeof node !== "object" || !(segment in node)) return null;
+      node = node[segment];
+    }
+    return node;
+  };
+
+  /**
+   * Write a value at a path; null deletes it and prunes now-empty parents
+   */
+  const writeNode = (segments, value) => {
+    const resolved = resolveSentinels(clone(value), readNode(segments));
+
+    if (segments.length === 0) {
+      root = resolved && typeof resolved === "object" ? resolved : {};
+      return;
+    }
+
+    const parents = [root];
+    let node = root;
+    for (const segment of segments.slice(0, -1)) {
+      if (node[segment] === null || typeof node[segment] !== "object") {
+        if (resolved === null) return;
+        node[segment] = {};
+      }
+      node = node[segment];
+      parents.push(node);
+    }
+
+    const leaf = segments[segments.length - 1];
+    if (resolved === null) {
+      delete node[leaf];
+      for (let i = parents.length - 1; i > 0; i--) {
+        if (Object.keys(parents[i]).length > 0) break;
+        delete parents[i - 1][segments[i - 1]];
+      }
+    } else {
+      node[leaf] = resolved;
+    }
+  };
+
+  /**
+   * Generate a Firebase-style push key (chronologically sortable)
+   */
+  const generatePushKey = () => {
+    let now = Date.now();
+    const duplicateTime = now <= lastPushTime;
+    now = Math.max(now, lastPushTime);
+    lastPushTime = now;
+
+    const timeChars = new Array(8);
+    for (let i = 7; i >= 0; i--) {
+      timeChars[i] = PUSH_CHARS.charAt(now % 64);
+      now = Math.floor(now / 64);
+    }
+
+    if (!duplicateTime) {
+      lastRandomChars = Array.from({ length: 12 }, () => randomInt(64));
+    } else {
+      // Same millisecond: increment the random part so keys stay ordered
+      let i = 11;
+      while (i >= 0 && lastRandomChars[i] === 63) {
+        lastRandomChars[i] = 0;
+        i--;
+      }
+      lastRandomChars[i]++;
+    }
+
+    return timeChars.join("") + lastRandomChars.map(index => PUSH_CHARS.charAt(index)).join("");
+  };
+
+  return {
+    name: "memory",
+
+    get: async path => clone(readNode(toSegments(path))),
+
+    getMany: async paths => paths.map(path => clone(readNode(toSegments(path)))),
+
+    exists: async path => readNode(toSegments(path)) !== null,
+
+    set: async (path, value) => {
+      writeNode(toSegments(path), value);
+    },
+
+    update: async (path, values) => {
+      const base = toSegments(path);
+      for (const [childPath, value] of Object.entries(values)) {
+        writeNode([...base, ...toSegments(childPath)], value);
+      }
+    },
+
+    remove: async path => {
+      writeNode(toSegments(path), null);
+    },
+
+    pushKey: () => generatePushKey(),
+
+    query: async (path, spec = {}) => {
+      const node = readNode(toSegments(path));
+      if (node === null || typeof node !== "object") return [];
+
+      const orderValue = (key, value) => {
+        if (spec.orderByChild) {
+          let child = value;
+          for (const segment of toSegments(spec.orderByChild)) {
+            child = child !== null && typeof child === "object" ? child[segment] : null;
+          }
+          return child ?? null;
+        }
+        if (spec.orderByValue) return value;
+        return key;
+      };
+      const compare = spec.orderByChild || spec.orderByValue ? comparePosition : null;
+
+      let children = Object.entries(node).map(([key, value]) => ({
+        key,
+        value: clone(value),
+        sortValue: orderValue(key, value)
+      }));
+
+      const position = child => ({ value: child.sortValue, key: child.key });
+      const cmp = (child, bound) =>
+        compare
+          ? compare(position(child), bound.value, bound.key)
+          : compareKeys(child.key, bound.value);
+
+      children.sort((a, b) =>
+        compare ? comparePosition(position(a), b.sortValue, b.key) : compareKeys(a.key, b.key)
+      );
+
+      if (spec.equalTo !== undefined) {
+        children = children.filter(child => cmp(child, { value: spec.equalTo }) === 0);
+      }
+      if (spec.startAt) children = children.filter(child => cmp(child, spec.startAt) >= 0);
+      if (spec.startAfter) children = children.filter(child => cmp(child, spec.startAfter) > 0);
+      if (spec.endAt) children = children.filter(child => cmp(child, spec.endAt) <= 0);
+      if (spec.endBefore) children = children.filter(child => cmp(child, spec.endBefore) < 0);
+
+      if (spec.limitToFirst) children = children.slice(0, spec.limitToFirst);
+      if (spec.limitToLast) children = children.slice(-spec.limitToLast);
+
+      return children.map(({ key, value }) => ({ key, value }));
+    },
+
+    transaction: async (path, updateFn) => {
+      const segments = toSegments(path);
+      const current = clone(readNode(segments));
+      const next = updateFn(current);
+
+      if (next === undefined) {
+        return { committed: false, value: current };
+      }
+
+      writeNode(segments, next);
+      return { committed: true, value: clone(readNode(segments)) };
+    },
+
+    serverTimestamp: () => ({ ".sv": "timestamp" }),
+
+    increment: delta => ({ ".sv": { increment: delta } }),
+
+    isConnected: async () => true,
+
+    /**
+     * Snapshot of the whole database (used by the file driver to persist)
+     */
+    dump: () => clone(root) || {}
+  };
+};
+
+module.exports = createMemoryDriver;
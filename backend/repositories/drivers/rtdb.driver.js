@@ -0,0 +1,100 @@
+/**
+ * Firebase Realtime Database Storage Driver
+ *
+ * Thin adapter from the driver interface to the Firebase Admin SDK.
+ * firebaseConfig is required lazily so the other drivers never touch Firebase.
+ */
+
+/**
+ * Apply a driver query spec to an RTDB reference
+ *
+ * @param {Object} ref - RTDB reference
+ * @param {Object} spec - Query spec (see drivers/index.js)
+ * @returns {Object} RTDB query
+ */
+const buildQuery = (ref, spec) => {
+  let query = ref;
+
+  if (spec.orderByChild) query = query.orderByChild(spec.orderByChild);
+  else if (spec.orderByValue) query = query.orderByValue();
+  else query = query.orderByKey();
+
+  if (spec.equalTo !== undefined) query = query.equalTo(spec.equalTo);
+  if (spec.startAt) query = query.startAt(spec.startAt.value, spec.startAt.key);
+  if (spec.startAfter) query = query.startAfter(spec.startAfter.value, spec.startAfter.key);
+  if (spec.endAt) query = query.endAt(spec.endAt.value, spec.endAt.key);
+  if (spec.endBefore) query = query.endBefore(spec.endBefore.value, spec.endBefore.key);
+  if (spec.limitToFirst) query = query.limitToFirst(spec.limitToFirst);
+  if (spec.limitToLast) query = query.limitToLast(spec.limitToLast);
+
+  return query;
+};
+
+/**
+ * Create an RTDB driver
+ *
+ * @returns {Object} Storage driver (see drivers/index.js for the interface)
+ */
+const createRtdbDriver = () => {
+  const { admin, getDatabase } = require("../../firebaseConfig");
+  const db = getDatabase();
+
+  return {
+    name: "rtdb",
+
+    get: async path => {
+      const snapshot = await db.ref(path).once("value");
+      return snapshot.val();
+    },
+
+    // RTDB has no multi-path read; the reads are pipelined over the one connection
+    getMany: async paths => {
+      const snapshots = await Promise.all(paths.map(path => db.ref(path).once("value")));
+      return snapshots.map(snapshot => snapshot.val());
+    },
+
+    exists: async path => {
+      const snapshot = await db.ref(path).once("value");
+      return snapshot.exists();
+    },
+
+    set: async (path, value) => {
+      await db.ref(path).set(value);
+    },
+
+    update: async (path, values) => {
+      await db.ref(path).update(values);
+    },
+
+    remove: async path => {
+      await db.ref(path).remove();
+    },
+
+    pushKey: path => db.ref(path).push().key,
+
+    query: async (path, spec = {}) => {
+      const snapshot = await buildQuery(db.ref(path), spec).once("value");
+      const children = [];
+      snapshot.forEach(child => {
+        children.push({ key: child.key, value: child.val() });
+      });
+      return children;
+    },
+
+    transaction: async (path, updateFn) => {
+      const { committed, snapshot } = await db.ref(path).transaction(updateFn);
+      return { committed, value: snapshot.val() };
+    },
+
+    serverTimestamp: () => admin.database.ServerValue.TIMESTAMP,
+
+    increment: delta => admin.database.ServerValue.increment(delta),
+
+    isConnected: async () => {
+      const snapshot = await db.ref(".info/connected").once("value");
+      return snapshot.val() === true;
+    }
+  };
+};
+
+module.exports = createRtdbDriver;
@@ -0,0 +1,55 @@
+/**
+ * Geo Cache Repository
+ *
+ * Persists geocoding results under geoCache/{key} so they survive restarts
+ * and are shared by every backend instance using the same storage driver
+ *
+ * Entry shape: { status: "found" | "not-found", geo?, cachedAt, expiresAt }
+ */
+
+const storage = require("./drivers");
+
+/**
+ * Path to one cache entry
+ *
+ * @param {string} key - Cache key (the ZIP code)
+ * @returns {string} geoCache/{key}
+ */
+const entryPath = key => `geoCache/${key}`;
+
+/**
+ * Read a cache entry
+ *
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} Entry, or null if none is stored
+ */
+const findByKey = async key => {
+  return await storage.get(entryPath(key));
+};
+
+/**
+ * Write a cache entry
+ *
+ * @param {string} key - Cache key
+ * @param {Object} entry - Entry to store
+ * @returns {Promise<void>}
+ */
+const save = async (key, entry) => {
+  await storage.set(entryPath(key), entry);
+};
+
+/**
+ * Delete a cache entry
+ *
+ * @param {string} key - Cache key
+ * @returns {Promise<void>}
+ */
+const remove = async key => {
+  await storage.remove(entryPath(key));
+};
+
+module.exports = {
+  findByKey,
+  save,
+  remove
+};
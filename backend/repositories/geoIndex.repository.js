@@ -0,0 +1,92 @@
+/**
+ * Geo Index Repository
+ *
+ * Geohash index over each owner's located users, for GET /users/near
+ * Stored as geoIndex/{ownerUid}/{userId} = geohash and kept in step with the
+ * records by user.repository, which adds the changes to the same writes (see
+ * indexValues). Users without coordinates (e.g. geoStatus "pending") are left
+ * out. scripts/rebuildGeoIndex.js rebuilds it from the records.
+ */
+
+const storage = require("./drivers");
+const { encode } = require("../utils/geohash");
+
+/**
+ * Path to an owner's index
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @returns {string} geoIndex/{ownerUid}
+ */
+const indexPath = ownerUid => `geoIndex/${ownerUid}`;
+
+/**
+ * Geohash a record is indexed under
+ *
+ * @param {Object|null} user - User record (null for none)
+ * @returns {string|null} Geohash, or null if the record has no coordinates
+ */
+const userGeohash = user =>
+  user && typeof user.latitude === "number" && typeof user.longitude === "number"
+    ? encode(user.latitude, user.longitude)
+    : null;
+
+/**
+ * Multi-path update values that index a record where it is now
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - User ID
+ * @param {Object|null} user - Record to index (null to drop it from the index)
+ * @returns {Object} { "geoIndex/{ownerUid}/{id}": geohash | null }
+ */
+const indexValues = (ownerUid, id, user) => ({
+  [`${indexPath(ownerUid)}/${id}`]: userGeohash(user)
+});
+
+/**
+ * Find the users in some geohash cells
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string[]} cells - Geohash prefixes ("" for every cell)
+ * @returns {Promise<string[]>} IDs of the users indexed in those cells
+ */
+const findInCells = async (ownerUid, cells) => {
+  const matches = await Promise.all(
+    cells.map(cell =>
+      storage.query(indexPath(ownerUid), {
+        orderByValue: true,
+        startAt: { value: cell },
+        // Sorts after every geohash character: all geohashes starting with cell
+        endAt: { value: `${cell}\uf8ff` }
+      })
+    )
+  );
+  return [...new Set(matches.flat().map(({ key }) => key))];
+};
+
+/**
+ * Replace the whole index
+ *
+ * @param {Object} usersByOwner - { ownerUid: { id: user } }
+ * @returns {Promise<number>} Records indexed
+ */
+const rebuild = async usersByOwner => {
+  const index = {};
+  let count = 0;
+  for (const [ownerUid, users] of Object.entries(usersByOwner)) {
+    for (const [id, user] of Object.entries(users)) {
+      const geohash = userGeohash(user);
+      if (!geohash) continue;
+      (index[ownerUid] = index[ownerUid] || {})[id] = geohash;
+      count++;
+    }
+  }
+
+  await storage.set("geoIndex", index);
+  return count;
+};
+
+module.exports = {
+  indexValues,
+  findInCells,
+  rebuild
+};
@@ -0,0 +1,129 @@
+/**
+ * History Repository
+ *
+ * Stores an append-only change log per user under history/{ownerUid}/{userId}/{entryId}
+ * Entry keys are push keys, so key order is chronological. Entries are written in
+ * the same multi-path update as the change they describe (see user.repository) and
+ * are never modified afterwards.
+ *
+ * Entry shape: { action, changes: { field: { from, to } }, actorUid, requestId, at,
+ *                mergedFrom? }
+ * mergedFrom is set on entries carried over from a record merged into this one.
+ */
+
+const storage = require("./drivers");
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+
+/**
+ * Path to one user's history
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} userId - User ID
+ * @returns {string} history/{ownerUid}/{userId}
+ */
+const historyPath = (ownerUid, userId) => `history/${ownerUid}/${userId}`;
+
+/**
+ * Multi-path update values that append a history entry
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} userId - User ID
+ * @param {Object} entry - History entry (see createHistoryEntry)
+ * @returns {Object} { "history/{ownerUid}/{userId}/{entryId}": entry with timestamp }
+ */
+const entryValues = (ownerUid, userId, entry) => {
+  const path = historyPath(ownerUid, userId);
+  return { [`${path}/${storage.pushKey(path)}`]: { ...entry, at: storage.serverTimestamp() } };
+};
+
+/**
+ * Multi-path update values that copy another user's entries into this history
+ * The entries keep their keys, so they interleave with this user's own entries
+ * in chronological order.
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} userId - User ID receiving the entries
+ * @param {Object} entries - Stored entries by key (see findAll)
+ * @param {string} mergedFrom - ID of the user the entries came from
+ * @returns {Object} { "history/{ownerUid}/{userId}/{entryId}": entry with mergedFrom }
+ */
+const mergedEntryValues = (ownerUid, userId, entries, mergedFrom) => {
+  const path = historyPath(ownerUid, userId);
+  return Object.fromEntries(
+    Object.entries(entries).map(([key, entry]) => [`${path}/${key}`, { ...entry, mergedFrom }])
+  );
+};
+
+/**
+ * Get every entry of a user's history
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Stored entries by key (empty when there are none)
+ */
+const findAll = async (ownerUid, userId) => {
+  return (await storage.get(historyPath(ownerUid, userId))) || {};
+};
+
+/**
+ * Restore the nulls RTDB drops from stored diffs
+ *
+ * @param {Object} changes - Stored changes
+ * @returns {Object} Changes with explicit from/to
+ */
+const readChanges = (changes = {}) =>
+  Object.fromEntries(
+    Object.entries(changes).map(([field, change]) => [
+      field,
+      { from: change.from ?? null, to: change.to ?? null }
+    ])
+  );
+
+/**
+ * Get one page of a user's history, newest first
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} userId - User ID
+ * @param {Object} options - Page options (see HistoryQuerySchema)
+ * @param {number} options.limit - Page size
+ * @param {string} [options.cursor] - Cursor returned by the previous page
+ * @returns {Promise<{items: Object[], nextCursor: string|null}>} Page envelope
+ * @throws {Error} 400 error if the cursor was not issued for a history page
+ */
+const findPage = async (ownerUid, userId, { limit, cursor }) => {
+  const spec = { limitToLast: limit + 1 };
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (position.sort !== "history") {
+      const error = new Error("Cursor does not belong to a history page");
+      error.statusCode = 400;
+      throw error;
+    }
+    spec.endBefore = { value: position.key };
+  }
+
+  const children = await storage.query(historyPath(ownerUid, userId), spec);
+  const entries = children
+    .map(({ key, value }) => ({
+      id: key,
+      ...value,
+      changes: readChanges(value.changes),
+      requestId: value.requestId ?? null
+    }))
+    .reverse();
+
+  const items = entries.slice(0, limit);
+  const nextCursor =
+    entries.length > limit
+      ? encodeCursor({ sort: "history", order: "desc", value: null, key: items[limit - 1].id })
+      : null;
+
+  return { items, nextCursor };
+};
+
+module.exports = {
+  entryValues,
+  mergedEntryValues,
+  findAll,
+  findPage
+};
@@ -0,0 +1,128 @@
+/**
+ * Idempotency Repository
+ *
+ * Tracks Idempotency-Key requests under idempotency/{ownerUid}/{keyHash}, so
+ * a retried request is answered from storage instead of running twice
+ * Keys are hashed because clients may use characters RTDB forbids in paths.
+ *
+ * Entry shape: { state: "pending" | "completed", fingerprint, createdAt, expiresAt,
+ *                statusCode?, body? }
+ * body is the JSON response as a string (RTDB would drop its null fields)
+ */
+
+const { createHash } = require("crypto");
+const storage = require("./drivers");
+
+/**
+ * Path to one owner's entry for a key
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} key - Idempotency-Key header value
+ * @returns {string} idempotency/{ownerUid}/{keyHash}
+ */
+const entryPath = (ownerUid, key) =>
+  `idempotency/${ownerUid}/${createHash("sha256").update(key).digest("hex")}`;
+
+/**
+ * Claim a key for a new request
+ * Runs in a transaction, so of two concurrent requests with the same key
+ * only one gets to run; expired entries are taken over.
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} key - Idempotency-Key header value
+ * @param {Object} claim
+ * @param {string} claim.fingerprint - Hash of the request
+ * @param {number} claim.now - Current time (epoch ms)
+ * @param {number} claim.lockMs - How long the claim holds before another request may take over
+ * @returns {Promise<Object|null>} null if claimed, otherwise the live entry holding the key
+ */
+const claim = async (ownerUid, key, { fingerprint, now, lockMs }) => {
+  const { committed, value } = await storage.transaction(entryPath(ownerUid, key), current => {
+    if (current && current.expiresAt > now) return undefined;
+    return { state: "pending", fingerprint, createdAt: now, expiresAt: now + lockMs };
+  });
+  return committed ? null : value;
+};
+
+/**
+ * Push back the expiry of a claim while its request is still running
+ * Only the claim made at claimedAt is extended: one that completed, was released
+ * or was taken over since is left alone.
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} key - Idempotency-Key header value
+ * @param {Object} claim
+ * @param {number} claim.claimedAt - createdAt of the claim (epoch ms)
+ * @param {number} claim.now - Current time (epoch ms)
+ * @param {number} claim.lockMs - How long the claim holds from now
+ * @returns {Promise<boolean>} Whether the claim was extended
+ */
+const extend = async (ownerUid, key, { claimedAt, now, lockMs }) => {
+  const { committed } = await storage.transaction(entryPath(ownerUid, key), current => {
+    // RTDB may run this first with null before it has read the entry; writing null
+    // back is a no-op that makes it retry with the stored value
+    if (current === null) return null;
+    if (current.state !== "pending" || current.createdAt !== claimedAt) return undefined;
+    return { ...current, expiresAt: now + lockMs };
+  });
+  return committed;
+};
+
+/**
+ * Store the response for a claimed key
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} key - Idempotency-Key header value
+ * @param {Object} response
+ * @param {number} response.statusCode - HTTP status
+ * @param {*} response.body - JSON response body
+ * @param {number} response.expiresAt - When the stored response stops being replayed (epoch ms)
+ * @returns {Promise<void>}
+ */
+const complete = async (ownerUid, key, { statusCode, body, expiresAt }) => {
+  await storage.update(entryPath(ownerUid, key), {
+    state: "completed",
+    statusCode,
+    body: JSON.stringify(body),
+    expiresAt
+  });
+};
+
+/**
+ * Release a claimed key so the request can be retried
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} key - Idempotency-Key header value
+ * @returns {Promise<void>}
+ */
+const release = async (ownerUid, key) => {
+  await storage.remove(entryPath(ownerUid, key));
+};
+
+/**
+ * Delete every owner's entries that expired at or before a time
+ *
+ * @param {number} now - Epoch milliseconds
+ * @returns {Promise<number>} Entries deleted
+ */
+const removeExpired = async now => {
+  const owners = (await storage.get("idempotency")) || {};
+  const updates = {};
+  for (const [ownerUid, entries] of Object.entries(owners)) {
+    for (const [hash, entry] of Object.entries(entries)) {
+      if (entry.expiresAt <= now) updates[`idempotency/${ownerUid}/${hash}`] = null;
+    }
+  }
+
+  const count = Object.keys(updates).length;
+  if (count) await storage.update("", updates);
+  return count;
+};
+
+module.exports = {
+  claim,
+  extend,
+  complete,
+  release,
+  removeExpired
+};
@@ -0,0 +1,108 @@
+/**
+ * Search Index Repository
+ *
+ * Trigram index over each owner's users, for GET /users/search
+ * Stored as searchIndex/{ownerUid}/{trigram}/{userId} = true and kept in step
+ * with the records by user.repository, which adds the changes to the same
+ * writes (see indexValues). scripts/rebuildSearchIndex.js rebuilds it from the
+ * records.
+ */
+
+const storage = require("./drivers");
+const { toTrigrams } = require("../utils/trigrams");
+const { SEARCH_FIELDS } = require("../models/user.model");
+
+/**
+ * Path to an owner's index
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @returns {string} searchIndex/{ownerUid}
+ */
+const indexPath = ownerUid => `searchIndex/${ownerUid}`;
+
+/**
+ * Trigrams a record is indexed under
+ *
+ * @param {Object|null} user - User record (null for none)
+ * @returns {Set<string>} Trigrams of its searchable fields
+ */
+const userTrigrams = user =>
+  user ? toTrigrams(...SEARCH_FIELDS.map(field => user[field])) : new Set();
+
+/**
+ * Multi-path update values that move a record's index entries from one
+ * version of the record to another
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - User ID
+ * @param {Object|null} before - Record as indexed now (null if not indexed)
+ * @param {Object|null} after - Record to index (null to drop it from the index)
+ * @returns {Object} { "searchIndex/{ownerUid}/{trigram}/{id}": true | null }
+ */
+const indexValues = (ownerUid, id, before, after) => {
+  const previous = userTrigrams(before);
+  const next = userTrigrams(after);
+  const values = {};
+
+  for (const trigram of previous) {
+    if (!next.has(trigram)) values[`${indexPath(ownerUid)}/${trigram}/${id}`] = null;
+  }
+  for (const trigram of next) {
+    if (!previous.has(trigram)) values[`${indexPath(ownerUid)}/${trigram}/${id}`] = true;
+  }
+  return values;
+};
+
+/**
+ * Find the users sharing the most trigrams with a query
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Set<string>} trigrams - Query trigrams
+ * @param {number} limit - Most candidates to return
+ * @returns {Promise<Array<{id: string, hits: number}>>} Candidates, most shared trigrams first
+ */
+const findCandidates = async (ownerUid, trigrams, limit) => {
+  const postings = await Promise.all(
+    [...trigrams].map(trigram => storage.get(`${indexPath(ownerUid)}/${trigram}`))
+  );
+
+  const hits = new Map();
+  for (const ids of postings) {
+    for (const id of Object.keys(ids || {})) hits.set(id, (hits.get(id) || 0) + 1);
+  }
+
+  return [...hits]
+    .map(([id, count]) => ({ id, hits: count }))
+    .sort((a, b) => b.hits - a.hits || (a.id < b.id ? -1 : 1))
+    .slice(0, limit);
+};
+
+/**
+ * Replace the whole index
+ *
+ * @param {Object} usersByOwner - { ownerUid: { id: user } }
+ * @returns {Promise<number>} Records indexed
+ */
+const rebuild = async usersByOwner => {
+  const index = {};
+  let count = 0;
+  for (const [ownerUid, users] of Object.entries(usersByOwner)) {
+    for (const [id, user] of Object.entries(users)) {
+      const ownerIndex = (index[ownerUid] = index[ownerUid] || {});
+      for (const trigram of userTrigrams(user)) {
+        ownerIndex[trigram] = ownerIndex[trigram] || {};
+        ownerIndex[trigram][id] = true;
+      }
+      count++;
+    }
+  }
+
+  await storage.set("searchIndex", index);
+  return count;
+};
+
+module.exports = {
+  indexValues,
+  findCandidates,
+  rebuild
+};
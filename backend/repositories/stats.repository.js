@@ -0,0 +1,187 @@
+/**
+ * Stats Repository
+ *
+ * Per-owner counters behind GET /users/stats, stored under stats/{ownerUid}:
+ *
+ *   total                         live users
+ *   byZip/{country}/{zip}         users per postal code
+ *   byTimezone/{timezone}         users per timezone
+ *   byLocation/{locationName}     users per location name
+ *   signups/{YYYY-MM-DD}          live users created on each day (UTC)
+ *
+ * Timezone and location keys are encoded with utils/storageKey. The counters
+ * are kept in step with the records by user.repository, which adds increments
+ * to the same writes (see statsValues), so the endpoint never reads the users
+ * themselves. Counters are never removed, so one that drops to 0 stays behind
+ * until the next rebuild (scripts/rebuildStats.js); reads skip them.
+ */
+
+const storage = require("./drivers");
+const { DEFAULT_COUNTRY } = require("../models/postalCode.model");
+const { encodeKey, decodeKey } = require("../utils/storageKey");
+
+/**
+ * Path to an owner's counters
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @returns {string} stats/{ownerUid}
+ */
+const statsPath = ownerUid => `stats/${ownerUid}`;
+
+/**
+ * UTC day of an instant
+ *
+ * @param {number} timestamp - Epoch milliseconds
+ * @returns {string} YYYY-MM-DD
+ */
+const toDay = timestamp => new Date(timestamp).toISOString().slice(0, 10);
+
+/**
+ * Counters (relative to the owner's stats path) that one record adds to
+ *
+ * @param {Object|null} user - User record (null for none)
+ * @param {number} now - Creation time to use while createdAt is still a server timestamp
+ * @returns {string[]} Counter paths
+ */
+const userCounters = (user, now) => {
+  if (!user) return [];
+
+  const counters = ["total"];
+  if (user.zip) counters.push(`byZip/${user.country || DEFAULT_COUNTRY}/${encodeKey(user.zip)}`);
+  if (user.timezone !== null && user.timezone !== undefined) {
+    counters.push(`byTimezone/${encodeKey(user.timezone)}`);
+  }
+  if (user.locationName) counters.push(`byLocation/${encodeKey(user.locationName)}`);
+  if (user.createdAt !== null && user.createdAt !== undefined) {
+    counters.push(`signups/${toDay(typeof user.createdAt === "number" ? user.createdAt : now)}`);
+  }
+  return counters;
+};
+
+/**
+ * Multi-path update values that move records' counts from one version of each
+ * record to another
+ * Changes touching the same counter are summed into one increment.
+ *
+ * @param {Array<{ownerUid: string, before: Object|null, after: Object|null}>} changes -
+ *   Records as counted now (null if not counted) and as they should be counted
+ *   (null to stop counting them)
+ * @param {number} [now=Date.now()] - Creation time of records being created
+ * @returns {Object} { "stats/{ownerUid}/{counter}": increment }
+ */
+const batchStatsValues = (changes, now = Date.now()) => {
+  const deltas = new Map();
+  const add = (path, delta) => deltas.set(path, (deltas.get(path) || 0) + delta);
+
+  for (const { ownerUid, before, after } of changes) {
+    for (const counter of userCounters(before, now)) add(`${statsPath(ownerUid)}/${counter}`, -1);
+    for (const counter of userCounters(after, now)) add(`${statsPath(ownerUid)}/${counter}`, 1);
+  }
+
+  const values = {};
+  for (const [path, delta] of deltas) {
+    if (delta !== 0) values[path] = storage.increment(delta);
+  }
+  return values;
+};
+
+/**
+ * Multi-path update values that move a record's counts from one version of
+ * the record to another
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object|null} before - Record as counted now (null if not counted)
+ * @param {Object|null} after - Record to count (null to stop counting it)
+ * @returns {Object} { "stats/{ownerUid}/{counter}": increment }
+ */
+const statsValues = (ownerUid, before, after) => batchStatsValues([{ ownerUid, before, after }]);
+
+/**
+ * Positive counts of a counter group, with their keys decoded
+ *
+ * @param {Object|null} counts - { key: count }
+ * @returns {Array<[string, number]>} [value, count] pairs
+ */
+const positiveCounts = counts =>
+  Object.entries(counts || {})
+    .filter(([, count]) => count > 0)
+    .map(([key, count]) => [decodeKey(key), count]);
+
+/**
+ * Read an owner's live user count
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @returns {Promise<number>} Live users
+ */
+const getTotal = async ownerUid => {
+  return Math.max(0, (await storage.get(`${statsPath(ownerUid)}/total`)) || 0);
+};
+
+/**
+ * Read an owner's counters
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} range - Signup days to read
+ * @param {string} range.from - First day (YYYY-MM-DD)
+ * @param {string} range.to - Last day (YYYY-MM-DD)
+ * @returns {Promise<{total: number, byZip: Array<{zip: string, country: string, count: number}>,
+ *   byTimezone: Array<[string, number]>, byLocation: Array<[string, number]>,
+ *   signups: Array<[string, number]>}>} Counts (zero counts left out)
+ */
+const getCounts = async (ownerUid, { from, to }) => {
+  const [total, byZip, byTimezone, byLocation, signups] = await Promise.all([
+    storage.get(`${statsPath(ownerUid)}/total`),
+    storage.get(`${statsPath(ownerUid)}/byZip`),
+    storage.get(`${statsPath(ownerUid)}/byTimezone`),
+    storage.get(`${statsPath(ownerUid)}/byLocation`),
+    storage.query(`${statsPath(ownerUid)}/signups`, {
+      startAt: { value: from },
+      endAt: { value: to }
+    })
+  ]);
+
+  return {
+    total: Math.max(0, total || 0),
+    byZip: Object.entries(byZip || {}).flatMap(([country, zips]) =>
+      positiveCounts(zips).map(([zip, count]) => ({ zip, country, count }))
+    ),
+    byTimezone: positiveCounts(byTimezone),
+    byLocation: positiveCounts(byLocation),
+    signups: signups.filter(({ value }) => value > 0).map(({ key, value }) => [key, value])
+  };
+};
+
+/**
+ * Replace every owner's counters with counts of the stored records
+ *
+ * @param {Object} usersByOwner - { ownerUid: { id: user } }
+ * @returns {Promise<number>} Records counted
+ */
+const rebuild = async usersByOwner => {
+  const stats = {};
+  let count = 0;
+  for (const [ownerUid, users] of Object.entries(usersByOwner)) {
+    const ownerStats = (stats[ownerUid] = {});
+    for (const user of Object.values(users)) {
+      for (const counter of userCounters(user, Date.now())) {
+        const segments = counter.split("/");
+        const leaf = segments.pop();
+        let node = ownerStats;
+        for (const segment of segments) node = node[segment] = node[segment] || {};
+        node[leaf] = (node[leaf] || 0) + 1;
+      }
+      count++;
+    }
+  }
+
+  await storage.set("stats", stats);
+  return count;
+};
+
+module.exports = {
+  statsValues,
+  batchStatsValues,
+  getTotal,
+  getCounts,
+  rebuild
+};
@@ -2,89 +2,847 @@
  * User Repository
  *
  * Handles all database operations for users
- * Provides abstraction over Firebase Realtime Database
+ * Provides abstraction over the storage driver (RTDB, memory or JSON file)
+ *
+ * Records are stored per owning account under users/{ownerUid}/{id},
+ * so every read and write is scoped to a single landlord
+ *
+ * Records saved while location services were down (geoStatus "pending") are
+ * also listed under pendingGeo/{ownerUid}/{id} = { zip, country, since }, written in
+ * the same multi-path update as the record, so the reconciler can find them
+ * without scanning every owner
+ *
+ * Deleted records move to trash/{ownerUid}/{id}, stamped with deletedAt and
+ * deletedBy, so normal reads and the frontend's RTDB listener never see them.
+ * They can be restored until the trash purger hard-deletes them.
+ *
+ * Writes can also append a history entry (see history.repository) in that same
+ * update, so a change and its audit record land together or not at all
+ *
+ * Every write to an existing record (update, trash, merge, restore, purge) runs
+ * under that record's write lock, userLocks/{ownerUid}/{id}, claimed in a
+ * transaction: the writer re-reads the record, checks it is still at the version
+ * the caller's change was based on, and makes the whole change as one
+ * multi-path update that also releases the lock. A writer that dies holding a
+ * lock has written nothing, and the lock lapses after WRITE_LOCK_MS.
+ *
+ * Live records are indexed for search (see searchIndex.repository) and by
+ * location (see geoIndex.repository), and counted for GET /users/stats (see
+ * stats.repository); every write carries the matching index and counter changes
+ */
+
+const storage = require("./drivers");
+const historyRepository = require("./history.repository");
+const searchIndexRepository = require("./searchIndex.repository");
+const geoIndexRepository = require("./geoIndex.repository");
+const statsRepository = require("./stats.repository");
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+const { getMatchCode } = require("../models/postalCode.model");
+
+/**
+ * How long a record's write lock holds before another writer may take it over
+ */
+const WRITE_LOCK_MS = 30000;
+
+/**
+ * Tries at claiming write locks held by other writers, and the pause before the
+ * next try (multiplied by the number of tries so far)
+ */
+const LOCK_ATTEMPTS = 5;
+const LOCK_RETRY_MS = 20;
+
+/**
+ * Path to one owner's users
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @returns {string} users/{ownerUid}
+ */
+const ownerPath = ownerUid => `users/${ownerUid}`;
+
+/**
+ * Path to one owner's deleted users
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @returns {string} trash/{ownerUid}
+ */
+const trashPath = ownerUid => `trash/${ownerUid}`;
+
+/**
+ * Path to a record's pendingGeo index entry
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - User ID
+ * @returns {string} pendingGeo/{ownerUid}/{id}
+ */
+const pendingGeoPath = (ownerUid, id) => `pendingGeo/${ownerUid}/${id}`;
+
+/**
+ * pendingGeo index value for a record's geoStatus
+ *
+ * @param {Object} data - Record fields being written (geoStatus, zip, country)
+ * @returns {Object|null} Index entry, or null to remove it
+ */
+const pendingGeoEntry = data =>
+  data.geoStatus === "pending"
+    ? { zip: data.zip, country: data.country || "US", since: storage.serverTimestamp() }
+    : null;
+
+/**
+ * Path to a record's write lock
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - User ID
+ * @returns {string} userLocks/{ownerUid}/{id}
+ */
+const lockPath = (ownerUid, id) => `userLocks/${ownerUid}/${id}`;
+
+/**
+ * Multi-path update values that release records' write locks
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string[]} ids - User IDs
+ * @returns {Object} { "userLocks/{ownerUid}/{id}": null }
+ */
+const lockReleaseValues = (ownerUid, ids) =>
+  Object.fromEntries(ids.map(id => [lockPath(ownerUid, id), null]));
+
+/**
+ * Wait before trying again
+ *
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Claim the write locks of one owner's records
+ * Locks are claimed one transaction each, in ID order. If one is held by another
+ * writer, the ones already claimed are released and the claim is tried again
+ * after a pause, up to LOCK_ATTEMPTS times.
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string[]} ids - User IDs (sorted and distinct)
+ * @returns {Promise<boolean>} Whether every lock was claimed
+ */
+const claimLocks = async (ownerUid, ids) => {
+  for (let attempt = 1; attempt <= LOCK_ATTEMPTS; attempt++) {
+    const claimed = [];
+    for (const id of ids) {
+      const now = Date.now();
+      const { committed } = await storage.transaction(lockPath(ownerUid, id), current =>
+        current && current.until > now ? undefined : { until: now + WRITE_LOCK_MS }
+      );
+      if (!committed) break;
+      claimed.push(id);
+    }
+    if (claimed.length === ids.length) return true;
+
+    if (claimed.length) await storage.update("", lockReleaseValues(ownerUid, claimed));
+    if (attempt < LOCK_ATTEMPTS) await pause(LOCK_RETRY_MS * attempt);
+  }
+  return false;
+};
+
+/**
+ * Make one atomic change to records while holding their write locks
+ * write runs once the locks are held, reads what it needs and returns the
+ * outcome, with the multi-path update values to store in `values` (none when
+ * it decides not to write); the locks are released in the same update.
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string[]} ids - IDs of the records written
+ * @param {Function} write - async () => ({ status, values?, ...outcome })
+ * @returns {Promise<Object>} The outcome without values, or { status: "busy", user: null } if
+ *   another writer kept a lock
  */
+const writeLocked = async (ownerUid, ids, write) => {
+  const lockIds = [...new Set(ids)].sort();
+  if (!(await claimLocks(ownerUid, lockIds))) return { status: "busy", user: null };
 
-const { db, admin } = require("../firebaseConfig");
+  const releaseValues = lockReleaseValues(ownerUid, lockIds);
+  try {
+    const { values, ...result } = await write();
+    await storage.update("", { ...values, ...releaseValues });
+    return result;
+  } catch (error) {
+    // Nothing was written; let the next writer in now rather than when the locks lapse
+    await storage.update("", releaseValues).catch(() => {});
+    throw error;
+  }
+};
 
 /**
- * Get all users from the database
+ * Whether a stored record is still at the version a caller read
  *
+ * @param {Object} stored - Record as stored now
+ * @param {Object} read - Record as the caller read it
+ * @returns {boolean} True if the versions match
+ */
+const isSameVersion = (stored, read) => (stored.version || 0) === (read.version || 0);
+
+/**
+ * Drop fields set to null (how a write clears them)
+ *
+ * @param {Object} user - Record fields
+ * @returns {Object} Fields without the nulls
+ */
+const withoutNulls = user =>
+  Object.fromEntries(Object.entries(user).filter(([, value]) => value !== null));
+
+/**
+ * Get all of an owner's users from the database
+ *
+ * @param {string} ownerUid - Owning account's uid
  * @returns {Promise<Object>} All users as an object with user IDs as keys
  */
-const findAll = async () => {
-  const snapshot = await db.ref("users").once("value");
-  return snapshot.val() || {};
+const findAll = async ownerUid => {
+  return (await storage.get(ownerPath(ownerUid))) || {};
+};
+
+/**
+ * Derive the range on the sort field that the filters allow
+ * Lets RTDB narrow the query instead of filtering everything in memory
+ *
+ * @param {string} sort - Field the query is ordered by
+ * @param {Object} filters - List filters
+ * @returns {{lower: *, upper: *}} Inclusive bounds (undefined when open)
+ */
+const getSortBounds = (sort, filters) => {
+  if (sort === "zip" && filters.zip) {
+    return { lower: filters.zip, upper: filters.zip };
+  }
+  if (sort === "createdAt") {
+    return {
+      lower: filters.createdFrom ? filters.createdFrom.getTime() : undefined,
+      upper: filters.createdTo ? filters.createdTo.getTime() : undefined
+    };
+  }
+  return { lower: undefined, upper: undefined };
+};
+
+/**
+ * Check a user against the list filters
+ *
+ * @param {Object} user - User record
+ * @param {Object} filters - List filters
+ * @returns {boolean} True if the user matches every filter
+ */
+const matchesFilters = (user, filters) => {
+  if (filters.zip && user.zip !== filters.zip) return false;
+  // Records from before the country field are US records
+  if (filters.country && (user.country || "US") !== filters.country) return false;
+  if (filters.timezone && String(user.timezone) !== filters.timezone) return false;
+  if (
+    filters.locationName &&
+    (user.locationName || "").toLowerCase() !== filters.locationName.toLowerCase()
+  ) {
+    return false;
+  }
+  if (filters.createdFrom && !(user.createdAt >= filters.createdFrom.getTime())) return false;
+  if (filters.createdTo && !(user.createdAt <= filters.createdTo.getTime())) return false;
+  return true;
+};
+
+/**
+ * Build an ordered query spec for one batch of users
+ *
+ * @param {Object} options - Query options
+ * @param {string} options.ownerUid - Owning account's uid
+ * @param {string} options.sort - Field to order by
+ * @param {string} options.order - Sort direction ("asc" | "desc")
+ * @param {{lower: *, upper: *}} options.bounds - Inclusive bounds on the sort field
+ * @param {{value: *, key: string}|null} options.after - Position to continue after
+ * @param {number} [options.size] - Batch size (omit to read the whole range)
+ * @returns {{path: string, spec: Object}} Driver query
+ */
+const buildQuery = ({ ownerUid, sort, order, bounds, after, size }) => {
+  const spec = { orderByChild: sort };
+
+  if (order === "asc") {
+    if (after) {
+      spec.startAfter = after;
+    } else if (bounds.lower !== undefined) {
+      spec.startAt = { value: bounds.lower };
+    }
+    if (bounds.upper !== undefined) spec.endAt = { value: bounds.upper };
+    if (size) spec.limitToFirst = size;
+  } else {
+    if (after) {
+      spec.endBefore = after;
+    } else if (bounds.upper !== undefined) {
+      spec.endAt = { value: bounds.upper };
+    }
+    if (bounds.lower !== undefined) spec.startAt = { value: bounds.lower };
+    if (size) spec.limitToLast = size;
+  }
+
+  return { path: ownerPath(ownerUid), spec };
+};
+
+/**
+ * Run a query and return its children as an ordered array
+ *
+ * @param {{path: string, spec: Object}} query - Driver query
+ * @param {string} order - Sort direction ("asc" | "desc")
+ * @returns {Promise<Object[]>} Users in the requested order
+ */
+const runQuery = async ({ path, spec }, order) => {
+  const children = await storage.query(path, spec);
+  const users = children.map(({ key, value }) => ({ ...value, id: key }));
+  return order === "desc" ? users.reverse() : users;
+};
+
+/**
+ * Count the users matching the list filters
+ * Without filters the count comes from the owner's stats counter; with them,
+ * every user in the sort field's range is read, so callers ask for it explicitly
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} options - Sort and filters (see UserListQuerySchema)
+ * @param {string} options.sort - Field used to narrow the range
+ * @returns {Promise<number>} Number of matching users
+ */
+const count = async (ownerUid, { sort, ...filters }) => {
+  if (Object.values(filters).every(value => value === undefined)) {
+    return await statsRepository.getTotal(ownerUid);
+  }
+
+  const bounds = getSortBounds(sort, filters);
+  const users = await runQuery(
+    buildQuery({ ownerUid, sort, order: "asc", bounds, after: null }),
+    "asc"
+  );
+  return users.filter(user => matchesFilters(user, filters)).length;
+};
+
+/**
+ * Get one page of users, ordered and filtered
+ * Pages are read in batches with orderByChild + startAfter/endBefore queries,
+ * so only the requested window is downloaded. Filters that the sort field can't
+ * express as a range are applied per batch.
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} options - List options (see UserListQuerySchema)
+ * @param {number} options.limit - Page size
+ * @param {string} [options.cursor] - Cursor returned by the previous page
+ * @param {string} options.sort - Field to sort by
+ * @param {string} options.order - Sort direction ("asc" | "desc")
+ * @returns {Promise<{items: Object[], nextCursor: string|null}>} Page envelope
+ */
+const findPage = async (ownerUid, { limit, cursor, sort, order, ...filters }) => {
+  let after = null;
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (position.sort !== sort || position.order !== order) {
+      const error = new Error("Cursor does not match the requested sort order");
+      error.statusCode = 400;
+      throw error;
+    }
+    after = { value: position.value, key: position.key };
+  }
+
+  const bounds = getSortBounds(sort, filters);
+  const hasResidualFilters = Object.keys(filters).some(
+    field => filters[field] !== undefined && !(sort === "zip" && field === "zip")
+  );
+  const batchSize = hasResidualFilters ? Math.max(limit * 2, 50) : limit + 1;
+
+  const items = [];
+  let exhausted = false;
+  while (items.length <= limit && !exhausted) {
+    const batch = await runQuery(
+      buildQuery({ ownerUid, sort, order, bounds, after, size: batchSize }),
+      order
+    );
+    exhausted = batch.length < batchSize;
+
+    for (const user of batch) {
+      after = { value: user[sort] ?? null, key: user.id };
+      if (matchesFilters(user, filters)) items.push(user);
+      if (items.length > limit) break;
+    }
+  }
+
+  const page = items.slice(0, limit);
+  const last = page[page.length - 1];
+  const nextCursor =
+    items.length > limit
+      ? encodeCursor({ sort, order, value: last[sort] ?? null, key: last.id })
+      : null;
+
+  return { items: page, nextCursor };
+};
+
+/**
+ * Iterate over every user matching the filters, in sort order
+ * Reads batchSize users per query, so memory use stays flat however many
+ * users the owner has (unlike findAll, which loads them all at once)
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} options - Sort and filters (see UserListQuerySchema)
+ * @param {string} options.sort - Field to sort by
+ * @param {string} options.order - Sort direction ("asc" | "desc")
+ * @param {number} [batchSize=200] - Users read per query
+ * @yields {Object} Users
+ */
+async function* iterate(ownerUid, { sort, order, ...filters }, batchSize = 200) {
+  const bounds = getSortBounds(sort, filters);
+  let after = null;
+  let exhausted = false;
+
+  while (!exhausted) {
+    const batch = await runQuery(
+      buildQuery({ ownerUid, sort, order, bounds, after, size: batchSize }),
+      order
+    );
+    exhausted = batch.length < batchSize;
+
+    for (const user of batch) {
+      after = { value: user[sort] ?? null, key: user.id };
+      if (matchesFilters(user, filters)) yield user;
+    }
+  }
+}
+
+/**
+ * Get an owner's most recently created users
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {number} limit - Most users to return
+ * @returns {Promise<Object[]>} Users, newest first
+ */
+const findRecent = async (ownerUid, limit) => {
+  if (limit === 0) return [];
+  return await runQuery(
+    buildQuery({
+      ownerUid,
+      sort: "createdAt",
+      order: "desc",
+      bounds: getSortBounds("createdAt", {}),
+      after: null,
+      size: limit
+    }),
+    "desc"
+  );
+};
+
+/**
+ * Find an owner's users in a postal code's area (see getMatchCode)
+ * Reads the zip range starting with the area's match code, e.g. "10001" to
+ * "10001\uf8ff" for 10001 and every ZIP+4 under it
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} zip - Postal code (canonical form)
+ * @param {string} country - Country code
+ * @returns {Promise<Object[]>} Users in that country whose postal code shares the match code
+ */
+const findByPostalArea = async (ownerUid, zip, country) => {
+  const area = getMatchCode(country, zip);
+  const users = await runQuery(
+    buildQuery({
+      ownerUid,
+      sort: "zip",
+      order: "asc",
+      // Sorts after every postal code character: all codes starting with area
+      bounds: { lower: area, upper: `${area}\uf8ff` },
+      after: null
+    }),
+    "asc"
+  );
+  return users.filter(
+    user => (user.country || "US") === country && getMatchCode(country, String(user.zip)) === area
+  );
 };
 
 /**
  * Find a user by ID
  *
+ * @param {string} ownerUid - Owning account's uid
  * @param {string} id - User ID
  * @returns {Promise<Object|null>} User object or null if not found
  */
-const findById = async id => {
-  const snapshot = await db.ref("users").child(id).once("value");
-  return snapshot.val();
+const findById = async (ownerUid, id) => {
+  return await storage.get(`${ownerPath(ownerUid)}/${id}`);
+};
+
+/**
+ * Find several users by ID in one storage read
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string[]} ids - User IDs
+ * @returns {Promise<Array<Object|null>>} Users (null if not found), in the order of ids
+ */
+const findByIds = async (ownerUid, ids) => {
+  return await storage.getMany(ids.map(id => `${ownerPath(ownerUid)}/${id}`));
 };
 
 /**
  * Check if a user exists
  *
+ * @param {string} ownerUid - Owning account's uid
  * @param {string} id - User ID
  * @returns {Promise<boolean>} True if user exists, false otherwise
  */
-const exists = async id => {
-  const snapshot = await db.ref(`users/${id}`).once("value");
-  return snapshot.exists();
+const exists = async (ownerUid, id) => {
+  return await storage.exists(`${ownerPath(ownerUid)}/${id}`);
 };
 
 /**
  * Create a new user
  *
+ * @param {string} ownerUid - Owning account's uid
  * @param {Object} userData - User data to create
+ * @param {Object} [history] - History entry to append
  * @returns {Promise<Object>} Created user object with ID
  */
-const create = async userData => {
-  const newUserRef = db.ref("users").push();
+const create = async (ownerUid, userData, history) => {
+  const id = storage.pushKey(ownerPath(ownerUid));
   const userWithId = {
     ...userData,
-    id: newUserRef.key,
-    createdAt: admin.database.ServerValue.TIMESTAMP
+    id,
+    ownerUid,
+    version: 1,
+    createdAt: storage.serverTimestamp()
   };
 
-  await newUserRef.set(userWithId);
-  return userWithId;
+  await storage.update("", {
+    [`${ownerPath(ownerUid)}/${id}`]: userWithId,
+    [pendingGeoPath(ownerUid, id)]: pendingGeoEntry(userData),
+    ...searchIndexRepository.indexValues(ownerUid, id, null, userData),
+    ...geoIndexRepository.indexValues(ownerUid, id, userData),
+    ...statsRepository.statsValues(ownerUid, null, userWithId),
+    ...(history && historyRepository.entryValues(ownerUid, id, history))
+  });
+
+  // Read back so createdAt holds the resolved server timestamp
+  return await findById(ownerUid, id);
 };
 
 /**
- * Update an existing user
+ * Update an existing user, incrementing its version
+ * With expectedVersion the write only happens if nobody else has written the
+ * record since that version was read.
  *
+ * @param {string} ownerUid - Owning account's uid
  * @param {string} id - User ID
- * @param {Object} updates - Fields to update
- * @returns {Promise<Object>} Updated user object
+ * @param {Object} updates - Fields to update (null clears a field)
+ * @param {Object} [options]
+ * @param {number} [options.expectedVersion] - Version the updates were based on
+ * @param {Object} [options.history] - History entry to append
+ * @returns {Promise<{status: "updated"|"not-found"|"conflict"|"busy", user: Object|null}>}
+ *   Outcome with the stored record (the updated one, or the conflicting one)
  */
-const update = async (id, updates) => {
-  const userRef = db.ref(`users/${id}`);
-  await userRef.update(updates);
-  return { id, ...updates };
+const update = async (ownerUid, id, updates, { expectedVersion, history } = {}) => {
+  return await writeLocked(ownerUid, [id], async () => {
+    const before = await findById(ownerUid, id);
+    if (!before) return { status: "not-found", user: null };
+    if (expectedVersion !== undefined && (before.version || 0) !== expectedVersion) {
+      return { status: "conflict", user: before };
+    }
+
+    const user = withoutNulls({ ...before, ...updates, version: (before.version || 0) + 1 });
+    const values = {
+      [`${ownerPath(ownerUid)}/${id}`]: user,
+      ...searchIndexRepository.indexValues(ownerUid, id, before, user),
+      ...statsRepository.statsValues(ownerUid, before, user)
+    };
+    // Keep the pendingGeo index in step whenever the geolocation status changes
+    if ("geoStatus" in updates) {
+      values[pendingGeoPath(ownerUid, id)] = pendingGeoEntry(updates);
+    }
+    if ("latitude" in updates || "longitude" in updates) {
+      Object.assign(values, geoIndexRepository.indexValues(ownerUid, id, user));
+    }
+    if (history) Object.assign(values, historyRepository.entryValues(ownerUid, id, history));
+
+    return { status: "updated", user, values };
+  });
 };
 
 /**
- * Delete a user
+ * Move a user to the trash
  *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} user - Record as the caller read it
+ * @param {string} deletedBy - uid of the account deleting it
+ * @param {Object} [history] - History entry to append
+ * @returns {Promise<{status: "trashed"|"not-found"|"conflict"|"busy", user: Object|null}>}
+ *   Outcome with the stored record
+ */
+const moveToTrash = async (ownerUid, user, deletedBy, history) => {
+  return await writeLocked(ownerUid, [user.id], async () => {
+    const current = await findById(ownerUid, user.id);
+    if (!current) return { status: "not-found", user: null };
+    if (!isSameVersion(current, user)) return { status: "conflict", user: current };
+
+    const values = {
+      [`${ownerPath(ownerUid)}/${user.id}`]: null,
+      [pendingGeoPath(ownerUid, user.id)]: null,
+      ...searchIndexRepository.indexValues(ownerUid, user.id, current, null),
+      ...geoIndexRepository.indexValues(ownerUid, user.id, null),
+      ...statsRepository.statsValues(ownerUid, current, null),
+      [`${trashPath(ownerUid)}/${user.id}`]: {
+        ...current,
+        id: user.id,
+        deletedAt: storage.serverTimestamp(),
+        deletedBy
+      },
+      ...(history && historyRepository.entryValues(ownerUid, user.id, history))
+    };
+    return { status: "trashed", user: current, values };
+  });
+};
+
+/**
+ * Fold a duplicate into a surviving record
+ * The duplicate is deleted and its history entries are copied into the
+ * survivor's history; its own history stays, ending with the merge entry.
+ * The survivor's fields are left as they are. Both records must still be at
+ * the versions the caller read.
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} survivor - Record that is kept
+ * @param {Object} duplicate - Record that is folded in
+ * @param {Object} history
+ * @param {Object} history.entries - The duplicate's stored history entries by key
+ * @param {Object} history.survivorEntry - Merge entry for the survivor
+ * @param {Object} history.duplicateEntry - Merge entry for the duplicate
+ * @returns {Promise<{status: "merged"|"not-found"|"conflict"|"busy"}>} Outcome
+ */
+const merge = async (ownerUid, survivor, duplicate, { entries, survivorEntry, duplicateEntry }) => {
+  return await writeLocked(ownerUid, [survivor.id, duplicate.id], async () => {
+    const [currentSurvivor, currentDuplicate] = await Promise.all([
+      findById(ownerUid, survivor.id),
+      findById(ownerUid, duplicate.id)
+    ]);
+    if (!currentSurvivor || !currentDuplicate) return { status: "not-found" };
+    if (!isSameVersion(currentSurvivor, survivor) || !isSameVersion(currentDuplicate, duplicate)) {
+      return { status: "conflict" };
+    }
+
+    const values = {
+      [`${ownerPath(ownerUid)}/${duplicate.id}`]: null,
+      [pendingGeoPath(ownerUid, duplicate.id)]: null,
+      ...searchIndexRepository.indexValues(ownerUid, duplicate.id, currentDuplicate, null),
+      ...geoIndexRepository.indexValues(ownerUid, duplicate.id, null),
+      ...statsRepository.statsValues(ownerUid, currentDuplicate, null),
+      ...historyRepository.mergedEntryValues(ownerUid, survivor.id, entries, duplicate.id),
+      ...historyRepository.entryValues(ownerUid, survivor.id, survivorEntry),
+      ...historyRepository.entryValues(ownerUid, duplicate.id, duplicateEntry)
+    };
+    return { status: "merged", values };
+  });
+};
+
+/**
+ * Find a deleted user
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - User ID
+ * @returns {Promise<Object|null>} Trashed record (with deletedAt, deletedBy) or null
+ */
+const findInTrash = async (ownerUid, id) => {
+  return await storage.get(`${trashPath(ownerUid)}/${id}`);
+};
+
+/**
+ * Get one page of an owner's trash, most recently deleted first
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} options - Page options (see TrashQuerySchema)
+ * @param {number} options.limit - Page size
+ * @param {string} [options.cursor] - Cursor returned by the previous page
+ * @returns {Promise<{items: Object[], nextCursor: string|null}>} Page envelope
+ * @throws {Error} 400 error if the cursor was not issued for a trash page
+ */
+const findTrashPage = async (ownerUid, { limit, cursor }) => {
+  const spec = { orderByChild: "deletedAt", limitToLast: limit + 1 };
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (position.sort !== "deletedAt") {
+      const error = new Error("Cursor does not belong to a trash page");
+      error.statusCode = 400;
+      throw error;
+    }
+    spec.endBefore = { value: position.value, key: position.key };
+  }
+
+  const users = await runQuery({ path: trashPath(ownerUid), spec }, "desc");
+  const items = users.slice(0, limit);
+  const last = items[items.length - 1];
+  const nextCursor =
+    users.length > limit
+      ? encodeCursor({ sort: "deletedAt", order: "desc", value: last.deletedAt, key: last.id })
+      : null;
+
+  return { items, nextCursor };
+};
+
+/**
+ * Move a user back out of the trash
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} user - Trashed record as the caller read it
+ * @param {Object} [history] - History entry to append
+ * @returns {Promise<{status: "restored"|"not-found"|"conflict"|"busy", user: Object|null}>}
+ *   Outcome with the restored record
+ */
+const restore = async (ownerUid, user, history) => {
+  return await writeLocked(ownerUid, [user.id], async () => {
+    const trashed = await findInTrash(ownerUid, user.id);
+    if (!trashed) return { status: "not-found", user: null };
+    if (!isSameVersion(trashed, user)) return { status: "conflict", user: null };
+
+    const restored = { ...trashed, id: user.id, version: (trashed.version || 0) + 1 };
+    delete restored.deletedAt;
+    delete restored.deletedBy;
+
+    const values = {
+      [`${trashPath(ownerUid)}/${user.id}`]: null,
+      [`${ownerPath(ownerUid)}/${user.id}`]: restored,
+      [pendingGeoPath(ownerUid, user.id)]: pendingGeoEntry(restored),
+      ...searchIndexRepository.indexValues(ownerUid, user.id, null, restored),
+      ...geoIndexRepository.indexValues(ownerUid, user.id, restored),
+      ...statsRepository.statsValues(ownerUid, null, restored),
+      ...(history && historyRepository.entryValues(ownerUid, user.id, history))
+    };
+    return { status: "restored", user: restored, values };
+  });
+};
+
+/**
+ * Permanently delete a trashed user
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} user - Trashed record as the caller read it
+ * @param {Object} [history] - History entry to append
+ * @returns {Promise<{status: "purged"|"not-found"|"conflict"|"busy"}>} Outcome
+ */
+const purge = async (ownerUid, user, history) => {
+  return await writeLocked(ownerUid, [user.id], async () => {
+    const trashed = await findInTrash(ownerUid, user.id);
+    if (!trashed) return { status: "not-found" };
+    // Restored and deleted again since: the new deletion starts its own retention window
+    if (!isSameVersion(trashed, user) || trashed.deletedAt !== user.deletedAt) {
+      return { status: "conflict" };
+    }
+
+    const values = {
+      [`${trashPath(ownerUid)}/${user.id}`]: null,
+      ...(history && historyRepository.entryValues(ownerUid, user.id, history))
+    };
+    return { status: "purged", values };
+  });
+};
+
+/**
+ * List every owner's trashed records deleted at or before a cutoff
+ *
+ * @param {number} cutoff - Epoch milliseconds
+ * @returns {Promise<Array<{ownerUid: string, user: Object}>>} Expired records
+ */
+const findExpiredTrash = async cutoff => {
+  const owners = (await storage.get("trash")) || {};
+  const expired = [];
+  for (const [ownerUid, users] of Object.entries(owners)) {
+    for (const user of Object.values(users)) {
+      if (user.deletedAt <= cutoff) expired.push({ ownerUid, user });
+    }
+  }
+  return expired;
+};
+
+/**
+ * List records waiting for geolocation, oldest first
+ *
+ * @param {number} limit - Maximum entries to return
+ * @returns {Promise<Array<{ownerUid: string, id: string, zip: string, country: string, since: number}>>} Entries
+ */
+const findPendingGeo = async limit => {
+  const index = (await storage.get("pendingGeo")) || {};
+  const entries = [];
+  for (const [ownerUid, records] of Object.entries(index)) {
+    for (const [id, entry] of Object.entries(records)) {
+      entries.push({
+        ownerUid,
+        id,
+        zip: entry.zip,
+        country: entry.country || "US",
+        since: entry.since
+      });
+    }
+  }
+  return entries.sort((a, b) => a.since - b.since).slice(0, limit);
+};
+
+/**
+ * Drop a record's pendingGeo index entry
+ *
+ * @param {string} ownerUid - Owning account's uid
  * @param {string} id - User ID
  * @returns {Promise<void>}
  */
-const remove = async id => {
-  await db.ref(`users/${id}`).remove();
+const clearPendingGeo = async (ownerUid, id) => {
+  await storage.remove(pendingGeoPath(ownerUid, id));
+};
+
+/**
+ * Get every owner's records (for rebuilding the search and geo indexes and the stats)
+ *
+ * @returns {Promise<Object>} { ownerUid: { id: user } }
+ */
+const findAllByOwner = async () => {
+  return (await storage.get("users")) || {};
+};
+
+/**
+ * List every owner's records whose timezone is not an IANA name yet
+ * (records saved before timezones were resolved from coordinates hold a UTC offset)
+ *
+ * @returns {Promise<Array<{ownerUid: string, id: string, latitude: number, longitude: number,
+ *   timezone: number, version: number}>>} Records
+ */
+const findLegacyTimeZones = async () => {
+  const owners = (await storage.get("users")) || {};
+  const records = [];
+  for (const [ownerUid, users] of Object.entries(owners)) {
+    for (const [id, user] of Object.entries(users)) {
+      if (typeof user.timezone === "number") {
+        records.push({
+          ownerUid,
+          id,
+          latitude: user.latitude,
+          longitude: user.longitude,
+          timezone: user.timezone,
+          version: user.version || 0
+        });
+      }
+    }
+  }
+  return records;
 };
 
 module.exports = {
   findAll,
+  findAllByOwner,
+  findPage,
+  count,
+  iterate,
+  findRecent,
+  findByPostalArea,
   findById,
+  findByIds,
   exists,
   create,
   update,
-  remove
+  merge,
+  moveToTrash,
+  findInTrash,
+  findTrashPage,
+  restore,
+  purge,
+  findExpiredTrash,
+  findPendingGeo,
+  clearPendingGeo,
+  findLegacyTimeZones
 };
@@ -0,0 +1,426 @@
+/**
+ * Webhook Repository
+ *
+ * Stores webhook subscriptions and their deliveries:
+ *
+ *   webhooks/{ownerUid}/{webhookId}                       subscription
+ *   webhookDeliveries/{ownerUid}/{webhookId}/{deliveryId} delivery log
+ *   webhookQueue/{deliveryId}                             deliveries waiting for an attempt
+ *   webhookDeadLetters/{ownerUid}/{deliveryId}            deliveries that ran out of attempts
+ *
+ * Subscription shape: { url, events, description?, active, secret, createdAt, updatedAt }
+ * Delivery shape: { webhookId, event, eventId, payload, status, attempts, nextAttemptAt?,
+ *                   lastAttempt?: { at, statusCode, error, durationMs }, createdAt,
+ *                   deliveredAt?, deadAt? }
+ * Queue entry shape: { ownerUid, webhookId, nextAttemptAt }
+ *
+ * payload is the JSON request body as a string, so every attempt sends the same
+ * bytes (and RTDB cannot drop its null fields). Delivery keys are push keys, so
+ * key order is the order events happened in. A delivery's log entry, queue
+ * entry and dead letter always change in one multi-path update.
+ */
+
+const storage = require("./drivers");
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+
+/**
+ * Path to an owner's subscriptions
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @returns {string} webhooks/{ownerUid}
+ */
+const webhooksPath = ownerUid => `webhooks/${ownerUid}`;
+
+/**
+ * Path to a subscription's delivery log
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} webhookId - Subscription ID
+ * @returns {string} webhookDeliveries/{ownerUid}/{webhookId}
+ */
+const deliveriesPath = (ownerUid, webhookId) => `webhookDeliveries/${ownerUid}/${webhookId}`;
+
+/**
+ * Path to an owner's dead letters
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @returns {string} webhookDeadLetters/{ownerUid}
+ */
+const deadLettersPath = ownerUid => `webhookDeadLetters/${ownerUid}`;
+
+/**
+ * Path to a delivery's queue entry
+ *
+ * @param {string} deliveryId - Delivery ID
+ * @returns {string} webhookQueue/{deliveryId}
+ */
+const queuePath = deliveryId => `webhookQueue/${deliveryId}`;
+
+/**
+ * Format a stored subscription for callers
+ *
+ * @param {string} id - Subscription ID
+ * @param {Object} webhook - Stored subscription
+ * @returns {Object} Subscription with its ID and events as an array (storage may hand
+ *   arrays back as objects keyed by index)
+ */
+const toWebhook = (id, webhook) => ({ id, ...webhook, events: Object.values(webhook.events) });
+
+/**
+ * Format a stored delivery for callers
+ *
+ * @param {string} id - Delivery ID
+ * @param {Object} delivery - Stored delivery
+ * @returns {Object} Delivery with its ID and explicit nulls (payload stays the stored string)
+ */
+const toDelivery = (id, delivery) => ({
+  id,
+  ...delivery,
+  nextAttemptAt: delivery.nextAttemptAt ?? null,
+  lastAttempt: delivery.lastAttempt
+    ? { statusCode: null, error: null, ...delivery.lastAttempt }
+    : null,
+  deliveredAt: delivery.deliveredAt ?? null,
+  deadAt: delivery.deadAt ?? null
+});
+
+/**
+ * Page query spec for newest-first pages keyed by push keys
+ *
+ * @param {string} sort - Cursor sort name the pages are issued with
+ * @param {Object} options - Page options (see DeliveryQuerySchema)
+ * @returns {Object} Query spec
+ * @throws {Error} 400 error if the cursor was issued for another kind of page
+ */
+const pageSpec = (sort, { limit, cursor }) => {
+  const spec = { limitToLast: limit + 1 };
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (position.sort !== sort) {
+      const error = new Error(`Cursor does not belong to a ${sort} page`);
+      error.statusCode = 400;
+      throw error;
+    }
+    spec.endBefore = { value: position.key };
+  }
+  return spec;
+};
+
+/**
+ * Cut newest-first query results into a page envelope
+ *
+ * @param {string} sort - Cursor sort name
+ * @param {Object[]} items - Up to limit + 1 items with an `id`, newest first
+ * @param {number} limit - Page size
+ * @returns {{items: Object[], nextCursor: string|null}} Page envelope
+ */
+const toPage = (sort, items, limit) => ({
+  items: items.slice(0, limit),
+  nextCursor:
+    items.length > limit
+      ? encodeCursor({ sort, order: "desc", value: null, key: items[limit - 1].id })
+      : null
+});
+
+/**
+ * Create a subscription
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} data - { url, events, description?, active, secret }
+ * @returns {Promise<Object>} Stored subscription with its ID
+ */
+const create = async (ownerUid, data) => {
+  const id = storage.pushKey(webhooksPath(ownerUid));
+  await storage.set(`${webhooksPath(ownerUid)}/${id}`, {
+    ...data,
+    createdAt: storage.serverTimestamp(),
+    updatedAt: storage.serverTimestamp()
+  });
+  return await findById(ownerUid, id);
+};
+
+/**
+ * Get one subscription
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - Subscription ID
+ * @returns {Promise<Object|null>} Subscription with its ID, or null if not found
+ */
+const findById = async (ownerUid, id) => {
+  const webhook = await storage.get(`${webhooksPath(ownerUid)}/${id}`);
+  return webhook ? toWebhook(id, webhook) : null;
+};
+
+/**
+ * Get every subscription of an owner, oldest first
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @returns {Promise<Object[]>} Subscriptions with their IDs
+ */
+const findAll = async ownerUid => {
+  const webhooks = (await storage.get(webhooksPath(ownerUid))) || {};
+  return Object.entries(webhooks).map(([id, webhook]) => toWebhook(id, webhook));
+};
+
+/**
+ * Change a subscription
+ * Runs in a transaction, so a subscription deleted meanwhile is not brought back
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - Subscription ID
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object|null>} Updated subscription, or null if not found
+ */
+const update = async (ownerUid, id, updates) => {
+  const { committed, value } = await storage.transaction(
+    `${webhooksPath(ownerUid)}/${id}`,
+    current => {
+      // RTDB may run this first with null before it has read the subscription; writing
+      // null back is a no-op that makes it retry with the stored value
+      if (current === null) return null;
+      return { ...current, ...updates, updatedAt: Date.now() };
+    }
+  );
+  return committed && value !== null ? toWebhook(id, value) : null;
+};
+
+/**
+ * Delete a subscription together with its delivery log, queued deliveries and
+ * dead letters
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - Subscription ID
+ * @returns {Promise<void>}
+ */
+const remove = async (ownerUid, id) => {
+  const [deliveries, deadLetters] = await Promise.all([
+    storage.get(deliveriesPath(ownerUid, id)),
+    storage.get(deadLettersPath(ownerUid))
+  ]);
+
+  const values = {
+    [`${webhooksPath(ownerUid)}/${id}`]: null,
+    [deliveriesPath(ownerUid, id)]: null
+  };
+  for (const [deliveryId, delivery] of Object.entries(deliveries || {})) {
+    if (delivery.status === "pending") values[queuePath(deliveryId)] = null;
+  }
+  for (const [deliveryId, deadLetter] of Object.entries(deadLetters || {})) {
+    if (deadLetter.webhookId === id) values[`${deadLettersPath(ownerUid)}/${deliveryId}`] = null;
+  }
+  await storage.update("", values);
+};
+
+/**
+ * Log and queue deliveries of one event
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Array<{webhookId: string, event: string, eventId: string, payload: string}>} deliveries -
+ *   One per subscription
+ * @param {number} now - Current time (epoch ms); the first attempt is due straight away
+ * @returns {Promise<string[]>} Delivery IDs
+ */
+const enqueue = async (ownerUid, deliveries, now) => {
+  const values = {};
+  const ids = deliveries.map(({ webhookId, event, eventId, payload }) => {
+    const id = storage.pushKey("webhookQueue");
+    values[`${deliveriesPath(ownerUid, webhookId)}/${id}`] = {
+      webhookId,
+      event,
+      eventId,
+      payload,
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: now,
+      createdAt: now
+    };
+    values[queuePath(id)] = { ownerUid, webhookId, nextAttemptAt: now };
+    return id;
+  });
+
+  if (ids.length) await storage.update("", values);
+  return ids;
+};
+
+/**
+ * Get the queued deliveries that are due, longest waiting first
+ *
+ * @param {number} now - Current time (epoch ms)
+ * @param {number} limit - Most entries to return
+ * @returns {Promise<Array<{id: string, ownerUid: string, webhookId: string, nextAttemptAt: number}>>}
+ *   Queue entries
+ */
+const findDue = async (now, limit) => {
+  const children = await storage.query("webhookQueue", {
+    orderByChild: "nextAttemptAt",
+    endAt: { value: now },
+    limitToFirst: limit
+  });
+  return children.map(({ key, value }) => ({ id: key, ...value }));
+};
+
+/**
+ * Claim a due delivery for one attempt
+ * Runs in a transaction, so of two dispatchers only one gets to send it; the
+ * claim pushes the entry back by leaseMs, so a dispatcher that dies mid-attempt
+ * only delays the delivery
+ *
+ * @param {string} id - Delivery ID
+ * @param {number} now - Current time (epoch ms)
+ * @param {number} leaseMs - How long the claim holds
+ * @returns {Promise<boolean>} Whether the delivery was claimed
+ */
+const claim = async (id, now, leaseMs) => {
+  const { committed, value } = await storage.transaction(queuePath(id), current => {
+    if (current === null) return null;
+    if (current.nextAttemptAt > now) return undefined;
+    return { ...current, nextAttemptAt: now + leaseMs };
+  });
+  return committed && value !== null;
+};
+
+/**
+ * Drop a queue entry whose subscription or delivery is gone
+ *
+ * @param {string} id - Delivery ID
+ * @returns {Promise<void>}
+ */
+const dropQueued = async id => {
+  await storage.remove(queuePath(id));
+};
+
+/**
+ * Get one delivery
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} webhookId - Subscription ID
+ * @param {string} id - Delivery ID
+ * @returns {Promise<Object|null>} Delivery, or null if not found
+ */
+const findDelivery = async (ownerUid, webhookId, id) => {
+  const delivery = await storage.get(`${deliveriesPath(ownerUid, webhookId)}/${id}`);
+  return delivery ? toDelivery(id, delivery) : null;
+};
+
+/**
+ * Record the outcome of an attempt
+ * A pending delivery stays queued for nextAttemptAt; a delivered one leaves the
+ * queue; a dead one leaves the queue for the dead-letter list
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} webhookId - Subscription ID
+ * @param {string} id - Delivery ID
+ * @param {Object} outcome
+ * @param {string} outcome.status - "pending" | "delivered" | "dead"
+ * @param {number} outcome.attempts - Attempts made so far
+ * @param {Object} outcome.lastAttempt - { at, statusCode, error, durationMs }
+ * @param {number} [outcome.nextAttemptAt] - When to retry (pending only)
+ * @returns {Promise<void>}
+ */
+const saveAttempt = async (ownerUid, webhookId, id, outcome) => {
+  const { status, attempts, lastAttempt, nextAttemptAt = null } = outcome;
+  const path = `${deliveriesPath(ownerUid, webhookId)}/${id}`;
+
+  await storage.update("", {
+    [`${path}/status`]: status,
+    [`${path}/attempts`]: attempts,
+    [`${path}/lastAttempt`]: lastAttempt,
+    [`${path}/nextAttemptAt`]: nextAttemptAt,
+    ...(status === "delivered" && { [`${path}/deliveredAt`]: lastAttempt.at }),
+    ...(status === "dead" && {
+      [`${path}/deadAt`]: lastAttempt.at,
+      [`${deadLettersPath(ownerUid)}/${id}`]: { webhookId, deadAt: lastAttempt.at }
+    }),
+    [queuePath(id)]: status === "pending" ? { ownerUid, webhookId, nextAttemptAt } : null
+  });
+};
+
+/**
+ * Get one page of a subscription's delivery log, newest first
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} webhookId - Subscription ID
+ * @param {Object} options - Page options (see DeliveryQuerySchema)
+ * @returns {Promise<{items: Object[], nextCursor: string|null}>} Page envelope
+ * @throws {Error} 400 error if the cursor was not issued for a delivery page
+ */
+const findDeliveryPage = async (ownerUid, webhookId, options) => {
+  const children = await storage.query(
+    deliveriesPath(ownerUid, webhookId),
+    pageSpec("deliveries", options)
+  );
+  const deliveries = children.map(({ key, value }) => toDelivery(key, value)).reverse();
+  return toPage("deliveries", deliveries, options.limit);
+};
+
+/**
+ * Get one page of an owner's dead letters, newest delivery first
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} options - Page options (see DeliveryQuerySchema)
+ * @returns {Promise<{items: Object[], nextCursor: string|null}>} Page envelope of deliveries
+ * @throws {Error} 400 error if the cursor was not issued for a dead-letter page
+ */
+const findDeadLetterPage = async (ownerUid, options) => {
+  const children = await storage.query(
+    deadLettersPath(ownerUid),
+    pageSpec("dead-letters", options)
+  );
+  const deliveries = await Promise.all(
+    children.map(({ key, value }) => findDelivery(ownerUid, value.webhookId, key))
+  );
+  // Letters whose subscription was deleted meanwhile have no delivery left
+  const letters = deliveries.filter(Boolean).reverse();
+  return toPage("dead-letters", letters, options.limit);
+};
+
+/**
+ * Get the subscription a dead letter belongs to
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - Delivery ID
+ * @returns {Promise<string|null>} Subscription ID, or null if there is no such dead letter
+ */
+const findDeadLetterWebhookId = async (ownerUid, id) => {
+  const deadLetter = await storage.get(`${deadLettersPath(ownerUid)}/${id}`);
+  return deadLetter ? deadLetter.webhookId : null;
+};
+
+/**
+ * Take a delivery off the dead-letter list and queue it for a fresh round of attempts
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} webhookId - Subscription ID
+ * @param {string} id - Delivery ID
+ * @param {number} now - Current time (epoch ms); the next attempt is due straight away
+ * @returns {Promise<void>}
+ */
+const requeue = async (ownerUid, webhookId, id, now) => {
+  const path = `${deliveriesPath(ownerUid, webhookId)}/${id}`;
+  await storage.update("", {
+    [`${path}/status`]: "pending",
+    [`${path}/attempts`]: 0,
+    [`${path}/nextAttemptAt`]: now,
+    [`${path}/deadAt`]: null,
+    [`${deadLettersPath(ownerUid)}/${id}`]: null,
+    [queuePath(id)]: { ownerUid, webhookId, nextAttemptAt: now }
+  });
+};
+
+module.exports = {
+  create,
+  findById,
+  findAll,
+  update,
+  remove,
+  enqueue,
+  findDue,
+  claim,
+  dropQueued,
+  findDelivery,
+  saveAttempt,
+  findDeliveryPage,
+  findDeadLetterPage,
+  findDeadLetterWebhookId,
+  requeue
+};
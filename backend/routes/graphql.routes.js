@@ -0,0 +1,24 @@
+/**
+ * GraphQL Routes
+ *
+ * Defines the GraphQL endpoint over the user service
+ */
+
+const express = require("express");
+const graphqlController = require("../controllers/graphql.controller");
+const { authenticate, requireRole } = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+// Same access as /users: every operation runs as the landlord (or admin) behind the token
+router.use(authenticate, requireRole("landlord", "admin"));
+
+/**
+ * @route   POST /graphql
+ * @desc    Run a query, mutation or subscription ({ query, variables?, operationName? });
+ *          subscriptions are streamed as Server-Sent Events (Accept: text/event-stream)
+ * @access  Private (landlord, admin)
+ */
+router.post("/", graphqlController.executeGraphQL);
+
+module.exports = router;
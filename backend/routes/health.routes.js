@@ -5,9 +5,10 @@
  */
 
 const express = require("express");
-const weatherBreaker = require("../services/weatherCircuitBreaker");
-const { db } = require("../firebaseConfig");
+const { breakers } = require("../services/weatherCircuitBreaker");
+const storage = require("../repositories/drivers");
 const { getMetrics } = require("../middleware/telemetry.middleware");
+const { authenticate, requireRole } = require("../middleware/auth.middleware");
 const asyncHandler = require("../utils/asyncHandler");
 
 const router = express.Router();
@@ -24,6 +25,7 @@ router.get(
       status: "healthy",
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
+      storage: storage.name,
       checks: {
         backend: true,
         database: false,
@@ -32,13 +34,11 @@ router.get(
     };
 
     try {
-      // Check Firebase connection
-      const dbRef = db.ref(".info/connected");
-      const snapshot = await dbRef.once("value");
-      health.checks.database = snapshot.val() === true;
+      // Check storage connection (Firebase, or always up for memory/file drivers)
+      health.checks.database = await storage.isConnected();
 
-      // Check Circuit Breaker status (if open, weather API is down)
-      health.checks.weatherAPI = !weatherBreaker.opened;
+      // Check Circuit Breaker status (if any is open, weather API is down)
+      health.checks.weatherAPI = breakers.every(breaker => !breaker.opened);
 
       // Overall health is healthy only if all checks pass
       if (!health.checks.database || !health.checks.weatherAPI) {
@@ -57,8 +57,8 @@ router.get(
 /**
  * @route   GET /metrics
  * @desc    Metrics endpoint (Prometheus-style exposition)
- * @access  Public
+ * @access  Private (admin)
  */
-router.get("/metrics", getMetrics);
+router.get("/metrics", authenticate, requireRole("admin"), getMetrics);
 
 module.exports = router;
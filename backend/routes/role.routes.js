@@ -0,0 +1,36 @@
+/**
+ * Role Routes
+ *
+ * Defines admin-only routes for granting and revoking roles
+ */
+
+const express = require("express");
+const roleController = require("../controllers/role.controller");
+const { authenticate, requireRole } = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+router.use(authenticate, requireRole("admin"));
+
+/**
+ * @route   GET /roles/:uid
+ * @desc    Get an account's role
+ * @access  Private (admin)
+ */
+router.get("/:uid", roleController.getRole);
+
+/**
+ * @route   PUT /roles/:uid
+ * @desc    Grant a role (landlord | tenant | admin)
+ * @access  Private (admin)
+ */
+router.put("/:uid", roleController.grantRole);
+
+/**
+ * @route   DELETE /roles/:uid
+ * @desc    Revoke an account's role claim
+ * @access  Private (admin)
+ */
+router.delete("/:uid", roleController.revokeRole);
+
+module.exports = router;
@@ -6,42 +6,175 @@
 
 const express = require("express");
 const userController = require("../controllers/user.controller");
+const {
+  UserListQuerySchema,
+  TrashQuerySchema,
+  ImportQuerySchema,
+  ExportQuerySchema,
+  CreateUserQuerySchema,
+  UserSearchQuerySchema,
+  UserNearQuerySchema,
+  UserStatsQuerySchema
+} = require("../models/user.model");
+const { ForecastQuerySchema, WeatherQuerySchema } = require("../models/weather.model");
+const { HistoryQuerySchema } = require("../models/history.model");
+const { validateQuery } = require("../middleware/validation.middleware");
+const { idempotent } = require("../middleware/idempotency.middleware");
+const { authenticate, requireRole } = require("../middleware/auth.middleware");
 
 const router = express.Router();
 
+// Every /users route requires a verified Firebase ID token from a landlord or admin
+router.use(authenticate, requireRole("landlord", "admin"));
+
 /**
  * @route   GET /users
- * @desc    Get all users
- * @access  Public
+ * @desc    List users (cursor pagination, sorting and filtering)
+ * @query   limit, cursor, sort (name|zip|createdAt), order (asc|desc),
+ *          zip, country, timezone, locationName, createdFrom, createdTo
+ * @access  Private (landlord, admin)
+ */
+router.get("/", validateQuery(UserListQuerySchema), userController.listUsers);
+
+/**
+ * @route   GET /users/search
+ * @desc    Fuzzy search over name, postal code, location and notes, ranked, with the
+ *          matched spans per field (registered before /:id)
+ * @query   q (2-100 characters), limit (1-50, default 20)
+ * @access  Private (landlord, admin)
+ */
+router.get("/search", validateQuery(UserSearchQuerySchema), userController.searchUsers);
+
+/**
+ * @route   GET /users/near
+ * @desc    Users within a radius of a postal code or coordinate, nearest first, with their
+ *          distance (registered before /:id)
+ * @query   zip (+ country) or lat and lon, radius (default 10, max 500), unit (mi|km),
+ *          limit (1-100, default 50)
+ * @access  Private (landlord, admin)
+ */
+router.get("/near", validateQuery(UserNearQuerySchema), userController.findUsersNear);
+
+/**
+ * @route   GET /users/stats
+ * @desc    Counts per postal code, timezone and location, signups per day, week or month,
+ *          and the most recent users, from counters kept on write (registered before /:id)
+ * @query   groupBy (day|week|month), from, to (YYYY-MM-DD, UTC), top (1-100, default 10),
+ *          recent (0-20, default 5)
+ * @access  Private (landlord, admin)
+ */
+router.get("/stats", validateQuery(UserStatsQuerySchema), userController.getUserStats);
+
+/**
+ * @route   GET /users/stream
+ * @desc    Server-Sent Events stream of user.created, user.updated and user.deleted events,
+ *          resumable with Last-Event-ID (registered before /:id)
+ * @access  Private (landlord, admin)
+ */
+router.get("/stream", userController.streamUsers);
+
+/**
+ * @route   GET /users/trash
+ * @desc    List deleted users, most recently deleted first (registered before /:id)
+ * @query   limit (1-100, default 25), cursor
+ * @access  Private (landlord, admin)
+ */
+router.get("/trash", validateQuery(TrashQuerySchema), userController.listTrash);
+
+/**
+ * @route   GET /users/export
+ * @desc    Stream users as CSV, JSON or NDJSON (registered before /:id)
+ * @query   format (csv|json|ndjson, else negotiated from Accept), columns (comma-separated),
+ *          sort, order, zip, country, timezone, locationName, createdFrom, createdTo
+ * @access  Private (landlord, admin)
  */
-router.get("/", userController.getAllUsers);
+router.get("/export", validateQuery(ExportQuerySchema), userController.exportUsers);
 
 /**
  * @route   GET /users/:id
- * @desc    Get user by ID
- * @access  Public
+ * @desc    Get user by ID (ETag: the record version)
+ * @access  Private (landlord, admin)
  */
 router.get("/:id", userController.getUserById);
 
+/**
+ * @route   GET /users/:id/weather
+ * @desc    Current weather at the user's stored coordinates (cached briefly)
+ * @query   units (imperial|metric)
+ * @access  Private (landlord, admin)
+ */
+router.get("/:id/weather", validateQuery(WeatherQuerySchema), userController.getUserWeather);
+
+/**
+ * @route   GET /users/:id/forecast
+ * @desc    Daily forecast (highs, lows, precipitation chance) at the user's stored coordinates
+ * @query   days (1-5, default 5), units (imperial|metric)
+ * @access  Private (landlord, admin)
+ */
+router.get("/:id/forecast", validateQuery(ForecastQuerySchema), userController.getUserForecast);
+
+/**
+ * @route   GET /users/:id/history
+ * @desc    Change history (field-level diffs, actor, request id), newest first
+ * @query   limit (1-100, default 20), cursor
+ * @access  Private (landlord, admin)
+ */
+router.get("/:id/history", validateQuery(HistoryQuerySchema), userController.getUserHistory);
+
 /**
  * @route   POST /users
- * @desc    Create a new user
- * @access  Public
+ * @desc    Create a new user (409 with candidate matches if likely duplicates exist)
+ * @query   force (true|false) - save even if likely duplicates exist
+ * @header  Idempotency-Key (optional) - retries with the same key and body replay the first response
+ * @access  Private (landlord, admin)
  */
-router.post("/", userController.createUser);
+router.post("/", validateQuery(CreateUserQuerySchema), idempotent(), userController.createUser);
+
+/**
+ * @route   POST /users/import
+ * @desc    Create users in bulk from CSV (text/csv, header row) or JSON (array or { users })
+ *          Returns a per-row report: created, skipped (duplicate) or failed (with reason)
+ * @query   dryRun (true|false) - validate, de-duplicate and geocode without saving
+ * @header  Idempotency-Key (optional) - as for POST /users
+ * @access  Private (landlord, admin)
+ */
+router.post(
+  "/import",
+  express.text({ type: "text/csv", limit: "2mb" }),
+  validateQuery(ImportQuerySchema),
+  idempotent(),
+  userController.importUsers
+);
 
 /**
  * @route   PUT /users/:id
  * @desc    Update an existing user
- * @access  Public
+ * @header  If-Match (optional) - ETag from GET; 412 if the record has changed since
+ * @access  Private (landlord, admin)
  */
 router.put("/:id", userController.updateUser);
 
 /**
  * @route   DELETE /users/:id
- * @desc    Delete a user
- * @access  Public
+ * @desc    Delete a user (moves it to the trash)
+ * @access  Private (landlord, admin)
  */
 router.delete("/:id", userController.deleteUser);
 
+/**
+ * @route   POST /users/:id/restore
+ * @desc    Restore a user from the trash
+ * @access  Private (landlord, admin)
+ */
+router.post("/:id/restore", userController.restoreUser);
+
+/**
+ * @route   POST /users/:id/merge
+ * @desc    Fold a duplicate into this user: the duplicate is deleted and its history is
+ *          carried over; this user's fields are kept
+ * @body    { duplicateId }
+ * @access  Private (landlord, admin)
+ */
+router.post("/:id/merge", userController.mergeUsers);
+
 module.exports = router;
@@ -0,0 +1,84 @@
+/**
+ * Webhook Routes
+ *
+ * Defines routes for managing webhook subscriptions to user lifecycle events
+ */
+
+const express = require("express");
+const webhookController = require("../controllers/webhook.controller");
+const { DeliveryQuerySchema } = require("../models/webhook.model");
+const { validateQuery } = require("../middleware/validation.middleware");
+const { authenticate, requireRole } = require("../middleware/auth.middleware");
+
+const router = express.Router();
+
+// Subscriptions belong to the landlord (or admin) who created them
+router.use(authenticate, requireRole("landlord", "admin"));
+
+/**
+ * @route   GET /webhooks
+ * @desc    List subscriptions (secrets are left out)
+ * @access  Private (landlord, admin)
+ */
+router.get("/", webhookController.listWebhooks);
+
+/**
+ * @route   POST /webhooks
+ * @desc    Subscribe a URL to user.created, user.updated and/or user.deleted; the
+ *          response includes the signing secret
+ * @access  Private (landlord, admin)
+ */
+router.post("/", webhookController.createWebhook);
+
+/**
+ * @route   GET /webhooks/dead-letters
+ * @desc    Deliveries that failed every attempt, newest first (registered before /:id)
+ * @query   limit (1-100, default 20), cursor
+ * @access  Private (landlord, admin)
+ */
+router.get("/dead-letters", validateQuery(DeliveryQuerySchema), webhookController.listDeadLetters);
+
+/**
+ * @route   POST /webhooks/dead-letters/:deliveryId/retry
+ * @desc    Queue a dead-lettered delivery for a fresh set of attempts
+ * @access  Private (landlord, admin)
+ */
+router.post("/dead-letters/:deliveryId/retry", webhookController.retryDeadLetter);
+
+/**
+ * @route   GET /webhooks/:id
+ * @desc    Get a subscription
+ * @access  Private (landlord, admin)
+ */
+router.get("/:id", webhookController.getWebhook);
+
+/**
+ * @route   PUT /webhooks/:id
+ * @desc    Change a subscription's url, events, description or active flag
+ * @access  Private (landlord, admin)
+ */
+router.put("/:id", webhookController.updateWebhook);
+
+/**
+ * @route   DELETE /webhooks/:id
+ * @desc    Delete a subscription with its delivery log and dead letters
+ * @access  Private (landlord, admin)
+ */
+router.delete("/:id", webhookController.deleteWebhook);
+
+/**
+ * @route   POST /webhooks/:id/rotate-secret
+ * @desc    Replace the signing secret; the response includes the new one
+ * @access  Private (landlord, admin)
+ */
+router.post("/:id/rotate-secret", webhookController.rotateWebhookSecret);
+
+/**
+ * @route   GET /webhooks/:id/deliveries
+ * @desc    Delivery log, newest first: status, attempts and the last attempt's outcome
+ * @query   limit (1-100, default 20), cursor
+ * @access  Private (landlord, admin)
+ */
+router.get("/:id/deliveries", validateQuery(DeliveryQuerySchema), webhookController.listDeliveries);
+
+module.exports = router;
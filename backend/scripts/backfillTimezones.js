@@ -0,0 +1,28 @@
+// backend/scripts/backfillTimezones.js
+// Replaces the UTC offsets stored in users/{ownerUid}/{id}/timezone by older releases
+// with IANA timezone names (e.g. "America/New_York") looked up from each record's coordinates
+//
+// Usage: npm run backfill:timezones -- [--dry-run]
+
+const userService = require("../services/user.service");
+
+async function main() {
+  const dryRun = process.argv.slice(2).includes("--dry-run");
+
+  const { updated, unresolved } = await userService.backfillTimeZones({ dryRun });
+
+  if (dryRun) {
+    console.log(`🔍 Dry run: ${updated} record(s) would get an IANA timezone`);
+  } else {
+    console.log(`✅ Stored IANA timezones for ${updated} record(s)`);
+  }
+  if (unresolved) {
+    console.warn(`⚠️  ${unresolved} record(s) have no usable coordinates and were left unchanged`);
+  }
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error(`❌ Backfill failed: ${error.message}`);
+  process.exit(1);
+});
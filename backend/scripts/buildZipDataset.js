@@ -0,0 +1,38 @@
+// backend/scripts/buildZipDataset.js
+// Regenerates data/us-zip-centroids.csv, the offline US ZIP geocoding dataset
+// Sources (devDependencies): `zipcodes` for centroids, city and state,
+// `@photostructure/tz-lookup` for the IANA timezone at each centroid
+//
+// Usage: npm run build:zip-dataset
+
+const fs = require("fs");
+const path = require("path");
+const { codes } = require("zipcodes/lib/codes");
+const tzLookup = require("@photostructure/tz-lookup");
+
+const OUTPUT = path.join(__dirname, "../data/us-zip-centroids.csv");
+
+/**
+ * Quote a CSV field only when it needs it
+ */
+const csvField = value => {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const rows = Object.values(codes)
+  .filter(entry => /^\d{5}$/.test(entry.zip) && entry.country === "US")
+  .sort((a, b) => (a.zip < b.zip ? -1 : 1))
+  .map(entry => [
+    entry.zip,
+    Number(entry.latitude).toFixed(4),
+    Number(entry.longitude).toFixed(4),
+    entry.city,
+    entry.state,
+    tzLookup(entry.latitude, entry.longitude)
+  ]);
+
+const csv = ["zip,lat,lon,city,state,timezone", ...rows.map(row => row.map(csvField).join(","))];
+fs.writeFileSync(OUTPUT, csv.join("\n") + "\n");
+
+console.log(`✅ Wrote ${rows.length} ZIP codes to ${path.relative(process.cwd(), OUTPUT)}`);
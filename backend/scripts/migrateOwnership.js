@@ -0,0 +1,51 @@
+// backend/scripts/migrateOwnership.js
+// Moves records from the legacy flat users/{id} layout to users/{ownerUid}/{id}
+// Legacy records have no owner, so they are all assigned to the given account
+//
+// Usage: npm run migrate:ownership -- <ownerUid> [--dry-run]
+
+const { getDatabase } = require("../firebaseConfig");
+
+/**
+ * Legacy records sit directly under users/ and carry user fields;
+ * owner buckets hold nested records instead
+ */
+const isLegacyRecord = value =>
+  value !== null && typeof value === "object" && typeof value.zip === "string";
+
+async function main() {
+  const [ownerUid, flag] = process.argv.slice(2);
+  const dryRun = flag === "--dry-run";
+
+  if (!ownerUid) {
+    console.error("Usage: npm run migrate:ownership -- <ownerUid> [--dry-run]");
+    process.exit(1);
+  }
+
+  const db = getDatabase();
+  const snapshot = await db.ref("users").once("value");
+  const updates = {};
+
+  snapshot.forEach(child => {
+    if (isLegacyRecord(child.val())) {
+      updates[`users/${ownerUid}/${child.key}`] = { ...child.val(), id: child.key, ownerUid };
+      updates[`users/${child.key}`] = null;
+    }
+  });
+
+  const count = Object.keys(updates).length / 2;
+  if (dryRun) {
+    console.log(`🔍 Dry run: ${count} legacy record(s) would move to users/${ownerUid}`);
+    process.exit(0);
+  }
+
+  // One multi-path update, so the move is atomic
+  await db.ref().update(updates);
+  console.log(`✅ Moved ${count} legacy record(s) to users/${ownerUid}`);
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error(`❌ Migration failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,18 @@
+// backend/scripts/rebuildGeoIndex.js
+// Rebuilds the geohash index under geoIndex/ from the stored user records.
+// Run it once after upgrading to a release with GET /users/near, or if the index drifts
+//
+// Usage: npm run reindex:geo
+
+const userNearbyService = require("../services/userNearby.service");
+
+async function main() {
+  const count = await userNearbyService.rebuildGeoIndex();
+  console.log(`✅ Indexed ${count} located user record(s) by geohash`);
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error(`❌ Reindex failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,18 @@
+// backend/scripts/rebuildSearchIndex.js
+// Rebuilds the trigram index under searchIndex/ from the stored user records.
+// Run it once after upgrading to a release with search, or if the index drifts
+//
+// Usage: npm run reindex:search
+
+const userSearchService = require("../services/userSearch.service");
+
+async function main() {
+  const count = await userSearchService.rebuildSearchIndex();
+  console.log(`✅ Indexed ${count} user record(s) for search`);
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error(`❌ Reindex failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,18 @@
+// backend/scripts/rebuildStats.js
+// Recounts the GET /users/stats counters under stats/ from the stored user records.
+// Run it once after upgrading to a release with server-side stats, or if the counters drift
+//
+// Usage: npm run reindex:stats
+
+const userStatsService = require("../services/userStats.service");
+
+async function main() {
+  const count = await userStatsService.rebuildStats();
+  console.log(`✅ Counted ${count} user record(s) for stats`);
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error(`❌ Recount failed: ${error.message}`);
+  process.exit(1);
+});
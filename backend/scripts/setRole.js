@@ -0,0 +1,33 @@
+// backend/scripts/setRole.js
+// Grants a role custom claim from the command line
+// Needed to bootstrap the first admin, since PUT /roles/:uid is admin-only
+//
+// Usage: npm run role:set -- <uid|email> <landlord|tenant|admin>
+
+const { auth } = require("../firebaseConfig");
+const { ROLES } = require("../models/role.model");
+
+async function main() {
+  const [identifier, role] = process.argv.slice(2);
+
+  if (!identifier || !ROLES.includes(role)) {
+    console.error(`Usage: npm run role:set -- <uid|email> <${ROLES.join("|")}>`);
+    process.exit(1);
+  }
+
+  const account = identifier.includes("@")
+    ? await auth.getUserByEmail(identifier)
+    : await auth.getUser(identifier);
+
+  await auth.setCustomUserClaims(account.uid, { ...account.customClaims, role });
+  console.log(`✅ ${account.email || account.uid} is now [${role}]`);
+  console.log(
+    "   The new role applies after the user's ID token refreshes (sign out and back in)."
+  );
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error(`❌ Failed to set role: ${error.message}`);
+  process.exit(1);
+});
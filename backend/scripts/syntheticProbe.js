@@ -3,11 +3,16 @@
 // Simulates user behavior to continuously verify system health
 
 const axios = require("axios");
+const { randomUUID } = require("crypto");
 
 const BACKEND_URL = process.env.BACKEND_URL || "http://localhost:8080";
 const PROBE_INTERVAL = 30000; // 30 seconds
 const TIMEOUT = 5000; // 5 second timeout
 
+// /users and /metrics require a Firebase ID token (admin role for /metrics)
+const PROBE_ID_TOKEN = process.env.PROBE_ID_TOKEN;
+const AUTH_HEADERS = PROBE_ID_TOKEN ? { Authorization: `Bearer ${PROBE_ID_TOKEN}` } : {};
+
 let consecutiveFailures = 0;
 const MAX_FAILURES_BEFORE_ALERT = 3;
 
@@ -59,6 +64,7 @@ async function probeHealth() {
 async function probeMetrics() {
   try {
     const res = await axios.get(`${BACKEND_URL}/metrics`, {
+      headers: AUTH_HEADERS,
       timeout: TIMEOUT
     });
 
@@ -100,10 +106,19 @@ async function probeEndToEnd() {
 
   try {
     // Test CREATE
+    // Retried once if no response came back (timeout, reset); the Idempotency-Key
+    // makes the server replay the first create instead of leaving a duplicate behind
     const createStart = Date.now();
-    const createRes = await axios.post(`${BACKEND_URL}/users`, testUser, {
+    const createOptions = {
+      headers: { ...AUTH_HEADERS, "Idempotency-Key": `probe-${randomUUID()}` },
       timeout: TIMEOUT
-    });
+    };
+    const createRes = await axios
+      .post(`${BACKEND_URL}/users`, testUser, createOptions)
+      .catch(error => {
+        if (error.response) throw error;
+        return axios.post(`${BACKEND_URL}/users`, testUser, createOptions);
+      });
     const createLatency = Date.now() - createStart;
 
     if (createRes.status !== 201) {
@@ -115,12 +130,14 @@ async function probeEndToEnd() {
     // Test READ
     const readStart = Date.now();
     await axios.get(`${BACKEND_URL}/users/${userId}`, {
+      headers: AUTH_HEADERS,
       timeout: TIMEOUT
     });
     const readLatency = Date.now() - readStart;
 
     // Test DELETE (cleanup)
     await axios.delete(`${BACKEND_URL}/users/${userId}`, {
+      headers: AUTH_HEADERS,
       timeout: TIMEOUT
     });
 
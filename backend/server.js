@@ -6,6 +6,10 @@
 
 const createApp = require("./config/app");
 const env = require("./config/env");
+const { startGeoReconciler } = require("./jobs/geoReconciler");
+const { startTrashPurger } = require("./jobs/trashPurger");
+const { startIdempotencyPurger } = require("./jobs/idempotencyPurger");
+const { startWebhookDispatcher } = require("./jobs/webhookDispatcher");
 
 const app = createApp();
 
@@ -15,6 +19,18 @@ if (require.main === module) {
     console.log(`Server running on http://${env.HOST}:${env.PORT}`);
     console.log(`Environment: ${env.NODE_ENV}`);
   });
+
+  // Fill in coordinates for users saved while location services were down
+  startGeoReconciler();
+
+  // Permanently delete users that have outlived the trash retention window
+  startTrashPurger();
+
+  // Drop stored Idempotency-Key responses once they can no longer be replayed
+  startIdempotencyPurger();
+
+  // Send queued webhook deliveries and retry failed ones
+  startWebhookDispatcher();
 }
 
 module.exports = app;
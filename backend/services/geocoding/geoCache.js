@@ -0,0 +1,177 @@
+/**
+ * Geo Cache
+ *
+ * Two-level cache for remote geocoding lookups: an in-process LRU in front of
+ * the persisted geoCache store. Entries are keyed by country and the part of the
+ * postal code that is geocoded ("US:10001", "CA:K1A", "GB:SW1A"), so ZIP+4 codes
+ * and full CA/GB postcodes share the entry of their area. ZIPs the provider reported as unknown (404) are
+ * cached too, for a shorter time, so repeated typos do not spend API quota.
+ */
+
+const env = require("../../config/env");
+const geoCacheRepository = require("../../repositories/geoCache.repository");
+const createHttpError = require("../../utils/httpError");
+const { createLruCache } = require("../../utils/lruCache");
+const { registerMetricsSource } = require("../../middleware/telemetry.middleware");
+const {
+  DEFAULT_COUNTRY,
+  getLookupCode,
+  postalCodeLabel
+} = require("../../models/postalCode.model");
+
+/**
+ * Create a geo cache
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Persisted store ({findByKey, save})
+ * @param {number} options.ttlMs - Lifetime of a found location
+ * @param {number} options.negativeTtlMs - Lifetime of a "not found" answer
+ * @param {number} options.maxEntries - In-process LRU size
+ * @param {Function} [options.now=Date.now] - Clock (ms)
+ * @returns {{wrap: Function, getStats: Function, clear: Function}} Geo cache
+ */
+const createGeoCache = ({ store, ttlMs, negativeTtlMs, maxEntries, now = Date.now }) => {
+  const memory = createLruCache({ maxEntries, now });
+  const stats = { memoryHits: 0, storeHits: 0, negativeHits: 0, misses: 0, storeErrors: 0 };
+
+  /**
+   * Turn a cache entry back into the provider's answer
+   *
+   * @param {string} zip - Postal code
+   * @param {string} country - Country code
+   * @param {Object} entry - Cache entry
+   * @returns {Object} Geolocation
+   * @throws {Error} 404 for a cached "not found" answer
+   */
+  const replay = (zip, country, entry) => {
+    if (entry.status === "not-found") {
+      stats.negativeHits++;
+      throw createHttpError(
+        404,
+        `${postalCodeLabel(country)} ${zip} not found.`,
+        "geo/zip-not-found",
+        {
+          zip,
+          country
+        }
+      );
+    }
+    return entry.geo;
+  };
+
+  /**
+   * Read the persisted entry; a failing store only costs a cache miss
+   *
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Live entry or null
+   */
+  const readStore = async key => {
+    try {
+      const entry = await store.findByKey(key);
+      return entry && entry.expiresAt > now() ? entry : null;
+    } catch (error) {
+      stats.storeErrors++;
+      console.warn(`Geo cache read failed for ${key}: ${error.message}`);
+      return null;
+    }
+  };
+
+  /**
+   * Remember an answer in both levels
+   *
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry without timestamps
+   * @param {number} lifetimeMs - TTL for this entry
+   * @returns {Promise<void>}
+   */
+  const remember = async (key, entry, lifetimeMs) => {
+    const cachedAt = now();
+    const stored = { ...entry, cachedAt, expiresAt: cachedAt + lifetimeMs };
+    memory.set(key, stored, stored.expiresAt);
+
+    try {
+      await store.save(key, stored);
+    } catch (error) {
+      stats.storeErrors++;
+      console.warn(`Geo cache write failed for ${key}: ${error.message}`);
+    }
+  };
+
+  /**
+   * Wrap a geocoding provider so its lookups go through the cache
+   *
+   * @param {Object} provider - Provider ({name, lookup})
+   * @returns {Object} Provider with the same name and a cached lookup
+   */
+  const wrap = provider => ({
+    ...provider,
+    lookup: async (zip, country = DEFAULT_COUNTRY) => {
+      const key = `${country}:${getLookupCode(country, zip)}`;
+
+      const cached = memory.get(key);
+      if (cached) {
+        stats.memoryHits++;
+        return replay(zip, country, cached);
+      }
+
+      const persisted = await readStore(key);
+      if (persisted) {
+        stats.storeHits++;
+        memory.set(key, persisted, persisted.expiresAt);
+        return replay(zip, country, persisted);
+      }
+
+      stats.misses++;
+      try {
+        const geo = await provider.lookup(zip, country);
+        if (geo) await remember(key, { status: "found", geo }, ttlMs);
+        return geo;
+      } catch (error) {
+        if (error.statusCode === 404) {
+          await remember(key, { status: "not-found" }, negativeTtlMs);
+        }
+        throw error;
+      }
+    }
+  });
+
+  /**
+   * Snapshot of the cache counters for /metrics
+   *
+   * @returns {Object} Hit, miss and size counters
+   */
+  const getStats = () => {
+    const hits = stats.memoryHits + stats.storeHits;
+    const lookups = hits + stats.misses;
+    return {
+      hits,
+      misses: stats.misses,
+      hitRate: lookups > 0 ? ((hits / lookups) * 100).toFixed(2) + "%" : "0%",
+      memoryHits: stats.memoryHits,
+      storeHits: stats.storeHits,
+      negativeHits: stats.negativeHits,
+      storeErrors: stats.storeErrors,
+      size: memory.size()
+    };
+  };
+
+  return { wrap, getStats, clear: memory.clear };
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const geoCache = createGeoCache({
+  store: geoCacheRepository,
+  ttlMs: env.GEO_CACHE_TTL_HOURS * HOUR_MS,
+  negativeTtlMs: env.GEO_CACHE_NEGATIVE_TTL_HOURS * HOUR_MS,
+  maxEntries: env.GEO_CACHE_MAX_ENTRIES
+});
+
+registerMetricsSource("geoCache", geoCache.getStats);
+
+module.exports = {
+  wrap: geoCache.wrap,
+  getStats: geoCache.getStats,
+  clear: geoCache.clear,
+  createGeoCache
+};
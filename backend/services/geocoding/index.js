@@ -0,0 +1,106 @@
+/**
+ * Geocoding Service
+ *
+ * Turns a postal code into coordinates by asking a chain of providers in order.
+ * The chain is configured with GEOCODING_PROVIDERS (e.g. "offline,openweather").
+ *
+ * Provider contract: { name, lookup(zip, country) } where lookup
+ *   - resolves a geolocation       -> the chain stops and returns it
+ *   - resolves null                -> the provider does not handle this input; try the next one
+ *   - rejects with a 4xx HTTP error -> definitive answer (e.g. unknown ZIP); the chain stops
+ *   - rejects with anything else   -> the provider is failing; try the next one
+ *
+ * When every provider is failing the chain rejects with 503 "geo/unavailable"
+ * (the provider error is kept as `cause`), which callers treat as "retry later".
+ */
+
+const env = require("../../config/env");
+const createHttpError = require("../../utils/httpError");
+const { DEFAULT_COUNTRY } = require("../../models/postalCode.model");
+const offlineProvider = require("./offline.provider");
+const openweatherProvider = require("./openweather.provider");
+const geoCache = require("./geoCache");
+
+// Only remote lookups are cached: the offline dataset is already in memory
+const PROVIDERS = {
+  [offlineProvider.name]: offlineProvider,
+  [openweatherProvider.name]: geoCache.wrap(openweatherProvider)
+};
+
+/**
+ * Resolve provider names to provider modules
+ *
+ * @param {string[]} names - Provider names, in lookup order
+ * @returns {Object[]} Providers
+ * @throws {Error} If a name is unknown
+ */
+const resolveProviders = names =>
+  names.map(name => {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+      throw new Error(
+        `Unknown geocoding provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(", ")}.`
+      );
+    }
+    return provider;
+  });
+
+/**
+ * Create a geocoder that tries the given providers in order
+ *
+ * @param {Object[]} providers - Providers ({name, lookup})
+ * @returns {{geocode: Function, providers: string[]}} Geocoder
+ */
+const createGeocoder = providers => {
+  /**
+   * Geocode a postal code
+   *
+   * @param {string} zip - Postal code (US ZIP or ZIP+4, CA or GB postcode)
+   * @param {string} [country="US"] - Country code
+   * @returns {Promise<Object>} Geolocation plus the name of the provider that answered
+   * @throws {Error} The definitive error, or 503 "geo/unavailable" if every provider failed
+   */
+  const geocode = async (zip, country = DEFAULT_COUNTRY) => {
+    let lastError = null;
+
+    for (const provider of providers) {
+      try {
+        const result = await provider.lookup(zip, country);
+        if (result) return { ...result, provider: provider.name };
+      } catch (error) {
+        if (error.statusCode >= 400 && error.statusCode < 500) throw error;
+        console.warn(`Geocoding provider "${provider.name}" failed for ${zip}: ${error.message}`);
+        lastError = error;
+      }
+    }
+
+    if (lastError) {
+      const error = createHttpError(
+        503,
+        "Location services are currently unavailable.",
+        "geo/unavailable",
+        { zip, country }
+      );
+      error.cause = lastError;
+      throw error;
+    }
+
+    throw createHttpError(
+      422,
+      `No geocoding provider can resolve ${zip} (${country}).`,
+      "geo/unsupported",
+      { zip, country }
+    );
+  };
+
+  return { geocode, providers: providers.map(provider => provider.name) };
+};
+
+const geocoder = createGeocoder(resolveProviders(env.GEOCODING_PROVIDERS));
+
+module.exports = {
+  geocode: geocoder.geocode,
+  providers: geocoder.providers,
+  createGeocoder,
+  resolveProviders
+};
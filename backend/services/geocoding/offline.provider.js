@@ -0,0 +1,64 @@
+/**
+ * Offline Geocoding Provider
+ *
+ * Resolves US ZIP codes from the bundled centroid dataset
+ * (data/us-zip-centroids.csv, regenerated with `npm run build:zip-dataset`)
+ *
+ * The dataset covers every assigned 5-digit US ZIP, so a US ZIP missing from it
+ * is rejected here instead of being passed on to a remote provider.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const createHttpError = require("../../utils/httpError");
+const { getUtcOffsetSeconds } = require("../../utils/timezone");
+
+const DATASET_PATH = path.join(__dirname, "../../data/us-zip-centroids.csv");
+
+let centroids = null;
+
+/**
+ * Load the dataset into a Map on first use (~42k rows, a few MB)
+ *
+ * @returns {Map<string, Object>} ZIP -> centroid
+ */
+const loadCentroids = () => {
+  if (centroids) return centroids;
+
+  const [, ...rows] = fs.readFileSync(DATASET_PATH, "utf8").trim().split("\n");
+  centroids = new Map();
+  for (const row of rows) {
+    // The generator never quotes fields: city names contain no commas
+    const [zip, lat, lon, city, state, timeZoneName] = row.split(",");
+    centroids.set(zip, { lat: Number(lat), lon: Number(lon), city, state, timeZoneName });
+  }
+  return centroids;
+};
+
+/**
+ * Look up a ZIP code (ZIP+4 codes resolve to their 5-digit ZIP)
+ *
+ * @param {string} zip - ZIP code
+ * @param {string} [country="US"] - Country code
+ * @returns {Promise<Object|null>} Geolocation, or null if the input is not a US ZIP
+ * @throws {Error} 404 "geo/zip-not-found" if the ZIP is not an assigned US ZIP
+ */
+const lookup = async (zip, country = "US") => {
+  if (country !== "US" || !/^\d{5}(-\d{4})?$/.test(zip)) return null;
+
+  const centroid = loadCentroids().get(zip.slice(0, 5));
+  if (!centroid) {
+    throw createHttpError(404, `ZIP code ${zip} not found.`, "geo/zip-not-found", { zip });
+  }
+
+  return {
+    lat: centroid.lat,
+    lon: centroid.lon,
+    timezone: getUtcOffsetSeconds(centroid.timeZoneName),
+    timeZoneName: centroid.timeZoneName,
+    locationName: centroid.city,
+    state: centroid.state
+  };
+};
+
+module.exports = { name: "offline", lookup };
@@ -0,0 +1,21 @@
+/**
+ * OpenWeather Geocoding Provider
+ *
+ * Resolves ZIP codes through the OpenWeather API, behind the circuit breaker
+ */
+
+const { geocodeBreaker } = require("../weatherCircuitBreaker");
+
+/**
+ * Look up a postal code
+ *
+ * @param {string} zip - Postal code
+ * @param {string} [country="US"] - Country code
+ * @returns {Promise<Object>} Geolocation ({lat, lon, timezone, locationName})
+ * @throws {Error} If OpenWeather fails or the breaker is open
+ */
+const lookup = async (zip, country = "US") => {
+  return await geocodeBreaker.fire(zip, country);
+};
+
+module.exports = { name: "openweather", lookup };
@@ -0,0 +1,91 @@
+/**
+ * Local Weather Service
+ *
+ * Weather at a stored coordinate, through the OpenWeather circuit breakers.
+ * Results are cached briefly per rounded coordinate (~1 km), so tenants in the
+ * same building or block share one upstream call.
+ */
+
+const env = require("../config/env");
+const { currentWeatherBreaker, forecastBreaker } = require("./weatherCircuitBreaker");
+const { MAX_FORECAST_DAYS } = require("../models/weather.model");
+const { createLruCache } = require("../utils/lruCache");
+const { registerMetricsSource } = require("../middleware/telemetry.middleware");
+
+const cache = createLruCache({ maxEntries: env.WEATHER_CACHE_MAX_ENTRIES });
+const stats = { hits: 0, misses: 0 };
+
+/**
+ * Cache key for a coordinate and request
+ *
+ * @param {string} kind - Request kind (e.g. "current")
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} units - Unit system
+ * @returns {string} Cache key
+ */
+const cacheKey = (kind, lat, lon, units) => `${kind}:${lat.toFixed(2)},${lon.toFixed(2)}:${units}`;
+
+/**
+ * Return a cached value or load and cache it
+ *
+ * @param {string} key - Cache key
+ * @param {number} ttlSeconds - Lifetime of a fresh value
+ * @param {Function} load - Loads the value on a miss
+ * @returns {Promise<*>} Value
+ */
+const cached = async (key, ttlSeconds, load) => {
+  const hit = cache.get(key);
+  if (hit) {
+    stats.hits++;
+    return hit;
+  }
+
+  stats.misses++;
+  const value = await load();
+  cache.set(key, value, Date.now() + ttlSeconds * 1000);
+  return value;
+};
+
+/**
+ * Current conditions at a coordinate
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} units - "imperial" or "metric"
+ * @returns {Promise<Object>} Temperature, description, wind, humidity
+ * @throws {Error} 503 "weather/unavailable" while the breaker is open
+ */
+const getCurrentConditions = async (lat, lon, units) => {
+  return await cached(cacheKey("current", lat, lon, units), env.WEATHER_CACHE_TTL_SECONDS, () =>
+    currentWeatherBreaker.fire(lat, lon, units)
+  );
+};
+
+/**
+ * Daily forecast at a coordinate
+ * The full forecast is fetched and cached once; shorter requests are sliced from it
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} days - Days to return (1 to MAX_FORECAST_DAYS)
+ * @param {string} units - "imperial" or "metric"
+ * @returns {Promise<{units: string, days: Object[]}>} Daily highs, lows and precipitation chances
+ * @throws {Error} 503 "weather/unavailable" while the breaker is open
+ */
+const getForecast = async (lat, lon, days, units) => {
+  const forecast = await cached(
+    cacheKey("forecast", lat, lon, units),
+    env.WEATHER_FORECAST_CACHE_TTL_SECONDS,
+    () => forecastBreaker.fire(lat, lon, MAX_FORECAST_DAYS, units)
+  );
+  return { ...forecast, days: forecast.days.slice(0, days) };
+};
+
+registerMetricsSource("weatherCache", () => ({ ...stats, size: cache.size() }));
+
+module.exports = {
+  getCurrentConditions,
+  getForecast,
+  clearCache: cache.clear
+};
@@ -0,0 +1,94 @@
+/**
+ * Role Service
+ *
+ * Business logic for granting and revoking roles
+ * Roles are stored as Firebase custom claims so they travel inside every ID token
+ */
+
+const { auth } = require("../firebaseConfig");
+const { getRoleFromClaims } = require("../models/role.model");
+const createHttpError = require("../utils/httpError");
+
+/**
+ * Look up an account, translating "not found" into a 404
+ *
+ * @param {string} uid - Firebase Auth uid
+ * @returns {Promise<Object>} Firebase UserRecord
+ * @throws {Error} 404 if the account does not exist
+ */
+const getAccount = async uid => {
+  try {
+    return await auth.getUser(uid);
+  } catch (error) {
+    if (error.code === "auth/user-not-found") {
+      throw createHttpError(404, "Account not found", "roles/account-not-found");
+    }
+    throw error;
+  }
+};
+
+/**
+ * Format an account's role for responses
+ *
+ * @param {Object} account - Firebase UserRecord
+ * @param {Object} claims - Custom claims to report
+ * @returns {{uid: string, email: string, role: string, explicit: boolean}} Role summary
+ */
+const toRoleSummary = (account, claims = {}) => ({
+  uid: account.uid,
+  email: account.email || null,
+  role: getRoleFromClaims(claims),
+  explicit: Boolean(claims.role)
+});
+
+/**
+ * Get an account's current role
+ *
+ * @param {string} uid - Firebase Auth uid
+ * @returns {Promise<Object>} Role summary
+ */
+const getRole = async uid => {
+  const account = await getAccount(uid);
+  return toRoleSummary(account, account.customClaims);
+};
+
+/**
+ * Grant a role, keeping any other custom claims
+ * Takes effect the next time the account refreshes its ID token
+ *
+ * @param {string} uid - Firebase Auth uid
+ * @param {string} role - Role to grant
+ * @returns {Promise<Object>} Updated role summary
+ */
+const grantRole = async (uid, role) => {
+  const account = await getAccount(uid);
+  const claims = { ...account.customClaims, role };
+
+  await auth.setCustomUserClaims(uid, claims);
+  console.info(`Granted role [${role}] to [${uid}]`);
+
+  return toRoleSummary(account, claims);
+};
+
+/**
+ * Revoke an account's role claim, returning it to the default role
+ *
+ * @param {string} uid - Firebase Auth uid
+ * @returns {Promise<Object>} Updated role summary
+ */
+const revokeRole = async uid => {
+  const account = await getAccount(uid);
+  const claims = { ...account.customClaims };
+  delete claims.role;
+
+  await auth.setCustomUserClaims(uid, claims);
+  console.info(`Revoked role claim from [${uid}]`);
+
+  return toRoleSummary(account, claims);
+};
+
+module.exports = {
+  getRole,
+  grantRole,
+  revokeRole
+};
@@ -3,113 +3,728 @@
  *
  * Business logic for user operations
  * Orchestrates between repository and external services
+ * Every operation is scoped to the owning account (ownerUid)
+ *
+ * Writes take a context ({ actorUid, requestId }) naming who made the change;
+ * each create, update and delete records it in the user's history and is
+ * published to the owner's event stream and webhook subscriptions
  */
 
+const env = require("../config/env");
 const userRepository = require("../repositories/user.repository");
-const weatherBreaker = require("./weatherCircuitBreaker");
+const historyRepository = require("../repositories/history.repository");
+const webhookService = require("./webhook.service");
+const userEventsService = require("./userEvents.service");
+const geocoding = require("./geocoding");
+const localWeather = require("./localWeather.service");
+const createHttpError = require("../utils/httpError");
+const { DEFAULT_COUNTRY, getMatchCode } = require("../models/postalCode.model");
+const { SYSTEM_ACTOR, diffFields, createHistoryEntry } = require("../models/history.model");
+const { lookupTimeZone, getUtcOffsetSeconds, toLocalIsoString } = require("../utils/timezone");
+const { matchesIfMatch } = require("../utils/etag");
+const { nameSimilarity } = require("../utils/nameMatching");
+
+/**
+ * Times a write is tried when another write lands between its read and its
+ * write (or holds the record's write lock)
+ */
+const MAX_UPDATE_ATTEMPTS = 3;
+
+/**
+ * Error for a write that kept losing the race to other writes
+ *
+ * @returns {Error} 409 users/conflict
+ */
+const concurrentWriteError = () =>
+  createHttpError(
+    409,
+    "This user is being changed by another request, try again",
+    "users/conflict"
+  );
+
+/**
+ * Tell the owner's open event streams (GET /users/stream) and webhook
+ * subscriptions about a change
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} type - "user.created" | "user.updated" | "user.deleted"
+ * @param {Object} data - Event data ({ user, changes?, reason? })
+ * @returns {Promise<void>}
+ */
+const publishChange = async (ownerUid, type, data) => {
+  userEventsService.publish(ownerUid, type, data);
+  await webhookService.publishEvent(ownerUid, type, data);
+};
+
+/**
+ * Geolocation fields for a postal code
+ * If location services are down the record is saved as geoStatus "pending"
+ * (coordinates cleared) and the geo reconciler fills them in later
+ *
+ * @param {string} zip - Postal code
+ * @param {string} country - Country code
+ * @returns {Promise<Object>} latitude, longitude, timezone (IANA name), locationName and geoStatus
+ * @throws {Error} If the postal code is invalid or unknown
+ */
+const resolveLocation = async (zip, country) => {
+  try {
+    const geoData = await geocoding.geocode(zip, country);
+    return {
+      latitude: geoData.lat,
+      longitude: geoData.lon,
+      // Providers report a UTC offset, which goes stale across DST; store the zone itself
+      timezone: geoData.timeZoneName || lookupTimeZone(geoData.lat, geoData.lon),
+      locationName: geoData.locationName,
+      geoStatus: "resolved"
+    };
+  } catch (error) {
+    if (error.code !== "geo/unavailable") throw error;
+
+    console.warn(`Location services unavailable for ${country} ${zip}; saving as pending`);
+    return {
+      latitude: null,
+      longitude: null,
+      timezone: null,
+      locationName: null,
+      geoStatus: "pending"
+    };
+  }
+};
 
 /**
- * Get all users
+ * Add the user's current UTC offset and wall-clock time, computed from its timezone
+ * Records not backfilled yet hold a fixed UTC offset in seconds instead of an IANA name
  *
- * @returns {Promise<Object>} All users
+ * @param {Object|null} user - User record
+ * @param {Date} [date=new Date()] - Instant to evaluate
+ * @returns {Object|null} User with utcOffset (seconds) and localTime (ISO 8601), when known
  */
-const getAllUsers = async () => {
-  return await userRepository.findAll();
+const withLocalTime = (user, date = new Date()) => {
+  if (!user) return user;
+
+  let utcOffset = null;
+  if (typeof user.timezone === "string") {
+    try {
+      utcOffset = getUtcOffsetSeconds(user.timezone, date);
+    } catch {
+      utcOffset = null; // Not a zone this runtime knows
+    }
+  } else if (typeof user.timezone === "number") {
+    utcOffset = user.timezone;
+  }
+
+  return {
+    ...user,
+    utcOffset,
+    localTime: utcOffset === null ? null : toLocalIsoString(utcOffset, date)
+  };
+};
+
+/**
+ * The filters of a list query (see UserListQuerySchema)
+ *
+ * @param {Object} query - Validated list query
+ * @returns {Object} zip, country, timezone, locationName, createdFrom and createdTo
+ */
+const getListFilters = ({ zip, country, timezone, locationName, createdFrom, createdTo }) => ({
+  zip,
+  country,
+  timezone,
+  locationName,
+  createdFrom,
+  createdTo
+});
+
+/**
+ * List users one page at a time
+ * total comes from the stats counter without filters; with filters every user in
+ * range is counted, unless query.countFiltered is false (total is then null)
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} query - Validated list query (see UserListQuerySchema)
+ * @returns {Promise<{items: Object[], nextCursor: string|null, total: number|null}>} Page envelope
+ */
+const listUsers = async (ownerUid, { countFiltered, ...query }) => {
+  const filtered = Object.values(getListFilters(query)).some(value => value !== undefined);
+  const [page, total] = await Promise.all([
+    userRepository.findPage(ownerUid, query),
+    filtered && !countFiltered ? null : countUsers(ownerUid, query)
+  ]);
+  const now = new Date();
+  return {
+    ...page,
+    items: page.items.map(user => withLocalTime(user, now)),
+    total
+  };
+};
+
+/**
+ * Count the users matching the list filters
+ * Unfiltered counts are read from the stats counter; filtered ones read every
+ * user in range
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} query - Validated list query (see UserListQuerySchema); paging is ignored
+ * @returns {Promise<number>} Number of matching users
+ */
+const countUsers = async (ownerUid, query) => {
+  return await userRepository.count(ownerUid, { sort: query.sort, ...getListFilters(query) });
 };
 
 /**
  * Get user by ID
  *
+ * @param {string} ownerUid - Owning account's uid
  * @param {string} id - User ID
  * @returns {Promise<Object|null>} User object or null if not found
  */
-const getUserById = async id => {
-  return await userRepository.findById(id);
+const getUserById = async (ownerUid, id) => {
+  return withLocalTime(await userRepository.findById(ownerUid, id));
+};
+
+/**
+ * Get several users by ID
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string[]} ids - User IDs
+ * @returns {Promise<Array<Object|null>>} Users (null if not found), in the order of ids
+ */
+const getUsersByIds = async (ownerUid, ids) => {
+  const date = new Date();
+  return (await userRepository.findByIds(ownerUid, ids)).map(user => withLocalTime(user, date));
+};
+
+/**
+ * Rank users that are likely the same person as a new tenant
+ * A likely duplicate is in the same country and postal code area (see
+ * getMatchCode: ZIP+4 suffixes and UK inward codes are ignored), and has a name whose
+ * similarity reaches DUPLICATE_NAME_THRESHOLD (1 when the names only differ in
+ * case, accents, punctuation or spacing)
+ *
+ * @param {Object} user - New tenant ({ name, zip, country })
+ * @param {Object[]} users - Existing users to compare against
+ * @param {number} [threshold=env.DUPLICATE_NAME_THRESHOLD] - Minimum similarity
+ * @returns {Array<{user: Object, score: number}>} Matches, most similar first
+ */
+const rankDuplicates = (user, users, threshold = env.DUPLICATE_NAME_THRESHOLD) => {
+  const country = user.country || DEFAULT_COUNTRY;
+  const area = getMatchCode(country, user.zip);
+  return users
+    .filter(
+      other =>
+        (other.country || DEFAULT_COUNTRY) === country &&
+        getMatchCode(country, String(other.zip)) === area
+    )
+    .map(other => ({ user: other, score: nameSimilarity(user.name, other.name) }))
+    .filter(({ score }) => score >= threshold)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Find an owner's likely duplicates of a new tenant (see rankDuplicates)
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} user - New tenant ({ name, zip, country })
+ * @returns {Promise<Array<{id: string, name: string, zip: string, country: string,
+ *   locationName: string, score: number}>>} Candidates, most similar first
+ */
+const findDuplicates = async (ownerUid, user) => {
+  const country = user.country || DEFAULT_COUNTRY;
+  const neighbours = await userRepository.findByPostalArea(ownerUid, user.zip, country);
+
+  return rankDuplicates(user, neighbours).map(({ user: match, score }) => ({
+    id: match.id,
+    name: match.name,
+    zip: match.zip,
+    country: match.country || DEFAULT_COUNTRY,
+    locationName: match.locationName ?? null,
+    score: Math.round(score * 100) / 100
+  }));
 };
 
 /**
  * Create a new user with geolocation data
  *
+ * @param {string} ownerUid - Owning account's uid
  * @param {Object} userData - User data
  * @param {string} userData.name - User's name
- * @param {string} userData.zip - User's ZIP code
- * @returns {Promise<Object>} Created user with geolocation data
- * @throws {Error} If weather API fails or user creation fails
+ * @param {string} userData.zip - User's postal code
+ * @param {string} userData.country - Country code (US, CA, GB)
+ * @param {string} [userData.notes] - Free-text notes
+ * @param {Object} [context] - Who is making the change ({ actorUid, requestId })
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Save even if likely duplicates exist
+ * @returns {Promise<Object>} Created user with geolocation data (or geoStatus "pending")
+ * @throws {Error} 409 with details.candidates if likely duplicates exist (unless forced),
+ *   or if the postal code is unknown or user creation fails
  */
-const createUser = async ({ name, zip }) => {
-  // Fetch geolocation data from weather API
-  const geoData = await weatherBreaker.fire(zip);
+const createUser = async (
+  ownerUid,
+  { name, zip, country, notes },
+  context = {},
+  { force = false } = {}
+) => {
+  if (!force) {
+    const candidates = await findDuplicates(ownerUid, { name, zip, country });
+    if (candidates.length > 0) {
+      throw createHttpError(
+        409,
+        "A tenant with a similar name already exists at this postal code",
+        "users/duplicate",
+        { candidates }
+      );
+    }
+  }
+
+  // Resolve geolocation through the provider chain (offline dataset, then OpenWeather)
+  const location = await resolveLocation(zip, country);
 
   // Prepare user data with geolocation
-  const userData = {
-    name,
-    zip,
-    latitude: geoData.lat,
-    longitude: geoData.lon,
-    timezone: geoData.timezone,
-    locationName: geoData.locationName
-  };
+  const userData = { name, zip, country, ...location };
+  if (notes) userData.notes = notes;
 
-  // Create user in database
-  return await userRepository.create(userData);
+  // Create user in database, with its first history entry
+  const history = createHistoryEntry("create", diffFields({}, userData), context);
+  const user = await userRepository.create(ownerUid, userData, history);
+  await publishChange(ownerUid, "user.created", { user, reason: "created" });
+  return withLocalTime(user);
 };
 
 /**
  * Update an existing user
- * Re-fetches geolocation data if ZIP code changes
+ * Re-fetches geolocation data if the postal code or country changes
  *
+ * @param {string} ownerUid - Owning account's uid
  * @param {string} id - User ID
  * @param {Object} updateData - Update data
  * @param {string} updateData.name - User's name
- * @param {string} updateData.zip - User's ZIP code
+ * @param {string} updateData.zip - User's postal code
+ * @param {string} updateData.country - Country code (US, CA, GB)
+ * @param {string} [updateData.notes] - Free-text notes ("" clears them)
+ * @param {Object} [context] - Who is making the change ({ actorUid, requestId })
+ * @param {Object} [preconditions]
+ * @param {"*"|number[]} [preconditions.ifMatch] - Parsed If-Match header: versions the
+ *   client's copy may be at (see utils/etag)
  * @returns {Promise<Object>} Updated user object
- * @throws {Error} If user not found or update fails
+ * @throws {Error} 404 if the user is not found, 412 if it is no longer at an If-Match
+ *   version (details.current holds the stored record), 409 if concurrent writes keep
+ *   winning the race
  */
-const updateUser = async (id, { name, zip }) => {
-  // Check if user exists
-  const userExists = await userRepository.exists(id);
-  if (!userExists) {
-    const error = new Error("User not found");
-    error.statusCode = 404;
-    throw error;
-  }
+const updateUser = async (
+  ownerUid,
+  id,
+  { name, zip, country, notes },
+  context = {},
+  { ifMatch } = {}
+) => {
+  const versionMismatch = current =>
+    createHttpError(412, "This user was changed since you loaded it", "users/version-mismatch", {
+      current: withLocalTime(current)
+    });
 
-  // Get current user to check if ZIP changed
-  const currentUser = await userRepository.findById(id);
+  for (let attempt = 1; ; attempt++) {
+    // Records of other owners are invisible here
+    const currentUser = await userRepository.findById(ownerUid, id);
+    if (!currentUser) {
+      throw createHttpError(404, "User not found", "users/not-found");
+    }
+    if (ifMatch && !matchesIfMatch(ifMatch, currentUser.version)) {
+      throw versionMismatch(currentUser);
+    }
 
-  let updates = { name };
+    const currentCountry = currentUser.country || DEFAULT_COUNTRY;
+    let updates = { name };
+    // Omitted notes are kept; "" clears them
+    if (notes !== undefined) updates.notes = notes || null;
 
-  // If ZIP code changed, fetch new geolocation data
-  if (zip && zip !== currentUser.zip) {
-    const geoData = await weatherBreaker.fire(zip);
-    updates = {
-      ...updates,
-      zip,
-      latitude: geoData.lat,
-      longitude: geoData.lon,
-      timezone: geoData.timezone,
-      locationName: geoData.locationName
-    };
+    // If the postal code or country changed, fetch new geolocation data
+    if (zip && (zip !== currentUser.zip || country !== currentCountry)) {
+      updates = { ...updates, zip, country, ...(await resolveLocation(zip, country)) };
+    }
+
+    // A save that changes nothing writes nothing (same version, no history entry)
+    const changes = diffFields(currentUser, updates);
+    if (Object.keys(changes).length === 0) return withLocalTime(currentUser);
+
+    // Written only if the record is still at the version the changes were based on
+    const { status, user } = await userRepository.update(ownerUid, id, updates, {
+      expectedVersion: currentUser.version || 0,
+      history: createHistoryEntry("update", changes, context)
+    });
+
+    if (status === "updated") {
+      await publishChange(ownerUid, "user.updated", { user, changes });
+      return withLocalTime(user);
+    }
+    if (status === "not-found") {
+      throw createHttpError(404, "User not found", "users/not-found");
+    }
+    // Another write got in first: a conditional request fails, others start over
+    if (ifMatch && status === "conflict") throw versionMismatch(user);
+    if (attempt === MAX_UPDATE_ATTEMPTS) throw concurrentWriteError();
+  }
+};
+
+/**
+ * Merge a duplicate into a surviving user
+ * The duplicate is deleted (not trashed) and its history is carried over into
+ * the survivor's; the survivor's fields are kept as they are
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} survivorId - ID of the user that is kept
+ * @param {string} duplicateId - ID of the user that is folded in
+ * @param {Object} [context] - Who is making the change ({ actorUid, requestId })
+ * @returns {Promise<Object>} The surviving user
+ * @throws {Error} 400 if both IDs are the same, 404 if either user is not found, 409 if
+ *   concurrent writes keep winning the race
+ */
+const mergeUsers = async (ownerUid, survivorId, duplicateId, context = {}) => {
+  if (survivorId === duplicateId) {
+    throw createHttpError(400, "A user cannot be merged into itself", "users/merge-self");
   }
 
-  // Update user in database
-  return await userRepository.update(id, updates);
+  for (let attempt = 1; ; attempt++) {
+    const [survivor, duplicate] = await Promise.all([
+      userRepository.findById(ownerUid, survivorId),
+      userRepository.findById(ownerUid, duplicateId)
+    ]);
+    if (!survivor) {
+      throw createHttpError(404, "User not found", "users/not-found");
+    }
+    if (!duplicate) {
+      throw createHttpError(404, "Duplicate user not found", "users/not-found");
+    }
+
+    const { status } = await userRepository.merge(
+      ownerUid,
+      { ...survivor, id: survivorId },
+      { ...duplicate, id: duplicateId },
+      {
+        entries: await historyRepository.findAll(ownerUid, duplicateId),
+        survivorEntry: createHistoryEntry(
+          "merge",
+          { mergedFrom: { from: null, to: duplicateId } },
+          context
+        ),
+        duplicateEntry: createHistoryEntry(
+          "merge",
+          { mergedInto: { from: null, to: survivorId } },
+          context
+        )
+      }
+    );
+    if (status === "merged") {
+      await publishChange(ownerUid, "user.deleted", {
+        user: { ...duplicate, id: duplicateId },
+        reason: "merged",
+        mergedInto: survivorId
+      });
+      return withLocalTime(survivor);
+    }
+    // Either record changed or went away meanwhile: start over from fresh reads
+    if (attempt === MAX_UPDATE_ATTEMPTS) throw concurrentWriteError();
+  }
 };
 
 /**
- * Delete a user
+ * Delete a user (moves it to the trash, where it can be restored until purged)
  *
+ * @param {string} ownerUid - Owning account's uid
  * @param {string} id - User ID
+ * @param {Object} [context] - Who is making the change ({ actorUid, requestId })
  * @returns {Promise<void>}
+ * @throws {Error} 409 if concurrent writes keep winning the race
+ */
+const deleteUser = async (ownerUid, id, context = {}) => {
+  const deletedBy = context.actorUid || SYSTEM_ACTOR;
+
+  for (let attempt = 1; ; attempt++) {
+    const currentUser = await userRepository.findById(ownerUid, id);
+    // Deleting a missing user is a no-op and leaves no history entry
+    if (!currentUser) return;
+
+    const history = createHistoryEntry("delete", diffFields({}, { deletedBy }), context);
+    const { status, user } = await userRepository.moveToTrash(
+      ownerUid,
+      { ...currentUser, id },
+      deletedBy,
+      history
+    );
+    if (status === "not-found") return;
+    if (status === "trashed") {
+      await publishChange(ownerUid, "user.deleted", { user: { ...user, id }, reason: "deleted" });
+      return;
+    }
+    if (attempt === MAX_UPDATE_ATTEMPTS) throw concurrentWriteError();
+  }
+};
+
+/**
+ * List deleted users, most recently deleted first
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} query - Validated query (see TrashQuerySchema)
+ * @returns {Promise<{items: Object[], nextCursor: string|null}>} Page envelope
+ */
+const listTrash = async (ownerUid, query) => {
+  return await userRepository.findTrashPage(ownerUid, query);
+};
+
+/**
+ * Restore a deleted user
+ * Records restored while still waiting for geolocation go back on the reconciler's list
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - User ID
+ * @param {Object} [context] - Who is making the change ({ actorUid, requestId })
+ * @returns {Promise<Object>} Restored user
+ * @throws {Error} 404 if the user is not in the trash, 409 if concurrent writes keep winning
+ *   the race
+ */
+const restoreUser = async (ownerUid, id, context = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    const trashedUser = await userRepository.findInTrash(ownerUid, id);
+    if (!trashedUser) {
+      throw createHttpError(404, "User not found in trash", "users/not-in-trash");
+    }
+
+    const history = createHistoryEntry(
+      "restore",
+      diffFields(trashedUser, { deletedBy: null }),
+      context
+    );
+    const { status, user } = await userRepository.restore(
+      ownerUid,
+      { ...trashedUser, id },
+      history
+    );
+    if (status === "restored") {
+      await publishChange(ownerUid, "user.created", { user, reason: "restored" });
+      return withLocalTime(user);
+    }
+    // Restored, purged or changed by another request meanwhile: the next read tells
+    if (attempt === MAX_UPDATE_ATTEMPTS) throw concurrentWriteError();
+  }
+};
+
+/**
+ * Permanently delete a trashed user (used by the trash purger)
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} trashedUser - Trashed record
+ * @returns {Promise<boolean>} Whether it was purged (false if it was restored, deleted again
+ *   or written by another request since it was read; the next pass looks again)
  */
-const deleteUser = async id => {
-  await userRepository.remove(id);
+const purgeUser = async (ownerUid, trashedUser) => {
+  const changes = diffFields(trashedUser, {}, Object.keys(trashedUser));
+  const { status } = await userRepository.purge(
+    ownerUid,
+    trashedUser,
+    createHistoryEntry("purge", changes, {})
+  );
+  return status === "purged";
+};
+
+/**
+ * One page of a user's change history, newest first
+ * History outlives the record, so deleted users still have theirs
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - User ID
+ * @param {Object} query - Validated query (see HistoryQuerySchema)
+ * @returns {Promise<{items: Object[], nextCursor: string|null}>} Page envelope
+ * @throws {Error} 404 if the user has neither a record nor any history
+ */
+const getUserHistory = async (ownerUid, id, query) => {
+  const page = await historyRepository.findPage(ownerUid, id, query);
+  if (page.items.length === 0 && !query.cursor && !(await userRepository.exists(ownerUid, id))) {
+    throw createHttpError(404, "User not found", "users/not-found");
+  }
+  return page;
+};
+
+/**
+ * Find a user with usable coordinates for the weather endpoints
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - User ID
+ * @returns {Promise<Object>} User object
+ * @throws {Error} 404 if the user does not exist, 409 if it has no coordinates yet
+ */
+const findLocatedUser = async (ownerUid, id) => {
+  const user = await userRepository.findById(ownerUid, id);
+  if (!user) {
+    throw createHttpError(404, "User not found", "users/not-found");
+  }
+  if (user.geoStatus === "pending") {
+    throw createHttpError(
+      409,
+      "This user's location is still being resolved. Try again shortly.",
+      "weather/location-pending"
+    );
+  }
+  if (typeof user.latitude !== "number" || typeof user.longitude !== "number") {
+    throw createHttpError(409, "This user has no known location.", "weather/no-location");
+  }
+  return user;
+};
+
+/**
+ * Current weather at a user's stored location
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - User ID
+ * @param {Object} query - Validated query (see WeatherQuerySchema)
+ * @param {string} query.units - "imperial" or "metric"
+ * @returns {Promise<Object>} Location plus temperature, description, wind and humidity
+ * @throws {Error} 404/409 (see findLocatedUser) or 503 if weather services are down
+ */
+const getUserWeather = async (ownerUid, id, { units }) => {
+  const user = await findLocatedUser(ownerUid, id);
+  const conditions = await localWeather.getCurrentConditions(user.latitude, user.longitude, units);
+
+  return {
+    userId: id,
+    locationName: user.locationName || null,
+    latitude: user.latitude,
+    longitude: user.longitude,
+    ...conditions
+  };
+};
+
+/**
+ * Daily forecast at a user's stored location
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - User ID
+ * @param {Object} query - Validated query (see ForecastQuerySchema)
+ * @param {number} query.days - Days to return
+ * @param {string} query.units - "imperial" or "metric"
+ * @returns {Promise<Object>} Location plus daily highs, lows and precipitation chances
+ * @throws {Error} 404/409 (see findLocatedUser) or 503 if weather services are down
+ */
+const getUserForecast = async (ownerUid, id, { days, units }) => {
+  const user = await findLocatedUser(ownerUid, id);
+  const forecast = await localWeather.getForecast(user.latitude, user.longitude, days, units);
+
+  return {
+    userId: id,
+    locationName: user.locationName || null,
+    latitude: user.latitude,
+    longitude: user.longitude,
+    ...forecast
+  };
+};
+
+/**
+ * Retry geolocation for one record saved as geoStatus "pending"
+ *
+ * @param {Object} entry - pendingGeo entry
+ * @param {string} entry.ownerUid - Owning account's uid
+ * @param {string} entry.id - User ID
+ * @param {string} entry.zip - Postal code the record was saved with
+ * @param {string} entry.country - Country code the record was saved with
+ * @returns {Promise<"resolved"|"failed"|"skipped"|"unavailable">} Outcome
+ * @throws {Error} Storage or unexpected geocoding errors (the entry stays pending)
+ */
+const reconcileLocation = async ({ ownerUid, id, zip, country }) => {
+  const user = await userRepository.findById(ownerUid, id);
+  if (!user || user.geoStatus !== "pending") {
+    await userRepository.clearPendingGeo(ownerUid, id);
+    return "skipped";
+  }
+  // The postal code changed since the entry was read; the next pass sees the new one
+  if (user.zip !== zip || (user.country || DEFAULT_COUNTRY) !== country) return "skipped";
+
+  let location;
+  try {
+    location = await resolveLocation(zip, country);
+  } catch (error) {
+    // Only "no such postal code" is a definitive answer; anything else is retried next pass
+    if (error.statusCode !== 404) throw error;
+
+    console.warn(`Geolocation failed for user ${id} (${country} ${zip}): ${error.message}`);
+    const updates = { geoStatus: "failed" };
+    const changes = diffFields(user, updates);
+    const { status, user: updated } = await userRepository.update(ownerUid, id, updates, {
+      expectedVersion: user.version || 0,
+      history: createHistoryEntry("update", changes, {})
+    });
+    if (status !== "updated") return "skipped";
+    await publishChange(ownerUid, "user.updated", { user: updated, changes });
+    return "failed";
+  }
+  if (location.geoStatus === "pending") return "unavailable";
+
+  // Skipped if the record was edited meanwhile; the next pass sees the new version
+  const changes = diffFields(user, location);
+  const { status, user: updated } = await userRepository.update(ownerUid, id, location, {
+    expectedVersion: user.version || 0,
+    history: createHistoryEntry("update", changes, {})
+  });
+  if (status !== "updated") return "skipped";
+  await publishChange(ownerUid, "user.updated", { user: updated, changes });
+  return "resolved";
+};
+
+/**
+ * Replace stored UTC offsets with IANA timezones looked up from each record's coordinates
+ * Each change is recorded in the record's history as an update by the system actor
+ *
+ * @param {Object} [options] - Backfill options
+ * @param {boolean} [options.dryRun=false] - Count the changes without writing them
+ * @returns {Promise<{updated: number, unresolved: number}>} Records changed (or to change)
+ *   and records left alone because they have no usable coordinates
+ */
+const backfillTimeZones = async ({ dryRun = false } = {}) => {
+  const records = await userRepository.findLegacyTimeZones();
+  const entries = [];
+  for (const record of records) {
+    const timezone = lookupTimeZone(record.latitude, record.longitude);
+    if (timezone) {
+      entries.push({ ...record, timezone, previous: record.timezone });
+    }
+  }
+
+  if (dryRun) return { updated: entries.length, unresolved: records.length - entries.length };
+
+  // One locked write per record, like any other update; records written meanwhile wait
+  // for the next run
+  let updated = 0;
+  for (const { ownerUid, id, timezone, previous, version } of entries) {
+    const { status } = await userRepository.update(
+      ownerUid,
+      id,
+      { timezone },
+      {
+        expectedVersion: version,
+        history: createHistoryEntry("update", diffFields({ timezone: previous }, { timezone }), {})
+      }
+    );
+    if (status === "updated") updated++;
+  }
+  return { updated, unresolved: records.length - entries.length };
 };
 
 module.exports = {
-  getAllUsers,
+  listUsers,
+  countUsers,
   getUserById,
+  getUsersByIds,
   createUser,
   updateUser,
-  deleteUser
+  mergeUsers,
+  findDuplicates,
+  rankDuplicates,
+  deleteUser,
+  listTrash,
+  restoreUser,
+  purgeUser,
+  getUserWeather,
+  getUserForecast,
+  getUserHistory,
+  reconcileLocation,
+  resolveLocation,
+  withLocalTime,
+  backfillTimeZones
 };
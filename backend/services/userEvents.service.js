@@ -0,0 +1,122 @@
+/**
+ * User Events Service
+ *
+ * In-process feed of user changes behind GET /users/stream
+ *
+ * user.service publishes every create, update and delete here. Each owner has
+ * a replay buffer of their last USER_STREAM_REPLAY_SIZE events, so a client
+ * that reconnects with Last-Event-ID gets what it missed. Event IDs are
+ * "{epoch}-{seq}": epoch identifies this process and seq counts events across
+ * all owners, so an ID from before a restart is recognized as unknown.
+ *
+ * The feed lives in this process: with several API instances, a stream only
+ * carries the changes made through the instance it is connected to.
+ */
+
+const { EventEmitter } = require("events");
+const env = require("../config/env");
+const { createLruCache } = require("../utils/lruCache");
+const { registerMetricsSource } = require("../middleware/telemetry.middleware");
+
+const EPOCH = Date.now().toString(36);
+
+// Owners whose buffers are kept; the least recently active owner's buffer is dropped first
+const feeds = createLruCache({ maxEntries: env.USER_STREAM_MAX_OWNERS });
+const listeners = new EventEmitter();
+listeners.setMaxListeners(0);
+
+let lastSeq = 0;
+const stats = { published: 0, openStreams: 0, resumed: 0, resets: 0 };
+
+/**
+ * Get an owner's feed, creating it if needed
+ * A new feed cannot replay anything published before it existed: floor is the
+ * last seq it cannot account for
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @returns {{floor: number, events: Object[]}} Feed
+ */
+const getFeed = ownerUid => {
+  const feed = feeds.get(ownerUid) || { floor: lastSeq, events: [] };
+  feeds.set(ownerUid, feed, Infinity);
+  return feed;
+};
+
+/**
+ * Parse an event ID issued by this process
+ *
+ * @param {string} id - Event ID
+ * @returns {number|null} seq, or null if the ID is malformed or from another process
+ */
+const parseEventId = id => {
+  const match = /^([0-9a-z]+)-(\d+)$/.exec(id || "");
+  if (!match || match[1] !== EPOCH) return null;
+  const seq = Number(match[2]);
+  return seq <= lastSeq ? seq : null;
+};
+
+/**
+ * Publish a change to the owner's open streams and replay buffer
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} type - "user.created" | "user.updated" | "user.deleted"
+ * @param {Object} data - Event data ({ user, changes?, reason? })
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Current time (epoch ms)
+ * @returns {Object} The event ({ id, type, createdAt, data })
+ */
+const publish = (ownerUid, type, data, { now = Date.now() } = {}) => {
+  const feed = getFeed(ownerUid);
+  const seq = ++lastSeq;
+  const event = { id: `${EPOCH}-${seq}`, seq, type, createdAt: new Date(now).toISOString(), data };
+
+  feed.events.push(event);
+  while (feed.events.length > env.USER_STREAM_REPLAY_SIZE) {
+    feed.floor = feed.events.shift().seq;
+  }
+
+  stats.published++;
+  listeners.emit(ownerUid, event);
+  return event;
+};
+
+/**
+ * Follow an owner's changes
+ * The listener is attached before the replay is worked out, so no event falls
+ * between the two
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} [lastEventId] - Last-Event-ID the client reconnected with
+ * @param {Function} listener - Called with each new event
+ * @returns {{replay: Object[]|null, unsubscribe: Function}} Events after lastEventId (empty
+ *   without one), or null if they are no longer all buffered and the client has to resync
+ */
+const subscribe = (ownerUid, lastEventId, listener) => {
+  listeners.on(ownerUid, listener);
+  stats.openStreams++;
+
+  let replay = [];
+  if (lastEventId) {
+    const seq = parseEventId(lastEventId);
+    const feed = getFeed(ownerUid);
+    replay = seq === null || seq < feed.floor ? null : feed.events.filter(e => e.seq > seq);
+    stats[replay ? "resumed" : "resets"]++;
+  }
+
+  let subscribed = true;
+  const unsubscribe = () => {
+    if (!subscribed) return;
+    subscribed = false;
+    listeners.removeListener(ownerUid, listener);
+    stats.openStreams--;
+  };
+
+  return { replay, unsubscribe };
+};
+
+registerMetricsSource("userStream", () => ({ ...stats, bufferedOwners: feeds.size() }));
+
+module.exports = {
+  publish,
+  subscribe
+};
@@ -0,0 +1,180 @@
+/**
+ * User Import Service
+ *
+ * Creates users in bulk from CSV or JSON rows (POST /users/import)
+ * Each row is validated with UserSchema, checked against the owner's existing
+ * users and the rows before it, then geocoded and created at bounded concurrency.
+ * Rows fail independently, so one bad row never blocks the rest.
+ */
+
+const env = require("../config/env");
+const userRepository = require("../repositories/user.repository");
+const userService = require("./user.service");
+const { UserSchema, MAX_IMPORT_ROWS } = require("../models/user.model");
+const { DEFAULT_COUNTRY } = require("../models/postalCode.model");
+const { parseCsv } = require("../utils/csv");
+const { normalizeName } = require("../utils/nameMatching");
+const { mapWithConcurrency } = require("../utils/concurrency");
+const createHttpError = require("../utils/httpError");
+
+/**
+ * Column names accepted for each user field (CSV headers are lower-cased first)
+ */
+const FIELD_ALIASES = {
+  name: ["name", "full name", "tenant"],
+  zip: ["zip", "zip code", "zipcode", "postal code", "postalcode", "postcode"],
+  country: ["country", "country code"],
+  notes: ["notes", "note", "comments"]
+};
+
+/**
+ * Turn an uploaded body into rows
+ *
+ * @param {string} contentType - Request content type ("csv" or "json")
+ * @param {*} body - Parsed request body (CSV text, or an array / { users: [...] })
+ * @returns {Object[]} Raw rows
+ * @throws {Error} 400 if the body is empty, malformed or too large
+ */
+const readRows = (contentType, body) => {
+  let rows;
+  if (contentType === "csv") {
+    if (typeof body !== "string" || body.trim() === "") {
+      throw createHttpError(400, "The CSV file is empty", "import/empty");
+    }
+    try {
+      rows = parseCsv(body).rows;
+    } catch (error) {
+      throw createHttpError(400, `Malformed CSV: ${error.message}`, "import/malformed");
+    }
+  } else {
+    rows = Array.isArray(body) ? body : body && body.users;
+    if (!Array.isArray(rows)) {
+      throw createHttpError(
+        400,
+        "Expected a JSON array of users or { users: [...] }",
+        "import/malformed"
+      );
+    }
+  }
+
+  if (rows.length === 0) {
+    throw createHttpError(400, "No rows to import", "import/empty");
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw createHttpError(
+      400,
+      `Too many rows: ${rows.length} (at most ${MAX_IMPORT_ROWS} per import)`,
+      "import/too-many-rows"
+    );
+  }
+  return rows;
+};
+
+/**
+ * Pick the user fields out of a raw row, accepting common column names
+ * Empty cells are left out so schema defaults (e.g. country) apply
+ *
+ * @param {Object} row - Raw row
+ * @returns {Object} { name, zip, country, notes } candidate input
+ */
+const toUserInput = row => {
+  const input = {};
+  if (!row || typeof row !== "object") return input;
+
+  const lowerCased = Object.fromEntries(
+    Object.entries(row).map(([key, value]) => [key.trim().toLowerCase(), value])
+  );
+  for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+    const alias = aliases.find(name => lowerCased[name] !== undefined && lowerCased[name] !== "");
+    if (alias === undefined) continue;
+    const value = lowerCased[alias];
+    input[field] = typeof value === "string" ? value.trim() : String(value);
+  }
+  if (input.country) input.country = input.country.toUpperCase();
+  return input;
+};
+
+/**
+ * Key that identifies the same tenant across rows
+ *
+ * @param {Object} user - User with name, zip and country
+ * @returns {string} Duplicate key
+ */
+const duplicateKey = user =>
+  [user.country || DEFAULT_COUNTRY, user.zip, normalizeName(user.name)].join("|");
+
+/**
+ * Import users
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} upload - Uploaded data
+ * @param {string} upload.contentType - "csv" or "json"
+ * @param {*} upload.body - CSV text or JSON rows
+ * @param {Object} options - Import options
+ * @param {boolean} options.dryRun - Validate, de-duplicate and geocode without saving
+ * @param {Object} [context] - Who is making the change ({ actorUid, requestId })
+ * @returns {Promise<{dryRun: boolean, summary: Object, results: Object[]}>} Per-row report;
+ *   results[i].row is the 1-based data row number
+ * @throws {Error} 400 if the upload itself is unusable
+ */
+const importUsers = async (ownerUid, { contentType, body }, { dryRun }, context = {}) => {
+  const rows = readRows(contentType, body);
+
+  // Existing users are matched like POST /users does (fuzzy names); rows in the
+  // file are matched by normalized name. Duplicate key -> row number that claimed it
+  const existing = Object.values(await userRepository.findAll(ownerUid));
+  const seen = new Map();
+
+  // Validate and de-duplicate in file order, so the first occurrence wins
+  const results = rows.map((row, index) => {
+    const parsed = UserSchema.safeParse(toUserInput(row));
+    if (!parsed.success) {
+      return {
+        row: index + 1,
+        status: "failed",
+        reason: parsed.error.issues
+          .map(issue => `${issue.path.join(".")}: ${issue.message}`)
+          .join("; ")
+      };
+    }
+
+    const [match] = userService.rankDuplicates(parsed.data, existing);
+    if (match) {
+      const reason = `Likely duplicate of an existing user (${match.user.name})`;
+      return { row: index + 1, status: "skipped", reason, duplicateOf: match.user.id };
+    }
+    const key = duplicateKey(parsed.data);
+    if (seen.has(key)) {
+      return { row: index + 1, status: "skipped", reason: `Duplicate of row ${seen.get(key)}` };
+    }
+    seen.set(key, index + 1);
+    return { row: index + 1, status: "pending", user: parsed.data };
+  });
+
+  const accepted = results.filter(result => result.status === "pending");
+  await mapWithConcurrency(accepted, env.IMPORT_CONCURRENCY, async result => {
+    const { user } = result;
+    delete result.user;
+    try {
+      if (dryRun) {
+        const location = await userService.resolveLocation(user.zip, user.country);
+        Object.assign(result, { status: "created", geoStatus: location.geoStatus });
+      } else {
+        // Already checked against existing users above
+        const created = await userService.createUser(ownerUid, user, context, { force: true });
+        Object.assign(result, { status: "created", id: created.id, geoStatus: created.geoStatus });
+      }
+    } catch (error) {
+      Object.assign(result, { status: "failed", reason: error.message });
+    }
+  });
+
+  const summary = { total: results.length, created: 0, skipped: 0, failed: 0 };
+  for (const result of results) summary[result.status]++;
+
+  return { dryRun, summary, results };
+};
+
+module.exports = {
+  importUsers
+};
@@ -0,0 +1,96 @@
+/**
+ * User Nearby Service
+ *
+ * Finds an owner's users within a radius of a postal code or coordinate
+ * (GET /users/near)
+ * The geohash index narrows the owner's users down to the cells around the
+ * center; each candidate's haversine distance then decides whether it is in
+ * the circle.
+ */
+
+const userRepository = require("../repositories/user.repository");
+const geoIndexRepository = require("../repositories/geoIndex.repository");
+const userService = require("./user.service");
+const geocoding = require("./geocoding");
+const { KM_PER_MILE, coveringCells, haversineKm } = require("../utils/geohash");
+
+/**
+ * Kilometers per distance unit (see DISTANCE_UNITS)
+ */
+const KM_PER_UNIT = { km: 1, mi: KM_PER_MILE };
+
+/**
+ * Work out the center of a nearby query
+ *
+ * @param {Object} query - Validated nearby query (see UserNearQuerySchema)
+ * @returns {Promise<{latitude: number, longitude: number, zip?: string, country?: string, locationName?: string}>}
+ *   Center
+ * @throws {Error} If the postal code cannot be located (404, or 503 if location
+ *   services are down)
+ */
+const resolveCenter = async ({ zip, country, lat, lon }) => {
+  if (!zip) return { latitude: lat, longitude: lon };
+
+  const geoData = await geocoding.geocode(zip, country);
+  return {
+    latitude: geoData.lat,
+    longitude: geoData.lon,
+    zip,
+    country,
+    locationName: geoData.locationName
+  };
+};
+
+/**
+ * Find an owner's users within a radius, nearest first
+ * Users without coordinates (geoStatus "pending" or "failed") are never returned
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} query - Validated nearby query (see UserNearQuerySchema)
+ * @param {number} query.radius - Radius in `unit`
+ * @param {string} query.unit - "mi" | "km"
+ * @param {number} query.limit - Most results to return
+ * @returns {Promise<{center: Object, radius: number, unit: string, items: Array<{user: Object, distance: number}>}>}
+ *   Results with their distance from the center in `unit` (2 decimals)
+ */
+const findUsersNear = async (ownerUid, query) => {
+  const { radius, unit, limit } = query;
+  const center = await resolveCenter(query);
+  const radiusKm = radius * KM_PER_UNIT[unit];
+
+  const ids = await geoIndexRepository.findInCells(
+    ownerUid,
+    coveringCells(center.latitude, center.longitude, radiusKm)
+  );
+  const users = await Promise.all(ids.map(id => userRepository.findById(ownerUid, id)));
+
+  const now = new Date();
+  const items = [];
+  for (const user of users) {
+    // Skip index entries whose record is gone or lost its coordinates
+    if (typeof user?.latitude !== "number" || typeof user?.longitude !== "number") continue;
+    const distanceKm = haversineKm(center, user);
+    if (distanceKm > radiusKm) continue;
+    items.push({
+      user: userService.withLocalTime(user, now),
+      distance: Math.round((distanceKm / KM_PER_UNIT[unit]) * 100) / 100
+    });
+  }
+
+  items.sort((a, b) => a.distance - b.distance || a.user.name.localeCompare(b.user.name));
+  return { center, radius, unit, items: items.slice(0, limit) };
+};
+
+/**
+ * Rebuild the geo index from the stored records
+ *
+ * @returns {Promise<number>} Records indexed
+ */
+const rebuildGeoIndex = async () => {
+  return await geoIndexRepository.rebuild(await userRepository.findAllByOwner());
+};
+
+module.exports = {
+  findUsersNear,
+  rebuildGeoIndex
+};
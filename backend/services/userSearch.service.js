@@ -0,0 +1,190 @@
+/**
+ * User Search Service
+ *
+ * Ranked search over an owner's users (GET /users/search)
+ * The trigram index narrows the owner's users down to candidates sharing
+ * trigrams with the query; each candidate is then scored word by word, so
+ * typos ("jhon") and word starts ("chic") still match. Every query word has to
+ * match somewhere in the record.
+ */
+
+const userRepository = require("../repositories/user.repository");
+const searchIndexRepository = require("../repositories/searchIndex.repository");
+const userService = require("./user.service");
+const { normalizeName, jaroWinkler } = require("../utils/nameMatching");
+const { toWords, toTrigrams } = require("../utils/trigrams");
+
+/**
+ * How much a match in each field counts (see SEARCH_FIELDS)
+ */
+const FIELD_WEIGHTS = {
+  name: 1,
+  zip: 0.9,
+  locationName: 0.8,
+  notes: 0.6
+};
+
+/**
+ * Candidates read from the index per search, before scoring
+ */
+const CANDIDATE_LIMIT = 100;
+
+/**
+ * Similarity a misspelt word needs to count as a match
+ */
+const MIN_FUZZY_SIMILARITY = 0.85;
+
+/**
+ * Shortest query word matched fuzzily; shorter words must match a word start
+ */
+const MIN_FUZZY_LENGTH = 4;
+
+/**
+ * Score for a query word that starts a longer word
+ */
+const PREFIX_SIMILARITY = 0.95;
+
+/**
+ * Split a field into its words, keeping where each sits in the original text
+ *
+ * @param {string} text - Field value as stored
+ * @returns {Array<{word: string, start: number, end: number, exact: boolean}>} Normalized
+ *   words; exact is false when normalizing changed the word's length (so offsets
+ *   inside the word no longer line up)
+ */
+const fieldWords = text => {
+  const words = [];
+  for (const match of String(text).matchAll(/[\p{L}\p{N}\p{M}'’]+/gu)) {
+    const word = normalizeName(match[0]).replace(/ /g, "");
+    if (!word) continue;
+    const end = match.index + match[0].length;
+    words.push({ word, start: match.index, end, exact: word.length === match[0].length });
+  }
+  return words;
+};
+
+/**
+ * Score one query word against one word of a record
+ *
+ * @param {string} term - Normalized query word
+ * @param {Object} target - Record word (see fieldWords)
+ * @returns {{similarity: number, span: {start: number, end: number}}|null} Match, or null
+ */
+const matchWord = (term, target) => {
+  const { word, start, end, exact } = target;
+  if (word === term) return { similarity: 1, span: { start, end } };
+  if (word.startsWith(term)) {
+    return {
+      similarity: PREFIX_SIMILARITY,
+      span: { start, end: exact ? start + term.length : end }
+    };
+  }
+  // Fuzzy matching would make every ZIP code look like its neighbours
+  if (term.length < MIN_FUZZY_LENGTH || /^\d+$/.test(term)) return null;
+
+  const similarity = jaroWinkler(term, word);
+  return similarity >= MIN_FUZZY_SIMILARITY ? { similarity, span: { start, end } } : null;
+};
+
+/**
+ * Merge overlapping spans
+ *
+ * @param {Array<{start: number, end: number}>} spans - Spans in any order
+ * @returns {Array<{start: number, end: number}>} Disjoint spans in order
+ */
+const mergeSpans = spans => {
+  const merged = [];
+  for (const span of [...spans].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && span.start <= last.end) last.end = Math.max(last.end, span.end);
+    else merged.push({ ...span });
+  }
+  return merged;
+};
+
+/**
+ * Score a record against a query
+ *
+ * @param {Object} user - User record
+ * @param {string[]} terms - Normalized query words
+ * @returns {{score: number, highlights: Object}|null} Score between 0 and 1 and the
+ *   matched spans by field ({ name: [{ start, end }] }), or null if a query word
+ *   matches nothing
+ */
+const scoreUser = (user, terms) => {
+  const fields = Object.keys(FIELD_WEIGHTS)
+    .filter(field => user[field] !== null && user[field] !== undefined)
+    .map(field => ({ field, words: fieldWords(user[field]) }));
+
+  const spans = {};
+  let total = 0;
+
+  for (const term of terms) {
+    let best = 0;
+    for (const { field, words } of fields) {
+      for (const target of words) {
+        const match = matchWord(term, target);
+        if (!match) continue;
+        best = Math.max(best, FIELD_WEIGHTS[field] * match.similarity);
+        (spans[field] = spans[field] || []).push(match.span);
+      }
+    }
+    if (best === 0) return null;
+    total += best;
+  }
+
+  const highlights = Object.fromEntries(
+    Object.entries(spans).map(([field, fieldSpans]) => [field, mergeSpans(fieldSpans)])
+  );
+  return { score: Math.round((total / terms.length) * 1000) / 1000, highlights };
+};
+
+/**
+ * Search an owner's users
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} query - Validated search query (see UserSearchQuerySchema)
+ * @param {string} query.q - Search text
+ * @param {number} query.limit - Most results to return
+ * @returns {Promise<{query: string, items: Array<{user: Object, score: number, highlights: Object}>}>}
+ *   Results, best match first
+ */
+const searchUsers = async (ownerUid, { q, limit }) => {
+  const terms = [...new Set(toWords(q))];
+  if (terms.length === 0) return { query: q, items: [] };
+
+  const candidates = await searchIndexRepository.findCandidates(
+    ownerUid,
+    toTrigrams(...terms),
+    CANDIDATE_LIMIT
+  );
+  const users = await Promise.all(
+    candidates.map(({ id }) => userRepository.findById(ownerUid, id))
+  );
+
+  const now = new Date();
+  const items = [];
+  for (const user of users) {
+    // Skip index entries whose record is gone
+    if (!user) continue;
+    const result = scoreUser(user, terms);
+    if (result) items.push({ user: userService.withLocalTime(user, now), ...result });
+  }
+
+  items.sort((a, b) => b.score - a.score || a.user.name.localeCompare(b.user.name));
+  return { query: q, items: items.slice(0, limit) };
+};
+
+/**
+ * Rebuild the search index from the stored records
+ *
+ * @returns {Promise<number>} Records indexed
+ */
+const rebuildSearchIndex = async () => {
+  return await searchIndexRepository.rebuild(await userRepository.findAllByOwner());
+};
+
+module.exports = {
+  searchUsers,
+  rebuildSearchIndex
+};
@@ -0,0 +1,191 @@
+/**
+ * User Stats Service
+ *
+ * Portfolio statistics for GET /users/stats, built from the counters in
+ * stats.repository (kept up to date on every write) plus one query for the
+ * most recent users, so the cost does not grow with the number of users.
+ * Days are UTC; weeks start on Monday.
+ */
+
+const userRepository = require("../repositories/user.repository");
+const statsRepository = require("../repositories/stats.repository");
+const userService = require("./user.service");
+const createHttpError = require("../utils/httpError");
+const { MAX_STATS_RANGE_DAYS } = require("../models/user.model");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Periods reported when the query gives no `from`
+ */
+const DEFAULT_PERIODS = { day: 30, week: 12, month: 12 };
+
+/**
+ * Epoch milliseconds of a UTC day
+ *
+ * @param {string} day - YYYY-MM-DD
+ * @returns {number} Midnight UTC
+ */
+const parseDay = day => Date.parse(`${day}T00:00:00Z`);
+
+/**
+ * UTC day of an instant
+ *
+ * @param {number} timestamp - Epoch milliseconds
+ * @returns {string} YYYY-MM-DD
+ */
+const formatDay = timestamp => new Date(timestamp).toISOString().slice(0, 10);
+
+/**
+ * First day of the period a day falls in
+ *
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} groupBy - "day" | "week" | "month"
+ * @returns {string} YYYY-MM-DD
+ */
+const periodStart = (day, groupBy) => {
+  if (groupBy === "month") return `${day.slice(0, 7)}-01`;
+  if (groupBy === "week") {
+    const daysSinceMonday = (new Date(parseDay(day)).getUTCDay() + 6) % 7;
+    return formatDay(parseDay(day) - daysSinceMonday * DAY_MS);
+  }
+  return day;
+};
+
+/**
+ * Move a period start by whole periods
+ *
+ * @param {string} start - First day of a period (YYYY-MM-DD)
+ * @param {string} groupBy - "day" | "week" | "month"
+ * @param {number} count - Periods to move (negative for earlier)
+ * @returns {string} First day of the other period
+ */
+const shiftPeriod = (start, groupBy, count) => {
+  const date = new Date(parseDay(start));
+  if (groupBy === "month") date.setUTCMonth(date.getUTCMonth() + count);
+  else date.setUTCDate(date.getUTCDate() + count * (groupBy === "week" ? 7 : 1));
+  return formatDay(date.getTime());
+};
+
+/**
+ * Work out the signup range of a stats query
+ * Without `from`, the range covers the last DEFAULT_PERIODS whole periods up to `to`
+ *
+ * @param {Object} query - Validated stats query (see UserStatsQuerySchema)
+ * @param {Date} now - Current time (for the default `to`)
+ * @returns {{from: string, to: string}} UTC days
+ * @throws {Error} 400 if the range is longer than MAX_STATS_RANGE_DAYS
+ */
+const resolveRange = ({ groupBy, from, to: until }, now) => {
+  const to = until || formatDay(now.getTime());
+  const start =
+    from || shiftPeriod(periodStart(to, groupBy), groupBy, 1 - DEFAULT_PERIODS[groupBy]);
+
+  if ((parseDay(to) - parseDay(start)) / DAY_MS + 1 > MAX_STATS_RANGE_DAYS) {
+    throw createHttpError(
+      400,
+      `Stats cover at most ${MAX_STATS_RANGE_DAYS} days`,
+      "stats/range-too-long",
+      { from: start, to }
+    );
+  }
+  return { from: start, to };
+};
+
+/**
+ * Group daily signups into periods, with empty periods filled in
+ * The first and last periods only count days inside the range
+ *
+ * @param {Array<[string, number]>} days - [day, signups] within the range
+ * @param {Object} range - { from, to } (UTC days)
+ * @param {string} groupBy - "day" | "week" | "month"
+ * @returns {Array<{start: string, count: number}>} Periods in order
+ */
+const bucketSignups = (days, { from, to }, groupBy) => {
+  const counts = new Map();
+  for (const [day, count] of days) {
+    const start = periodStart(day, groupBy);
+    counts.set(start, (counts.get(start) || 0) + count);
+  }
+
+  const buckets = [];
+  for (
+    let start = periodStart(from, groupBy);
+    start <= to;
+    start = shiftPeriod(start, groupBy, 1)
+  ) {
+    buckets.push({ start, count: counts.get(start) || 0 });
+  }
+  return buckets;
+};
+
+/**
+ * Largest counts first (ties alphabetically), cut to the top entries
+ *
+ * @param {Object[]} entries - Entries with a count
+ * @param {string} label - Field to break ties on
+ * @param {number} top - Entries to keep
+ * @returns {Object[]} Top entries
+ */
+const topCounts = (entries, label, top) =>
+  [...entries]
+    .sort((a, b) => b.count - a.count || String(a[label]).localeCompare(String(b[label])))
+    .slice(0, top);
+
+/**
+ * Get an owner's portfolio statistics
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} query - Validated stats query (see UserStatsQuerySchema)
+ * @param {string} query.groupBy - Signup period ("day" | "week" | "month")
+ * @param {number} query.top - Entries per breakdown
+ * @param {number} query.recent - Recent users to include
+ * @returns {Promise<Object>} { total, unique, byZip, byTimezone, byLocation, signups, recent }
+ * @throws {Error} 400 if the signup range is too long
+ */
+const getStats = async (ownerUid, query) => {
+  const { groupBy, top, recent } = query;
+  const now = new Date();
+  const range = resolveRange(query, now);
+
+  const [counts, recentUsers] = await Promise.all([
+    statsRepository.getCounts(ownerUid, range),
+    userRepository.findRecent(ownerUid, recent)
+  ]);
+
+  const byTimezone = counts.byTimezone.map(([timezone, count]) => ({ timezone, count }));
+  const byLocation = counts.byLocation.map(([locationName, count]) => ({ locationName, count }));
+
+  return {
+    total: counts.total,
+    unique: {
+      zips: counts.byZip.length,
+      timezones: byTimezone.length,
+      locations: byLocation.length
+    },
+    byZip: topCounts(counts.byZip, "zip", top),
+    byTimezone: topCounts(byTimezone, "timezone", top),
+    byLocation: topCounts(byLocation, "locationName", top),
+    signups: {
+      groupBy,
+      ...range,
+      total: counts.signups.reduce((sum, [, count]) => sum + count, 0),
+      buckets: bucketSignups(counts.signups, range, groupBy)
+    },
+    recent: recentUsers.map(user => userService.withLocalTime(user, now))
+  };
+};
+
+/**
+ * Rebuild every owner's counters from the stored records
+ *
+ * @returns {Promise<number>} Records counted
+ */
+const rebuildStats = async () => {
+  return await statsRepository.rebuild(await userRepository.findAllByOwner());
+};
+
+module.exports = {
+  getStats,
+  rebuildStats
+};
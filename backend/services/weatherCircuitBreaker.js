@@ -1,33 +1,82 @@
 // backend/services/weatherCircuitBreaker.js
 const CircuitBreaker = require("opossum");
-const { getWeatherData } = require("./weatherService");
+const { getWeatherData, getCurrentWeather, getForecast } = require("./weatherService");
+const createHttpError = require("../utils/httpError");
 
 // Configuration for the "SRE Guardrail"
 const options = {
   timeout: 5000, // If the service takes > 5s, count as failure
   errorThresholdPercentage: 50, // If 50% of requests fail, open the circuit
-  resetTimeout: 30000 // After 30s, try again (Half-Open state)
+  resetTimeout: 30000, // After 30s, try again (Half-Open state)
+  // A 404 (unknown ZIP, no data for a location) is an answer, not an outage:
+  // don't count it towards opening the circuit
+  errorFilter: error => error.statusCode === 404
 };
 
-const breaker = new CircuitBreaker(getWeatherData, options);
+/**
+ * Wraps one OpenWeather call in its own breaker, so an outage of one endpoint
+ * does not cut off the others.
+ * @param {Function} action - Function returning a Promise
+ * @param {string} label - Name used in logs
+ * @returns {CircuitBreaker}
+ */
+const createWeatherBreaker = (action, label) => {
+  const breaker = new CircuitBreaker(action, { ...options, name: label });
 
-// --- SRE Observability: Monitoring the Breaker Status ---
-breaker.on("open", () =>
-  console.warn("🚨 CIRCUIT BREAKER OPEN: OpenWeather API is failing. Stop calling it.")
+  // --- SRE Observability: Monitoring the Breaker Status ---
+  breaker.on("open", () =>
+    console.warn(`🚨 CIRCUIT BREAKER OPEN: ${label} is failing. Stop calling it.`)
+  );
+  breaker.on("halfOpen", () => console.info(`⚠️ CIRCUIT BREAKER HALF-OPEN: Testing ${label}...`));
+  breaker.on("close", () => console.info(`✅ CIRCUIT BREAKER CLOSED: ${label} is healthy again.`));
+
+  return breaker;
+};
+
+/**
+ * Fallback factory: if the circuit is OPEN, fail with a typed 503 ("Graceful Degradation")
+ * opossum also calls the fallback for ordinary failures; those keep their own error
+ * @param {string} code - Error code callers can branch on
+ * @param {string} message - Client-facing message
+ * @returns {Function}
+ */
+const failFastWhenOpen = (code, message) => {
+  return (...args) => {
+    const error = args[args.length - 1];
+    if (error && error.code !== "EOPENBREAKER") {
+      throw error;
+    }
+
+    console.error(`Fallback triggered for ${code}. Service unavailable.`);
+    throw createHttpError(503, message, code);
+  };
+};
+
+// ZIP -> coordinates. Typed so callers can save the record as geoStatus "pending"
+// and reconcile it later
+const geocodeBreaker = createWeatherBreaker(getWeatherData, "OpenWeather geocoding");
+geocodeBreaker.fallback(
+  failFastWhenOpen("geo/unavailable", "Location services are currently down.")
 );
-breaker.on("halfOpen", () =>
-  console.info("⚠️ CIRCUIT BREAKER HALF-OPEN: Testing OpenWeather API...")
+
+// Current conditions at a coordinate
+const currentWeatherBreaker = createWeatherBreaker(
+  getCurrentWeather,
+  "OpenWeather current weather"
 );
-breaker.on("close", () =>
-  console.info("✅ CIRCUIT BREAKER CLOSED: OpenWeather API is healthy again.")
+currentWeatherBreaker.fallback(
+  failFastWhenOpen("weather/unavailable", "Weather services are currently down.")
 );
 
-// Fallback logic: If the circuit is OPEN, provide a "Graceful Degradation"
-breaker.fallback(zipCode => {
-  console.error(`Fallback triggered for ZIP: ${zipCode}. Service unavailable.`);
-  throw new Error(
-    "Location services are currently down. We saved your name, but coordinates will be updated later."
-  );
-});
+// Daily forecast at a coordinate
+const forecastBreaker = createWeatherBreaker(getForecast, "OpenWeather forecast");
+forecastBreaker.fallback(
+  failFastWhenOpen("weather/unavailable", "Weather services are currently down.")
+);
 
-module.exports = breaker;
+module.exports = {
+  geocodeBreaker,
+  currentWeatherBreaker,
+  forecastBreaker,
+  breakers: [geocodeBreaker, currentWeatherBreaker, forecastBreaker]
+};
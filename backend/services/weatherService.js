@@ -1,9 +1,13 @@
 // backend/services/weatherService.js
 const axios = require("axios");
 const axiosRetry = require("axios-retry").default;
+const createHttpError = require("../utils/httpError");
+const { WEATHER_UNITS, MAX_FORECAST_DAYS } = require("../models/weather.model");
+const { isValidPostalCode, getLookupCode, postalCodeLabel } = require("../models/postalCode.model");
 
 const API_KEY = process.env.OPENWEATHER_API_KEY || "7afa46f2e91768e7eeeb9001ce40de19";
 const BASE_URL = "https://api.openweathermap.org/data/2.5/weather";
+const FORECAST_URL = "https://api.openweathermap.org/data/2.5/forecast";
 
 // SRE Principle: Resilience
 // Configure automatic retries for network glitches (5xx errors or timeouts)
@@ -16,20 +20,53 @@ axiosRetry(axios, {
 });
 
 /**
- * Fetches geolocation and timezone data for a given US ZIP code.
- * @param {string} zipCode
+ * Translates a failed OpenWeather call into the error we surface to callers.
+ * @param {Error} error - axios error
+ * @param {Function} onNotFound - Builds the error for a 404 answer
+ * @param {string} subject - What was being fetched, for the generic message
+ * @returns {Error}
+ */
+function toServiceError(error, onNotFound, subject) {
+  if (error.response) {
+    // The request was made and the server responded with a status code
+    // that falls out of the range of 2xx
+    const status = error.response.status;
+    if (status === 404) return onNotFound();
+    if (status === 401) return new Error("Weather API Key is invalid.");
+    if (status === 403)
+      return new Error("Weather API access forbidden. Check API key permissions.");
+    if (status === 429) return new Error("Weather API rate limit exceeded.");
+  } else if (error.request) {
+    // The request was made but no response was received (Network issue)
+    return new Error("Weather service is currently unreachable. Please try again later.");
+  }
+
+  console.error(`Unexpected WeatherService Error: ${error.message}`);
+  return new Error(`An internal error occurred while fetching ${subject}.`);
+}
+
+/**
+ * Fetches geolocation and timezone data for a given postal code.
+ * OpenWeather resolves US ZIPs, Canadian FSAs ("K1A") and UK outward codes ("SW1A"),
+ * so ZIP+4 suffixes and inward codes are dropped from the request.
+ * @param {string} zipCode - US ZIP or ZIP+4, CA or GB postal code
+ * @param {string} [country="US"] - ISO 3166-1 alpha-2 country code
  * @returns {Promise<{lat: number, lon: number, timezone: number}>}
  */
-async function getWeatherData(zipCode) {
+async function getWeatherData(zipCode, country = "US") {
   // 1. Input Validation (Defense in Depth)
-  if (!/^\d{5}$/.test(zipCode)) {
-    throw new Error("Invalid ZIP code format. Expected 5 digits.");
+  if (!isValidPostalCode(country, zipCode)) {
+    throw new Error(
+      country === "US"
+        ? "Invalid ZIP code format. Expected 5 digits or ZIP+4."
+        : `Invalid postal code format for ${country}.`
+    );
   }
 
   try {
     const response = await axios.get(BASE_URL, {
       params: {
-        zip: `${zipCode},us`,
+        zip: `${getLookupCode(country, zipCode)},${country.toLowerCase()}`,
         appid: API_KEY
       },
       timeout: 5000 // SRE: Don't let a hanging dependency block your event loop
@@ -48,23 +85,142 @@ async function getWeatherData(zipCode) {
     };
   } catch (error) {
     // 3. Sophisticated Error Handling
-    if (error.response) {
-      // The request was made and the server responded with a status code
-      // that falls out of the range of 2xx
-      const status = error.response.status;
-      if (status === 404) throw new Error(`ZIP code ${zipCode} not found.`);
-      if (status === 401) throw new Error("Weather API Key is invalid.");
-      if (status === 403)
-        throw new Error("Weather API access forbidden. Check API key permissions.");
-      if (status === 429) throw new Error("Weather API rate limit exceeded.");
-    } else if (error.request) {
-      // The request was made but no response was received (Network issue)
-      throw new Error("Weather service is currently unreachable. Please try again later.");
+    throw toServiceError(
+      error,
+      () =>
+        createHttpError(
+          404,
+          `${postalCodeLabel(country)} ${zipCode} not found.`,
+          "geo/zip-not-found",
+          {
+            zip: zipCode,
+            country
+          }
+        ),
+      "location data"
+    );
+  }
+}
+
+/**
+ * Fetches current weather conditions at a coordinate.
+ * @param {number} lat
+ * @param {number} lon
+ * @param {string} [units="imperial"] - "imperial" (°F, mph) or "metric" (°C, m/s)
+ * @returns {Promise<{temperature: number, feelsLike: number, description: string, icon: string,
+ *   humidity: number, windSpeed: number, units: string, observedAt: string}>}
+ */
+async function getCurrentWeather(lat, lon, units = "imperial") {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    throw new Error("Invalid coordinates. Expected numeric latitude and longitude.");
+  }
+  if (!WEATHER_UNITS.includes(units)) {
+    throw new Error(`Invalid units. Expected one of: ${WEATHER_UNITS.join(", ")}.`);
+  }
+
+  try {
+    const response = await axios.get(BASE_URL, {
+      params: { lat, lon, units, appid: API_KEY },
+      timeout: 5000
+    });
+
+    const { weather, main, wind, dt } = response.data;
+    const [condition = {}] = weather || [];
+
+    return {
+      temperature: main.temp,
+      feelsLike: main.feels_like,
+      description: condition.description || "",
+      icon: condition.icon || null,
+      humidity: main.humidity, // Percent
+      windSpeed: wind ? wind.speed : 0, // mph (imperial) or m/s (metric)
+      units,
+      observedAt: new Date(dt * 1000).toISOString()
+    };
+  } catch (error) {
+    throw toServiceError(
+      error,
+      () => createHttpError(404, "No weather data for this location.", "weather/not-found"),
+      "weather data"
+    );
+  }
+}
+
+/**
+ * Collapses 3-hourly forecast slots into one entry per local calendar day.
+ * @param {Object[]} slots - OpenWeather `list` entries
+ * @param {number} timezone - Location's UTC offset in seconds (`city.timezone`)
+ * @returns {Object[]} Days in chronological order
+ */
+function toDailyForecast(slots, timezone) {
+  const days = new Map();
+
+  for (const slot of slots) {
+    const local = new Date((slot.dt + timezone) * 1000);
+    const date = local.toISOString().slice(0, 10);
+    const day = days.get(date) || { date, high: -Infinity, low: Infinity, pop: 0, midday: null };
+
+    day.high = Math.max(day.high, slot.main.temp_max);
+    day.low = Math.min(day.low, slot.main.temp_min);
+    day.pop = Math.max(day.pop, slot.pop || 0);
+
+    // Describe the day by the slot closest to local noon
+    const distance = Math.abs(local.getUTCHours() - 12);
+    if (!day.midday || distance < day.midday.distance) {
+      day.midday = { distance, condition: (slot.weather || [])[0] || {} };
     }
 
-    console.error(`Unexpected WeatherService Error: ${error.message}`);
-    throw new Error("An internal error occurred while fetching location data.");
+    days.set(date, day);
+  }
+
+  return [...days.values()].map(day => ({
+    date: day.date,
+    high: day.high,
+    low: day.low,
+    precipitationChance: Math.round(day.pop * 100), // Percent
+    description: day.midday.condition.description || "",
+    icon: day.midday.condition.icon || null
+  }));
+}
+
+/**
+ * Fetches a daily forecast (highs, lows, precipitation chance) at a coordinate.
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} [days=5] - 1 to 5
+ * @param {string} [units="imperial"] - "imperial" (°F) or "metric" (°C)
+ * @returns {Promise<{units: string, days: Object[]}>}
+ */
+async function getForecast(lat, lon, days = MAX_FORECAST_DAYS, units = "imperial") {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    throw new Error("Invalid coordinates. Expected numeric latitude and longitude.");
+  }
+  if (!Number.isInteger(days) || days < 1 || days > MAX_FORECAST_DAYS) {
+    throw new Error(`Invalid days. Expected 1 to ${MAX_FORECAST_DAYS}.`);
+  }
+  if (!WEATHER_UNITS.includes(units)) {
+    throw new Error(`Invalid units. Expected one of: ${WEATHER_UNITS.join(", ")}.`);
+  }
+
+  try {
+    const response = await axios.get(FORECAST_URL, {
+      params: { lat, lon, units, appid: API_KEY },
+      timeout: 5000
+    });
+
+    const { list, city } = response.data;
+
+    return {
+      units,
+      days: toDailyForecast(list, city ? city.timezone : 0).slice(0, days)
+    };
+  } catch (error) {
+    throw toServiceError(
+      error,
+      () => createHttpError(404, "No forecast data for this location.", "weather/not-found"),
+      "forecast data"
+    );
   }
 }
 
-module.exports = { getWeatherData };
+module.exports = { getWeatherData, getCurrentWeather, getForecast };
@@ -0,0 +1,379 @@
+/**
+ * Webhook Service
+ *
+ * Manages webhook subscriptions and delivers user lifecycle events to them
+ *
+ * user.service publishes an event after each change; every active subscription
+ * to that event gets its own delivery, which is logged and queued in one write.
+ * The webhook dispatcher job sends due deliveries, each signed with the
+ * subscription's secret (see utils/webhookSignature). A failed attempt is
+ * retried after WEBHOOK_RETRY_BASE_MS, doubling each time; after
+ * WEBHOOK_MAX_ATTEMPTS failures the delivery goes to the dead-letter list,
+ * from where it can be sent again.
+ */
+
+const { EventEmitter } = require("events");
+const { randomUUID } = require("crypto");
+const axios = require("axios");
+const env = require("../config/env");
+const webhookRepository = require("../repositories/webhook.repository");
+const createHttpError = require("../utils/httpError");
+const { generateSecret, signPayload } = require("../utils/webhookSignature");
+const { isPrivateHostname, privateTargetError, publicLookup } = require("../utils/webhookTarget");
+
+/**
+ * Emits "queued" whenever deliveries are queued, so the dispatcher can send
+ * them without waiting for its next pass
+ */
+const deliveryQueue = new EventEmitter();
+
+// A separate instance: the default axios instance retries on its own (see weatherService),
+// which would hide failed attempts from the delivery log. Redirects are not followed so a
+// signed request only ever goes to the subscribed URL, and private addresses are refused
+// per attempt (see utils/webhookTarget).
+const client = axios.create({
+  timeout: env.WEBHOOK_TIMEOUT_MS,
+  maxRedirects: 0,
+  validateStatus: () => true
+});
+
+/**
+ * Format a subscription for responses
+ * The secret is only returned when it is created or rotated
+ *
+ * @param {Object} webhook - Stored subscription
+ * @param {Object} [options]
+ * @param {boolean} [options.includeSecret=false] - Include the signing secret
+ * @returns {Object} Subscription
+ */
+const toWebhook = ({ secret, ...webhook }, { includeSecret = false } = {}) => ({
+  ...webhook,
+  description: webhook.description ?? null,
+  ...(includeSecret && { secret })
+});
+
+/**
+ * Format a delivery for responses, with its payload as JSON
+ *
+ * @param {Object} delivery - Delivery (see webhookRepository.findDelivery)
+ * @returns {Object} Delivery
+ */
+const toDeliveryResponse = ({ payload, ...delivery }) => ({
+  ...delivery,
+  payload: JSON.parse(payload)
+});
+
+/**
+ * Get a stored subscription, translating "not found" into a 404
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - Subscription ID
+ * @returns {Promise<Object>} Stored subscription
+ * @throws {Error} 404 if the subscription does not exist
+ */
+const findWebhook = async (ownerUid, id) => {
+  const webhook = await webhookRepository.findById(ownerUid, id);
+  if (!webhook) {
+    throw createHttpError(404, "Webhook not found", "webhooks/not-found");
+  }
+  return webhook;
+};
+
+/**
+ * List an owner's subscriptions, oldest first
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @returns {Promise<Object[]>} Subscriptions (without secrets)
+ */
+const listWebhooks = async ownerUid => {
+  return (await webhookRepository.findAll(ownerUid)).map(webhook => toWebhook(webhook));
+};
+
+/**
+ * Get one subscription
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - Subscription ID
+ * @returns {Promise<Object>} Subscription (without its secret)
+ * @throws {Error} 404 if the subscription does not exist
+ */
+const getWebhook = async (ownerUid, id) => {
+  return toWebhook(await findWebhook(ownerUid, id));
+};
+
+/**
+ * Create a subscription with a new signing secret
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} data - Validated subscription (see WebhookSchema)
+ * @returns {Promise<Object>} Subscription, including its secret
+ */
+const createWebhook = async (ownerUid, data) => {
+  const webhook = await webhookRepository.create(ownerUid, { ...data, secret: generateSecret() });
+  return toWebhook(webhook, { includeSecret: true });
+};
+
+/**
+ * Change a subscription's URL, events, description or active flag
+ * Deliveries already queued still go to the subscription's current URL
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - Subscription ID
+ * @param {Object} updates - Validated changes (see WebhookUpdateSchema)
+ * @returns {Promise<Object>} Updated subscription (without its secret)
+ * @throws {Error} 404 if the subscription does not exist
+ */
+const updateWebhook = async (ownerUid, id, updates) => {
+  const webhook = await webhookRepository.update(ownerUid, id, updates);
+  if (!webhook) {
+    throw createHttpError(404, "Webhook not found", "webhooks/not-found");
+  }
+  return toWebhook(webhook);
+};
+
+/**
+ * Replace a subscription's signing secret
+ * Takes effect from the next attempt, including retries of earlier events
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - Subscription ID
+ * @returns {Promise<Object>} Subscription, including its new secret
+ * @throws {Error} 404 if the subscription does not exist
+ */
+const rotateSecret = async (ownerUid, id) => {
+  const webhook = await webhookRepository.update(ownerUid, id, { secret: generateSecret() });
+  if (!webhook) {
+    throw createHttpError(404, "Webhook not found", "webhooks/not-found");
+  }
+  return toWebhook(webhook, { includeSecret: true });
+};
+
+/**
+ * Delete a subscription, its delivery log and its dead letters
+ * Deleting a missing subscription is a no-op
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - Subscription ID
+ * @returns {Promise<void>}
+ */
+const deleteWebhook = async (ownerUid, id) => {
+  await webhookRepository.remove(ownerUid, id);
+};
+
+/**
+ * Queue an event for every active subscription to it
+ * Never throws: a failure is logged, and the change that raised the event stands
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data ({ user, changes? })
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Current time (epoch ms)
+ * @returns {Promise<number>} Deliveries queued
+ */
+const publishEvent = async (ownerUid, type, data, { now = Date.now() } = {}) => {
+  try {
+    const webhooks = (await webhookRepository.findAll(ownerUid)).filter(
+      webhook => webhook.active && webhook.events.includes(type)
+    );
+    if (webhooks.length === 0) return 0;
+
+    const eventId = `evt_${randomUUID()}`;
+    const payload = JSON.stringify({
+      id: eventId,
+      type,
+      createdAt: new Date(now).toISOString(),
+      data
+    });
+    const ids = await webhookRepository.enqueue(
+      ownerUid,
+      webhooks.map(webhook => ({ webhookId: webhook.id, event: type, eventId, payload })),
+      now
+    );
+
+    deliveryQueue.emit("queued");
+    return ids.length;
+  } catch (error) {
+    console.error(`Failed to queue ${type} webhooks for ${ownerUid}: ${error.message}`);
+    return 0;
+  }
+};
+
+/**
+ * Delay before the retry that follows a failed attempt
+ *
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+const retryDelayMs = attempts => env.WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1);
+
+/**
+ * Send one signed attempt
+ * The stored payload string is signed and sent as it is, so receivers check the
+ * signature against exactly the bytes that were signed. Private targets fail
+ * the attempt like a refused connection.
+ *
+ * @param {Object} webhook - Stored subscription
+ * @param {Object} delivery - Delivery (see webhookRepository.findDelivery)
+ * @param {number} now - Current time (epoch ms)
+ * @returns {Promise<{at: number, statusCode: number|null, error: string|null, durationMs: number}>}
+ *   Attempt, with error null for a 2xx answer
+ */
+const sendAttempt = async (webhook, delivery, now) => {
+  const body = delivery.payload;
+  const timestamp = Math.floor(now / 1000);
+  const startedAt = Date.now();
+  const allowPrivate = env.WEBHOOK_ALLOW_PRIVATE_URLS;
+
+  try {
+    // IP literals are connected to without a lookup, so they are checked here
+    const { hostname } = new URL(webhook.url);
+    if (!allowPrivate && isPrivateHostname(hostname)) throw privateTargetError(hostname);
+
+    const response = await client.post(webhook.url, body, {
+      ...(!allowPrivate && { lookup: publicLookup }),
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "RentRedi-Webhooks/1.0",
+        "X-Webhook-Id": delivery.id,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": signPayload(webhook.secret, timestamp, body)
+      },
+      // Send the stored body as it is
+      transformRequest: [data => data]
+    });
+    const ok = response.status >= 200 && response.status < 300;
+    return {
+      at: now,
+      statusCode: response.status,
+      error: ok ? null : `HTTP ${response.status}`,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    // No answer: timeout, refused connection, DNS failure, private target...
+    return {
+      at: now,
+      statusCode: null,
+      error: error.code || error.message,
+      durationMs: Date.now() - startedAt
+    };
+  }
+};
+
+/**
+ * Make one attempt at a queued delivery and record the outcome
+ *
+ * @param {Object} entry - Queue entry (see webhookRepository.findDue)
+ * @param {number} [now=Date.now()] - Current time (epoch ms)
+ * @returns {Promise<"delivered"|"retrying"|"dead"|"skipped">} Outcome ("skipped" if another
+ *   dispatcher claimed it, or its subscription or delivery is gone)
+ */
+const attemptDelivery = async ({ id, ownerUid, webhookId }, now = Date.now()) => {
+  if (!(await webhookRepository.claim(id, now, env.WEBHOOK_TIMEOUT_MS * 2))) return "skipped";
+
+  const [webhook, delivery] = await Promise.all([
+    webhookRepository.findById(ownerUid, webhookId),
+    webhookRepository.findDelivery(ownerUid, webhookId, id)
+  ]);
+  if (!webhook || !delivery || delivery.status !== "pending") {
+    await webhookRepository.dropQueued(id);
+    return "skipped";
+  }
+
+  const lastAttempt = await sendAttempt(webhook, delivery, now);
+  const attempts = delivery.attempts + 1;
+
+  if (!lastAttempt.error) {
+    await webhookRepository.saveAttempt(ownerUid, webhookId, id, {
+      status: "delivered",
+      attempts,
+      lastAttempt
+    });
+    return "delivered";
+  }
+
+  if (attempts >= env.WEBHOOK_MAX_ATTEMPTS) {
+    await webhookRepository.saveAttempt(ownerUid, webhookId, id, {
+      status: "dead",
+      attempts,
+      lastAttempt
+    });
+    console.warn(
+      `Webhook delivery ${id} to ${webhook.url} dead-lettered after ${attempts} attempts ` +
+        `(${lastAttempt.error})`
+    );
+    return "dead";
+  }
+
+  await webhookRepository.saveAttempt(ownerUid, webhookId, id, {
+    status: "pending",
+    attempts,
+    lastAttempt,
+    nextAttemptAt: now + retryDelayMs(attempts)
+  });
+  return "retrying";
+};
+
+/**
+ * One page of a subscription's delivery log, newest first
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} id - Subscription ID
+ * @param {Object} query - Validated query (see DeliveryQuerySchema)
+ * @returns {Promise<{items: Object[], nextCursor: string|null}>} Page envelope
+ * @throws {Error} 404 if the subscription does not exist
+ */
+const listDeliveries = async (ownerUid, id, query) => {
+  await findWebhook(ownerUid, id);
+  const page = await webhookRepository.findDeliveryPage(ownerUid, id, query);
+  return { ...page, items: page.items.map(toDeliveryResponse) };
+};
+
+/**
+ * One page of an owner's dead-lettered deliveries, newest first
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {Object} query - Validated query (see DeliveryQuerySchema)
+ * @returns {Promise<{items: Object[], nextCursor: string|null}>} Page envelope
+ */
+const listDeadLetters = async (ownerUid, query) => {
+  const page = await webhookRepository.findDeadLetterPage(ownerUid, query);
+  return { ...page, items: page.items.map(toDeliveryResponse) };
+};
+
+/**
+ * Send a dead-lettered delivery again, with a fresh set of attempts
+ *
+ * @param {string} ownerUid - Owning account's uid
+ * @param {string} deliveryId - Delivery ID
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Current time (epoch ms)
+ * @returns {Promise<Object>} The queued delivery
+ * @throws {Error} 404 if the delivery is not on the dead-letter list
+ */
+const retryDeadLetter = async (ownerUid, deliveryId, { now = Date.now() } = {}) => {
+  const webhookId = await webhookRepository.findDeadLetterWebhookId(ownerUid, deliveryId);
+  if (!webhookId) {
+    throw createHttpError(404, "Dead letter not found", "webhooks/dead-letter-not-found");
+  }
+
+  await webhookRepository.requeue(ownerUid, webhookId, deliveryId, now);
+  deliveryQueue.emit("queued");
+  return toDeliveryResponse(await webhookRepository.findDelivery(ownerUid, webhookId, deliveryId));
+};
+
+module.exports = {
+  deliveryQueue,
+  listWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  rotateSecret,
+  deleteWebhook,
+  publishEvent,
+  attemptDelivery,
+  listDeliveries,
+  listDeadLetters,
+  retryDeadLetter
+};
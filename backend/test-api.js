@@ -10,6 +10,11 @@
 const axios = require("axios");
 
 const BASE_URL = "http://localhost:8080";
+
+// /users requires a Firebase ID token: TEST_ID_TOKEN=<idToken> node test-api.js
+if (process.env.TEST_ID_TOKEN) {
+  axios.defaults.headers.common.Authorization = `Bearer ${process.env.TEST_ID_TOKEN}`;
+}
 const colors = {
   green: "\x1b[32m",
   red: "\x1b[31m",
@@ -110,9 +115,8 @@ async function runTests() {
     log("\nTest 5: GET /users", "yellow");
     try {
       const response = await axios.get(`${BASE_URL}/users`);
-      const passed = response.status === 200 && typeof response.data === "object";
-      const userCount = Object.keys(response.data).length;
-      logTest("Get all users", passed, `Found ${userCount} user(s)`);
+      const passed = response.status === 200 && Array.isArray(response.data.items);
+      logTest("Get all users", passed, `Found ${response.data.total} user(s)`);
     } catch (error) {
       logTest("Get all users", false, error.message);
     }
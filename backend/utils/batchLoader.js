@@ -0,0 +1,103 @@
+/**
+ * Batch Loader Utility
+ *
+ * DataLoader-style request batching: loads asked for in the same tick are
+ * collected into one call of the batch function, and each key is loaded at
+ * most once per loader. Create one loader per request so cached values never
+ * outlive it.
+ */
+
+/**
+ * Run fn after the promise jobs queued in the current tick
+ * GraphQL resolves sibling fields (and list items) in the same tick, so this
+ * catches every load they make.
+ *
+ * @param {Function} fn - Callback
+ */
+const afterCurrentTick = fn => {
+  Promise.resolve().then(() => process.nextTick(fn));
+};
+
+/**
+ * Create a batch loader
+ *
+ * @param {Function} batchFn - async keys => values, in the order of keys; an Error in
+ *   place of a value rejects that key only
+ * @param {Object} [options]
+ * @param {Function} [options.cacheKeyFn=key => key] - Maps a key to its cache key
+ * @returns {{load: Function, loadMany: Function, prime: Function, clear: Function}} Loader
+ */
+const createBatchLoader = (batchFn, { cacheKeyFn = key => key } = {}) => {
+  const cache = new Map();
+  let queue = [];
+
+  const dispatch = async () => {
+    const batch = queue;
+    queue = [];
+
+    let values;
+    try {
+      values = await batchFn(batch.map(entry => entry.key));
+    } catch (error) {
+      batch.forEach(entry => entry.reject(error));
+      return;
+    }
+
+    batch.forEach((entry, index) => {
+      const value = values[index];
+      if (value instanceof Error) entry.reject(value);
+      else entry.resolve(value);
+    });
+  };
+
+  /**
+   * Load one key
+   *
+   * @param {*} key - Key
+   * @returns {Promise<*>} Value
+   */
+  const load = key => {
+    const cacheKey = cacheKeyFn(key);
+    if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+    const promise = new Promise((resolve, reject) => {
+      queue.push({ key, resolve, reject });
+      if (queue.length === 1) afterCurrentTick(dispatch);
+    });
+    cache.set(cacheKey, promise);
+    return promise;
+  };
+
+  return {
+    load,
+
+    /**
+     * Load several keys
+     *
+     * @param {Array} keys - Keys
+     * @returns {Promise<Array>} Values in the order of keys
+     */
+    loadMany: keys => Promise.all(keys.map(load)),
+
+    /**
+     * Cache a value already known (e.g. from a list), replacing any cached one
+     *
+     * @param {*} key - Key
+     * @param {*} value - Value
+     */
+    prime: (key, value) => {
+      cache.set(cacheKeyFn(key), Promise.resolve(value));
+    },
+
+    /**
+     * Forget a key (e.g. after writing it)
+     *
+     * @param {*} key - Key
+     */
+    clear: key => {
+      cache.delete(cacheKeyFn(key));
+    }
+  };
+};
+
+module.exports = { createBatchLoader };
@@ -0,0 +1,31 @@
+/**
+ * Concurrency Utility
+ *
+ * Runs async work over a list with a cap on how many calls are in flight
+ */
+
+/**
+ * Map over items with at most `limit` calls running at once
+ * Results keep the order of the input
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,99 @@
+/**
+ * CSV Utility
+ *
+ * Minimal RFC 4180 parser for spreadsheet exports: comma-separated, optional
+ * double-quoted fields ("" escapes a quote, quoted fields may span lines),
+ * LF or CRLF line endings and an optional UTF-8 byte order mark, plus the
+ * matching row formatter for exports
+ */
+
+/**
+ * Split CSV text into records of raw fields
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]} Records, blank lines skipped
+ * @throws {Error} If a quoted field is never closed
+ */
+const parseRecords = text => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRecord = () => {
+    record.push(field);
+    // A line with a single empty field is a blank line
+    if (record.length > 1 || record[0] !== "") records.push(record);
+    record = [];
+    field = "";
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new Error("Unterminated quoted field");
+  if (field !== "" || record.length > 0) endRecord();
+
+  return records;
+};
+
+/**
+ * Parse CSV text with a header row into objects
+ * Header names are trimmed and lower-cased; rows shorter than the header get
+ * empty strings for the missing columns
+ *
+ * @param {string} text - CSV text
+ * @returns {{columns: string[], rows: Object[]}} Header names and one object per data row
+ * @throws {Error} If a quoted field is never closed
+ */
+const parseCsv = text => {
+  const [header = [], ...records] = parseRecords(text);
+  const columns = header.map(name => name.trim().toLowerCase());
+
+  const rows = records.map(record =>
+    Object.fromEntries(columns.map((column, index) => [column, record[index] ?? ""]))
+  );
+
+  return { columns, rows };
+};
+
+/**
+ * Format one CSV record, ending in CRLF
+ * Fields containing a comma, quote or line break are quoted with inner quotes
+ * doubled; null and undefined become empty fields
+ *
+ * @param {Array} values - Field values
+ * @returns {string} CSV line
+ */
+const formatCsvRow = values =>
+  values
+    .map(value => {
+      const field = value === null || value === undefined ? "" : String(value);
+      return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+    })
+    .join(",") + "\r\n";
+
+module.exports = { parseCsv, formatCsvRow };
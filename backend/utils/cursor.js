@@ -0,0 +1,46 @@
+/**
+ * Cursor Utility
+ *
+ * Encodes and decodes opaque pagination cursors
+ * A cursor remembers the sort it was issued for, plus the sort value and key
+ * of the last item on the page, which is what RTDB startAfter/endBefore need
+ */
+
+/**
+ * Encode a cursor
+ *
+ * @param {Object} position - Cursor position
+ * @param {string} position.sort - Field the page was sorted by
+ * @param {string} position.order - Sort direction ("asc" | "desc")
+ * @param {*} position.value - Sort value of the last item
+ * @param {string} position.key - Key of the last item
+ * @returns {string} Opaque base64url cursor
+ */
+const encodeCursor = ({ sort, order, value, key }) =>
+  Buffer.from(JSON.stringify([sort, order, value, key])).toString("base64url");
+
+/**
+ * Decode a cursor
+ *
+ * @param {string} cursor - Cursor issued by encodeCursor
+ * @returns {{sort: string, order: string, value: *, key: string}} Cursor position
+ * @throws {Error} 400 error if the cursor is malformed
+ */
+const decodeCursor = cursor => {
+  try {
+    const [sort, order, value, key] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (typeof sort !== "string" || typeof key !== "string") {
+      throw new Error("Malformed cursor");
+    }
+    return { sort, order, value: value === undefined ? null : value, key };
+  } catch {
+    const error = new Error("Invalid pagination cursor");
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,44 @@
+/**
+ * ETag Utility
+ *
+ * User records carry a version counter that every write increments; it is
+ * exposed as a strong ETag ("3") for optimistic concurrency with If-Match
+ */
+
+/**
+ * Format a record version as an ETag
+ *
+ * @param {number} [version] - Record version (records written before versioning count as 0)
+ * @returns {string} Quoted ETag
+ */
+const formatEtag = version => `"${version || 0}"`;
+
+/**
+ * Parse an If-Match header
+ * Weak (W/"...") and malformed tags are dropped, so they never match, as the
+ * strong comparison If-Match requires
+ *
+ * @param {string} [header] - If-Match header value
+ * @returns {"*"|number[]|undefined} "*", the listed versions, or undefined without a header
+ */
+const parseIfMatch = header => {
+  if (header === undefined) return undefined;
+  if (header.trim() === "*") return "*";
+
+  return header
+    .split(",")
+    .map(tag => tag.trim())
+    .filter(tag => /^"\d+"$/.test(tag))
+    .map(tag => Number(tag.slice(1, -1)));
+};
+
+/**
+ * Check a record version against a parsed If-Match header
+ *
+ * @param {"*"|number[]} ifMatch - Parsed If-Match header
+ * @param {number} [version] - Current record version
+ * @returns {boolean} True if the precondition holds
+ */
+const matchesIfMatch = (ifMatch, version) => ifMatch === "*" || ifMatch.includes(version || 0);
+
+module.exports = { formatEtag, parseIfMatch, matchesIfMatch };
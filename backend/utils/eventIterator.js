@@ -0,0 +1,50 @@
+/**
+ * Event Iterator Utility
+ *
+ * Turns a push-style listener into an async iterator (what GraphQL
+ * subscriptions consume). Events that arrive before the consumer asks for
+ * them are queued.
+ */
+
+/**
+ * Create an async iterator over pushed events
+ *
+ * @param {Function} listen - push => unsubscribe; calls push with each event
+ * @returns {AsyncIterator} Iterator; return() unsubscribes
+ */
+const createEventIterator = listen => {
+  const queued = [];
+  const waiting = [];
+  let done = false;
+
+  const unsubscribe = listen(value => {
+    if (done) return;
+    const resolve = waiting.shift();
+    if (resolve) resolve({ value, done: false });
+    else queued.push(value);
+  });
+
+  const finish = () => {
+    if (!done) {
+      done = true;
+      unsubscribe();
+      waiting.splice(0).forEach(resolve => resolve({ value: undefined, done: true }));
+    }
+    return Promise.resolve({ value: undefined, done: true });
+  };
+
+  return {
+    next: () => {
+      if (queued.length > 0) return Promise.resolve({ value: queued.shift(), done: false });
+      if (done) return Promise.resolve({ value: undefined, done: true });
+      return new Promise(resolve => waiting.push(resolve));
+    },
+    return: finish,
+    throw: error => finish().then(() => Promise.reject(error)),
+    [Symbol.asyncIterator]() {
+      return this;
+    }
+  };
+};
+
+module.exports = { createEventIterator };
@@ -0,0 +1,153 @@
+/**
+ * Geohash Utility
+ *
+ * Encodes coordinates as geohashes and works out which geohash cells can hold
+ * points within a radius, for the geo index (see geoIndex.repository). Records
+ * in a cell share its geohash as a prefix, so each cell is one range query.
+ * Distances are great-circle (haversine) distances on a spherical Earth.
+ */
+
+const BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+/**
+ * Geohash length stored for each record (cells of about 5 m x 5 m)
+ */
+const GEOHASH_PRECISION = 9;
+
+/**
+ * Mean Earth radius in kilometers
+ */
+const EARTH_RADIUS_KM = 6371.0088;
+
+const KM_PER_MILE = 1.609344;
+
+/**
+ * Kilometers per degree of latitude (and of longitude at the equator)
+ */
+const KM_PER_DEGREE = (Math.PI * EARTH_RADIUS_KM) / 180;
+
+/**
+ * Encode a coordinate as a geohash
+ *
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} [precision=GEOHASH_PRECISION] - Characters to produce
+ * @returns {string} Geohash ("dr5ru6" for 40.75, -73.99 at precision 6)
+ */
+const encode = (latitude, longitude, precision = GEOHASH_PRECISION) => {
+  const range = { lat: [-90, 90], lon: [-180, 180] };
+  let hash = "";
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const [axis, coordinate] = evenBit ? ["lon", longitude] : ["lat", latitude];
+    const [low, high] = range[axis];
+    const mid = (low + high) / 2;
+    if (coordinate >= mid) {
+      value = value * 2 + 1;
+      range[axis] = [mid, high];
+    } else {
+      value *= 2;
+      range[axis] = [low, mid];
+    }
+    evenBit = !evenBit;
+
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+};
+
+/**
+ * Size of a geohash cell
+ *
+ * @param {number} precision - Geohash length
+ * @returns {{latDegrees: number, lonDegrees: number}} Cell height and width in degrees
+ */
+const cellSize = precision => {
+  const lonBits = Math.ceil((precision * 5) / 2);
+  const latBits = Math.floor((precision * 5) / 2);
+  return { latDegrees: 180 / 2 ** latBits, lonDegrees: 360 / 2 ** lonBits };
+};
+
+/**
+ * Longest geohash whose cells are at least radiusKm tall and wide around a point
+ * (so the cell holding the point and its 8 neighbors cover the whole circle)
+ *
+ * @param {number} latitude - Latitude of the center in degrees
+ * @param {number} radiusKm - Search radius in kilometers
+ * @returns {number} Precision between 1 and GEOHASH_PRECISION, or 0 if even the
+ *   largest cells are too small (circles reaching a pole, or thousands of km wide)
+ */
+const precisionForRadius = (latitude, radiusKm) => {
+  // Cells are narrowest on the side of the circle nearest the pole
+  const farthestLatitude = Math.min(90, Math.abs(latitude) + radiusKm / KM_PER_DEGREE);
+  const lonScale = Math.cos((farthestLatitude * Math.PI) / 180);
+
+  for (let precision = GEOHASH_PRECISION; precision >= 1; precision--) {
+    const { latDegrees, lonDegrees } = cellSize(precision);
+    if (
+      latDegrees * KM_PER_DEGREE >= radiusKm &&
+      lonDegrees * KM_PER_DEGREE * lonScale >= radiusKm
+    ) {
+      return precision;
+    }
+  }
+  return 0;
+};
+
+/**
+ * Geohash prefixes of the cells that can hold points within a radius
+ *
+ * @param {number} latitude - Latitude of the center in degrees
+ * @param {number} longitude - Longitude of the center in degrees
+ * @param {number} radiusKm - Search radius in kilometers
+ * @returns {string[]} The center's cell and its neighbors, or [""] (every cell) when
+ *   no cell size fits
+ */
+const coveringCells = (latitude, longitude, radiusKm) => {
+  const precision = precisionForRadius(latitude, radiusKm);
+  if (precision === 0) return [""];
+  const { latDegrees, lonDegrees } = cellSize(precision);
+  const cells = new Set();
+
+  for (const dLat of [-1, 0, 1]) {
+    const lat = Math.max(-90, Math.min(90, latitude + dLat * latDegrees));
+    for (const dLon of [-1, 0, 1]) {
+      // Wrap across the antimeridian
+      const lon = ((((longitude + dLon * lonDegrees + 180) % 360) + 360) % 360) - 180;
+      cells.add(encode(lat, lon, precision));
+    }
+  }
+  return [...cells];
+};
+
+/**
+ * Great-circle distance between two points
+ *
+ * @param {{latitude: number, longitude: number}} from - First point
+ * @param {{latitude: number, longitude: number}} to - Second point
+ * @returns {number} Distance in kilometers
+ */
+const haversineKm = (from, to) => {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+module.exports = {
+  GEOHASH_PRECISION,
+  KM_PER_MILE,
+  encode,
+  coveringCells,
+  haversineKm
+};
@@ -0,0 +1,27 @@
+/**
+ * HTTP Error Utility
+ *
+ * Creates errors that the error middleware turns into structured responses
+ *
+ * Usage:
+ *   throw createHttpError(404, "User not found", "users/not-found");
+ */
+
+/**
+ * Create an error carrying an HTTP status and a machine-readable code
+ *
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Human-readable message
+ * @param {string} [code] - Machine-readable error code (e.g. "auth/missing-token")
+ * @param {*} [details] - Extra data to include in the response body
+ * @returns {Error} Error with statusCode, code and details set
+ */
+const createHttpError = (statusCode, message, code, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  if (details !== undefined) error.details = details;
+  return error;
+};
+
+module.exports = createHttpError;
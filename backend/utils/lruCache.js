@@ -0,0 +1,62 @@
+/**
+ * LRU Cache Utility
+ *
+ * Small in-process least-recently-used cache with per-entry TTLs.
+ * A Map keeps insertion order, so re-inserting on read moves an entry to the
+ * "most recent" end and the first key is always the eviction candidate.
+ */
+
+/**
+ * Create an LRU cache
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=1000] - Entries kept before the least recent is evicted
+ * @param {Function} [options.now=Date.now] - Clock (ms), injectable for tests
+ * @returns {{get: Function, set: Function, delete: Function, clear: Function, size: Function}}
+ */
+const createLruCache = ({ maxEntries = 1000, now = Date.now } = {}) => {
+  const entries = new Map();
+
+  /**
+   * Read a live entry and mark it most recently used
+   *
+   * @param {string} key - Cache key
+   * @returns {*} Cached value, or undefined if missing or expired
+   */
+  const get = key => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    entries.delete(key);
+    if (entry.expiresAt <= now()) return undefined;
+
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  /**
+   * Store a value
+   *
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   * @param {number} expiresAt - Absolute expiry time (ms since epoch)
+   */
+  const set = (key, value, expiresAt) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt });
+
+    if (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  return {
+    get,
+    set,
+    delete: key => entries.delete(key),
+    clear: () => entries.clear(),
+    size: () => entries.size
+  };
+};
+
+module.exports = { createLruCache };
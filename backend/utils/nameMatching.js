@@ -0,0 +1,100 @@
+/**
+ * Name Matching Utility
+ *
+ * Normalizes tenant names and scores how alike two names are, for duplicate
+ * detection. Scores are Jaro-Winkler similarities (0 = nothing in common,
+ * 1 = identical), taken on the names as written and with their words sorted,
+ * so "Doe, John" still matches "John Doe".
+ */
+
+/**
+ * Normalize a name for comparison
+ * Lower-cases, strips accents and punctuation, and collapses whitespace
+ *
+ * @param {string} name - Name as entered
+ * @returns {string} Normalized name ("José  O'Neil" -> "jose oneil")
+ */
+const normalizeName = name =>
+  String(name || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+/**
+ * Jaro similarity of two strings
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity between 0 and 1
+ */
+const jaro = (a, b) => {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const end = Math.min(i + window + 1, b.length);
+    for (let j = Math.max(0, i - window); j < end; j++) {
+      if (bMatched[j] || a[i] !== b[j]) continue;
+      aMatched[i] = bMatched[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let j = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+
+  return (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+};
+
+/**
+ * Jaro-Winkler similarity: Jaro boosted for a common prefix of up to 4 characters
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity between 0 and 1
+ */
+const jaroWinkler = (a, b) => {
+  const similarity = jaro(a, b);
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && a[prefix] === b[prefix]) prefix++;
+  return similarity + prefix * 0.1 * (1 - similarity);
+};
+
+/**
+ * Sort a normalized name's words
+ *
+ * @param {string} name - Normalized name
+ * @returns {string} Words in alphabetical order
+ */
+const sortWords = name => name.split(" ").sort().join(" ");
+
+/**
+ * Score how alike two names are
+ *
+ * @param {string} a - First name (as entered)
+ * @param {string} b - Second name (as entered)
+ * @returns {number} Similarity between 0 and 1 (1 when the normalized names are equal)
+ */
+const nameSimilarity = (a, b) => {
+  const first = normalizeName(a);
+  const second = normalizeName(b);
+  return Math.max(jaroWinkler(first, second), jaroWinkler(sortWords(first), sortWords(second)));
+};
+
+module.exports = { normalizeName, nameSimilarity, jaroWinkler };
@@ -0,0 +1,73 @@
+/**
+ * Server-Sent Events Utility
+ *
+ * Formats messages in the text/event-stream wire format
+ * (https://html.spec.whatwg.org/multipage/server-sent-events.html) and writes
+ * them without letting a client that stops reading hold unbounded memory
+ */
+
+/**
+ * Format one event
+ *
+ * @param {Object} message
+ * @param {string} [message.id] - Event ID (sent back by clients as Last-Event-ID)
+ * @param {string} [message.event] - Event name (clients listen per name)
+ * @param {*} message.data - Payload, sent as JSON
+ * @returns {string} Event block, ending with the blank line that dispatches it
+ */
+const formatEvent = ({ id, event, data }) =>
+  [
+    ...(id !== undefined ? [`id: ${id}`] : []),
+    ...(event ? [`event: ${event}`] : []),
+    // JSON.stringify never emits raw newlines, so the payload is always one data line
+    `data: ${JSON.stringify(data)}`,
+    "",
+    ""
+  ].join("\n");
+
+/**
+ * Format a comment line (ignored by clients; keeps idle connections open)
+ *
+ * @param {string} text - Comment text (one line)
+ * @returns {string} Comment block
+ */
+const formatComment = text => `: ${text}\n\n`;
+
+/**
+ * Format the reconnection delay clients should use
+ *
+ * @param {number} ms - Milliseconds
+ * @returns {string} retry field block
+ */
+const formatRetry = ms => `retry: ${ms}\n\n`;
+
+/**
+ * Create a writer for an event stream that disconnects clients falling behind
+ * res.write returns false once the response is buffering; if the buffer then
+ * holds more than maxBufferedBytes, the client is not keeping up and the
+ * connection is destroyed instead of queueing every later event in memory.
+ * The response's "close" listeners run as usual, so subscriptions are released.
+ *
+ * @param {Object} res - Express response object (headers already sent)
+ * @param {Object} options
+ * @param {number} options.maxBufferedBytes - Most bytes left unsent before disconnecting
+ * @param {Function} [options.onOverflow] - Called with the buffered byte count on disconnect
+ * @returns {Function} write(chunk), returning false if the stream is (now) closed
+ */
+const createStreamWriter = (res, { maxBufferedBytes, onOverflow = () => {} }) => {
+  return chunk => {
+    if (res.destroyed || res.writableEnded) return false;
+    if (res.write(chunk) || res.writableLength <= maxBufferedBytes) return true;
+
+    onOverflow(res.writableLength);
+    res.destroy();
+    return false;
+  };
+};
+
+module.exports = {
+  formatEvent,
+  formatComment,
+  formatRetry,
+  createStreamWriter
+};
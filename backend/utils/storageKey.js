@@ -0,0 +1,31 @@
+/**
+ * Storage Key Utility
+ *
+ * Turns arbitrary values (timezone names, location names, ...) into storage
+ * keys and back. RTDB keys cannot contain ".", "$", "#", "[", "]" or "/", so
+ * those (and "%", the escape character itself) are percent-encoded:
+ * "America/New_York" -> "America%2FNew_York", "St. Louis" -> "St%2E Louis".
+ */
+
+/**
+ * Encode a value as a storage key
+ *
+ * @param {*} value - Value (converted to a string)
+ * @returns {string} Key safe to use as a path segment
+ */
+const encodeKey = value =>
+  String(value).replace(
+    /[.$#[\]/%\x00-\x1f\x7f]/g,
+    char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`
+  );
+
+/**
+ * Decode a key made by encodeKey
+ *
+ * @param {string} key - Storage key
+ * @returns {string} Original value (as a string)
+ */
+const decodeKey = key =>
+  key.replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+module.exports = { encodeKey, decodeKey };
@@ -0,0 +1,82 @@
+/**
+ * Timezone Utility
+ *
+ * Helpers for IANA timezone names (e.g. "America/New_York")
+ */
+
+const tzLookup = require("@photostructure/tz-lookup");
+
+/**
+ * IANA timezone at a pair of coordinates
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string|null} IANA timezone name, or null if the coordinates are unusable
+ */
+const lookupTimeZone = (lat, lon) => {
+  try {
+    return tzLookup(lat, lon);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Current UTC offset of an IANA timezone, in seconds (same unit OpenWeather uses)
+ *
+ * @param {string} timeZone - IANA timezone name
+ * @param {Date} [date=new Date()] - Instant to evaluate (offsets change with DST)
+ * @returns {number} Offset from UTC in seconds (e.g. -18000 for EST)
+ */
+const getUtcOffsetSeconds = (timeZone, date = new Date()) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit"
+  }).formatToParts(date);
+  const field = type => Number(parts.find(part => part.type === type).value);
+
+  const wallClockAsUtc = Date.UTC(
+    field("year"),
+    field("month") - 1,
+    field("day"),
+    field("hour"),
+    field("minute"),
+    field("second")
+  );
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+
+  return Math.round((wallClockAsUtc - instant) / 1000);
+};
+
+/**
+ * Format a UTC offset the way ISO 8601 does
+ *
+ * @param {number} seconds - Offset from UTC in seconds
+ * @returns {string} e.g. "-05:00"
+ */
+const formatUtcOffset = seconds => {
+  const sign = seconds < 0 ? "-" : "+";
+  const minutes = Math.floor(Math.abs(seconds) / 60);
+  const pad = value => String(value).padStart(2, "0");
+  return `${sign}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+};
+
+/**
+ * Wall-clock time at a UTC offset, as an ISO 8601 string carrying that offset
+ *
+ * @param {number} offsetSeconds - Offset from UTC in seconds
+ * @param {Date} [date=new Date()] - Instant to express
+ * @returns {string} e.g. "2024-01-15T09:30:00-05:00"
+ */
+const toLocalIsoString = (offsetSeconds, date = new Date()) => {
+  const wallClock = new Date(Math.floor(date.getTime() / 1000) * 1000 + offsetSeconds * 1000);
+  return `${wallClock.toISOString().slice(0, 19)}${formatUtcOffset(offsetSeconds)}`;
+};
+
+module.exports = { lookupTimeZone, getUtcOffsetSeconds, formatUtcOffset, toLocalIsoString };
@@ -0,0 +1,51 @@
+/**
+ * Trigram Utility
+ *
+ * Splits text into the trigrams the search index is keyed by. Text is
+ * normalized like names (see nameMatching) and each word is padded the way
+ * pg_trgm pads it ("__jo", "joh", ..., "hn_"), so short words and word starts
+ * still produce trigrams. "_" stands for the padding because trigrams are used
+ * as storage keys.
+ */
+
+const { normalizeName } = require("./nameMatching");
+
+/**
+ * Split text into normalized words
+ *
+ * @param {string} text - Text as entered
+ * @returns {string[]} Normalized words ("Doe, John" -> ["doe", "john"])
+ */
+const toWords = text => normalizeName(text).split(" ").filter(Boolean);
+
+/**
+ * Trigrams of one normalized word
+ *
+ * @param {string} word - Normalized word
+ * @returns {string[]} Trigrams, padded ("jo" -> ["__j", "_jo", "jo_"])
+ */
+const wordTrigrams = word => {
+  const padded = `__${word}_`;
+  const trigrams = [];
+  for (let i = 0; i + 3 <= padded.length; i++) trigrams.push(padded.slice(i, i + 3));
+  return trigrams;
+};
+
+/**
+ * Distinct trigrams of some text
+ *
+ * @param {...string} texts - Texts to index (null and undefined are skipped)
+ * @returns {Set<string>} Trigrams
+ */
+const toTrigrams = (...texts) => {
+  const trigrams = new Set();
+  for (const text of texts) {
+    if (text === null || text === undefined) continue;
+    for (const word of toWords(String(text))) {
+      for (const trigram of wordTrigrams(word)) trigrams.add(trigram);
+    }
+  }
+  return trigrams;
+};
+
+module.exports = { toWords, toTrigrams };
@@ -0,0 +1,41 @@
+/**
+ * Webhook Signature Utility
+ *
+ * Signs webhook requests with HMAC-SHA256 so receivers can check that a
+ * request came from us and was not altered or replayed
+ *
+ * The signed content is "{timestamp}.{body}", where timestamp is the
+ * X-Webhook-Timestamp header (Unix seconds) and body is the raw request body.
+ * Receivers recompute the HMAC with their subscription secret, compare it to
+ * X-Webhook-Signature in constant time and reject old timestamps.
+ */
+
+const { createHmac, randomBytes } = require("crypto");
+
+/**
+ * Prefix of subscription secrets, so they are recognizable in config files
+ */
+const SECRET_PREFIX = "whsec_";
+
+/**
+ * Generate a subscription secret
+ *
+ * @returns {string} "whsec_" followed by 32 random bytes in hex
+ */
+const generateSecret = () => `${SECRET_PREFIX}${randomBytes(32).toString("hex")}`;
+
+/**
+ * Sign a request body
+ *
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds sent as X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} X-Webhook-Signature value ("sha256=" followed by the hex HMAC)
+ */
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+
+module.exports = {
+  generateSecret,
+  signPayload
+};
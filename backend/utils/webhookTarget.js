@@ -0,0 +1,107 @@
+/**
+ * Webhook Target Utility
+ *
+ * Keeps webhook requests out of the server's own network (SSRF): a subscribed
+ * URL may not point at a loopback, private (RFC 1918), link-local (including
+ * cloud metadata at 169.254.169.254), shared, multicast or reserved address,
+ * at their IPv6 counterparts, or at IPv4 addresses wrapped in NAT64.
+ *
+ * IP literals and localhost names are rejected when the URL is saved and again
+ * before each attempt. Other hostnames are checked by the addresses they
+ * resolve to while the request connects, so the address that was checked is
+ * the one connected to (a name cannot be re-pointed at an internal address
+ * between check and use).
+ */
+
+const dns = require("dns");
+const net = require("net");
+
+const blockedAddresses = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], // "this network"
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4] // reserved and broadcast
+]) {
+  blockedAddresses.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 128],
+  ["::1", 128],
+  // NAT64 (well-known and local-use prefixes) embeds IPv4 addresses, e.g.
+  // 64:ff9b::a9fe:a9fe reaches 169.254.169.254 on a NAT64 network
+  ["64:ff9b::", 96],
+  ["64:ff9b:1::", 48],
+  ["fc00::", 7], // unique local
+  ["fe80::", 10],
+  ["ff00::", 8]
+]) {
+  blockedAddresses.addSubnet(prefix, bits, "ipv6");
+}
+
+/**
+ * Check whether an IP address is on the server's side of the network
+ * IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local and reserved addresses
+ */
+const isPrivateAddress = address =>
+  blockedAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+/**
+ * Check a URL's hostname without resolving it
+ *
+ * @param {string} hostname - URL hostname (IPv6 literals in brackets)
+ * @returns {boolean} True for private IP literals and localhost names
+ */
+const isPrivateHostname = hostname => {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (net.isIP(host)) return isPrivateAddress(host);
+  return host === "localhost" || host.endsWith(".localhost");
+};
+
+/**
+ * Error for a target the server refuses to send to
+ *
+ * @param {string} hostname - Hostname of the target
+ * @param {string} [address] - Address it resolved to
+ * @returns {Error} Error whose message is recorded as the attempt's error
+ */
+const privateTargetError = (hostname, address) =>
+  new Error(
+    address && address !== hostname
+      ? `${hostname} resolves to private address ${address}`
+      : `${hostname} is a private address`
+  );
+
+/**
+ * dns.lookup replacement that fails for names resolving to a private address
+ * Passed to the HTTP client, so it runs for every connection it opens
+ *
+ * @param {string} hostname - Hostname being connected to
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - (error, addresses) with every address resolved
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) return callback(privateTargetError(hostname, blocked.address));
+    callback(null, addresses);
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  isPrivateHostname,
+  privateTargetError,
+  publicLookup
+};
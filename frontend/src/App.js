@@ -5,10 +5,12 @@ import Login from "./components/Login";
 import Dashboard from "./components/Dashboard";
 import UserManagement from "./components/UserManagement";
 import AdminDashboard from "./components/AdminDashboard";
+import Welcome from "./components/Welcome";
+import { canAccess, homePath } from "./shared/roles";
 import "./App.css";
 
 function Navigation() {
-  const { user, logout } = useAuth();
+  const { user, role, logout } = useAuth();
 
   return (
     <nav className="navbar">
@@ -18,63 +20,69 @@ function Navigation() {
         </div>
 
         <div className="navbar-links">
-          <NavLink
-            to="/dashboard"
-            className={({ isActive }) => (isActive ? "nav-link active" : "nav-link")}
-          >
-            <svg
-              width="20"
-              height="20"
-              viewBox="0 0 24 24"
-              fill="none"
-              stroke="currentColor"
-              strokeWidth="2"
+          {canAccess(role, "/dashboard") && (
+            <NavLink
+              to="/dashboard"
+              className={({ isActive }) => (isActive ? "nav-link active" : "nav-link")}
             >
-              <rect x="3" y="3" width="7" height="7" />
-              <rect x="14" y="3" width="7" height="7" />
-              <rect x="14" y="14" width="7" height="7" />
-              <rect x="3" y="14" width="7" height="7" />
-            </svg>
-            Dashboard
-          </NavLink>
+              <svg
+                width="20"
+                height="20"
+                viewBox="0 0 24 24"
+                fill="none"
+                stroke="currentColor"
+                strokeWidth="2"
+              >
+                <rect x="3" y="3" width="7" height="7" />
+                <rect x="14" y="3" width="7" height="7" />
+                <rect x="14" y="14" width="7" height="7" />
+                <rect x="3" y="14" width="7" height="7" />
+              </svg>
+              Dashboard
+            </NavLink>
+          )}
 
-          <NavLink
-            to="/users"
-            className={({ isActive }) => (isActive ? "nav-link active" : "nav-link")}
-          >
-            <svg
-              width="20"
-              height="20"
-              viewBox="0 0 24 24"
-              fill="none"
-              stroke="currentColor"
-              strokeWidth="2"
+          {canAccess(role, "/users") && (
+            <NavLink
+              to="/users"
+              className={({ isActive }) => (isActive ? "nav-link active" : "nav-link")}
             >
-              <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2" />
-              <circle cx="9" cy="7" r="4" />
-              <path d="M23 21v-2a4 4 0 0 0-3-3.87" />
-              <path d="M16 3.13a4 4 0 0 1 0 7.75" />
-            </svg>
-            Users
-          </NavLink>
+              <svg
+                width="20"
+                height="20"
+                viewBox="0 0 24 24"
+                fill="none"
+                stroke="currentColor"
+                strokeWidth="2"
+              >
+                <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2" />
+                <circle cx="9" cy="7" r="4" />
+                <path d="M23 21v-2a4 4 0 0 0-3-3.87" />
+                <path d="M16 3.13a4 4 0 0 1 0 7.75" />
+              </svg>
+              Users
+            </NavLink>
+          )}
 
-          <NavLink
-            to="/admin"
-            className={({ isActive }) => (isActive ? "nav-link active" : "nav-link")}
-          >
-            <svg
-              width="20"
-              height="20"
-              viewBox="0 0 24 24"
-              fill="none"
-              stroke="currentColor"
-              strokeWidth="2"
+          {canAccess(role, "/admin") && (
+            <NavLink
+              to="/admin"
+              className={({ isActive }) => (isActive ? "nav-link active" : "nav-link")}
             >
-              <circle cx="12" cy="12" r="3" />
-              <path d="M12 1v6m0 6v6M1 12h6m6 0h6" />
-            </svg>
-            Monitoring
-          </NavLink>
+              <svg
+                width="20"
+                height="20"
+                viewBox="0 0 24 24"
+                fill="none"
+                stroke="currentColor"
+                strokeWidth="2"
+              >
+                <circle cx="12" cy="12" r="3" />
+                <path d="M12 1v6m0 6v6M1 12h6m6 0h6" />
+              </svg>
+              Monitoring
+            </NavLink>
+          )}
         </div>
 
         <div className="navbar-user">
@@ -84,6 +92,7 @@ function Navigation() {
                 <div className="user-avatar">{user.email?.charAt(0).toUpperCase() || "U"}</div>
                 <div className="user-details">
                   <span className="user-email">{user.email}</span>
+                  {role && <span className="user-role">{role}</span>}
                 </div>
               </div>
               <button onClick={logout} className="logout-btn">
@@ -109,8 +118,8 @@ function Navigation() {
   );
 }
 
-function ProtectedRoute({ children }) {
-  const { user, loading } = useAuth();
+function ProtectedRoute({ path, children }) {
+  const { user, role, loading } = useAuth();
 
   if (loading) {
     return (
@@ -125,6 +134,11 @@ function ProtectedRoute({ children }) {
     return <Navigate to="/login" replace />;
   }
 
+  // Block routes the current role can't use
+  if (!canAccess(role, path)) {
+    return <Navigate to={homePath(role)} replace />;
+  }
+
   return (
     <>
       <Navigation />
@@ -134,7 +148,7 @@ function ProtectedRoute({ children }) {
 }
 
 function App() {
-  const { user, loading } = useAuth();
+  const { user, role, loading } = useAuth();
 
   if (loading) {
     return (
@@ -148,11 +162,14 @@ function App() {
   return (
     <Router>
       <Routes>
-        <Route path="/login" element={user ? <Navigate to="/dashboard" replace /> : <Login />} />
+        <Route
+          path="/login"
+          element={user ? <Navigate to={homePath(role)} replace /> : <Login />}
+        />
         <Route
           path="/dashboard"
           element={
-            <ProtectedRoute>
+            <ProtectedRoute path="/dashboard">
               <Dashboard />
             </ProtectedRoute>
           }
@@ -160,7 +177,7 @@ function App() {
         <Route
           path="/users"
           element={
-            <ProtectedRoute>
+            <ProtectedRoute path="/users">
               <UserManagement />
             </ProtectedRoute>
           }
@@ -168,13 +185,21 @@ function App() {
         <Route
           path="/admin"
           element={
-            <ProtectedRoute>
+            <ProtectedRoute path="/admin">
               <AdminDashboard />
             </ProtectedRoute>
           }
         />
-        <Route path="/" element={<Navigate to="/dashboard" replace />} />
-        <Route path="*" element={<Navigate to="/dashboard" replace />} />
+        <Route
+          path="/welcome"
+          element={
+            <ProtectedRoute path="/welcome">
+              <Welcome />
+            </ProtectedRoute>
+          }
+        />
+        <Route path="/" element={<Navigate to={homePath(role)} replace />} />
+        <Route path="*" element={<Navigate to={homePath(role)} replace />} />
       </Routes>
     </Router>
   );
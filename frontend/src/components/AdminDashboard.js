@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import { API_BASE_URL } from "../config/api";
+import { apiFetch } from "../repositories/apiClient";
 import "./AdminDashboard.css";
 
 function AdminDashboard() {
@@ -13,12 +13,12 @@ function AdminDashboard() {
       setError(null);
 
       // Fetch health status
-      const healthRes = await fetch(`${API_BASE_URL}/health`);
+      const healthRes = await apiFetch("/health");
       const healthData = await healthRes.json();
       setHealth(healthData);
 
       // Fetch metrics
-      const metricsRes = await fetch(`${API_BASE_URL}/metrics`);
+      const metricsRes = await apiFetch("/metrics");
       const metricsData = await metricsRes.json();
       setMetrics(metricsData);
 
@@ -0,0 +1,53 @@
+import React from "react";
+import "./ConflictDialog.css";
+
+const FIELDS = [
+  { key: "name", label: "Name" },
+  { key: "country", label: "Country" },
+  { key: "zip", label: "Postal Code" },
+  { key: "notes", label: "Notes" }
+];
+
+/**
+ * Shown in the edit modal when a save is rejected because someone else changed
+ * the record after it was opened (412 from PUT /users/:id)
+ * Lists the saved values next to the user's edits and lets them keep either
+ */
+function ConflictDialog({ current, mine, onOverwrite, onUseSaved, saving }) {
+  return (
+    <div className="conflict-dialog" role="alertdialog" aria-labelledby="conflict-title">
+      <h3 id="conflict-title">This record changed since you opened it</h3>
+      <p>Someone else saved this user while you were editing. Compare the values below.</p>
+
+      <table className="conflict-table">
+        <thead>
+          <tr>
+            <th />
+            <th>Saved</th>
+            <th>Your edit</th>
+          </tr>
+        </thead>
+        <tbody>
+          {FIELDS.map(({ key, label }) => (
+            <tr key={key} className={(current[key] || "") !== (mine[key] || "") ? "changed" : ""}>
+              <th scope="row">{label}</th>
+              <td>{current[key] || "—"}</td>
+              <td>{mine[key] || "—"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="conflict-actions">
+        <button type="button" onClick={onUseSaved} className="btn-secondary" disabled={saving}>
+          Use saved version
+        </button>
+        <button type="button" onClick={onOverwrite} className="btn-primary" disabled={saving}>
+          {saving ? "Saving..." : "Save my changes anyway"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ConflictDialog;
@@ -1,31 +1,30 @@
-import React, { useMemo } from "react";
-import { useUsers } from "../hooks/useUsers";
+import React, { useState } from "react";
+import { useUserStats } from "../hooks/useUserStats";
+import GeoStatusBadge from "./GeoStatusBadge";
+import LocalClock from "./LocalClock";
 import "./Dashboard.css";
 
+const GROUP_OPTIONS = [
+  { value: "day", label: "Daily" },
+  { value: "week", label: "Weekly" },
+  { value: "month", label: "Monthly" }
+];
+
+// Bucket starts are UTC days ("2024-01-15"); format them without a timezone shift
+const formatPeriod = (start, groupBy) =>
+  new Date(`${start}T12:00:00Z`).toLocaleDateString(
+    undefined,
+    groupBy === "month"
+      ? { month: "short", year: "numeric", timeZone: "UTC" }
+      : { month: "short", day: "numeric", timeZone: "UTC" }
+  );
+
+/**
+ * Portfolio overview, computed on the server by GET /users/stats
+ */
 function Dashboard() {
-  const { users, loading } = useUsers();
-
-  const stats = useMemo(() => {
-    if (!users.length) {
-      return {
-        totalUsers: 0,
-        uniqueZipCodes: 0,
-        uniqueTimezones: 0,
-        recentUsers: []
-      };
-    }
-
-    const zipCodes = new Set(users.map(u => u.zip));
-    const timezones = new Set(users.map(u => u.timezone).filter(Boolean));
-    const sortedUsers = [...users].sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
-
-    return {
-      totalUsers: users.length,
-      uniqueZipCodes: zipCodes.size,
-      uniqueTimezones: timezones.size,
-      recentUsers: sortedUsers.slice(0, 5)
-    };
-  }, [users]);
+  const [groupBy, setGroupBy] = useState("day");
+  const { stats, loading, error } = useUserStats(groupBy);
 
   if (loading) {
     return (
@@ -35,6 +34,16 @@ function Dashboard() {
     );
   }
 
+  if (!stats) {
+    return (
+      <div className="dashboard-container">
+        <div className="loading">⚠️ {error}</div>
+      </div>
+    );
+  }
+
+  const busiestPeriod = Math.max(1, ...stats.signups.buckets.map(bucket => bucket.count));
+
   return (
     <div className="dashboard-container">
       <div className="dashboard-header">
@@ -60,7 +69,7 @@ function Dashboard() {
             </svg>
           </div>
           <div className="stat-content">
-            <h3>{stats.totalUsers}</h3>
+            <h3>{stats.total}</h3>
             <p>Total Users</p>
           </div>
         </div>
@@ -80,7 +89,7 @@ function Dashboard() {
             </svg>
           </div>
           <div className="stat-content">
-            <h3>{stats.uniqueZipCodes}</h3>
+            <h3>{stats.unique.zips}</h3>
             <p>Unique ZIP Codes</p>
           </div>
         </div>
@@ -100,28 +109,125 @@ function Dashboard() {
             </svg>
           </div>
           <div className="stat-content">
-            <h3>{stats.uniqueTimezones}</h3>
+            <h3>{stats.unique.timezones}</h3>
             <p>Time Zones</p>
           </div>
         </div>
+
+        <div className="stat-card">
+          <div className="stat-icon" style={{ background: "#43e97b" }}>
+            <svg
+              width="32"
+              height="32"
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="white"
+              strokeWidth="2"
+            >
+              <path d="M3 9l9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z" />
+              <polyline points="9 22 9 12 15 12 15 22" />
+            </svg>
+          </div>
+          <div className="stat-content">
+            <h3>{stats.unique.locations}</h3>
+            <p>Locations</p>
+          </div>
+        </div>
+      </div>
+
+      <div className="dashboard-section">
+        <div className="section-header">
+          <h2>Signups</h2>
+          <div className="group-options">
+            {GROUP_OPTIONS.map(option => (
+              <button
+                key={option.value}
+                type="button"
+                className={option.value === groupBy ? "active" : ""}
+                onClick={() => setGroupBy(option.value)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <p className="section-summary">
+          {stats.signups.total} between {formatPeriod(stats.signups.from, "day")} and{" "}
+          {formatPeriod(stats.signups.to, "day")}
+        </p>
+        <div className="signup-chart">
+          {stats.signups.buckets.map(bucket => (
+            <div
+              key={bucket.start}
+              className="signup-bar"
+              title={`${formatPeriod(bucket.start, stats.signups.groupBy)}: ${bucket.count}`}
+            >
+              <div
+                className="signup-bar-fill"
+                style={{ height: `${(bucket.count / busiestPeriod) * 100}%` }}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="breakdown-grid">
+        <div className="dashboard-section">
+          <h2>Top ZIP Codes</h2>
+          {stats.byZip.length === 0 ? (
+            <div className="empty-state">
+              <p>No ZIP codes yet.</p>
+            </div>
+          ) : (
+            <ul className="breakdown-list">
+              {stats.byZip.map(entry => (
+                <li key={`${entry.country}-${entry.zip}`}>
+                  <span>
+                    {entry.zip} <span className="breakdown-country">{entry.country}</span>
+                  </span>
+                  <span className="breakdown-count">{entry.count}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="dashboard-section">
+          <h2>Top Locations</h2>
+          {stats.byLocation.length === 0 ? (
+            <div className="empty-state">
+              <p>No locations yet.</p>
+            </div>
+          ) : (
+            <ul className="breakdown-list">
+              {stats.byLocation.map(entry => (
+                <li key={entry.locationName}>
+                  <span>{entry.locationName}</span>
+                  <span className="breakdown-count">{entry.count}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
       </div>
 
       <div className="recent-section">
         <h2>Recent Users</h2>
-        {stats.recentUsers.length === 0 ? (
+        {stats.recent.length === 0 ? (
           <div className="empty-state">
             <p>No users yet. Add your first user to get started!</p>
           </div>
         ) : (
           <div className="user-list">
-            {stats.recentUsers.map(user => (
+            {stats.recent.map(user => (
               <div key={user.id} className="user-item">
                 <div className="user-avatar">{user.name?.charAt(0).toUpperCase()}</div>
                 <div className="user-info">
                   <h4>{user.name}</h4>
                   <p>
-                    ZIP: {user.zip} | {user.timezone || "N/A"}
+                    ZIP: {user.zip} | <LocalClock timezone={user.timezone} />
                   </p>
+                  <GeoStatusBadge status={user.geoStatus} />
                   {user.latitude && user.longitude && (
                     <p className="user-coords">
                       Coordinates: {user.latitude.toFixed(4)}, {user.longitude.toFixed(4)}
@@ -0,0 +1,41 @@
+import React from "react";
+import "./DuplicateWarning.css";
+
+/**
+ * Shown in the add modal when POST /users answers 409 users/duplicate
+ * Lists the likely matches so the user can open one instead, or create anyway
+ */
+function DuplicateWarning({ candidates, onOpen, onCreateAnyway, saving }) {
+  return (
+    <div className="duplicate-warning" role="alert">
+      <h3>This tenant may already exist</h3>
+      <p>These tenants at the same postal code have a similar name:</p>
+
+      <ul className="duplicate-list">
+        {candidates.map(candidate => (
+          <li key={candidate.id}>
+            <div>
+              <strong>{candidate.name}</strong>
+              <span className="duplicate-meta">
+                {candidate.zip}
+                {candidate.locationName && ` · ${candidate.locationName}`}
+                {` · ${Math.round(candidate.score * 100)}% match`}
+              </span>
+            </div>
+            <button type="button" className="btn-link" onClick={() => onOpen(candidate.id)}>
+              Open
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="duplicate-actions">
+        <button type="button" onClick={onCreateAnyway} className="btn-primary" disabled={saving}>
+          {saving ? "Creating..." : "Create anyway"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default DuplicateWarning;
@@ -0,0 +1,59 @@
+import React, { useState } from "react";
+import { UserRepository } from "../repositories/UserRepository";
+import "./ExportMenu.css";
+
+const FORMATS = [
+  { value: "csv", label: "CSV", hint: "Spreadsheets" },
+  { value: "json", label: "JSON", hint: "One array" },
+  { value: "ndjson", label: "NDJSON", hint: "One user per line" }
+];
+
+/**
+ * Export button with a format menu; downloads every user (GET /users/export)
+ */
+function ExportMenu() {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleExport = async format => {
+    setOpen(false);
+    setExporting(true);
+    setError(null);
+    try {
+      await UserRepository.exportUsers(format);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      <button
+        onClick={() => setOpen(current => !current)}
+        className={`btn-secondary${open ? " active" : ""}`}
+        disabled={exporting}
+        title={error || undefined}
+      >
+        {exporting ? "Exporting..." : "Export"}
+      </button>
+      {open && (
+        <ul className="export-options">
+          {FORMATS.map(({ value, label, hint }) => (
+            <li key={value}>
+              <button onClick={() => handleExport(value)}>
+                <span>{label}</span>
+                <small>{hint}</small>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <div className="export-error">{error}</div>}
+    </div>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from "react";
+import { UserRepository } from "../repositories/UserRepository";
+import "./ForecastPanel.css";
+
+const DAY_OPTIONS = [3, 5];
+const TEMPERATURE_LABELS = { imperial: "°F", metric: "°C" };
+
+// Forecast dates are local calendar days ("2024-01-15"); format them without a timezone shift
+const formatDay = date =>
+  new Date(`${date}T12:00:00Z`).toLocaleDateString(undefined, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC"
+  });
+
+/**
+ * Daily highs, lows and precipitation chances at a user's location
+ * (GET /users/:id/forecast)
+ */
+function ForecastPanel({ userId, units = "imperial" }) {
+  const [days, setDays] = useState(5);
+  const [forecast, setForecast] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let active = true;
+    setLoading(true);
+    setError(null);
+
+    UserRepository.getForecast(userId, days, units)
+      .then(data => active && setForecast(data))
+      .catch(err => active && setError(err.message))
+      .finally(() => active && setLoading(false));
+
+    return () => {
+      active = false;
+    };
+  }, [userId, days, units]);
+
+  const degrees = TEMPERATURE_LABELS[units];
+
+  return (
+    <div className="forecast-panel">
+      <div className="forecast-header">
+        <h4>Forecast</h4>
+        <div className="forecast-range">
+          {DAY_OPTIONS.map(option => (
+            <button
+              key={option}
+              type="button"
+              className={option === days ? "active" : ""}
+              onClick={() => setDays(option)}
+            >
+              {option} days
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading && <div className="forecast-status">Loading forecast…</div>}
+      {!loading && error && <div className="forecast-status forecast-error">⚠️ {error}</div>}
+      {!loading && !error && forecast && (
+        <div className="forecast-days">
+          {forecast.days.map(day => (
+            <div key={day.date} className="forecast-day">
+              <div className="forecast-date">{formatDay(day.date)}</div>
+              {day.icon && (
+                <img
+                  className="forecast-icon"
+                  src={`https://openweathermap.org/img/wn/${day.icon}.png`}
+                  alt={day.description}
+                />
+              )}
+              <div className="forecast-temps">
+                <span className="forecast-high">
+                  {Math.round(day.high)}
+                  {degrees}
+                </span>
+                <span className="forecast-low">
+                  {Math.round(day.low)}
+                  {degrees}
+                </span>
+              </div>
+              <div className="forecast-pop" title="Chance of precipitation">
+                💧 {day.precipitationChance}%
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ForecastPanel;
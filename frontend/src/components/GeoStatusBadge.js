@@ -0,0 +1,29 @@
+import React from "react";
+import "./GeoStatusBadge.css";
+
+/**
+ * Badge for records whose coordinates are not available yet
+ * "pending": saved while location services were down; the backend fills them in later
+ * "failed": the ZIP could not be geolocated
+ */
+function GeoStatusBadge({ status }) {
+  if (status === "pending") {
+    return (
+      <span className="geo-badge geo-badge-pending" title="Coordinates will appear shortly">
+        locating…
+      </span>
+    );
+  }
+
+  if (status === "failed") {
+    return (
+      <span className="geo-badge geo-badge-failed" title="This ZIP code could not be located">
+        location unknown
+      </span>
+    );
+  }
+
+  return null;
+}
+
+export default GeoStatusBadge;
@@ -0,0 +1,45 @@
+import React from "react";
+import "./Highlight.css";
+
+/**
+ * Renders text with the given spans (from GET /users/search) marked
+ * Spans are { start, end } offsets into text, in order and not overlapping.
+ * With `context`, long text is cut down to that many characters either side of
+ * the first span.
+ */
+function Highlight({ text, spans = [], context }) {
+  if (text === null || text === undefined) return null;
+
+  // shown[i] is text[i + offset], up to limit (past it only the trailing ellipsis)
+  let shown = text;
+  let offset = 0;
+  let limit = text.length;
+  if (context !== undefined && spans.length > 0) {
+    const from = Math.max(0, spans[0].start - context);
+    const to = Math.min(text.length, spans[0].end + context);
+    shown = (from > 0 ? "…" : "") + text.slice(from, to);
+    offset = from > 0 ? from - 1 : 0;
+    limit = shown.length;
+    if (to < text.length) shown = `${shown}…`;
+  }
+
+  const parts = [];
+  let position = 0;
+  spans.forEach(({ start, end }) => {
+    const from = Math.max(start - offset, position);
+    const to = Math.min(end - offset, limit);
+    if (to <= from) return;
+    if (from > position) parts.push(shown.slice(position, from));
+    parts.push(
+      <mark key={start} className="search-highlight">
+        {shown.slice(from, to)}
+      </mark>
+    );
+    position = to;
+  });
+  if (position < shown.length) parts.push(shown.slice(position));
+
+  return <>{parts}</>;
+}
+
+export default Highlight;
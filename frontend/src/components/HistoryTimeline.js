@@ -0,0 +1,122 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { UserRepository } from "../repositories/UserRepository";
+import "./HistoryTimeline.css";
+
+const PAGE_SIZE = 10;
+const ACTION_LABELS = {
+  create: "Created",
+  update: "Updated",
+  delete: "Moved to trash",
+  restore: "Restored",
+  purge: "Permanently deleted",
+  merge: "Merged"
+};
+// Actions whose changes only have a meaningful "to" value
+const NEW_VALUE_ACTIONS = ["create", "merge"];
+const FIELD_LABELS = {
+  name: "Name",
+  zip: "Postal code",
+  country: "Country",
+  latitude: "Latitude",
+  longitude: "Longitude",
+  timezone: "Time zone",
+  locationName: "Location",
+  geoStatus: "Geolocation",
+  deletedAt: "Deleted at",
+  deletedBy: "Deleted by",
+  mergedFrom: "Merged from",
+  mergedInto: "Merged into"
+};
+
+const formatValue = value => (value === null || value === undefined ? "—" : String(value));
+
+const formatActor = actorUid => (actorUid === "system" ? "system" : actorUid);
+
+/**
+ * Change history of a user, newest first (GET /users/:id/history)
+ */
+function HistoryTimeline({ userId }) {
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadPage = useCallback(
+    async cursor => {
+      setLoading(true);
+      setError(null);
+      try {
+        const page = await UserRepository.getHistory(userId, PAGE_SIZE, cursor);
+        setEntries(previous => (cursor ? [...previous, ...page.items] : page.items));
+        setNextCursor(page.nextCursor);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [userId]
+  );
+
+  useEffect(() => {
+    loadPage(null);
+  }, [loadPage]);
+
+  return (
+    <div className="history-timeline">
+      <h4>History</h4>
+
+      {error && <div className="history-status history-error">⚠️ {error}</div>}
+      {!error && !loading && entries.length === 0 && (
+        <div className="history-status">No changes recorded yet.</div>
+      )}
+
+      <ol className="history-entries">
+        {entries.map(entry => (
+          <li key={entry.id} className={`history-entry history-${entry.action}`}>
+            <div className="history-entry-header">
+              <span className="history-action">{ACTION_LABELS[entry.action] || entry.action}</span>
+              <span className="history-meta">
+                {new Date(entry.at).toLocaleString()} · by {formatActor(entry.actorUid)}
+                {entry.mergedFrom && ` · from merged record ${entry.mergedFrom}`}
+              </span>
+            </div>
+            <ul className="history-changes">
+              {Object.entries(entry.changes).map(([field, change]) => (
+                <li key={field}>
+                  <span className="history-field">{FIELD_LABELS[field] || field}</span>{" "}
+                  {entry.action === "purge" ? (
+                    <span className="history-from">{formatValue(change.from)}</span>
+                  ) : (
+                    <>
+                      {!NEW_VALUE_ACTIONS.includes(entry.action) && (
+                        <>
+                          <span className="history-from">{formatValue(change.from)}</span> →{" "}
+                        </>
+                      )}
+                      <span className="history-to">{formatValue(change.to)}</span>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+            {entry.requestId && (
+              <div className="history-request" title="Request id">
+                {entry.requestId}
+              </div>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      {loading && <div className="history-status">Loading history…</div>}
+      {!loading && nextCursor && (
+        <button type="button" className="history-more" onClick={() => loadPage(nextCursor)}>
+          Show older changes
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default HistoryTimeline;
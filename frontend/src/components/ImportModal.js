@@ -0,0 +1,130 @@
+import React, { useState } from "react";
+import { UserRepository } from "../repositories/UserRepository";
+import "./ImportModal.css";
+
+const STATUS_LABELS = { created: "Created", skipped: "Skipped", failed: "Failed" };
+
+/**
+ * Bulk import of users from a CSV or JSON file (POST /users/import)
+ * "Check file" runs a dry run, so the per-row report can be reviewed before anything is saved
+ */
+function ImportModal({ onClose }) {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const handleFileChange = e => {
+    setFile(e.target.files[0] || null);
+    setReport(null);
+    setError(null);
+  };
+
+  const runImport = async dryRun => {
+    setRunning(true);
+    setError(null);
+    try {
+      setReport(await UserRepository.importUsers(file, dryRun));
+    } catch (err) {
+      setReport(null);
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content import-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Import Users</h2>
+          <button onClick={onClose} className="btn-close">
+            <svg
+              width="24"
+              height="24"
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="2"
+            >
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="import-body">
+          <div className="form-group">
+            <label htmlFor="import-file">
+              File *
+              <span className="field-hint">(CSV with name, zip, country columns, or JSON)</span>
+            </label>
+            <input id="import-file" type="file" accept=".csv,.json" onChange={handleFileChange} />
+          </div>
+
+          {error && <div className="error-message">⚠️ {error}</div>}
+
+          {report && (
+            <div className="import-report">
+              <p className="import-summary">
+                {report.dryRun ? "Dry run: " : ""}
+                {report.summary.created} {report.dryRun ? "would be created" : "created"},{" "}
+                {report.summary.skipped} skipped, {report.summary.failed} failed of{" "}
+                {report.summary.total} rows
+              </p>
+              <table className="import-results">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Result</th>
+                    <th>Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.results.map(result => (
+                    <tr key={result.row}>
+                      <td>{result.row}</td>
+                      <td>
+                        <span className={`import-status import-status-${result.status}`}>
+                          {STATUS_LABELS[result.status]}
+                        </span>
+                      </td>
+                      <td>
+                        {result.reason ||
+                          (result.geoStatus === "pending" ? "Location will be resolved later" : "")}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="modal-footer">
+            <button type="button" onClick={onClose} className="btn-secondary">
+              {report && !report.dryRun ? "Done" : "Cancel"}
+            </button>
+            <button
+              type="button"
+              onClick={() => runImport(true)}
+              className="btn-secondary"
+              disabled={!file || running}
+            >
+              Check file
+            </button>
+            <button
+              type="button"
+              onClick={() => runImport(false)}
+              className="btn-primary"
+              disabled={!file || running}
+            >
+              {running ? "Working…" : "Import"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportModal;
@@ -0,0 +1,67 @@
+import React, { useEffect, useState } from "react";
+import "./LocalClock.css";
+
+/**
+ * Format an instant as wall-clock time in a user's timezone
+ * Records saved before IANA timezones were stored hold a fixed UTC offset in seconds
+ */
+const formatLocalTime = (timezone, now) => {
+  const options = { hour: "numeric", minute: "2-digit", second: "2-digit" };
+
+  if (typeof timezone === "number") {
+    const shifted = new Date(now.getTime() + timezone * 1000);
+    const sign = timezone < 0 ? "-" : "+";
+    const hours = Math.floor(Math.abs(timezone) / 3600);
+    const minutes = Math.floor((Math.abs(timezone) % 3600) / 60);
+    return {
+      time: shifted.toLocaleTimeString([], { ...options, timeZone: "UTC" }),
+      zone: `UTC${sign}${hours}${minutes ? `:${String(minutes).padStart(2, "0")}` : ""}`
+    };
+  }
+
+  try {
+    const parts = new Intl.DateTimeFormat([], {
+      ...options,
+      timeZone: timezone,
+      timeZoneName: "short"
+    }).formatToParts(now);
+    return {
+      time: parts
+        .filter(part => part.type !== "timeZoneName")
+        .map(part => part.value)
+        .join("")
+        .trim(),
+      zone: parts.find(part => part.type === "timeZoneName")?.value || timezone
+    };
+  } catch {
+    return null; // Not a zone this browser knows
+  }
+};
+
+/**
+ * Live clock showing the current time where a tenant lives
+ */
+function LocalClock({ timezone }) {
+  const [now, setNow] = useState(() => new Date());
+  const known = typeof timezone === "number" || (typeof timezone === "string" && timezone !== "");
+
+  useEffect(() => {
+    if (!known) return;
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, [known]);
+
+  const local = known ? formatLocalTime(timezone, now) : null;
+  if (!local) {
+    return <span className="local-clock local-clock-unknown">N/A</span>;
+  }
+
+  return (
+    <span className="local-clock" title={typeof timezone === "string" ? timezone : local.zone}>
+      <span className="local-clock-time">{local.time}</span>
+      <span className="local-clock-zone">{local.zone}</span>
+    </span>
+  );
+}
+
+export default LocalClock;
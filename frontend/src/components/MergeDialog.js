@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import { UserRepository } from "../repositories/UserRepository";
+import { DEFAULT_COUNTRY } from "../shared/postalCodes";
+import "./MergeDialog.css";
+
+/**
+ * Fold a duplicate tenant into another record (POST /users/:id/merge)
+ * Tenants at the same postal code are listed first, as the likely originals
+ */
+function MergeDialog({ duplicate, users, onClose }) {
+  const others = users.filter(user => user.id !== duplicate.id);
+  const samePostalCode = others.filter(
+    user =>
+      user.zip === duplicate.zip &&
+      (user.country || DEFAULT_COUNTRY) === (duplicate.country || DEFAULT_COUNTRY)
+  );
+  const elsewhere = others.filter(user => !samePostalCode.includes(user));
+
+  const [survivorId, setSurvivorId] = useState(samePostalCode[0]?.id || others[0]?.id || "");
+  const [merging, setMerging] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleMerge = async () => {
+    setMerging(true);
+    setError(null);
+    try {
+      await UserRepository.mergeUsers(survivorId, duplicate.id);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setMerging(false);
+    }
+  };
+
+  const renderOption = user => (
+    <option key={user.id} value={user.id}>
+      {user.name} ({user.zip})
+    </option>
+  );
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content merge-dialog" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Merge Duplicate</h2>
+          <button onClick={onClose} className="btn-close">
+            <svg
+              width="24"
+              height="24"
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="2"
+            >
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="merge-body">
+          <p className="merge-intro">
+            <strong>{duplicate.name}</strong> will be removed and its change history moved to the
+            tenant you pick. That tenant&apos;s details are kept as they are.
+          </p>
+
+          <div className="form-group">
+            <label htmlFor="merge-survivor">Keep</label>
+            <select
+              id="merge-survivor"
+              value={survivorId}
+              onChange={e => setSurvivorId(e.target.value)}
+            >
+              {samePostalCode.length > 0 && (
+                <optgroup label="Same postal code">{samePostalCode.map(renderOption)}</optgroup>
+              )}
+              {elsewhere.length > 0 && (
+                <optgroup label="Other tenants">{elsewhere.map(renderOption)}</optgroup>
+              )}
+            </select>
+          </div>
+
+          {error && <div className="error-message submit-error">{error}</div>}
+
+          <div className="modal-footer">
+            <button type="button" onClick={onClose} className="btn-secondary">
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleMerge}
+              className="btn-primary"
+              disabled={!survivorId || merging}
+            >
+              {merging ? "Merging..." : "Merge"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MergeDialog;
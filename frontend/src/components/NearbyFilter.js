@@ -0,0 +1,103 @@
+import React, { useState, useEffect } from "react";
+import { UserRepository } from "../repositories/UserRepository";
+import "./NearbyFilter.css";
+
+const RADII = [1, 5, 10, 25, 50];
+const UNITS = ["mi", "km"];
+
+// Browser position, as a promise
+const getPosition = () =>
+  new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error("Your browser cannot share its location"));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => resolve({ lat: coords.latitude, lon: coords.longitude }),
+      () => reject(new Error("Allow location access to find tenants near you")),
+      { timeout: 10000, maximumAge: 60000 }
+    );
+  });
+
+/**
+ * "Near me" filter for the users table (GET /users/near around the browser's location)
+ * Reports the results through onResults ({ items: [{ user, distance }], unit }), or null
+ * when the filter is off; refreshKey re-runs the query when it changes (e.g. the live
+ * user list)
+ */
+function NearbyFilter({ onResults, refreshKey }) {
+  const [position, setPosition] = useState(null);
+  const [radius, setRadius] = useState(10);
+  const [unit, setUnit] = useState("mi");
+  const [locating, setLocating] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!position) return;
+    let active = true;
+    UserRepository.findUsersNear({ ...position, radius, unit })
+      .then(results => {
+        if (!active) return;
+        setError(null);
+        onResults(results);
+      })
+      .catch(err => {
+        if (active) setError(err.message);
+      });
+    return () => {
+      active = false;
+    };
+  }, [position, radius, unit, refreshKey, onResults]);
+
+  const handleToggle = async () => {
+    if (position) {
+      setPosition(null);
+      setError(null);
+      onResults(null);
+      return;
+    }
+
+    setLocating(true);
+    setError(null);
+    try {
+      setPosition(await getPosition());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLocating(false);
+    }
+  };
+
+  return (
+    <div className="nearby-filter">
+      <button
+        type="button"
+        onClick={handleToggle}
+        className={`btn-secondary${position ? " active" : ""}`}
+        disabled={locating}
+      >
+        {locating ? "Locating..." : "Near me"}
+      </button>
+      <label>
+        within
+        <select value={radius} onChange={e => setRadius(Number(e.target.value))}>
+          {RADII.map(value => (
+            <option key={value} value={value}>
+              {value}
+            </option>
+          ))}
+        </select>
+      </label>
+      <select value={unit} onChange={e => setUnit(e.target.value)} aria-label="Distance unit">
+        {UNITS.map(value => (
+          <option key={value} value={value}>
+            {value}
+          </option>
+        ))}
+      </select>
+      {error && <span className="nearby-error">{error}</span>}
+    </div>
+  );
+}
+
+export default NearbyFilter;
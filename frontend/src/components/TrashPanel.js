@@ -0,0 +1,99 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { UserRepository } from "../repositories/UserRepository";
+import "./TrashPanel.css";
+
+const PAGE_SIZE = 25;
+
+/**
+ * Deleted users, most recently deleted first, with a restore action (GET /users/trash)
+ * Deleted users are purged permanently once the server's retention window has passed
+ */
+function TrashPanel({ onClose }) {
+  const [users, setUsers] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+
+  const loadPage = useCallback(async cursor => {
+    setLoading(true);
+    setError(null);
+    try {
+      const page = await UserRepository.getTrash(PAGE_SIZE, cursor);
+      setUsers(previous => (cursor ? [...previous, ...page.items] : page.items));
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPage(null);
+  }, [loadPage]);
+
+  const handleRestore = async id => {
+    setRestoringId(id);
+    setError(null);
+    try {
+      await UserRepository.restoreUser(id);
+      setUsers(previous => previous.filter(user => user.id !== id));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <div className="trash-panel">
+      <div className="trash-header">
+        <div>
+          <h3>Trash</h3>
+          <p>Deleted users can be restored until they are permanently purged.</p>
+        </div>
+        <button type="button" className="trash-close" onClick={onClose}>
+          Back to users
+        </button>
+      </div>
+
+      {error && <div className="trash-status trash-error">⚠️ {error}</div>}
+      {!loading && !error && users.length === 0 && (
+        <div className="trash-status">The trash is empty.</div>
+      )}
+
+      {users.length > 0 && (
+        <ul className="trash-list">
+          {users.map(user => (
+            <li key={user.id} className="trash-item">
+              <div className="trash-user">
+                <span className="trash-name">{user.name}</span>
+                <span className="trash-meta">
+                  {user.zip} · deleted {new Date(user.deletedAt).toLocaleString()}
+                </span>
+              </div>
+              <button
+                type="button"
+                className="trash-restore"
+                onClick={() => handleRestore(user.id)}
+                disabled={restoringId === user.id}
+              >
+                {restoringId === user.id ? "Restoring…" : "Restore"}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {loading && <div className="trash-status">Loading trash…</div>}
+      {!loading && nextCursor && (
+        <button type="button" className="trash-more" onClick={() => loadPage(nextCursor)}>
+          Show more
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default TrashPanel;
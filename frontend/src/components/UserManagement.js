@@ -1,15 +1,59 @@
 import React, { useState } from "react";
 import { useUsers } from "../hooks/useUsers";
+import { useUserSearch } from "../hooks/useUserSearch";
 import { UserRepository } from "../repositories/UserRepository";
+import GeoStatusBadge from "./GeoStatusBadge";
+import WeatherCard from "./WeatherCard";
+import ForecastPanel from "./ForecastPanel";
+import LocalClock from "./LocalClock";
+import HistoryTimeline from "./HistoryTimeline";
+import TrashPanel from "./TrashPanel";
+import ImportModal from "./ImportModal";
+import ExportMenu from "./ExportMenu";
+import ConflictDialog from "./ConflictDialog";
+import DuplicateWarning from "./DuplicateWarning";
+import MergeDialog from "./MergeDialog";
+import Highlight from "./Highlight";
+import NearbyFilter from "./NearbyFilter";
+import {
+  POSTAL_CODE_FORMATS,
+  COUNTRIES,
+  DEFAULT_COUNTRY,
+  formatPostalCodeInput,
+  getPostalCodeError
+} from "../shared/postalCodes";
 import "./UserManagement.css";
 
+const EMPTY_FORM = { name: "", zip: "", country: DEFAULT_COUNTRY, notes: "" };
+
+// Longest notes the server accepts (see MAX_NOTES_LENGTH)
+const MAX_NOTES_LENGTH = 1000;
+
+// Characters of notes shown either side of a search match
+const NOTES_CONTEXT = 30;
+
 function UserManagement() {
-  const { users, loading } = useUsers();
+  const { users, loading, deleteUser } = useUsers();
   const [showModal, setShowModal] = useState(false);
   const [editingUser, setEditingUser] = useState(null);
-  const [formData, setFormData] = useState({ name: "", zip: "" });
+  // Saved record returned when an edit collides with someone else's save
+  const [conflict, setConflict] = useState(null);
+  const [saving, setSaving] = useState(false);
+  // Likely duplicates returned when a create matches existing tenants
+  const [duplicates, setDuplicates] = useState(null);
+  const [mergingUser, setMergingUser] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
   const [errors, setErrors] = useState({});
   const [searchTerm, setSearchTerm] = useState("");
+  const [expandedUserId, setExpandedUserId] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [weatherUnits, setWeatherUnits] = useState("imperial");
+  // Users near the browser's location ({ items, unit }) while "Near me" is on
+  const [nearby, setNearby] = useState(null);
+  // Re-run when the live list changes so results reflect edits made elsewhere; while
+  // "Near me" is on the search box filters the nearby users instead
+  const { results: searchResults, searching } = useUserSearch(nearby ? "" : searchTerm, users);
 
   const validateForm = () => {
     const newErrors = {};
@@ -25,19 +69,10 @@ function UserManagement() {
       newErrors.name = "Name cannot exceed 100 characters";
     }
 
-    // ZIP code validation with detailed feedback
-    if (!formData.zip) {
-      newErrors.zip = "ZIP code is required";
-    } else if (!/^\d{5}$/.test(formData.zip)) {
-      if (!/^\d+$/.test(formData.zip)) {
-        newErrors.zip = "ZIP code must contain only numbers (e.g., 10001)";
-      } else if (formData.zip.length < 5) {
-        newErrors.zip = `ZIP code must be exactly 5 digits (${formData.zip.length}/5)`;
-      } else if (formData.zip.length > 5) {
-        newErrors.zip = `ZIP code must be exactly 5 digits (too long: ${formData.zip.length})`;
-      } else {
-        newErrors.zip = "ZIP code must be a valid 5-digit US ZIP code (e.g., 10001, 90210)";
-      }
+    // Postal code validation for the selected country
+    const zipError = getPostalCodeError(formData.country, formData.zip);
+    if (zipError) {
+      newErrors.zip = zipError;
     }
 
     setErrors(newErrors);
@@ -61,16 +96,9 @@ function UserManagement() {
     }
 
     if (fieldName === "zip") {
-      if (!value) {
-        fieldErrors.zip = "ZIP code is required";
-      } else if (!/^\d{5}$/.test(value)) {
-        if (!/^\d+$/.test(value)) {
-          fieldErrors.zip = "ZIP code must contain only numbers";
-        } else if (value.length < 5) {
-          fieldErrors.zip = `ZIP code must be 5 digits (${value.length}/5)`;
-        } else if (value.length > 5) {
-          fieldErrors.zip = "ZIP code must be exactly 5 digits";
-        }
+      const zipError = getPostalCodeError(formData.country, value);
+      if (zipError) {
+        fieldErrors.zip = zipError;
       }
     }
 
@@ -78,8 +106,11 @@ function UserManagement() {
   };
 
   // Handle input change with real-time validation
-  const handleInputChange = (field, value) => {
+  const handleInputChange = (field, rawValue) => {
+    const value = field === "zip" ? formatPostalCodeInput(formData.country, rawValue) : rawValue;
     setFormData({ ...formData, [field]: value });
+    // The duplicate matches were for the old values
+    setDuplicates(null);
 
     // Real-time validation for this field
     const fieldErrors = validateField(field, value);
@@ -103,50 +134,158 @@ function UserManagement() {
     });
   };
 
+  // Switching country re-masks the postal code and re-checks it against the new format
+  const handleCountryChange = country => {
+    const zip = formatPostalCodeInput(country, formData.zip);
+    setFormData({ ...formData, country, zip });
+    setDuplicates(null);
+    setErrors(prev => {
+      const newErrors = { ...prev };
+      delete newErrors.submit;
+      const zipError = zip ? getPostalCodeError(country, zip) : null;
+      if (zipError) {
+        newErrors.zip = zipError;
+      } else {
+        delete newErrors.zip;
+      }
+      return newErrors;
+    });
+  };
+
+  // Saves the form over `user`; the server rejects it if the record has moved past user.version
+  const saveEdit = async user => {
+    setSaving(true);
+    try {
+      await UserRepository.updateUser(
+        user.id,
+        formData.name,
+        formData.zip,
+        formData.country,
+        user.version,
+        formData.notes
+      );
+      handleCloseModal();
+    } catch (error) {
+      if (error.code === "users/version-mismatch" && error.current) {
+        setConflict(error.current);
+      } else {
+        console.error("Error saving user:", error);
+        setErrors(prev => ({ ...prev, submit: error.message || "Failed to save user" }));
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const handleSubmit = async e => {
     e.preventDefault();
     if (!validateForm()) return;
 
+    if (editingUser) {
+      await saveEdit(editingUser);
+      return;
+    }
+
+    await saveNew();
+  };
+
+  // force skips the server's duplicate check, after the user has seen the matches
+  const saveNew = async ({ force = false } = {}) => {
+    setSaving(true);
     try {
-      if (editingUser) {
-        await UserRepository.updateUser(editingUser.id, formData.name, formData.zip);
-      } else {
-        await UserRepository.createUser(formData.name, formData.zip);
-      }
+      await UserRepository.createUser(formData.name, formData.zip, formData.country, {
+        force,
+        notes: formData.notes
+      });
       handleCloseModal();
     } catch (error) {
-      console.error("Error saving user:", error);
-      setErrors(prev => ({ ...prev, submit: error.message || "Failed to save user" }));
+      if (error.code === "users/duplicate") {
+        setDuplicates(error.candidates);
+      } else {
+        console.error("Error saving user:", error);
+        setErrors(prev => ({ ...prev, submit: error.message || "Failed to save user" }));
+      }
+    } finally {
+      setSaving(false);
     }
   };
 
+  // Switch from adding a likely duplicate to editing the existing tenant
+  const handleOpenDuplicate = id => {
+    const existing = users.find(user => user.id === id);
+    if (!existing) return;
+    setDuplicates(null);
+    handleEdit(existing);
+  };
+
+  // Conflict resolution: save the form on top of the other save, or start over from it
+  const handleOverwrite = async () => {
+    const saved = conflict;
+    setConflict(null);
+    setEditingUser(saved);
+    await saveEdit(saved);
+  };
+
+  const handleUseSaved = () => {
+    setEditingUser(conflict);
+    setFormData({
+      name: conflict.name,
+      zip: conflict.zip,
+      country: conflict.country || DEFAULT_COUNTRY,
+      notes: conflict.notes || ""
+    });
+    setConflict(null);
+    setErrors({});
+  };
+
   const handleEdit = user => {
     setEditingUser(user);
-    setFormData({ name: user.name, zip: user.zip });
+    setFormData({
+      name: user.name,
+      zip: user.zip,
+      country: user.country || DEFAULT_COUNTRY,
+      notes: user.notes || ""
+    });
     setShowModal(true);
   };
 
   const handleDelete = async userId => {
-    if (window.confirm("Are you sure you want to delete this user?")) {
+    if (window.confirm("Move this user to the trash? You can restore it from the Trash view.")) {
       try {
-        await UserRepository.deleteUser(userId);
+        await deleteUser(userId);
       } catch (error) {
         console.error("Error deleting user:", error);
       }
     }
   };
 
+  const toggleDetails = userId => {
+    setExpandedUserId(current => (current === userId ? null : userId));
+  };
+
   const handleCloseModal = () => {
     setShowModal(false);
     setEditingUser(null);
-    setFormData({ name: "", zip: "" });
+    setConflict(null);
+    setDuplicates(null);
+    setFormData(EMPTY_FORM);
     setErrors({});
   };
 
-  const filteredUsers = users.filter(
-    user =>
-      user.name?.toLowerCase().includes(searchTerm.toLowerCase()) || user.zip?.includes(searchTerm)
-  );
+  // Ranked server results (with match highlights) once the term is long enough; the
+  // plain substring filter covers shorter terms, the first debounce and search failures
+  const baseUsers = nearby
+    ? nearby.items.map(({ user, distance }) => ({ ...user, distance }))
+    : users;
+  const filteredUsers = searchResults
+    ? searchResults.items.map(({ user, highlights }) => ({ ...user, highlights }))
+    : baseUsers.filter(
+        user =>
+          user.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+          user.zip?.toLowerCase().includes(searchTerm.toLowerCase())
+      );
+
+  const postalFormat = POSTAL_CODE_FORMATS[formData.country];
 
   if (loading) {
     return (
@@ -163,33 +302,49 @@ function UserManagement() {
           <h1>User Management</h1>
           <p>Manage tenants and landlords in your system</p>
         </div>
-        <button onClick={() => setShowModal(true)} className="btn-primary">
-          <svg
-            width="20"
-            height="20"
-            viewBox="0 0 24 24"
-            fill="none"
-            stroke="currentColor"
-            strokeWidth="2"
+        <div className="header-actions">
+          <button
+            onClick={() => setShowTrash(current => !current)}
+            className={`btn-secondary${showTrash ? " active" : ""}`}
           >
-            <line x1="12" y1="5" x2="12" y2="19" />
-            <line x1="5" y1="12" x2="19" y2="12" />
-          </svg>
-          Add User
-        </button>
+            Trash
+          </button>
+          <button onClick={() => setShowImport(true)} className="btn-secondary">
+            Import
+          </button>
+          <ExportMenu />
+          <button onClick={() => setShowModal(true)} className="btn-primary">
+            <svg
+              width="20"
+              height="20"
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="2"
+            >
+              <line x1="12" y1="5" x2="12" y2="19" />
+              <line x1="5" y1="12" x2="19" y2="12" />
+            </svg>
+            Add User
+          </button>
+        </div>
       </div>
 
-      <div className="search-bar">
+      {showTrash && <TrashPanel onClose={() => setShowTrash(false)} />}
+
+      <div className="search-bar" aria-busy={searching}>
         <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="#666" strokeWidth="2">
           <circle cx="11" cy="11" r="8" />
           <path d="m21 21-4.35-4.35" />
         </svg>
         <input
           type="text"
-          placeholder="Search by name or ZIP code..."
+          placeholder="Search by name, postal code, location or notes..."
           value={searchTerm}
           onChange={e => setSearchTerm(e.target.value)}
         />
+        {searching && <span className="search-status">Searching…</span>}
+        <NearbyFilter onResults={setNearby} refreshKey={users} />
       </div>
 
       {filteredUsers.length === 0 ? (
@@ -201,76 +356,170 @@ function UserManagement() {
             <path d="M16 3.13a4 4 0 0 1 0 7.75" />
           </svg>
           <p>
-            {searchTerm
-              ? "No users found matching your search"
-              : 'No users yet. Click "Add User" to get started!'}
+            {nearby
+              ? "No users found near you"
+              : searchTerm
+                ? "No users found matching your search"
+                : 'No users yet. Click "Add User" to get started!'}
           </p>
         </div>
       ) : (
         <div className="users-table">
           <div className="table-header">
             <div className="col-name">Name</div>
-            <div className="col-zip">ZIP Code</div>
+            <div className="col-zip">Postal Code</div>
             <div className="col-location">Location</div>
-            <div className="col-timezone">Time Zone</div>
+            <div className="col-timezone">Local Time</div>
             <div className="col-actions">Actions</div>
           </div>
           <div className="table-body">
             {filteredUsers.map(user => (
-              <div key={user.id} className="table-row">
-                <div className="col-name">
-                  <div className="user-avatar-small">{user.name?.charAt(0).toUpperCase()}</div>
-                  <span>{user.name}</span>
-                </div>
-                <div className="col-zip">{user.zip}</div>
-                <div className="col-location">
-                  {user.latitude && user.longitude
-                    ? `${user.latitude.toFixed(2)}, ${user.longitude.toFixed(2)}`
-                    : "N/A"}
-                </div>
-                <div className="col-timezone">{user.timezone || "N/A"}</div>
-                <div className="col-actions">
-                  <button
-                    onClick={() => handleEdit(user)}
-                    className="btn-icon btn-edit"
-                    title="Edit"
-                  >
-                    <svg
-                      width="18"
-                      height="18"
-                      viewBox="0 0 24 24"
-                      fill="none"
-                      stroke="currentColor"
-                      strokeWidth="2"
+              <React.Fragment key={user.id}>
+                <div className="table-row">
+                  <div className="col-name">
+                    <div className="user-avatar-small">{user.name?.charAt(0).toUpperCase()}</div>
+                    <div className="name-cell">
+                      <span>
+                        <Highlight text={user.name} spans={user.highlights?.name} />
+                      </span>
+                      {user.highlights?.locationName && (
+                        <span className="match-context">
+                          <Highlight
+                            text={user.locationName}
+                            spans={user.highlights.locationName}
+                          />
+                        </span>
+                      )}
+                      {user.highlights?.notes && (
+                        <span className="match-context">
+                          <Highlight
+                            text={user.notes}
+                            spans={user.highlights.notes}
+                            context={NOTES_CONTEXT}
+                          />
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                  <div className="col-zip">
+                    <Highlight text={user.zip} spans={user.highlights?.zip} />
+                    {user.country && user.country !== DEFAULT_COUNTRY && (
+                      <span className="country-code">{user.country}</span>
+                    )}
+                  </div>
+                  <div className="col-location">
+                    {user.geoStatus === "pending" || user.geoStatus === "failed" ? (
+                      <GeoStatusBadge status={user.geoStatus} />
+                    ) : user.latitude && user.longitude ? (
+                      `${user.latitude.toFixed(2)}, ${user.longitude.toFixed(2)}`
+                    ) : (
+                      "N/A"
+                    )}
+                    {user.distance !== undefined && (
+                      <span className="distance">
+                        {user.distance} {nearby.unit}
+                      </span>
+                    )}
+                  </div>
+                  <div className="col-timezone">
+                    <LocalClock timezone={user.timezone} />
+                  </div>
+                  <div className="col-actions">
+                    <button
+                      onClick={() => toggleDetails(user.id)}
+                      className={`btn-icon btn-weather${expandedUserId === user.id ? " active" : ""}`}
+                      title="Weather and history"
+                      disabled={user.geoStatus === "pending" || user.geoStatus === "failed"}
+                    >
+                      <svg
+                        width="18"
+                        height="18"
+                        viewBox="0 0 24 24"
+                        fill="none"
+                        stroke="currentColor"
+                        strokeWidth="2"
+                      >
+                        <path d="M18 10h-1.26A8 8 0 1 0 9 20h9a5 5 0 0 0 0-10z" />
+                      </svg>
+                    </button>
+                    <button
+                      onClick={() => handleEdit(user)}
+                      className="btn-icon btn-edit"
+                      title="Edit"
                     >
-                      <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7" />
-                      <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z" />
-                    </svg>
-                  </button>
-                  <button
-                    onClick={() => handleDelete(user.id)}
-                    className="btn-icon btn-delete"
-                    title="Delete"
-                  >
-                    <svg
-                      width="18"
-                      height="18"
-                      viewBox="0 0 24 24"
-                      fill="none"
-                      stroke="currentColor"
-                      strokeWidth="2"
+                      <svg
+                        width="18"
+                        height="18"
+                        viewBox="0 0 24 24"
+                        fill="none"
+                        stroke="currentColor"
+                        strokeWidth="2"
+                      >
+                        <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7" />
+                        <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z" />
+                      </svg>
+                    </button>
+                    <button
+                      onClick={() => setMergingUser(user)}
+                      className="btn-icon btn-merge"
+                      title="Merge into another tenant"
+                      disabled={users.length < 2}
                     >
-                      <polyline points="3 6 5 6 21 6" />
-                      <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
-                    </svg>
-                  </button>
+                      <svg
+                        width="18"
+                        height="18"
+                        viewBox="0 0 24 24"
+                        fill="none"
+                        stroke="currentColor"
+                        strokeWidth="2"
+                      >
+                        <circle cx="18" cy="18" r="3" />
+                        <circle cx="6" cy="6" r="3" />
+                        <path d="M6 21V9a9 9 0 0 0 9 9" />
+                      </svg>
+                    </button>
+                    <button
+                      onClick={() => handleDelete(user.id)}
+                      className="btn-icon btn-delete"
+                      title="Delete"
+                    >
+                      <svg
+                        width="18"
+                        height="18"
+                        viewBox="0 0 24 24"
+                        fill="none"
+                        stroke="currentColor"
+                        strokeWidth="2"
+                      >
+                        <polyline points="3 6 5 6 21 6" />
+                        <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
+                      </svg>
+                    </button>
+                  </div>
                 </div>
-              </div>
+                {expandedUserId === user.id && (
+                  <div className="table-row-details">
+                    <WeatherCard
+                      userId={user.id}
+                      units={weatherUnits}
+                      onUnitsChange={setWeatherUnits}
+                    />
+                    <ForecastPanel userId={user.id} units={weatherUnits} />
+                    <HistoryTimeline userId={user.id} />
+                  </div>
+                )}
+              </React.Fragment>
             ))}
           </div>
         </div>
       )}
 
+      {showImport && <ImportModal onClose={() => setShowImport(false)} />}
+
+      {mergingUser && (
+        <MergeDialog duplicate={mergingUser} users={users} onClose={() => setMergingUser(null)} />
+      )}
+
       {showModal && (
         <div className="modal-overlay" onClick={handleCloseModal}>
           <div className="modal-content" onClick={e => e.stopPropagation()}>
@@ -311,35 +560,90 @@ function UserManagement() {
                 )}
               </div>
 
+              <div className="form-group">
+                <label htmlFor="country">Country *</label>
+                <select
+                  id="country"
+                  value={formData.country}
+                  onChange={e => handleCountryChange(e.target.value)}
+                  autoComplete="country"
+                >
+                  {COUNTRIES.map(code => (
+                    <option key={code} value={code}>
+                      {POSTAL_CODE_FORMATS[code].name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
               <div className="form-group">
                 <label htmlFor="zip">
-                  ZIP Code *<span className="field-hint">(5-digit US ZIP code)</span>
+                  {postalFormat.label} *<span className="field-hint">({postalFormat.hint})</span>
                 </label>
                 <input
                   id="zip"
                   type="text"
                   value={formData.zip}
                   onChange={e => handleInputChange("zip", e.target.value)}
-                  placeholder="e.g., 10001 or 90210"
-                  maxLength="5"
+                  placeholder={postalFormat.placeholder}
+                  maxLength={postalFormat.maxLength}
                   className={errors.zip ? "error" : ""}
                   autoComplete="postal-code"
-                  inputMode="numeric"
-                  pattern="\d{5}"
+                  inputMode={postalFormat.inputMode}
                 />
                 {errors.zip && <span className="error-message">⚠️ {errors.zip}</span>}
-                {!errors.zip && formData.zip && /^\d{5}$/.test(formData.zip) && (
-                  <span className="success-message">✓ Valid ZIP code</span>
-                )}
+                {!errors.zip &&
+                  formData.zip &&
+                  !getPostalCodeError(formData.country, formData.zip) && (
+                    <span className="success-message">
+                      ✓ Valid {postalFormat.label.toLowerCase()}
+                    </span>
+                  )}
               </div>
 
+              <div className="form-group">
+                <label htmlFor="notes">
+                  Notes<span className="field-hint">(optional, searchable)</span>
+                </label>
+                <textarea
+                  id="notes"
+                  value={formData.notes}
+                  onChange={e => handleInputChange("notes", e.target.value)}
+                  maxLength={MAX_NOTES_LENGTH}
+                  rows={3}
+                />
+              </div>
+
+              {duplicates && (
+                <DuplicateWarning
+                  candidates={duplicates}
+                  onOpen={handleOpenDuplicate}
+                  onCreateAnyway={() => saveNew({ force: true })}
+                  saving={saving}
+                />
+              )}
+
+              {conflict && (
+                <ConflictDialog
+                  current={conflict}
+                  mine={formData}
+                  onOverwrite={handleOverwrite}
+                  onUseSaved={handleUseSaved}
+                  saving={saving}
+                />
+              )}
+
               {errors.submit && <div className="error-message submit-error">{errors.submit}</div>}
 
               <div className="modal-footer">
                 <button type="button" onClick={handleCloseModal} className="btn-secondary">
                   Cancel
                 </button>
-                <button type="submit" className="btn-primary">
+                <button
+                  type="submit"
+                  className="btn-primary"
+                  disabled={saving || !!conflict || !!duplicates}
+                >
                   {editingUser ? "Update User" : "Create User"}
                 </button>
               </div>
@@ -0,0 +1,86 @@
+import React, { useEffect, useState } from "react";
+import { UserRepository } from "../repositories/UserRepository";
+import "./WeatherCard.css";
+
+const UNIT_LABELS = {
+  imperial: { temperature: "°F", wind: "mph" },
+  metric: { temperature: "°C", wind: "m/s" }
+};
+
+/**
+ * Current conditions at a user's location (GET /users/:id/weather)
+ * The unit toggle is controlled by the parent so the forecast can follow it
+ */
+function WeatherCard({ userId, units, onUnitsChange }) {
+  const [weather, setWeather] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let active = true;
+    setLoading(true);
+    setError(null);
+
+    UserRepository.getWeather(userId, units)
+      .then(data => active && setWeather(data))
+      .catch(err => active && setError(err.message))
+      .finally(() => active && setLoading(false));
+
+    return () => {
+      active = false;
+    };
+  }, [userId, units]);
+
+  const labels = UNIT_LABELS[units];
+
+  return (
+    <div className="weather-card">
+      <div className="weather-card-header">
+        <h4>Current weather{weather?.locationName ? ` in ${weather.locationName}` : ""}</h4>
+        <div className="weather-units">
+          {Object.keys(UNIT_LABELS).map(option => (
+            <button
+              key={option}
+              type="button"
+              className={option === units ? "active" : ""}
+              onClick={() => onUnitsChange(option)}
+            >
+              {UNIT_LABELS[option].temperature}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading && <div className="weather-status">Loading weather…</div>}
+      {!loading && error && <div className="weather-status weather-error">⚠️ {error}</div>}
+      {!loading && !error && weather && (
+        <div className="weather-body">
+          {weather.icon && (
+            <img
+              className="weather-icon"
+              src={`https://openweathermap.org/img/wn/${weather.icon}@2x.png`}
+              alt={weather.description}
+            />
+          )}
+          <div className="weather-temperature">
+            {Math.round(weather.temperature)}
+            {labels.temperature}
+          </div>
+          <div className="weather-details">
+            <div className="weather-description">{weather.description}</div>
+            <div>
+              Feels like {Math.round(weather.feelsLike)}
+              {labels.temperature}
+            </div>
+            <div>Humidity {weather.humidity}%</div>
+            <div>
+              Wind {weather.windSpeed} {labels.wind}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WeatherCard;
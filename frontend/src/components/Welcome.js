@@ -0,0 +1,24 @@
+import React from "react";
+import { useAuth } from "../hooks/useAuth";
+import "./Dashboard.css";
+
+/**
+ * Home page for tenant accounts, which have no access to tenant management
+ */
+function Welcome() {
+  const { user } = useAuth();
+
+  return (
+    <div className="dashboard-container">
+      <div className="dashboard-header">
+        <h1>Welcome{user?.email ? `, ${user.email}` : ""}</h1>
+        <p>
+          Your account is set up as a tenant. Ask an administrator for landlord access to manage
+          tenant records; it applies the next time you sign in.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default Welcome;
@@ -18,6 +18,15 @@ const getApiBaseUrl = () => {
 
 export const API_BASE_URL = getApiBaseUrl();
 
+/**
+ * Where the user list is streamed from:
+ * - "firebase" (default): realtime RTDB listener
+ * - "api": polls GET /users, for backends running the memory/file storage drivers offline
+ */
+export const USERS_SOURCE = process.env.REACT_APP_USERS_SOURCE === "api" ? "api" : "firebase";
+
+export const USERS_POLL_INTERVAL = 5000;
+
 // Log the API URL for debugging (only in development)
 if (process.env.NODE_ENV === "development") {
   console.log("🔗 API Base URL:", API_BASE_URL);
@@ -1,6 +1,7 @@
 import { initializeApp } from "firebase/app";
 import { getDatabase } from "firebase/database";
-import { getAuth } from "firebase/auth";
+import { getAuth, connectAuthEmulator } from "firebase/auth";
+import { USERS_SOURCE } from "./config/api";
 
 // These values come from your Firebase Console:
 // Project Settings > General > Your Apps > Web App (Add app if you haven't)
@@ -17,5 +18,11 @@ const firebaseConfig = {
 const app = initializeApp(firebaseConfig);
 
 // Initialize services
-export const db = getDatabase(app);
+// The database is only needed when users stream from RTDB (see config/api.js)
+export const db = USERS_SOURCE === "firebase" ? getDatabase(app) : null;
 export const auth = getAuth(app);
+
+// Offline runs: sign in against the Firebase Auth emulator (e.g. localhost:9099)
+if (process.env.REACT_APP_FIREBASE_AUTH_EMULATOR_HOST) {
+  connectAuthEmulator(auth, `http://${process.env.REACT_APP_FIREBASE_AUTH_EMULATOR_HOST}`);
+}
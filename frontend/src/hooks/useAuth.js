@@ -6,13 +6,27 @@ import {
   createUserWithEmailAndPassword,
   signOut
 } from "firebase/auth";
+import { getRoleFromClaims } from "../shared/roles";
 
 export function useAuth() {
   const [user, setUser] = useState(null);
+  const [role, setRole] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    const unsubscribe = onAuthStateChanged(auth, currentUser => {
+    const unsubscribe = onAuthStateChanged(auth, async currentUser => {
+      if (currentUser) {
+        // Roles are Firebase custom claims carried in the ID token
+        try {
+          const { claims } = await currentUser.getIdTokenResult();
+          setRole(getRoleFromClaims(claims));
+        } catch (error) {
+          console.error("Failed to read role claim:", error);
+          setRole(getRoleFromClaims());
+        }
+      } else {
+        setRole(null);
+      }
       setUser(currentUser);
       setLoading(false);
     });
@@ -46,5 +60,5 @@ export function useAuth() {
     }
   };
 
-  return { user, loading, login, signup, logout };
+  return { user, role, loading, login, signup, logout };
 }
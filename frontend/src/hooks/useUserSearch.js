@@ -0,0 +1,56 @@
+import { useState, useEffect } from "react";
+import { UserRepository } from "../repositories/UserRepository";
+
+// Shortest search the server accepts (see UserSearchQuerySchema)
+export const MIN_SEARCH_LENGTH = 2;
+
+const SEARCH_DEBOUNCE_MS = 300;
+const SEARCH_LIMIT = 50;
+
+// Debounced GET /users/search for the search box
+// results is null while the term is too short, until the first request answers and
+// after a failure, so callers can fall back to their own list; while a newer term is
+// pending the previous results stay up. refreshKey re-runs the search when it
+// changes (e.g. the live user list)
+export function useUserSearch(term, refreshKey) {
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+  const query = term.trim();
+  const active = query.length >= MIN_SEARCH_LENGTH;
+
+  useEffect(() => {
+    if (!active) {
+      setResults(null);
+      setError(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const data = await UserRepository.searchUsers(query, SEARCH_LIMIT, {
+          signal: controller.signal
+        });
+        setResults(data);
+        setError(null);
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error("Error searching users:", err);
+        setResults(null);
+        setError(err.message);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    // A newer keystroke cancels both the pending timer and a request in flight
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, active, refreshKey]);
+
+  return {
+    results: active ? results : null,
+    searching: active && results?.query !== query && !error,
+    error
+  };
+}
@@ -0,0 +1,27 @@
+import { useState, useEffect } from "react";
+import { UserRepository } from "../repositories/UserRepository";
+
+// GET /users/stats for the dashboard, kept fresh by UserRepository.subscribeToStats
+// The previous stats stay up while a new groupBy loads; loading is only true before the
+// first answer
+export function useUserStats(groupBy) {
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const unsubscribe = UserRepository.subscribeToStats(
+      { groupBy },
+      data => {
+        setStats(data);
+        setError(null);
+      },
+      err => {
+        console.error("Error loading stats:", err);
+        setError(err.message);
+      }
+    );
+    return () => unsubscribe();
+  }, [groupBy]);
+
+  return { stats, loading: !stats && !error, error };
+}
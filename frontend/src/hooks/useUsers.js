@@ -1,21 +1,29 @@
 import { useState, useEffect } from "react";
 import { UserRepository } from "../repositories/UserRepository";
+import { useAuth } from "./useAuth";
 
 export function useUsers() {
+  const { user } = useAuth();
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
+  const ownerUid = user?.uid;
 
   useEffect(() => {
-    const unsubscribe = UserRepository.subscribeToUsers(data => {
+    if (!ownerUid) return;
+
+    // Only stream the signed-in landlord's own records
+    const unsubscribe = UserRepository.subscribeToUsers(ownerUid, data => {
       setUsers(data);
       setLoading(false);
     });
     return () => unsubscribe(); // Cleanup WebSocket on unmount
-  }, []);
+  }, [ownerUid]);
 
   const addUser = async (name, zip) => {
     await UserRepository.createUser(name, zip);
   };
 
-  return { users, loading, addUser, deleteUser: UserRepository.deleteUser };
+  const deleteUser = id => UserRepository.deleteUser(id);
+
+  return { users, loading, addUser, deleteUser };
 }
@@ -1,11 +1,64 @@
 import { db } from "../firebaseConfig";
-import { ref, onValue, remove } from "firebase/database";
-import { API_BASE_URL } from "../config/api";
+import { ref, onValue } from "firebase/database";
+import { apiFetch, apiFetchIdempotent } from "./apiClient";
+import { USERS_SOURCE, USERS_POLL_INTERVAL } from "../config/api";
+
+// Refresh callbacks of active API subscriptions, run after every local write
+const apiSubscribers = new Set();
+
+const notifyApiSubscribers = () => apiSubscribers.forEach(refresh => refresh());
+
+// Follows nextCursor until every page of GET /users has been read
+const fetchAllUsers = async () => {
+  const users = [];
+  let cursor = null;
+
+  do {
+    const query = new URLSearchParams({ limit: "100", ...(cursor && { cursor }) });
+    const response = await apiFetch(`/users?${query}`);
+    if (!response.ok) {
+      throw new Error("Failed to load users");
+    }
+    const page = await response.json();
+    users.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return users;
+};
+
+// Polling stand-in for the RTDB listener when USERS_SOURCE is "api"
+const subscribeToApiUsers = callback => {
+  let active = true;
+  const refresh = async () => {
+    try {
+      const users = await fetchAllUsers();
+      if (active) callback(users);
+    } catch (error) {
+      console.error("Error polling users:", error);
+    }
+  };
+
+  apiSubscribers.add(refresh);
+  refresh();
+  const interval = setInterval(refresh, USERS_POLL_INTERVAL);
+
+  return () => {
+    active = false;
+    apiSubscribers.delete(refresh);
+    clearInterval(interval);
+  };
+};
 
 export const UserRepository = {
   // CRUD Operations
-  subscribeToUsers: callback => {
-    const userRef = ref(db, "users");
+  // Records live under users/{ownerUid}; database rules only let owners read their own
+  subscribeToUsers: (ownerUid, callback) => {
+    if (USERS_SOURCE === "api") {
+      return subscribeToApiUsers(callback);
+    }
+
+    const userRef = ref(db, `users/${ownerUid}`);
     return onValue(userRef, snapshot => {
       const data = snapshot.val();
       const list = data ? Object.values(data) : [];
@@ -13,19 +66,33 @@ export const UserRepository = {
     });
   },
 
-  createUser: async (name, zip) => {
+  // Likely duplicates are rejected with code "users/duplicate" and the matches as
+  // `candidates`, unless force is set
+  createUser: async (name, zip, country, { force = false, notes } = {}) => {
     // We call our Node.js API to handle the weather logic
-    const response = await fetch(`${API_BASE_URL}/users`, {
+    // The Idempotency-Key makes retries safe: if an earlier attempt did reach the server,
+    // its response is replayed instead of adding the user twice
+    const options = {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ name, zip })
-    });
+      headers: {
+        "Content-Type": "application/json",
+        "Idempotency-Key": window.crypto.randomUUID()
+      },
+      body: JSON.stringify({ name, zip, country, ...(notes && { notes }) })
+    };
+    const path = force ? "/users?force=true" : "/users";
+    const response = await apiFetchIdempotent(path, options);
 
     const data = await response.json();
 
     if (!response.ok) {
       // Handle different error response formats from backend
-      if (data.error) {
+      if (data.code === "users/duplicate") {
+        throw Object.assign(new Error(data.error), {
+          code: data.code,
+          candidates: data.details?.candidates || []
+        });
+      } else if (data.error) {
         throw new Error(data.error);
       } else if (data.errors && Array.isArray(data.errors)) {
         // Zod validation errors
@@ -36,22 +103,34 @@ export const UserRepository = {
       }
     }
 
+    notifyApiSubscribers();
     return data;
   },
 
-  updateUser: async (id, name, zip) => {
+  // version is the record version the edit started from (sent as If-Match); if the record
+  // has changed since, the error has code "users/version-mismatch" and the saved record as `current`
+  // notes is left unchanged when undefined and cleared when ""
+  updateUser: async (id, name, zip, country, version, notes) => {
     // Call our Node.js API to handle the update and re-fetch weather if zip changed
-    const response = await fetch(`${API_BASE_URL}/users/${id}`, {
+    const response = await apiFetch(`/users/${id}`, {
       method: "PUT",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ name, zip })
+      headers: {
+        "Content-Type": "application/json",
+        ...(version !== undefined && { "If-Match": `"${version || 0}"` })
+      },
+      body: JSON.stringify({ name, zip, country, notes })
     });
 
     const data = await response.json();
 
     if (!response.ok) {
       // Handle different error response formats from backend
-      if (data.error) {
+      if (response.status === 412) {
+        throw Object.assign(new Error(data.error), {
+          code: data.code,
+          current: data.details?.current
+        });
+      } else if (data.error) {
         throw new Error(data.error);
       } else if (data.errors && Array.isArray(data.errors)) {
         // Zod validation errors
@@ -62,8 +141,210 @@ export const UserRepository = {
       }
     }
 
+    notifyApiSubscribers();
     return data;
   },
 
-  deleteUser: id => remove(ref(db, `users/${id}`))
+  // Ranked fuzzy search over name, postal code, location and notes; each item is
+  // { user, score, highlights } with highlights as { field: [{ start, end }] }
+  searchUsers: async (q, limit = 20, { signal } = {}) => {
+    const query = new URLSearchParams({ q, limit: String(limit) });
+    const response = await apiFetch(`/users/search?${query}`, { signal });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to search users");
+    }
+
+    return data;
+  },
+
+  // Users within radius (in unit, "mi" or "km") of a postal code ({ zip, country }) or a
+  // coordinate ({ lat, lon }), nearest first; each item is { user, distance }
+  findUsersNear: async ({ radius = 10, unit = "mi", ...center }) => {
+    const query = new URLSearchParams({ ...center, radius: String(radius), unit });
+    const response = await apiFetch(`/users/near?${query}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to find nearby users");
+    }
+
+    return data;
+  },
+
+  // Portfolio counts, signups per groupBy period ("day", "week" or "month") between
+  // from and to (YYYY-MM-DD, UTC) and the `recent` newest users, computed on the server
+  getStats: async ({ groupBy = "day", from, to, top = 10, recent = 5 } = {}) => {
+    const query = new URLSearchParams({
+      groupBy,
+      top: String(top),
+      recent: String(recent),
+      ...(from && { from }),
+      ...(to && { to })
+    });
+    const response = await apiFetch(`/users/stats?${query}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to load stats");
+    }
+
+    return data;
+  },
+
+  // Polls getStats, and refreshes straight after local writes; returns an unsubscribe function
+  subscribeToStats: (options, callback, onError) => {
+    let active = true;
+    const refresh = async () => {
+      try {
+        const stats = await UserRepository.getStats(options);
+        if (active) callback(stats);
+      } catch (error) {
+        if (active) onError(error);
+      }
+    };
+
+    apiSubscribers.add(refresh);
+    refresh();
+    const interval = setInterval(refresh, USERS_POLL_INTERVAL);
+
+    return () => {
+      active = false;
+      apiSubscribers.delete(refresh);
+      clearInterval(interval);
+    };
+  },
+
+  // Current weather at the user's stored coordinates; units is "imperial" or "metric"
+  getWeather: async (id, units = "imperial") => {
+    const response = await apiFetch(`/users/${id}/weather?units=${units}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to load weather");
+    }
+
+    return data;
+  },
+
+  // Daily forecast (1-5 days) at the user's stored coordinates
+  getForecast: async (id, days = 5, units = "imperial") => {
+    const query = new URLSearchParams({ days: String(days), units });
+    const response = await apiFetch(`/users/${id}/forecast?${query}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to load forecast");
+    }
+
+    return data;
+  },
+
+  getHistory: async (id, limit = 20, cursor = null) => {
+    const query = new URLSearchParams({ limit: String(limit), ...(cursor && { cursor }) });
+    const response = await apiFetch(`/users/${id}/history?${query}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to load history");
+    }
+
+    return data;
+  },
+
+  // Bulk import from a CSV or JSON file; dryRun reports what would happen without saving
+  importUsers: async (file, dryRun = false) => {
+    const isJson = file.name.toLowerCase().endsWith(".json");
+    const options = {
+      method: "POST",
+      headers: {
+        "Content-Type": isJson ? "application/json" : "text/csv",
+        "Idempotency-Key": window.crypto.randomUUID()
+      },
+      body: await file.text()
+    };
+    // Retried with the same Idempotency-Key, like createUser
+    const response = await apiFetchIdempotent(`/users/import?dryRun=${dryRun}`, options);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to import users");
+    }
+
+    if (!dryRun) notifyApiSubscribers();
+    return data;
+  },
+
+  // Download every user as a CSV, JSON or NDJSON file (streamed by GET /users/export)
+  exportUsers: async (format = "csv") => {
+    const response = await apiFetch(`/users/export?format=${format}`);
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || "Failed to export users");
+    }
+
+    const disposition = response.headers.get("Content-Disposition") || "";
+    const [, filename = `users.${format}`] = disposition.match(/filename="([^"]+)"/) || [];
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  },
+
+  // Deletes go through the API (never RTDB directly) so the record is moved to the
+  // trash and the delete is recorded in its history
+  deleteUser: async id => {
+    const response = await apiFetch(`/users/${id}`, { method: "DELETE" });
+    if (!response.ok) {
+      throw new Error("Failed to delete user");
+    }
+    notifyApiSubscribers();
+  },
+
+  // Deleted users, most recently deleted first
+  getTrash: async (limit = 25, cursor = null) => {
+    const query = new URLSearchParams({ limit: String(limit), ...(cursor && { cursor }) });
+    const response = await apiFetch(`/users/trash?${query}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to load trash");
+    }
+
+    return data;
+  },
+
+  // Fold duplicateId into survivorId: the duplicate is removed and its history moves over
+  mergeUsers: async (survivorId, duplicateId) => {
+    const response = await apiFetch(`/users/${survivorId}/merge`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ duplicateId })
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to merge users");
+    }
+
+    notifyApiSubscribers();
+    return data;
+  },
+
+  restoreUser: async id => {
+    const response = await apiFetch(`/users/${id}/restore`, { method: "POST" });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to restore user");
+    }
+
+    notifyApiSubscribers();
+    return data;
+  }
 };
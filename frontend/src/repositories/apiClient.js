@@ -0,0 +1,64 @@
+import { auth } from "../firebaseConfig";
+import { API_BASE_URL } from "../config/api";
+
+/**
+ * fetch() wrapper for the backend API
+ *
+ * Attaches the signed-in user's Firebase ID token as `Authorization: Bearer <idToken>`.
+ * getIdToken() refreshes the token when it is about to expire.
+ */
+export const apiFetch = async (path, options = {}) => {
+  const headers = new Headers(options.headers);
+  const token = await auth.currentUser?.getIdToken();
+
+  if (token) {
+    headers.set("Authorization", `Bearer ${token}`);
+  }
+
+  return fetch(`${API_BASE_URL}${path}`, { ...options, headers });
+};
+
+// Tries of a request carrying an Idempotency-Key, and the first pause between them (doubled
+// after each try, up to RETRY_MAX_DELAY_MS)
+const RETRY_ATTEMPTS = 6;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+
+const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Whether a response is worth retrying with the same Idempotency-Key: the server failed
+// (5xx responses are not stored) or the first attempt is still running
+// (409 idempotency/in-progress; the retry gets its response once it finishes)
+const isRetryable = async response => {
+  if (response.status >= 500) return true;
+  if (response.status !== 409) return false;
+  const data = await response
+    .clone()
+    .json()
+    .catch(() => ({}));
+  return data.code === "idempotency/in-progress";
+};
+
+/**
+ * apiFetch() for requests that carry an Idempotency-Key header
+ *
+ * Retries network errors, 5xx responses and "still in progress" answers with backoff.
+ * Any other answer (including an error) is returned as is; after the last try,
+ * the last response is returned or the network error rethrown.
+ */
+export const apiFetchIdempotent = async (path, options) => {
+  for (let attempt = 1; ; attempt++) {
+    const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+    let response;
+    try {
+      response = await apiFetch(path, options);
+    } catch (error) {
+      if (attempt === RETRY_ATTEMPTS) throw error;
+      await pause(delay);
+      continue;
+    }
+
+    if (attempt === RETRY_ATTEMPTS || !(await isRetryable(response))) return response;
+    await pause(delay);
+  }
+};
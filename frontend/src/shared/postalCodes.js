@@ -0,0 +1,72 @@
+// Mirrors backend/models/postalCode.model.js — supported countries and postal code formats
+export const POSTAL_CODE_FORMATS = {
+  US: {
+    name: "United States",
+    label: "ZIP Code",
+    hint: "5-digit ZIP or ZIP+4",
+    placeholder: "e.g., 10001 or 10001-1234",
+    maxLength: 10,
+    inputMode: "numeric",
+    pattern: /^\d{5}(-\d{4})?$/,
+    message: "Must be a 5-digit ZIP code or ZIP+4 (e.g. 10001 or 10001-1234)"
+  },
+  CA: {
+    name: "Canada",
+    label: "Postal Code",
+    hint: "e.g., K1A 0B1",
+    placeholder: "e.g., K1A 0B1",
+    maxLength: 7,
+    inputMode: "text",
+    pattern: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] \d[ABCEGHJ-NPRSTV-Z]\d$/,
+    message: "Must be a Canadian postal code (e.g. K1A 0B1)"
+  },
+  GB: {
+    name: "United Kingdom",
+    label: "Postcode",
+    hint: "e.g., SW1A 1AA",
+    placeholder: "e.g., SW1A 1AA or M1 1AE",
+    maxLength: 8,
+    inputMode: "text",
+    pattern: /^([A-Z]{1,2}\d[A-Z\d]? \d[ABD-HJLNP-UW-Z]{2}|GIR 0AA)$/,
+    message: "Must be a UK postcode (e.g. SW1A 1AA)"
+  }
+};
+
+export const COUNTRIES = Object.keys(POSTAL_CODE_FORMATS);
+
+// Records saved before the country field existed are US records
+export const DEFAULT_COUNTRY = "US";
+
+// Input mask: US keeps digits and adds the ZIP+4 hyphen; CA and GB are upper-cased
+// with a space before the three-character inward part
+export const formatPostalCodeInput = (country, value) => {
+  if (country === "US") {
+    const digits = value.replace(/\D/g, "").slice(0, 9);
+    return digits.length > 5 ? `${digits.slice(0, 5)}-${digits.slice(5)}` : digits;
+  }
+
+  const compact = value
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "")
+    .slice(0, country === "CA" ? 6 : 7);
+
+  // CA outward codes are always 3 characters; GB outward codes vary, so wait for the inward part
+  const outwardLength = country === "CA" ? 3 : compact.length - 3;
+  if (compact.length < 4 || (country === "GB" && compact.length < 5)) return compact;
+  return `${compact.slice(0, outwardLength)} ${compact.slice(outwardLength)}`;
+};
+
+export const isValidPostalCode = (country, value) =>
+  Boolean(POSTAL_CODE_FORMATS[country]?.pattern.test(value));
+
+// Error message for the form, or null when the value is valid
+export const getPostalCodeError = (country, value) => {
+  const format = POSTAL_CODE_FORMATS[country];
+  if (!value) return `${format.label} is required`;
+  if (isValidPostalCode(country, value)) return null;
+
+  if (country === "US" && value.length < 5) {
+    return `ZIP code must be at least 5 digits (${value.length}/5)`;
+  }
+  return format.message;
+};
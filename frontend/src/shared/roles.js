@@ -0,0 +1,22 @@
+// Mirrors backend/models/role.model.js — roles live in the `role` custom claim
+export const ROLES = ["landlord", "tenant", "admin"];
+
+// Accounts without a role claim are treated as tenants (backend DEFAULT_ROLE)
+export const DEFAULT_ROLE = "tenant";
+
+// Roles allowed on each protected route, in the order a role's home page is picked
+export const ROUTE_ROLES = {
+  "/dashboard": ["landlord", "admin"],
+  "/users": ["landlord", "admin"],
+  "/admin": ["admin"],
+  "/welcome": ["tenant"]
+};
+
+export const getRoleFromClaims = (claims = {}) =>
+  ROLES.includes(claims.role) ? claims.role : DEFAULT_ROLE;
+
+export const canAccess = (role, path) => (ROUTE_ROLES[path] || []).includes(role);
+
+// First route the role can use (where sign-in and unknown paths land)
+export const homePath = role =>
+  Object.keys(ROUTE_ROLES).find(path => canAccess(role, path)) || "/welcome";
@@ -1,8 +1,21 @@
 const { z } = require("zod"); // Use 'import' if using ES Modules
+const { POSTAL_CODE_FORMATS, COUNTRIES, DEFAULT_COUNTRY } = require("./postalCodes");
 
-const UserSchema = z.object({
-  name: z.string().min(2, "Name is too short"),
-  zip: z.string().regex(/^\d{5}$/, "Must be a 5-digit ZIP")
-});
+const UserSchema = z
+  .object({
+    name: z.string().min(2, "Name is too short"),
+    country: z.enum(COUNTRIES).default(DEFAULT_COUNTRY),
+    zip: z.string(),
+    notes: z.string().trim().max(1000, "Notes cannot exceed 1000 characters").optional()
+  })
+  .superRefine((user, ctx) => {
+    if (!POSTAL_CODE_FORMATS[user.country].pattern.test(user.zip)) {
+      ctx.addIssue({
+        code: "custom",
+        path: ["zip"],
+        message: POSTAL_CODE_FORMATS[user.country].message
+      });
+    }
+  });
 
 module.exports = { UserSchema };